@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import SCARDemo from './SCARDemo';
 
 // API Configuration
@@ -120,8 +120,19 @@ async function fetchHeadToHead(robot1, robot2, weightClassSlug) {
 // Local Storage Keys (for local preferences only)
 const STORAGE_KEYS = {
   DARK_MODE: 'scar_dark_mode',
+  SESSION_TOKEN: 'scar_session_token',
 };
 
+// Default judge roster (events can configure their own panel)
+const DEFAULT_JUDGES = [
+  { id: 'judge_1', name: 'Judge 1', active: true },
+  { id: 'judge_2', name: 'Judge 2', active: true },
+  { id: 'judge_3', name: 'Judge 3', active: true },
+];
+
+// Judges currently sitting on the panel
+const getActivePanel = (judges) => (judges?.length ? judges : DEFAULT_JUDGES).filter(j => j.active !== false);
+
 // Default scoring criteria
 const DEFAULT_SCORING_CRITERIA = [
   { id: 'aggression', name: 'Aggression', points: 3 },
@@ -129,6 +140,23 @@ const DEFAULT_SCORING_CRITERIA = [
   { id: 'control', name: 'Control', points: 3 },
 ];
 
+// How a match can end - decisions are scored by the judges, the rest have a fixed scoreline
+const WIN_METHODS = {
+  points: { label: 'Decision', isDecision: true },
+  tapout: { label: 'Decision (Tap-out)', isDecision: true },
+  ko: { label: 'KO', isStoppage: true },
+  tko: { label: 'TKO', isStoppage: true },
+  forfeit: { label: 'Forfeit' },
+  dq: { label: 'DQ' },
+};
+
+// Win method for a completed match. The bracket only keeps the scoreline, so results
+// without a stored win method fall back to the old guess that a 0 on one side was a KO
+const getWinMethod = ({ winMethod, scores }) => {
+  if (WIN_METHODS[winMethod]) return winMethod;
+  return scores && (scores.a === 0 || scores.b === 0) ? 'ko' : 'points';
+};
+
 // Helper for case-insensitive robot image lookup
 // Handles mismatches between Challonge names and RCE names (e.g., "Briklit" vs "briklit")
 function getRobotImage(robotImages, robotName) {
@@ -163,8 +191,115 @@ function setUrlParam(param, value) {
   window.history.replaceState({}, '', url);
 }
 
+// Helper to build request headers including the judge/admin session token
+function authHeaders(extraHeaders = {}) {
+  const token = localStorage.getItem(STORAGE_KEYS.SESSION_TOKEN);
+  return token ? { ...extraHeaders, Authorization: `Bearer ${token}` } : extraHeaders;
+}
+
+// Helper to build an Error from a failed response, preferring the server's message
+async function responseError(response, fallbackMessage) {
+  try {
+    const data = await response.json();
+    return new Error(data.error || fallbackMessage);
+  } catch (err) {
+    return new Error(fallbackMessage);
+  }
+}
+
+// Helper for the ?arena= query on the per-arena endpoints
+const arenaQuery = arenaId => (arenaId ? `?arena=${encodeURIComponent(arenaId)}` : '');
+
+// The main arena, for events that haven't set up any
+const DEFAULT_ARENAS = [{ arenaId: 'main', name: 'Main Arena' }];
+
+// Helper to work out which arena a match fights in - its own assignment, then its
+// tournament's arena, then the event's first arena, the same as the server
+// Returns (match) => arenaId
+function createArenaLookup(arenas, tournamentDetails, matchArenas) {
+  const list = arenas && arenas.length > 0 ? arenas : DEFAULT_ARENAS;
+  const known = new Set(list.map(a => a.arenaId));
+  const byMatch = new Map((matchArenas || []).map(a => [`${a.tournamentId}-${a.matchId}`, a.arenaId]));
+  return (match) => [byMatch.get(`${match.tournamentUrl}-${match.id}`), tournamentDetails?.[match.tournamentUrl]?.arena]
+    .find(arenaId => known.has(arenaId)) || list[0].arenaId;
+}
+
+// Helper to find the arena a match is fighting in right now, or null
+function findActiveArena(activeMatches, match) {
+  const entry = Object.entries(activeMatches || {})
+    .find(([, active]) => active.tournamentId === match.tournamentUrl && active.matchId === String(match.id));
+  return entry ? entry[0] : null;
+}
+
+// Live event streams - one shared EventSource per event, views subscribe to it
+const STREAM_EVENT_TYPES = ['connected', 'active-match', 'match-arena', 'repair-reset', 'repair-times', 'check-in', 'queue', 'judge-scores', 'match-review', 'match-finalized', 'match-updated'];
+const eventStreams = {};
+
+// Subscribe to an event's stream, returns an unsubscribe function
+// listener(type, data) also gets a 'disconnected' type when the stream drops
+function subscribeToEventStream(eventId, listener) {
+  let entry = eventStreams[eventId];
+  if (!entry) {
+    const source = new EventSource(`${API_BASE_URL}/events/${encodeURIComponent(eventId)}/stream`);
+    entry = { source, listeners: new Set(), connected: false };
+    const notify = (type, data) => entry.listeners.forEach(l => l(type, data));
+
+    STREAM_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (e) => {
+        if (type === 'connected') entry.connected = true;
+        notify(type, JSON.parse(e.data));
+      });
+    });
+    source.onerror = () => {
+      // EventSource reconnects by itself, views poll until it does
+      entry.connected = false;
+      notify('disconnected', {});
+    };
+    eventStreams[eventId] = entry;
+  }
+
+  entry.listeners.add(listener);
+  if (entry.connected) listener('connected', { eventId });
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      entry.source.close();
+      delete eventStreams[eventId];
+    }
+  };
+}
+
+// Hook for live updates on an event - returns whether the stream is connected
+// so views can fall back to polling while it isn't
+const useEventStream = (eventId, onUpdate) => {
+  const [isLive, setIsLive] = useState(false);
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  });
+
+  useEffect(() => {
+    if (!eventId || typeof EventSource === 'undefined') return;
+    const unsubscribe = subscribeToEventStream(eventId, (type, data) => {
+      if (type === 'connected') setIsLive(true);
+      if (type === 'disconnected') setIsLive(false);
+      onUpdateRef.current(type, data);
+    });
+    return () => {
+      unsubscribe();
+      setIsLive(false);
+    };
+  }, [eventId]);
+
+  return isLive;
+};
+
 // API Service
 const api = {
+  // Tournaments come back already normalized by the server, whichever bracket provider runs them:
+  // { tournament: { id, url, name, status, tournamentType, provider }, participants, matches }
   async getTournament(tournamentId) {
     const response = await fetch(`${API_BASE_URL}/tournaments/${tournamentId}`);
     if (!response.ok) throw new Error(`Failed to fetch tournament: ${tournamentId}`);
@@ -174,10 +309,10 @@ const api = {
   async submitJudgeScores(matchId, scoreData) {
     const response = await fetch(`${API_BASE_URL}/matches/${matchId}/scores`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify(scoreData),
     });
-    if (!response.ok) throw new Error('Failed to submit scores');
+    if (!response.ok) throw await responseError(response, 'Failed to submit scores');
     return response.json();
   },
 
@@ -187,11 +322,32 @@ const api = {
     return response.json();
   },
 
+  async resolveReview(matchId, decision) {
+    const response = await fetch(`${API_BASE_URL}/matches/${matchId}/review`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(decision),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to resolve review');
+    return response.json();
+  },
+
+  async enterManualResult(matchId, resultData) {
+    const response = await fetch(`${API_BASE_URL}/matches/${matchId}/manual-result`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(resultData),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to enter result');
+    return response.json();
+  },
+
   async deleteJudgeScore(matchId, judgeId) {
     const response = await fetch(`${API_BASE_URL}/matches/${matchId}/scores/${judgeId}`, {
       method: 'DELETE',
+      headers: authHeaders(),
     });
-    if (!response.ok) throw new Error('Failed to delete score');
+    if (!response.ok) throw await responseError(response, 'Failed to delete score');
     return response.json();
   },
 
@@ -205,19 +361,20 @@ const api = {
     return response.json();
   },
 
-  async saveEvent(eventId, name, tournaments, scoringCriteria, robotImages, discordWebhookUrl) {
+  async saveEvent(eventId, name, tournaments, scoringCriteria, robotImages, discordWebhookUrl, judges, repairTimes, scheduling, arenas) {
     const response = await fetch(`${API_BASE_URL}/events`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ eventId, name, tournaments, scoringCriteria, robotImages, discordWebhookUrl }),
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ eventId, name, tournaments, arenas, scoringCriteria, robotImages, discordWebhookUrl, judges, repairTimes, scheduling }),
     });
-    if (!response.ok) throw new Error('Failed to save event');
+    if (!response.ok) throw await responseError(response, 'Failed to save event');
     return response.json();
   },
 
   async testDiscordWebhook(eventId) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}/test-discord`, {
       method: 'POST',
+      headers: authHeaders(),
     });
     if (!response.ok) {
       const data = await response.json();
@@ -229,76 +386,125 @@ const api = {
   async deleteEvent(eventId) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}`, {
       method: 'DELETE',
+      headers: authHeaders(),
     });
-    if (!response.ok) throw new Error('Failed to delete event');
+    if (!response.ok) throw await responseError(response, 'Failed to delete event');
     return response.json();
   },
 
   async scrapeRCE(url) {
-    const response = await fetch(`${API_BASE_URL}/scrape-rce?url=${encodeURIComponent(url)}`);
-    if (!response.ok) throw new Error('Failed to scrape RCE page');
+    const response = await fetch(`${API_BASE_URL}/scrape-rce?url=${encodeURIComponent(url)}`, {
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to scrape RCE page');
     return response.json();
   },
 
   // Active Match API
+  // { [arenaId]: { tournamentId, matchId, startedAt } }
   async getActiveMatches(eventId) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}/active-matches`);
     if (!response.ok) throw new Error('Failed to fetch active matches');
     return response.json();
   },
 
-  async setActiveMatch(eventId, tournamentId, matchId) {
+  // arenaId left out starts the match in the arena it's assigned to
+  async setActiveMatch(eventId, tournamentId, matchId, arenaId) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}/active-match`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ tournamentId, matchId }),
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ tournamentId, matchId, arenaId }),
     });
-    if (!response.ok) throw new Error('Failed to set active match');
+    if (!response.ok) throw await responseError(response, 'Failed to set active match');
     return response.json();
   },
 
-  async clearActiveMatch(eventId, tournamentId) {
-    const response = await fetch(`${API_BASE_URL}/events/${eventId}/active-match/${tournamentId}`, {
+  async clearActiveMatch(eventId, arenaId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/active-match/${encodeURIComponent(arenaId)}`, {
       method: 'DELETE',
+      headers: authHeaders(),
     });
-    if (!response.ok) throw new Error('Failed to clear active match');
+    if (!response.ok) throw await responseError(response, 'Failed to clear active match');
     return response.json();
   },
 
-  // Repair Timer Reset API
-  async getRepairResets(eventId) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/events/${eventId}/repair-resets`);
-      if (!response.ok) return {}; // Return empty object on error
-      return response.json();
-    } catch (err) {
-      console.error('Failed to fetch repair resets:', err);
-      return {}; // Return empty object on error
-    }
+  // Matches sent to a different arena than their tournament's: [{ tournamentId, matchId, arenaId }]
+  async getMatchArenas(eventId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-arenas`);
+    if (!response.ok) throw await responseError(response, 'Failed to fetch match arenas');
+    return response.json();
+  },
+
+  async setMatchArena(eventId, tournamentId, matchId, arenaId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-arena`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ tournamentId, matchId, arenaId }),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to move match');
+    return response.json();
+  },
+
+  async clearMatchArena(eventId, tournamentId, matchId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-arena/${encodeURIComponent(tournamentId)}/${matchId}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to move match');
+    return response.json();
+  },
+
+  // Repair Timer API
+  // { serverTime, repairTimeMs, robots: { [robotName]: { lastFightAt, resetAt, startedAt, readyAt, remainingMs, ready, checkIn, waived } } }
+  async getRepairStatus(eventId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/repair-status`);
+    if (!response.ok) throw await responseError(response, 'Failed to fetch repair status');
+    return response.json();
   },
 
   async resetRepairTimer(eventId, robotName) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}/repair-reset`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({ robotName }),
     });
-    if (!response.ok) throw new Error('Failed to reset repair timer');
+    if (!response.ok) throw await responseError(response, 'Failed to reset repair timer');
     return response.json();
   },
 
   async clearRepairReset(eventId, robotName) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}/repair-reset/${encodeURIComponent(robotName)}`, {
       method: 'DELETE',
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to clear repair reset');
+    return response.json();
+  },
+
+  // status is 'ready' (waives the rest of the repair time) or 'full-time'
+  async checkInRobot(eventId, robotName, status) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/check-in`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ robotName, status }),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to check in robot');
+    return response.json();
+  },
+
+  async clearCheckIn(eventId, robotName) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/check-in/${encodeURIComponent(robotName)}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
     });
-    if (!response.ok) throw new Error('Failed to clear repair reset');
+    if (!response.ok) throw await responseError(response, 'Failed to clear check-in');
     return response.json();
   },
 
-  // Match Queue API
-  async getMatchQueue(eventId) {
+  // Match Queue API - one queue per arena
+  async getMatchQueue(eventId, arenaId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-queue`);
+      const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-queue${arenaQuery(arenaId)}`);
       if (!response.ok) return []; // Return empty array on error
       return response.json();
     } catch (err) {
@@ -307,25 +513,174 @@ const api = {
     }
   },
 
-  async updateMatchQueue(eventId, queue) {
+  async updateMatchQueue(eventId, queue, arenaId) {
     const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-queue`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ queue, arenaId }),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to update match queue');
+    return response.json();
+  },
+
+  // Proposed order for the next fights in an arena: { generatedAt, arenaId, settings, fights: [{ tournamentId,
+  //   matchId, competitorA, competitorB, weightClass, matchNum, startAt, waitMs, locked, notes }] }
+  async getSchedule(eventId, size, arenaId) {
+    const params = new URLSearchParams();
+    if (size) params.set('size', size);
+    if (arenaId) params.set('arena', arenaId);
+    const query = params.toString() ? `?${params}` : '';
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/schedule${query}`, { headers: authHeaders() });
+    if (!response.ok) throw await responseError(response, 'Failed to build schedule');
+    return response.json();
+  },
+
+  async clearMatchQueue(eventId, arenaId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-queue${arenaQuery(arenaId)}`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to clear match queue');
+    return response.json();
+  },
+
+  // Auth API
+  async loginAdmin(password) {
+    const response = await fetch(`${API_BASE_URL}/auth/admin`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ queue }),
+      body: JSON.stringify({ password }),
     });
-    if (!response.ok) throw new Error('Failed to update match queue');
+    if (!response.ok) throw await responseError(response, 'Admin login failed');
     return response.json();
   },
 
-  async clearMatchQueue(eventId) {
-    const response = await fetch(`${API_BASE_URL}/events/${eventId}/match-queue`, {
+  async loginJudge(eventId, pin) {
+    const response = await fetch(`${API_BASE_URL}/auth/judge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ eventId, pin }),
+    });
+    if (!response.ok) throw await responseError(response, 'Judge login failed');
+    return response.json();
+  },
+
+  async getSession() {
+    const response = await fetch(`${API_BASE_URL}/auth/me`, {
+      headers: authHeaders(),
+    });
+    if (!response.ok) return null;
+    return response.json();
+  },
+
+  // Judge PIN API (admin only)
+  async getJudgePins(eventId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/judge-pins`, {
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to fetch judge PINs');
+    return response.json();
+  },
+
+  async issueJudgePin(eventId, judgeId, judgeName) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/judge-pins`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ judgeId, judgeName }),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to issue judge PIN');
+    return response.json();
+  },
+
+  async revokeJudgePin(eventId, judgeId) {
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/judge-pins/${judgeId}`, {
       method: 'DELETE',
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to revoke judge PIN');
+    return response.json();
+  },
+
+  // Audit log API (admin only)
+  async getAuditLog(eventId, filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
     });
-    if (!response.ok) throw new Error('Failed to clear match queue');
+    const response = await fetch(`${API_BASE_URL}/events/${eventId}/audit?${params}`, {
+      headers: authHeaders(),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to fetch audit log');
+    return response.json();
+  },
+
+  // Built-in brackets (admin only) - for events run without Challonge
+  async createNativeTournament(bracket) {
+    const response = await fetch(`${API_BASE_URL}/native-tournaments`, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(bracket),
+    });
+    if (!response.ok) throw await responseError(response, 'Failed to create bracket');
     return response.json();
   },
 };
 
+// Repair timers come from the server - fetched again whenever a fight ends, a timer
+// is reset, a robot is checked in or the event's repair times change, and counted
+// down every second against the server's clock
+const REPAIR_STREAM_EVENT_TYPES = ['connected', 'repair-reset', 'repair-times', 'check-in', 'match-finalized', 'match-updated'];
+
+// Returns getRepairStatus(robotName) -> { ready, remaining, lastFightAt, repairTimeMs, checkIn, waived },
+// a robot without a timer is ready
+const useRepairStatus = (eventId) => {
+  const [repairStatus, setRepairStatus] = useState({ robots: {}, clockOffset: 0 });
+  const [now, setNow] = useState(Date.now());
+
+  const loadRepairStatus = useCallback(async () => {
+    if (!eventId) return;
+    try {
+      const status = await api.getRepairStatus(eventId);
+      // Robot names match whatever their case
+      const robots = Object.fromEntries(Object.entries(status.robots).map(([name, robot]) => [name.toLowerCase(), robot]));
+      setRepairStatus({ robots, clockOffset: Date.parse(status.serverTime) - Date.now() });
+    } catch (err) {
+      console.error('Failed to load repair status:', err);
+    }
+  }, [eventId]);
+
+  const isLive = useEventStream(eventId, (type) => {
+    if (REPAIR_STREAM_EVENT_TYPES.includes(type)) loadRepairStatus();
+  });
+
+  useEffect(() => {
+    loadRepairStatus();
+    if (isLive) return;
+    // Poll every 5 seconds while the live stream is down
+    const interval = setInterval(loadRepairStatus, 5000);
+    return () => clearInterval(interval);
+  }, [loadRepairStatus, isLive]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return useCallback((robotName) => {
+    const robot = repairStatus.robots[robotName?.toLowerCase()];
+    if (!robot) return { ready: true, remaining: 0, lastFightAt: null, repairTimeMs: null, checkIn: null, waived: false };
+    const remaining = robot.readyAt ? Math.max(0, Date.parse(robot.readyAt) - (now + repairStatus.clockOffset)) : 0;
+    return {
+      ready: remaining <= 0,
+      remaining,
+      lastFightAt: robot.lastFightAt,
+      repairTimeMs: robot.repairTimeMs,
+      checkIn: robot.checkIn,
+      waived: robot.waived,
+    };
+  }, [repairStatus, now]);
+};
+
 // Theme configurations
 const themes = {
   light: {
@@ -390,116 +745,6 @@ const themes = {
   }
 };
 
-// Helper to transform Challonge data to our format
-function transformChallongeData(challongeData, tournamentUrl) {
-  const tournament = challongeData.tournament;
-  const participants = tournament.participants || [];
-  const matches = tournament.matches || [];
-
-  const participantMap = {};
-  participants.forEach(p => {
-    participantMap[p.participant.id] = p.participant.name;
-  });
-
-  const matchIdToNumber = {};
-  matches.forEach(m => {
-    const match = m.match;
-    matchIdToNumber[match.id] = match.suggested_play_order || match.id;
-  });
-
-  const transformedMatches = matches.map(m => {
-    const match = m.match;
-    const matchNum = match.suggested_play_order || match.id;
-    
-    const sourceA = match.player1_prereq_match_id ? {
-      type: match.player1_is_prereq_match_loser ? 'loser' : 'winner',
-      matchNum: matchIdToNumber[match.player1_prereq_match_id] || match.player1_prereq_match_id
-    } : null;
-    
-    const sourceB = match.player2_prereq_match_id ? {
-      type: match.player2_is_prereq_match_loser ? 'loser' : 'winner',
-      matchNum: matchIdToNumber[match.player2_prereq_match_id] || match.player2_prereq_match_id
-    } : null;
-
-    return {
-      id: match.id,
-      challongeId: match.id,
-      competitorA: participantMap[match.player1_id] || null,
-      competitorAId: match.player1_id,
-      competitorB: participantMap[match.player2_id] || null,
-      competitorBId: match.player2_id,
-      bracket: match.round > 0 ? 'winners' : 'losers',
-      round: Math.abs(match.round),
-      matchNum: matchNum,
-      status: match.state === 'complete' ? 'completed' : match.state === 'open' ? 'active' : 'pending',
-      winner: match.winner_id ? participantMap[match.winner_id] : null,
-      winnerId: match.winner_id,
-      winMethod: match.state === 'complete' ? 'points' : null,
-      scores: match.scores_csv ? parseScores(match.scores_csv) : { a: 0, b: 0 },
-      sourceA: sourceA,
-      sourceB: sourceB,
-      // Use updated_at as completedAt for completed matches (Challonge doesn't have a dedicated completed_at field for matches)
-      completedAt: match.state === 'complete' ? (match.completed_at || match.updated_at) : null,
-      tournamentName: tournament.name,
-      tournamentUrl: tournamentUrl || tournament.url,
-      tournamentId: tournament.id,
-    };
-  });
-
-  // Find the Grand Finals match (highest round in winners bracket)
-  const maxWinnersRound = Math.max(...transformedMatches.filter(x => x.bracket === 'winners').map(x => x.round));
-  const grandFinalsMatch = transformedMatches.find(m => 
-    m.bracket === 'winners' && m.round === maxWinnersRound
-  );
-  
-  // Check grand_finals_modifier from Challonge settings
-  // Values: null (standard 1-2 matches), "single_match" (no bracket reset), "skip" (no grand finals)
-  const grandFinalsModifier = tournament.grand_finals_modifier;
-  
-  // Filter out bracket reset matches based on tournament settings
-  const filteredMatches = transformedMatches.filter(m => {
-    // If grand_finals_modifier is "single_match" or "skip", hide bracket reset matches
-    // (matches after Grand Finals)
-    if (grandFinalsModifier === 'single_match' || grandFinalsModifier === 'skip') {
-      if (grandFinalsMatch && m.matchNum > grandFinalsMatch.matchNum) {
-        return false;
-      }
-    }
-    // For standard double elimination (null), also hide empty bracket reset matches
-    // but show them if they have competitors (tournament is using bracket reset)
-    if (!grandFinalsModifier && grandFinalsMatch && m.matchNum > grandFinalsMatch.matchNum) {
-      // Only show if it has competitors assigned (bracket reset is happening)
-      if (!m.competitorA && !m.competitorB) {
-        return false;
-      }
-    }
-    return true;
-  });
-
-  return {
-    tournament: {
-      id: tournament.id,
-      name: tournament.name,
-      url: tournamentUrl || tournament.url,
-      status: tournament.state,
-      grandFinalsModifier: grandFinalsModifier, // Include for reference
-      tournamentType: tournament.tournament_type,
-    },
-    participants: participants.map(p => ({
-      id: p.participant.id,
-      name: p.participant.name,
-      seed: p.participant.seed,
-    })),
-    matches: filteredMatches,
-  };
-}
-
-function parseScores(scoresCsv) {
-  if (!scoresCsv) return { a: 0, b: 0 };
-  const parts = scoresCsv.split('-');
-  return { a: parseInt(parts[0]) || 0, b: parseInt(parts[1]) || 0 };
-}
-
 // Status Badge Component
 const StatusBadge = ({ status, winMethod, scores, theme }) => {
   const t = themes[theme];
@@ -510,15 +755,68 @@ const StatusBadge = ({ status, winMethod, scores, theme }) => {
   if (status === 'active') {
     return <span className={`px-2 py-0.5 text-xs font-semibold rounded ${t.liveBg} ${t.liveText}`}>â— Live</span>;
   }
-  // Detect KO: either winMethod is 'ko' OR one side has 0 points (covers both old 0-0 and new 33-0 format)
-  if (winMethod === 'ko' || (scores && (scores.a === 0 || scores.b === 0))) {
-    return <span className={`px-2 py-0.5 text-xs font-semibold rounded ${t.koBg} ${t.koText}`}>KO</span>;
+  return <WinMethodBadge winMethod={getWinMethod({ winMethod, scores })} theme={theme} />;
+};
+
+// Badge for how a completed match was won
+const WinMethodBadge = ({ winMethod, theme }) => {
+  const t = themes[theme];
+  const colors = {
+    points: `${t.decisionBg} ${t.decisionText}`,
+    tapout: 'bg-sky-100 text-sky-700',
+    ko: `${t.koBg} ${t.koText}`,
+    tko: 'bg-orange-100 text-orange-700',
+    forfeit: 'bg-gray-200 text-gray-700',
+    dq: 'bg-purple-100 text-purple-700',
+  };
+  return (
+    <span className={`px-2 py-0.5 text-xs font-semibold rounded ${colors[winMethod] || colors.points}`}>
+      {WIN_METHODS[winMethod]?.label || WIN_METHODS.points.label}
+    </span>
+  );
+};
+
+// Badge for a robot's pit check-in - checkIn and waived come from useRepairStatus
+const CheckInBadge = ({ checkIn, waived }) => {
+  if (!checkIn) return null;
+  const setBy = checkIn.setByName ? ` by ${checkIn.setByName}` : '';
+  const title = `Checked in${setBy} at ${new Date(checkIn.setAt).toLocaleTimeString()}`;
+  if (checkIn.status === 'full-time') {
+    return <span title={title} className="px-2 py-0.5 text-xs font-semibold rounded bg-amber-100 text-amber-700 whitespace-nowrap">Full time</span>;
   }
-  return <span className={`px-2 py-0.5 text-xs font-semibold rounded ${t.decisionBg} ${t.decisionText}`}>Decision</span>;
+  return (
+    <span title={title} className="px-2 py-0.5 text-xs font-semibold rounded bg-green-100 text-green-700 whitespace-nowrap">
+      {waived ? 'Ready early' : 'Ready'}
+    </span>
+  );
+};
+
+// Arena picker for the per-arena views - nothing to pick with only one arena
+// counts: { [arenaId]: number } shown next to each name, if given
+const ArenaTabs = ({ arenas, selected, onSelect, counts, theme }) => {
+  const t = themes[theme];
+  if (!arenas || arenas.length < 2) return null;
+  return (
+    <div className="flex flex-wrap gap-2">
+      {arenas.map(arena => (
+        <button
+          key={arena.arenaId}
+          onClick={() => onSelect(arena.arenaId)}
+          className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+            selected === arena.arenaId
+              ? 'bg-purple-600 text-white'
+              : `${t.tableBg} ${t.textMuted} hover:${t.text}`
+          }`}
+        >
+          {arena.name}{counts ? ` (${counts[arena.arenaId] || 0})` : ''}
+        </button>
+      ))}
+    </div>
+  );
 };
 
 // Match Detail Popup Component
-const MatchDetailPopup = ({ match, onClose, robotImages, theme }) => {
+const MatchDetailPopup = ({ match, onClose, robotImages, judgeRoster, scoringCriteria, theme }) => {
   const t = themes[theme];
   const [judgeScores, setJudgeScores] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -533,12 +831,20 @@ const MatchDetailPopup = ({ match, onClose, robotImages, theme }) => {
   useEffect(() => {
     const fetchScores = async () => {
       if (!match) return;
+
+      // Results we finalized come with the bracket - only older ones need fetching
+      if (match.judging) {
+        setJudgeScores({ ...match.judging, finalized: true });
+        setError(null);
+        setIsLoading(false);
+        return;
+      }
       
       setIsLoading(true);
       setError(null);
       
       try {
-        const url = `${API_BASE_URL}/matches/${match.challongeId}/scores/details?tournamentId=${match.tournamentUrl || ''}`;
+        const url = `${API_BASE_URL}/matches/${match.id}/scores/details?tournamentId=${match.tournamentUrl || ''}`;
         const response = await fetch(url);
         if (response.ok) {
           const data = await response.json();
@@ -589,10 +895,14 @@ const MatchDetailPopup = ({ match, onClose, robotImages, theme }) => {
   const judges = judgeScores?.judges ? Object.entries(judgeScores.judges) : [];
   const hasScores = judges.length > 0;
 
+  // Criteria the match was scored with (falls back to the event's current criteria)
+  const criteria = judgeScores?.result?.criteria || scoringCriteria || DEFAULT_SCORING_CRITERIA;
+  const maxPerJudge = criteria.reduce((sum, c) => sum + c.points, 0);
+
   const getJudgeTotals = (scores) => {
     if (!scores) return { a: 0, b: 0 };
-    const totalA = (scores.aggression || 0) + (scores.damage || 0) + (scores.control || 0);
-    const totalB = 11 - totalA;
+    const totalA = criteria.reduce((sum, c) => sum + (scores[c.id] || 0), 0);
+    const totalB = maxPerJudge - totalA;
     return { a: totalA, b: totalB };
   };
 
@@ -659,7 +969,7 @@ const MatchDetailPopup = ({ match, onClose, robotImages, theme }) => {
             </div>
             <span className={`text-xs ${t.textFaint} font-mono`}>Match {match.matchNum}</span>
             <div className="flex items-center gap-2 mt-1">
-              <StatusBadge status={match.status} winMethod={match.winMethod} scores={match.scores} theme={theme} />
+              <StatusBadge status={match.status} winMethod={judgeScores?.result?.winMethod || match.winMethod} scores={match.scores} theme={theme} />
               {match.winner && (
                 <span className={`text-xs ${t.textMuted}`}>Winner: {match.winner}</span>
               )}
@@ -764,9 +1074,20 @@ const MatchDetailPopup = ({ match, onClose, robotImages, theme }) => {
 
         <div className="px-5 py-4 max-h-80 overflow-y-auto">
           <h3 className={`text-sm font-semibold ${t.textFaint} uppercase tracking-wide mb-4`}>
-            Judge Scores ({judges.length}/3)
+            Judge Scores ({judges.length}/{judgeScores?.result?.panelSize || getActivePanel(judgeRoster).length})
           </h3>
 
+          {judgeScores?.result?.override && (
+            <div className="mb-4 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+              {judgeScores.result.manual
+                ? `Result entered manually by ${judgeScores.result.manual.enteredBy}`
+                : `Result overridden by ${judgeScores.result.review?.resolvedBy || 'the head judge'}`}
+              {(judgeScores.result.manual?.note || judgeScores.result.review?.note) && (
+                <span className="block text-xs mt-1">{judgeScores.result.manual?.note || judgeScores.result.review?.note}</span>
+              )}
+            </div>
+          )}
+
           {isLoading ? (
             <div className="text-center py-8"><p className={t.textMuted}>Loading scores...</p></div>
           ) : error ? (
@@ -777,27 +1098,34 @@ const MatchDetailPopup = ({ match, onClose, robotImages, theme }) => {
             <div className="space-y-4">
               {judges.map(([judgeId, judgeData], index) => {
                 const totals = getJudgeTotals(judgeData.scores);
+                const judgeName = judgeRoster?.find(j => j.id === judgeId)?.name || `Judge ${index + 1}`;
                 return (
                   <div key={judgeId} className={`${t.tableBg} rounded-lg p-4`}>
                     <div className="flex justify-between items-center mb-3">
-                      <span className={`font-semibold ${t.text}`}>Judge {index + 1}</span>
+                      <span className={`font-semibold ${t.text}`}>
+                        {judgeName}
+                        {judgeData.enteredBy && <span className={`ml-2 text-xs font-normal ${t.textFaint}`}>entered by {judgeData.enteredBy}</span>}
+                      </span>
                       {judgeData.isKO ? (
                         <span className="px-2 py-0.5 text-xs font-semibold rounded bg-red-100 text-red-700">
-                          KO: {judgeData.koWinnerId === match.competitorAId ? match.competitorA : match.competitorB}
+                          {judgeData.winMethod === 'tko' ? 'TKO' : 'KO'}: {judgeData.koWinnerId === match.competitorAId ? match.competitorA : match.competitorB}
                         </span>
                       ) : (
-                        <span className={`text-sm ${t.textMuted}`}>{totals.a} - {totals.b}</span>
+                        <span className={`text-sm ${t.textMuted}`}>
+                          {totals.a} - {totals.b}
+                          {judgeData.winMethod === 'tapout' && <span className={`ml-2 text-xs ${t.textFaint}`}>tap-out</span>}
+                        </span>
                       )}
                     </div>
                     
                     {!judgeData.isKO && judgeData.scores && (
                       <div className="space-y-2">
-                        {['aggression', 'damage', 'control'].map(cat => {
-                          const max = cat === 'damage' ? 5 : 3;
-                          const val = judgeData.scores[cat];
+                        {criteria.map(criterion => {
+                          const max = criterion.points;
+                          const val = judgeData.scores[criterion.id] || 0;
                           return (
-                            <div key={cat} className="flex items-center justify-between text-sm">
-                              <span className={`${t.textMuted} capitalize`}>{cat}</span>
+                            <div key={criterion.id} className="flex items-center justify-between text-sm">
+                              <span className={t.textMuted}>{criterion.name}</span>
                               <div className="flex items-center gap-2">
                                 <span className={`font-mono ${t.blueText}`}>{val}</span>
                                 <div className={`w-16 h-1.5 ${t.sliderBg} rounded-full overflow-hidden`}>
@@ -1123,7 +1451,7 @@ const SplitSlider = ({ label, maxPoints, valueA, onChange, disabled, theme }) =>
 };
 
 // Match Card Component - Mobile Optimized
-const MatchCard = ({ match, onClick, showTournament = false, displayStatus, weightClass, theme }) => {
+const MatchCard = ({ match, onClick, showTournament = false, displayStatus, weightClass, getRepairStatus, theme }) => {
   const t = themes[theme];
   
   // Use displayStatus if provided, otherwise fall back to basic status check
@@ -1149,12 +1477,7 @@ const MatchCard = ({ match, onClick, showTournament = false, displayStatus, weig
   // Get the appropriate status badge
   const getStatusBadge = () => {
     if (match.status === 'completed') {
-      // Show KO or Decision for completed matches
-      const isKO = match.winMethod === 'ko' || match.scores?.a === 0 || match.scores?.b === 0;
-      if (isKO) {
-        return <span className={`px-2 py-0.5 text-xs font-semibold rounded ${t.koBg} ${t.koText}`}>KO</span>;
-      }
-      return <span className={`px-2 py-0.5 text-xs font-semibold rounded ${t.decisionBg} ${t.decisionText}`}>Decision</span>;
+      return <WinMethodBadge winMethod={getWinMethod(match)} theme={theme} />;
     }
     
     switch (status) {
@@ -1212,7 +1535,10 @@ const MatchCard = ({ match, onClick, showTournament = false, displayStatus, weig
                 />
               )}
             </span>
-            {match.status === 'completed' && match.winMethod === 'points' && (
+            {match.status !== 'completed' && getRepairStatus && !compA.isPlaceholder && (
+              <CheckInBadge {...getRepairStatus(match.competitorA)} />
+            )}
+            {match.status === 'completed' && WIN_METHODS[getWinMethod(match)].isDecision && (
               <span className={`text-sm font-mono ${t.textMuted} flex-shrink-0`}>{match.scores?.a}</span>
             )}
           </div>
@@ -1237,7 +1563,10 @@ const MatchCard = ({ match, onClick, showTournament = false, displayStatus, weig
                 />
               )}
             </span>
-            {match.status === 'completed' && match.winMethod === 'points' && (
+            {match.status !== 'completed' && getRepairStatus && !compB.isPlaceholder && (
+              <CheckInBadge {...getRepairStatus(match.competitorB)} />
+            )}
+            {match.status === 'completed' && WIN_METHODS[getWinMethod(match)].isDecision && (
               <span className={`text-sm font-mono ${t.textMuted} flex-shrink-0`}>{match.scores?.b}</span>
             )}
           </div>
@@ -1248,76 +1577,14 @@ const MatchCard = ({ match, onClick, showTournament = false, displayStatus, weig
 };
 
 // Public Bracket View - Mobile Optimized
-const PublicBracketView = ({ tournaments, onMatchClick, robotImages, activeMatches, repairResets, theme }) => {
+const PublicBracketView = ({ tournaments, onMatchClick, robotImages, activeMatches, eventId, theme }) => {
   const t = themes[theme];
   const [selectedTournamentIndex, setSelectedTournamentIndex] = useState(0);
-  const [now, setNow] = useState(new Date());
-  
-  // Update time every second for repair countdown
-  useEffect(() => {
-    const interval = setInterval(() => setNow(new Date()), 1000);
-    return () => clearInterval(interval);
-  }, []);
-  
-  // Get all completed matches to track when robots last fought
-  const allCompletedMatches = tournaments.flatMap(tourney => 
-    (tourney.matches || []).filter(m => m.status === 'completed')
-  );
-  
-  // Build a map of robot name -> last fight end time
-  const robotLastFight = {};
-  allCompletedMatches.forEach(match => {
-    if (match.completedAt) {
-      const time = new Date(match.completedAt).getTime();
-      if (match.competitorA) {
-        if (!robotLastFight[match.competitorA] || time > robotLastFight[match.competitorA]) {
-          robotLastFight[match.competitorA] = time;
-        }
-      }
-      if (match.competitorB) {
-        if (!robotLastFight[match.competitorB] || time > robotLastFight[match.competitorB]) {
-          robotLastFight[match.competitorB] = time;
-        }
-      }
-    }
-  });
   
-  // Calculate repair time remaining (20 minutes = 1200000ms)
-  const REPAIR_TIME_MS = 20 * 60 * 1000;
-  
-  const getRepairStatus = (robotName) => {
-    // Check for manual reset first (case-insensitive)
-    let resetTime = null;
-    if (repairResets) {
-      for (const [key, value] of Object.entries(repairResets)) {
-        if (key.toLowerCase() === robotName?.toLowerCase()) {
-          resetTime = new Date(value).getTime();
-          break;
-        }
-      }
-    }
-    
-    const lastFight = robotLastFight[robotName];
-    
-    // Use the more recent of: last fight or manual reset
-    const effectiveStart = Math.max(lastFight || 0, resetTime || 0);
-    
-    if (!effectiveStart) return { ready: true, remaining: 0 };
-    
-    const elapsed = now.getTime() - effectiveStart;
-    const remaining = REPAIR_TIME_MS - elapsed;
-    
-    return {
-      ready: remaining <= 0,
-      remaining: Math.max(0, remaining)
-    };
-  };
+  const getRepairStatus = useRepairStatus(eventId);
   
-  // Helper to check if a match is the active "NOW FIGHTING" match
-  const isNowFighting = (match) => {
-    const activeMatch = activeMatches?.[match.tournamentUrl];
-    return activeMatch?.matchId === String(match.challongeId);
-  };
+  // Helper to check if a match is the active "NOW FIGHTING" match in any arena
+  const isNowFighting = (match) => findActiveArena(activeMatches, match) !== null;
   
   // Get match status for bracket display
   const getMatchDisplayStatus = (match) => {
@@ -1409,7 +1676,7 @@ const PublicBracketView = ({ tournaments, onMatchClick, robotImages, activeMatch
                 </p>
                 <div className="space-y-2 sm:space-y-3 flex-1 flex flex-col justify-around">
                   {roundMatches.map(match => (
-                    <MatchCard key={match.id} match={match} onClick={() => onMatchClick(match)} displayStatus={getMatchDisplayStatus(match)} weightClass={currentWeightClass} theme={theme} />
+                    <MatchCard key={match.id} match={match} onClick={() => onMatchClick(match)} displayStatus={getMatchDisplayStatus(match)} weightClass={currentWeightClass} getRepairStatus={getRepairStatus} theme={theme} />
                   ))}
                 </div>
               </div>
@@ -1434,7 +1701,7 @@ const PublicBracketView = ({ tournaments, onMatchClick, robotImages, activeMatch
                   </p>
                   <div className="space-y-2 sm:space-y-3 flex-1 flex flex-col justify-around">
                     {roundMatches.map(match => (
-                      <MatchCard key={match.id} match={match} onClick={() => onMatchClick(match)} displayStatus={getMatchDisplayStatus(match)} weightClass={currentWeightClass} theme={theme} />
+                      <MatchCard key={match.id} match={match} onClick={() => onMatchClick(match)} displayStatus={getMatchDisplayStatus(match)} weightClass={currentWeightClass} getRepairStatus={getRepairStatus} theme={theme} />
                     ))}
                   </div>
                 </div>
@@ -1447,110 +1714,61 @@ const PublicBracketView = ({ tournaments, onMatchClick, robotImages, activeMatch
   );
 };
 
-// Upcoming Matches View - Shows next matches with repair countdown timers
-const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairResets, eventId, theme }) => {
+// Upcoming Matches View - Shows next matches with repair countdown timers, one arena at a time
+const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, arenas, getMatchArena, eventId, theme }) => {
   const t = themes[theme];
-  const [now, setNow] = useState(new Date());
   const [selectedTournament, setSelectedTournament] = useState('all');
+  const [selectedArena, setSelectedArena] = useState(null);
   const [matchQueue, setMatchQueue] = useState([]);
+  const arenaId = arenas.some(a => a.arenaId === selectedArena) ? selectedArena : arenas[0].arenaId;
   
-  // Update time every second for countdown
-  useEffect(() => {
-    const interval = setInterval(() => setNow(new Date()), 1000);
-    return () => clearInterval(interval);
-  }, []);
-  
-  // Load saved match queue
+  // Load the arena's saved match queue
+  const loadQueue = useCallback(async () => {
+    if (!eventId) return;
+    try {
+      const queue = await api.getMatchQueue(eventId, arenaId);
+      setMatchQueue(queue || []);
+    } catch (err) {
+      console.error('Failed to load match queue:', err);
+    }
+  }, [eventId, arenaId]);
+
+  // Reload the queue when it's reordered - saving one arena's queue can take matches out of another's
+  const isLive = useEventStream(eventId, (type) => {
+    if (type === 'queue' || type === 'connected') loadQueue();
+  });
+
   useEffect(() => {
-    const loadQueue = async () => {
-      if (!eventId) return;
-      try {
-        const queue = await api.getMatchQueue(eventId);
-        setMatchQueue(queue || []);
-      } catch (err) {
-        console.error('Failed to load match queue:', err);
-      }
-    };
-    
     loadQueue();
-    // Poll for queue updates every 5 seconds
+    if (isLive) return;
+    // Poll for queue updates every 5 seconds while the live stream is down
     const interval = setInterval(loadQueue, 5000);
     return () => clearInterval(interval);
-  }, [eventId]);
+  }, [loadQueue, isLive]);
   
-  // Get all completed matches to track when robots last fought
-  const allCompletedMatches = tournaments.flatMap(tourney => 
-    (tourney.matches || []).filter(m => m.status === 'completed')
-  );
-  
-  // Build a map of robot name -> last fight end time
-  const robotLastFight = {};
-  allCompletedMatches.forEach(match => {
-    if (match.completedAt) {
-      const time = new Date(match.completedAt).getTime();
-      if (match.competitorA) {
-        if (!robotLastFight[match.competitorA] || time > robotLastFight[match.competitorA]) {
-          robotLastFight[match.competitorA] = time;
-        }
-      }
-      if (match.competitorB) {
-        if (!robotLastFight[match.competitorB] || time > robotLastFight[match.competitorB]) {
-          robotLastFight[match.competitorB] = time;
-        }
-      }
-    }
-  });
+  // Helper to check if a match is the active "NOW FIGHTING" match in this arena
+  const isNowFighting = (match) => findActiveArena(activeMatches, match) === arenaId;
   
-  // Helper to check if a match is the active "NOW FIGHTING" match
-  const isNowFighting = (match) => {
-    const activeMatch = activeMatches?.[match.tournamentUrl];
-    return activeMatch?.matchId === String(match.challongeId);
-  };
-  
-  // Get upcoming matches (pending or active with both competitors known)
-  const upcomingMatches = tournaments.flatMap(tourney => 
+  // Get upcoming matches (pending or active with both competitors known) - a match
+  // fighting in another arena right now stays there until it's done
+  const eventMatches = tournaments.flatMap(tourney => 
     (tourney.matches || []).filter(m => 
       (m.status === 'pending' || m.status === 'active') && 
       m.competitorA && 
       m.competitorB
     )
   );
+  const arenaOf = (match) => findActiveArena(activeMatches, match) || getMatchArena(match);
+  const arenaCounts = eventMatches.reduce((counts, m) => ({ ...counts, [arenaOf(m)]: (counts[arenaOf(m)] || 0) + 1 }), {});
+  const upcomingMatches = eventMatches.filter(m => arenaOf(m) === arenaId);
+  const arenaTabs = <ArenaTabs arenas={arenas} selected={arenaId} onSelect={setSelectedArena} counts={arenaCounts} theme={theme} />;
   
   // Filter by selected tournament
   const filteredMatches = selectedTournament === 'all' 
     ? upcomingMatches 
     : upcomingMatches.filter(m => m.tournamentUrl === selectedTournament);
   
-  // Calculate repair time remaining (20 minutes = 1200000ms)
-  const REPAIR_TIME_MS = 20 * 60 * 1000;
-  
-  const getRepairStatus = (robotName) => {
-    // Check for manual reset first (case-insensitive)
-    let resetTime = null;
-    if (repairResets) {
-      for (const [key, value] of Object.entries(repairResets)) {
-        if (key.toLowerCase() === robotName?.toLowerCase()) {
-          resetTime = new Date(value).getTime();
-          break;
-        }
-      }
-    }
-    
-    const lastFight = robotLastFight[robotName];
-    
-    // Use the more recent of: last fight or manual reset
-    const effectiveStart = Math.max(lastFight || 0, resetTime || 0);
-    
-    if (!effectiveStart) return { ready: true, remaining: 0 };
-    
-    const elapsed = now.getTime() - effectiveStart;
-    const remaining = REPAIR_TIME_MS - elapsed;
-    
-    return {
-      ready: remaining <= 0,
-      remaining: Math.max(0, remaining)
-    };
-  };
+  const getRepairStatus = useRepairStatus(eventId);
   
   // Helper to check if both robots in a match are ready (On Deck)
   const isBothReady = (match) => {
@@ -1577,8 +1795,8 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
           if (bFighting && !aFighting) return 1;
           
           // Then use manual queue position
-          const aKey = `${a.tournamentUrl}-${a.challongeId}`;
-          const bKey = `${b.tournamentUrl}-${b.challongeId}`;
+          const aKey = `${a.tournamentUrl}-${a.id}`;
+          const bKey = `${b.tournamentUrl}-${b.id}`;
           const aPos = queueMap.get(aKey);
           const bPos = queueMap.get(bKey);
           
@@ -1638,6 +1856,7 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
         </div>
         <h3 className={`text-lg font-bold ${t.text} mb-2`}>No Upcoming Matches</h3>
         <p className={t.textMuted}>Waiting for matches to be scheduled.</p>
+        {arenas.length > 1 && <div className="mt-4 flex justify-center">{arenaTabs}</div>}
       </div>
     );
   }
@@ -1648,8 +1867,8 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
       <div className={`${t.card} rounded-xl border ${t.cardBorder} p-4`}>
         <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
           <div>
-            <h2 className={`text-lg font-bold ${t.text}`}>Upcoming Matches</h2>
-            <p className={`text-sm ${t.textMuted}`}>20 minute repair time countdown</p>
+            <h2 className={`text-lg font-bold ${t.text}`}>Upcoming Matches{arenas.length > 1 ? ` - ${arenas.find(a => a.arenaId === arenaId).name}` : ''}</h2>
+            <p className={`text-sm ${t.textMuted}`}>Repair time countdown</p>
           </div>
           <div className="flex items-center gap-4">
             <div className="flex items-center gap-2">
@@ -1663,6 +1882,13 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
           </div>
         </div>
         
+        {/* Arena Picker */}
+        {arenas.length > 1 && (
+          <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+            {arenaTabs}
+          </div>
+        )}
+        
         {/* Tournament Filter */}
         {tournaments.length > 1 && (
           <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
@@ -1764,12 +1990,13 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
                       {!statusA.ready && (
                         <p className="text-red-500 font-mono text-sm">{formatCountdown(statusA.remaining)}</p>
                       )}
-                      {statusA.ready && robotLastFight[match.competitorA] && (
+                      {statusA.ready && statusA.lastFightAt && (
                         <p className="text-green-500 text-xs">âœ“ Ready</p>
                       )}
-                      {!robotLastFight[match.competitorA] && (
+                      {!statusA.lastFightAt && (
                         <p className={`text-xs ${t.textFaint}`}>No recent fight</p>
                       )}
+                      <CheckInBadge {...statusA} />
                     </div>
                   </div>
                   
@@ -1782,12 +2009,13 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
                       {!statusB.ready && (
                         <p className="text-red-500 font-mono text-sm">{formatCountdown(statusB.remaining)}</p>
                       )}
-                      {statusB.ready && robotLastFight[match.competitorB] && (
+                      {statusB.ready && statusB.lastFightAt && (
                         <p className="text-green-500 text-xs">âœ“ Ready</p>
                       )}
-                      {!robotLastFight[match.competitorB] && (
+                      {!statusB.lastFightAt && (
                         <p className={`text-xs ${t.textFaint}`}>No recent fight</p>
                       )}
+                      <CheckInBadge {...statusB} />
                     </div>
                     <div className={`w-16 h-16 rounded-lg overflow-hidden border-4 ${
                       statusB.ready ? 'border-green-500' : 'border-red-500'
@@ -1819,13 +2047,7 @@ const UpcomingMatchesView = ({ tournaments, robotImages, activeMatches, repairRe
 const CompletedMatchesView = ({ tournaments, onMatchClick, robotImages, theme }) => {
   const t = themes[theme];
   
-  // Helper to detect if a match was a KO
-  // KO matches have winMethod 'ko', or one side has 0 points (old 0-0 format or new 33-0 format)
-  const isKnockout = (match) => {
-    if (match.winMethod === 'ko') return true;
-    if (match.scores?.a === 0 || match.scores?.b === 0) return true;
-    return false;
-  };
+  const countByMethod = (matches, test) => matches.filter(m => test(WIN_METHODS[getWinMethod(m)])).length;
   
   // Get all completed matches from all tournaments
   const allCompletedMatches = tournaments.flatMap(tourney => 
@@ -1875,23 +2097,29 @@ const CompletedMatchesView = ({ tournaments, onMatchClick, robotImages, theme })
     <div className="space-y-4 sm:space-y-6">
       {/* Summary Stats */}
       <div className={`${t.card} rounded-xl border ${t.cardBorder} p-4 sm:p-5`}>
-        <div className="grid grid-cols-3 gap-4 text-center">
+        <div className="grid grid-cols-4 gap-4 text-center">
           <div>
             <p className={`text-2xl sm:text-3xl font-bold ${t.text}`}>{sortedMatches.length}</p>
             <p className={`text-xs sm:text-sm ${t.textMuted}`}>Completed</p>
           </div>
           <div>
             <p className={`text-2xl sm:text-3xl font-bold ${t.blueText}`}>
-              {sortedMatches.filter(m => isKnockout(m)).length}
+              {countByMethod(sortedMatches, method => method.isStoppage)}
             </p>
-            <p className={`text-xs sm:text-sm ${t.textMuted}`}>KOs</p>
+            <p className={`text-xs sm:text-sm ${t.textMuted}`}>KOs/TKOs</p>
           </div>
           <div>
             <p className={`text-2xl sm:text-3xl font-bold ${t.text}`}>
-              {sortedMatches.filter(m => !isKnockout(m)).length}
+              {countByMethod(sortedMatches, method => method.isDecision)}
             </p>
             <p className={`text-xs sm:text-sm ${t.textMuted}`}>Decisions</p>
           </div>
+          <div>
+            <p className={`text-2xl sm:text-3xl font-bold ${t.text}`}>
+              {countByMethod(sortedMatches, method => !method.isDecision && !method.isStoppage)}
+            </p>
+            <p className={`text-xs sm:text-sm ${t.textMuted}`}>Forfeits/DQs</p>
+          </div>
         </div>
       </div>
 
@@ -1953,13 +2181,17 @@ const CompletedMatchesView = ({ tournaments, onMatchClick, robotImages, theme })
                       {formatTime(match.completedAt)}
                     </span>
                   )}
-                  {isKnockout(match) ? (
-                    <span className={`px-2 py-0.5 text-xs font-semibold rounded ${t.koBg} ${t.koText}`}>KO</span>
-                  ) : (
+                  {WIN_METHODS[getWinMethod(match)].isDecision && (
                     <span className={`text-sm font-mono ${t.textMuted}`}>
                       {match.scores?.a}-{match.scores?.b}
                     </span>
                   )}
+                  {getWinMethod(match) !== 'points' && <WinMethodBadge winMethod={getWinMethod(match)} theme={theme} />}
+                  {match.judging?.result?.koVotes > 0 && (
+                    <span className={`text-xs ${t.textFaint}`} title="Judges who called the stoppage">
+                      {match.judging.result.koVotes}/{match.judging.result.panelSize}
+                    </span>
+                  )}
                   <svg className={`w-4 h-4 ${t.textFaint}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                   </svg>
@@ -1981,73 +2213,14 @@ const CompletedMatchesView = ({ tournaments, onMatchClick, robotImages, theme })
 };
 
 // Judge Scoring View
-const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartMatch, onEndMatch, onResetRepairTimer, scoringCriteria, robotImages, activeMatches, repairResets, eventId, theme }) => {
+const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartMatch, onEndMatch, onResetRepairTimer, onCheckInRobot, scoringCriteria, robotImages, activeMatches, arenas, getMatchArena, eventId, judges, theme }) => {
   const t = themes[theme];
-  const [now, setNow] = useState(new Date());
-  
-  // Update time every second for repair status
-  useEffect(() => {
-    const interval = setInterval(() => setNow(new Date()), 1000);
-    return () => clearInterval(interval);
-  }, []);
   
   // Use provided criteria or default
   const criteria = scoringCriteria || DEFAULT_SCORING_CRITERIA;
   const totalMaxPoints = criteria.reduce((sum, c) => sum + c.points, 0);
   
-  // Get all completed matches to track when robots last fought
-  const allCompletedMatches = tournaments.flatMap(tourney => 
-    (tourney.matches || []).filter(m => m.status === 'completed')
-  );
-  
-  // Build a map of robot name -> last fight end time
-  const robotLastFight = {};
-  allCompletedMatches.forEach(match => {
-    if (match.completedAt) {
-      const time = new Date(match.completedAt).getTime();
-      if (match.competitorA) {
-        if (!robotLastFight[match.competitorA] || time > robotLastFight[match.competitorA]) {
-          robotLastFight[match.competitorA] = time;
-        }
-      }
-      if (match.competitorB) {
-        if (!robotLastFight[match.competitorB] || time > robotLastFight[match.competitorB]) {
-          robotLastFight[match.competitorB] = time;
-        }
-      }
-    }
-  });
-  
-  // Calculate repair time remaining (20 minutes = 1200000ms)
-  const REPAIR_TIME_MS = 20 * 60 * 1000;
-  
-  const getRepairStatus = (robotName) => {
-    // Check for manual reset first (case-insensitive)
-    let resetTime = null;
-    if (repairResets) {
-      for (const [key, value] of Object.entries(repairResets)) {
-        if (key.toLowerCase() === robotName?.toLowerCase()) {
-          resetTime = new Date(value).getTime();
-          break;
-        }
-      }
-    }
-    
-    const lastFight = robotLastFight[robotName];
-    
-    // Use the more recent of: last fight or manual reset
-    const effectiveStart = Math.max(lastFight || 0, resetTime || 0);
-    
-    if (!effectiveStart) return { ready: true, remaining: 0 };
-    
-    const elapsed = now.getTime() - effectiveStart;
-    const remaining = REPAIR_TIME_MS - elapsed;
-    
-    return {
-      ready: remaining <= 0,
-      remaining: Math.max(0, remaining)
-    };
-  };
+  const getRepairStatus = useRepairStatus(eventId);
   
   // Check if both robots in a match are ready
   const isMatchReady = (match) => {
@@ -2056,11 +2229,11 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
     return statusA.ready && statusB.ready;
   };
   
-  // Helper to check if a match is currently fighting
-  const isMatchFighting = (match) => {
-    const activeMatch = activeMatches?.[match.tournamentUrl];
-    return activeMatch?.matchId === String(match.challongeId);
-  };
+  // Helper to check if a match is currently fighting, in any arena
+  const isMatchFighting = (match) => findActiveArena(activeMatches, match) !== null;
+  
+  // Arena the selected match starts in - its assigned arena unless a judge picks another
+  const [startArena, setStartArena] = useState(null);
   
   const allScorableMatches = tournaments.flatMap(tourney => 
     (tourney.matches || []).filter(m => 
@@ -2100,49 +2273,72 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
   const [scores, setScores] = useState(initializeScores);
   const [isKO, setIsKO] = useState(false);
   const [koWinner, setKoWinner] = useState(null);
+  const [stoppage, setStoppage] = useState('ko'); // 'ko' | 'tko' for a KO card
+  const [isTapout, setIsTapout] = useState(false);
   const [hasSubmitted, setHasSubmitted] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitResult, setSubmitResult] = useState(null);
   const [error, setError] = useState(null);
   const [judgeStatus, setJudgeStatus] = useState({ judges: {}, judgeCount: 0 });
+  const [override, setOverride] = useState({ winner: null, winMethod: 'points', scoreA: '', scoreB: '', note: '' });
+  const [isResolving, setIsResolving] = useState(false);
+  const [manual, setManual] = useState({ open: false, winner: null, winMethod: 'points', scoreA: '', scoreB: '', cards: {}, note: '' });
   
-  // Poll for judge status every 3 seconds
-  useEffect(() => {
+  const fetchJudgeStatus = useCallback(async () => {
     if (!selectedMatch) return;
-
-    const fetchJudgeStatus = async () => {
-      try {
-        const response = await fetch(`${API_BASE_URL}/matches/${selectedMatch.challongeId}/scores/details?tournamentId=${selectedMatch.tournamentUrl || ''}`);
-        if (response.ok) {
-          const data = await response.json();
-          setJudgeStatus(data);
-        }
-      } catch (err) {
-        console.error('Failed to fetch judge status:', err);
+    try {
+      const response = await fetch(`${API_BASE_URL}/matches/${selectedMatch.id}/scores/details?tournamentId=${selectedMatch.tournamentUrl || ''}`);
+      if (response.ok) {
+        const data = await response.json();
+        setJudgeStatus(data);
       }
-    };
+    } catch (err) {
+      console.error('Failed to fetch judge status:', err);
+    }
+  }, [selectedMatch]);
+
+  // Refresh judge status when someone submits or withdraws scores for this match
+  const isLive = useEventStream(eventId, (type, data) => {
+    if (type === 'connected') fetchJudgeStatus();
+    if ((type === 'judge-scores' || type === 'match-review' || type === 'match-finalized') && String(data.matchId) === String(selectedMatch?.id)) {
+      fetchJudgeStatus();
+    }
+  });
+
+  // Poll for judge status every 3 seconds while the live stream is down
+  useEffect(() => {
+    if (!selectedMatch) return;
 
     fetchJudgeStatus();
+    if (isLive) return;
     const interval = setInterval(fetchJudgeStatus, 3000);
     return () => clearInterval(interval);
-  }, [selectedMatch]);
+  }, [selectedMatch, fetchJudgeStatus, isLive]);
   
   // Calculate totals dynamically
   const totalA = criteria.reduce((sum, c) => sum + (scores[c.id] || 0), 0);
   const totalB = totalMaxPoints - totalA;
   
   // Get submitted judges info
-  const submittedJudges = Object.keys(judgeStatus.judges || {});
-  const waitingOn = ['judge_1', 'judge_2', 'judge_3'].filter(j => !submittedJudges.includes(j));
+  const panel = getActivePanel(judges);
+  const submittedJudges = Object.keys(judgeStatus.judges || {}).filter(id => panel.some(j => j.id === id));
+  const waitingOn = panel.filter(j => !submittedJudges.includes(j.id));
+  const pendingReview = !judgeStatus.finalized && judgeStatus.review?.status === 'pending' ? judgeStatus.review : null;
+  const canReview = currentUser?.role === 'admin' || panel.some(j => j.id === currentUser?.id && j.headJudge);
 
   const handleMatchChange = (matchKey) => {
     setSelectedMatchKey(matchKey);
     setScores(initializeScores());
     setIsKO(false);
     setKoWinner(null);
+    setStoppage('ko');
+    setIsTapout(false);
     setHasSubmitted(false);
     setSubmitResult(null);
     setError(null);
+    setOverride({ winner: null, winMethod: 'points', scoreA: '', scoreB: '', note: '' });
+    setManual({ open: false, winner: null, winMethod: 'points', scoreA: '', scoreB: '', cards: {}, note: '' });
+    setStartArena(null);
   };
 
   const handleSubmit = async () => {
@@ -2153,16 +2349,16 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
 
     try {
       const scoreData = {
-        judgeId: currentUser.id,
         tournamentId: selectedMatch.tournamentUrl,
         competitorAId: selectedMatch.competitorAId,
         competitorBId: selectedMatch.competitorBId,
         scores: isKO ? null : scores,
         isKO: isKO,
         koWinnerId: isKO ? (koWinner === 'a' ? selectedMatch.competitorAId : selectedMatch.competitorBId) : null,
+        winMethod: isKO ? stoppage : isTapout ? 'tapout' : 'points',
       };
 
-      const result = await api.submitJudgeScores(selectedMatch.challongeId, scoreData);
+      const result = await api.submitJudgeScores(selectedMatch.id, scoreData);
       setSubmitResult(result);
       setHasSubmitted(true);
 
@@ -2176,11 +2372,83 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
     }
   };
 
+  // Head judge: accept the calculated result or replace it
+  const handleReview = async (action) => {
+    if (!selectedMatch) return;
+
+    setIsResolving(true);
+    setError(null);
+
+    try {
+      const decision = action === 'confirm'
+        ? { action, note: override.note || null }
+        : {
+            action,
+            winnerId: override.winner === 'a' ? selectedMatch.competitorAId : selectedMatch.competitorBId,
+            winMethod: override.winMethod,
+            scoreA: WIN_METHODS[override.winMethod].isDecision ? parseInt(override.scoreA) : null,
+            scoreB: WIN_METHODS[override.winMethod].isDecision ? parseInt(override.scoreB) : null,
+            note: override.note || null,
+          };
+      const result = await api.resolveReview(selectedMatch.id, decision);
+      setSubmitResult(result);
+      onScoreSubmitted && onScoreSubmitted(result);
+      fetchJudgeStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  // Head judge: enter the result by hand, e.g. when a judge can't submit
+  const toggleManualCard = (judgeId) => {
+    const cards = { ...manual.cards };
+    if (cards[judgeId]) {
+      delete cards[judgeId];
+    } else {
+      cards[judgeId] = initializeScores();
+    }
+    setManual({ ...manual, cards });
+  };
+
+  const hasManualCards = WIN_METHODS[manual.winMethod].isDecision && Object.keys(manual.cards).length > 0;
+
+  const handleManualResult = async () => {
+    if (!selectedMatch) return;
+
+    setIsResolving(true);
+    setError(null);
+
+    try {
+      const needsScores = WIN_METHODS[manual.winMethod].isDecision && !hasManualCards;
+      const result = await api.enterManualResult(selectedMatch.id, {
+        tournamentId: selectedMatch.tournamentUrl,
+        competitorAId: selectedMatch.competitorAId,
+        competitorBId: selectedMatch.competitorBId,
+        winnerId: manual.winner === 'a' ? selectedMatch.competitorAId : selectedMatch.competitorBId,
+        winMethod: manual.winMethod,
+        scoreA: needsScores ? parseInt(manual.scoreA) : null,
+        scoreB: needsScores ? parseInt(manual.scoreB) : null,
+        cards: hasManualCards ? manual.cards : null,
+        note: manual.note || null,
+      });
+      setSubmitResult(result);
+      setManual({ ...manual, open: false });
+      onScoreSubmitted && onScoreSubmitted(result);
+      fetchJudgeStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
   const handleEdit = async () => {
     if (!selectedMatch || !currentUser) return;
 
     try {
-      await api.deleteJudgeScore(selectedMatch.challongeId, currentUser.id);
+      await api.deleteJudgeScore(selectedMatch.id, currentUser.id);
       setHasSubmitted(false);
       setSubmitResult(null);
     } catch (err) {
@@ -2224,6 +2492,11 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
     return 'ðŸ”´'; // Red if either robot still repairing
   };
 
+  // Where the selected match is fighting, or where Start Match sends it
+  const arenaName = (arenaId) => arenas.find(a => a.arenaId === arenaId)?.name || arenaId;
+  const fightingIn = findActiveArena(activeMatches, selectedMatch);
+  const startArenaId = startArena || getMatchArena(selectedMatch);
+
   return (
     <div className="max-w-xl mx-auto space-y-3 sm:space-y-4">
       <div className={`${t.card} rounded-xl border ${t.cardBorder} p-3 sm:p-4`}>
@@ -2257,9 +2530,100 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
         <div className="bg-green-50 border border-green-200 rounded-xl p-4 text-center">
           <p className="text-green-700 font-semibold">ðŸ† Match Complete!</p>
           <p className={`text-sm ${t.textMuted} mt-1`}>
-            Winner: {submitResult.result.winMethod === 'ko' ? 'KO' : `${submitResult.result.scoreA}-${submitResult.result.scoreB}`}
+            {WIN_METHODS[getWinMethod(submitResult.result)].label}
+            {WIN_METHODS[getWinMethod(submitResult.result)].isDecision && ` ${submitResult.result.scoreA}-${submitResult.result.scoreB}`}
           </p>
-          <p className={`text-xs ${t.textFaint} mt-2`}>Result submitted to Challonge</p>
+          <p className={`text-xs ${t.textFaint} mt-2`}>Result submitted to the bracket</p>
+        </div>
+      )}
+
+      {pendingReview && !submitResult?.finalized && (
+        <div className="bg-amber-50 border border-amber-300 rounded-xl p-4 space-y-3">
+          <div>
+            <p className="text-amber-800 font-semibold">Needs Review</p>
+            <ul className="text-sm text-amber-700 mt-1 list-disc list-inside space-y-0.5">
+              {pendingReview.disagreements.map((d, i) => <li key={i}>{d.message}</li>)}
+            </ul>
+          </div>
+          <p className="text-sm text-amber-800">
+            {pendingReview.proposedResult
+              ? <>Calculated result: <span className="font-semibold">{pendingReview.proposedResult.winnerId === selectedMatch.competitorAId ? selectedMatch.competitorA : selectedMatch.competitorB}</span> wins {pendingReview.proposedResult.scoreA}-{pendingReview.proposedResult.scoreB}</>
+              : 'The scores are tied on every tie-break - pick a winner'}
+          </p>
+
+          {canReview ? (
+            <div className="space-y-3">
+              <input
+                type="text"
+                value={override.note}
+                onChange={(e) => setOverride({ ...override, note: e.target.value })}
+                placeholder="Note (optional)"
+                className="w-full px-3 py-2 rounded-lg border border-amber-300 bg-white text-gray-900 text-sm"
+              />
+              <button
+                onClick={() => handleReview('confirm')}
+                disabled={isResolving || !pendingReview.proposedResult}
+                className="w-full py-3 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold text-sm transition-colors disabled:opacity-50"
+              >
+                Confirm Calculated Result
+              </button>
+
+              <div className="border-t border-amber-200 pt-3 space-y-2">
+                <p className="text-xs font-semibold text-amber-800 uppercase tracking-wide">Or override</p>
+                <div className="grid grid-cols-2 gap-2">
+                  {['a', 'b'].map(side => (
+                    <button
+                      key={side}
+                      onClick={() => setOverride({ ...override, winner: side })}
+                      className={`p-2 rounded-lg border-2 text-sm font-semibold transition-colors ${
+                        override.winner === side ? 'bg-amber-500 border-amber-500 text-white' : 'bg-white border-amber-200 text-gray-900'
+                      }`}
+                    >
+                      {side === 'a' ? selectedMatch.competitorA : selectedMatch.competitorB}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <select
+                    value={override.winMethod}
+                    onChange={(e) => setOverride({ ...override, winMethod: e.target.value })}
+                    className="px-3 py-2 rounded-lg border border-amber-300 bg-white text-gray-900 text-sm"
+                  >
+                    {Object.entries(WIN_METHODS).map(([method, { label }]) => (
+                      <option key={method} value={method}>{label}</option>
+                    ))}
+                  </select>
+                  {WIN_METHODS[override.winMethod].isDecision && (
+                    <>
+                      <input
+                        type="number" min="0"
+                        value={override.scoreA}
+                        onChange={(e) => setOverride({ ...override, scoreA: e.target.value })}
+                        placeholder={selectedMatch.competitorA}
+                        className="w-0 flex-1 px-3 py-2 rounded-lg border border-amber-300 bg-white text-gray-900 text-sm"
+                      />
+                      <input
+                        type="number" min="0"
+                        value={override.scoreB}
+                        onChange={(e) => setOverride({ ...override, scoreB: e.target.value })}
+                        placeholder={selectedMatch.competitorB}
+                        className="w-0 flex-1 px-3 py-2 rounded-lg border border-amber-300 bg-white text-gray-900 text-sm"
+                      />
+                    </>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleReview('override')}
+                  disabled={isResolving || !override.winner || (WIN_METHODS[override.winMethod].isDecision && (override.scoreA === '' || override.scoreB === ''))}
+                  className="w-full py-3 rounded-lg bg-amber-600 hover:bg-amber-700 text-white font-semibold text-sm transition-colors disabled:opacity-50"
+                >
+                  Override Result
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-xs text-amber-700">Judges can edit their scores, or the head judge will confirm or override the result.</p>
+          )}
         </div>
       )}
 
@@ -2275,15 +2639,15 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
             </div>
           </div>
           <div className="text-right">
-            <span className={`text-xs ${t.textFaint}`}>Judges ({submittedJudges.length}/3)</span>
+            <span className={`text-xs ${t.textFaint}`}>Judges ({submittedJudges.length}/{panel.length})</span>
             <div className="flex gap-1 justify-end mt-1">
-              {[1, 2, 3].map(num => {
-                const judgeId = `judge_${num}`;
-                const hasJudgeSubmitted = submittedJudges.includes(judgeId);
-                const isCurrentJudge = currentUser?.id === judgeId;
+              {panel.map((judge, index) => {
+                const num = index + 1;
+                const hasJudgeSubmitted = submittedJudges.includes(judge.id);
+                const isCurrentJudge = currentUser?.id === judge.id;
                 return (
                   <div 
-                    key={num} 
+                    key={judge.id} 
                     className={`w-6 h-6 sm:w-5 sm:h-5 rounded-full flex items-center justify-center text-xs font-bold ${
                       hasJudgeSubmitted 
                         ? 'bg-green-500 text-white' 
@@ -2291,7 +2655,7 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
                           ? 'bg-amber-100 text-amber-700 border-2 border-amber-400'
                           : `${t.tableBg} ${t.textMuted}`
                     }`}
-                    title={`Judge ${num}${hasJudgeSubmitted ? ' (submitted)' : isCurrentJudge ? ' (you)' : ''}`}
+                    title={`${judge.name}${hasJudgeSubmitted ? ' (submitted)' : isCurrentJudge ? ' (you)' : ''}`}
                   >
                     {hasJudgeSubmitted ? 'âœ“' : num}
                   </div>
@@ -2304,22 +2668,41 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
         {/* Start/End Match Button */}
         {eventId && (
           <div className="mt-3 mb-3">
-            {isMatchFighting(selectedMatch) ? (
+            {fightingIn ? (
               <button
-                onClick={() => onEndMatch && onEndMatch(selectedMatch.tournamentUrl)}
+                onClick={() => onEndMatch && onEndMatch(fightingIn)}
                 className="w-full py-2 px-4 rounded-lg bg-red-600 hover:bg-red-700 text-white font-semibold text-sm transition-colors flex items-center justify-center gap-2"
               >
                 <span className="w-2 h-2 rounded-full bg-white"></span>
-                End Match (Stop Fighting)
+                End Match (Stop Fighting){arenas.length > 1 ? ` - ${arenaName(fightingIn)}` : ''}
               </button>
             ) : (
-              <button
-                onClick={() => onStartMatch && onStartMatch(selectedMatch.tournamentUrl, selectedMatch.challongeId)}
-                className="w-full py-2 px-4 rounded-lg bg-amber-500 hover:bg-amber-600 text-white font-semibold text-sm transition-colors flex items-center justify-center gap-2"
-              >
-                <span className="w-2 h-2 rounded-full bg-white animate-pulse"></span>
-                Start Match (Now Fighting)
-              </button>
+              <>
+                {arenas.length > 1 && (
+                  <div className="flex items-center gap-2 mb-2">
+                    <label className={`text-xs font-semibold ${t.textFaint} uppercase tracking-wide`}>Arena</label>
+                    <select
+                      value={startArenaId}
+                      onChange={(e) => setStartArena(e.target.value)}
+                      className={`flex-1 px-2 py-1.5 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                    >
+                      {arenas.map(arena => <option key={arena.arenaId} value={arena.arenaId}>{arena.name}</option>)}
+                    </select>
+                  </div>
+                )}
+                {activeMatches?.[startArenaId] && (
+                  <p className={`text-xs ${t.textMuted} mb-2`}>
+                    Another fight is in {arenaName(startArenaId)} - starting this one takes its place
+                  </p>
+                )}
+                <button
+                  onClick={() => onStartMatch && onStartMatch(selectedMatch.tournamentUrl, selectedMatch.id, startArenaId)}
+                  className="w-full py-2 px-4 rounded-lg bg-amber-500 hover:bg-amber-600 text-white font-semibold text-sm transition-colors flex items-center justify-center gap-2"
+                >
+                  <span className="w-2 h-2 rounded-full bg-white animate-pulse"></span>
+                  Start Match (Now Fighting)
+                </button>
+              </>
             )}
           </div>
         )}
@@ -2327,7 +2710,7 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
         {/* Repair Timer Reset */}
         {eventId && onResetRepairTimer && (
           <div className={`mb-3 p-3 rounded-lg ${t.tableBg}`}>
-            <p className={`text-xs font-semibold ${t.textFaint} uppercase tracking-wide mb-2`}>Reset Repair Timer (20 min)</p>
+            <p className={`text-xs font-semibold ${t.textFaint} uppercase tracking-wide mb-2`}>Reset Repair Timer</p>
             <div className="grid grid-cols-2 gap-2">
               <button
                 onClick={() => onResetRepairTimer(selectedMatch.competitorA)}
@@ -2350,13 +2733,51 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
             </div>
           </div>
         )}
+
+        {/* Pit Check-In - ready early waives the rest of the repair time */}
+        {eventId && onCheckInRobot && (
+          <div className={`mb-3 p-3 rounded-lg ${t.tableBg}`}>
+            <p className={`text-xs font-semibold ${t.textFaint} uppercase tracking-wide mb-2`}>Pit Check-In</p>
+            <div className="space-y-2">
+              {[selectedMatch.competitorA, selectedMatch.competitorB].map(robotName => {
+                const { checkIn, waived } = getRepairStatus(robotName);
+                return (
+                  <div key={robotName} className="flex items-center gap-2">
+                    <span className={`flex-1 min-w-0 truncate text-xs font-medium ${t.text}`}>{robotName}</span>
+                    <CheckInBadge checkIn={checkIn} waived={waived} />
+                    <button
+                      onClick={() => onCheckInRobot(robotName, 'ready')}
+                      className="py-1 px-2 rounded-lg bg-green-600 hover:bg-green-700 text-white text-xs font-medium transition-colors"
+                    >
+                      Ready Now
+                    </button>
+                    <button
+                      onClick={() => onCheckInRobot(robotName, 'full-time')}
+                      className="py-1 px-2 rounded-lg bg-amber-500 hover:bg-amber-600 text-white text-xs font-medium transition-colors"
+                    >
+                      Full Time
+                    </button>
+                    {checkIn && (
+                      <button
+                        onClick={() => onCheckInRobot(robotName, null)}
+                        className={`py-1 px-2 rounded-lg border ${t.cardBorder} ${t.textMuted} text-xs font-medium ${t.hoverBg} transition-colors`}
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
         
         {/* Waiting indicator */}
-        {waitingOn.length > 0 && waitingOn.length < 3 && !hasSubmitted && (
+        {waitingOn.length > 0 && waitingOn.length < panel.length && !hasSubmitted && (
           <div className={`mb-4 p-2 rounded-lg ${t.tableBg} flex items-center justify-center gap-2`}>
             <div className="animate-pulse w-2 h-2 rounded-full bg-amber-500"></div>
             <span className={`text-xs sm:text-sm ${t.textMuted}`}>
-              Waiting on {waitingOn.map(j => `Judge ${j.split('_')[1]}`).join(', ')}
+              Waiting on {waitingOn.map(j => j.name).join(', ')}
             </span>
           </div>
         )}
@@ -2424,6 +2845,14 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
             />
           ))}
           
+          <label className={`flex items-center gap-2 mt-2 text-sm ${t.textMuted} cursor-pointer`}>
+            <input type="checkbox" checked={isTapout}
+              onChange={(e) => setIsTapout(e.target.checked)}
+              disabled={hasSubmitted}
+              className="w-4 h-4" />
+            Fight ended by a tap-out
+          </label>
+          
           <div className={`flex justify-between items-center pt-4 mt-4 border-t ${t.divider}`}>
             <div className="text-center">
               <p className={`text-xs ${t.textFaint} mb-1`}>Total</p>
@@ -2447,11 +2876,24 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
               onChange={(e) => { setIsKO(e.target.checked); if (!e.target.checked) setKoWinner(null); }}
               disabled={hasSubmitted}
               className="w-6 h-6 sm:w-5 sm:h-5 rounded border-gray-300 text-red-600 focus:ring-red-500" />
-            <span className={`font-semibold ${isKO ? 'text-red-700' : t.text}`}>Declare Knockout (KO)</span>
+            <span className={`font-semibold ${isKO ? 'text-red-700' : t.text}`}>Declare Knockout (KO/TKO)</span>
           </label>
           
           {isKO && (
             <div className="mt-4 grid grid-cols-2 gap-3">
+              {['ko', 'tko'].map(method => (
+                <button key={method} onClick={() => setStoppage(method)} disabled={hasSubmitted}
+                  className={`py-2 rounded-lg border-2 text-sm font-semibold transition-all ${
+                    stoppage === method ? 'bg-red-600 border-red-600 text-white' : `${t.card} ${t.cardBorder} ${t.text}`
+                  }`}>
+                  {WIN_METHODS[method].label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {isKO && (
+            <div className="mt-3 grid grid-cols-2 gap-3">
               <button onClick={() => setKoWinner('a')} disabled={hasSubmitted}
                 className={`p-3 sm:p-3 rounded-lg border-2 font-semibold transition-all text-sm sm:text-base ${
                   koWinner === 'a' ? 'bg-blue-50 border-blue-500 text-blue-700' : `${t.card} ${t.cardBorder} ${t.text}`
@@ -2475,7 +2917,11 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
             <div className="bg-green-50 border border-green-200 rounded-xl p-4 text-center">
               <p className="text-green-700 font-semibold">âœ“ Scores Submitted</p>
               <p className={`text-sm ${t.textFaint} mt-1`}>
-                Waiting for {3 - (submitResult?.judgeCount || 1)} more judge(s)...
+                {submitResult?.tied
+                  ? submitResult.message
+                  : pendingReview
+                    ? 'The judges disagree - waiting for the head judge to review the result'
+                    : `Waiting for ${(submitResult?.panelSize || panel.length) - (submitResult?.judgeCount || 1)} more judge(s)...`}
               </p>
             </div>
             <button onClick={handleEdit}
@@ -2490,88 +2936,150 @@ const JudgeScoringView = ({ tournaments, currentUser, onScoreSubmitted, onStartM
           </button>
         )
       )}
+
+      {canReview && !submitResult?.finalized && !judgeStatus.finalized && (
+        <div className={`${t.card} rounded-xl border ${t.cardBorder} p-4 sm:p-5`}>
+          <button
+            onClick={() => setManual({ ...manual, open: !manual.open })}
+            className={`w-full flex justify-between items-center text-sm font-semibold ${t.textMuted}`}
+          >
+            Enter Result Manually
+            <span>{manual.open ? '−' : '+'}</span>
+          </button>
+
+          {manual.open && (
+            <div className="mt-4 space-y-3">
+              <p className={`text-xs ${t.textFaint}`}>
+                For when a judge can't submit. The result is reported like any other and marked as an override.
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {['a', 'b'].map(side => (
+                  <button
+                    key={side}
+                    onClick={() => setManual({ ...manual, winner: side })}
+                    className={`p-2 rounded-lg border-2 text-sm font-semibold transition-colors ${
+                      manual.winner === side ? 'bg-gray-900 border-gray-900 text-white' : `${t.cardBorder} ${t.text}`
+                    }`}
+                  >
+                    {side === 'a' ? selectedMatch.competitorA : selectedMatch.competitorB}
+                  </button>
+                ))}
+              </div>
+              <select
+                value={manual.winMethod}
+                onChange={(e) => setManual({ ...manual, winMethod: e.target.value })}
+                className={`w-full px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+              >
+                {Object.entries(WIN_METHODS).map(([method, { label }]) => (
+                  <option key={method} value={method}>{label}</option>
+                ))}
+              </select>
+
+              {WIN_METHODS[manual.winMethod].isDecision && (
+                <>
+                  <div className="space-y-2">
+                    <p className={`text-xs font-semibold ${t.textFaint} uppercase tracking-wide`}>Judge cards (optional)</p>
+                    {panel.map(judge => (
+                      <div key={judge.id} className={`${t.tableBg} rounded-lg p-3`}>
+                        <label className={`flex items-center gap-2 text-sm ${t.text}`}>
+                          <input
+                            type="checkbox"
+                            checked={Boolean(manual.cards[judge.id])}
+                            onChange={() => toggleManualCard(judge.id)}
+                            className="w-4 h-4"
+                          />
+                          {judge.name}
+                          {submittedJudges.includes(judge.id) && <span className={`text-xs ${t.textFaint}`}>(submitted - entering replaces it)</span>}
+                        </label>
+                        {manual.cards[judge.id] && (
+                          <div className="mt-3">
+                            {criteria.map(criterion => (
+                              <SplitSlider
+                                key={criterion.id}
+                                label={criterion.name}
+                                maxPoints={criterion.points}
+                                valueA={manual.cards[judge.id][criterion.id] || 0}
+                                onChange={(val) => setManual(m => ({
+                                  ...m,
+                                  cards: { ...m.cards, [judge.id]: { ...m.cards[judge.id], [criterion.id]: val } },
+                                }))}
+                                theme={theme}
+                              />
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {!hasManualCards && (
+                    <div className="flex gap-2">
+                      <input
+                        type="number" min="0"
+                        value={manual.scoreA}
+                        onChange={(e) => setManual({ ...manual, scoreA: e.target.value })}
+                        placeholder={`${selectedMatch.competitorA} points`}
+                        className={`w-0 flex-1 px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                      />
+                      <input
+                        type="number" min="0"
+                        value={manual.scoreB}
+                        onChange={(e) => setManual({ ...manual, scoreB: e.target.value })}
+                        placeholder={`${selectedMatch.competitorB} points`}
+                        className={`w-0 flex-1 px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              <input
+                type="text"
+                value={manual.note}
+                onChange={(e) => setManual({ ...manual, note: e.target.value })}
+                placeholder="Note (optional)"
+                className={`w-full px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+              />
+              <button
+                onClick={handleManualResult}
+                disabled={isResolving || !manual.winner || (WIN_METHODS[manual.winMethod].isDecision && !hasManualCards && (manual.scoreA === '' || manual.scoreB === ''))}
+                className="w-full py-3 rounded-lg bg-gray-900 hover:bg-gray-800 text-white font-semibold text-sm transition-colors disabled:opacity-50"
+              >
+                Submit Result
+              </button>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
 // Match Queue Manager Component - For Admin/Judge to manually order upcoming matches
-const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, repairResets, theme }) => {
+// One queue per arena - matches show up in the queue for the arena they're assigned to
+const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, arenas, getMatchArena, onMoveMatch, theme }) => {
   const t = themes[theme];
-  const [now, setNow] = useState(new Date());
+  const [selectedArena, setSelectedArena] = useState(null);
+  const arenaId = arenas.some(a => a.arenaId === selectedArena) ? selectedArena : arenas[0].arenaId;
   const [queue, setQueue] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null);
   const [draggedIndex, setDraggedIndex] = useState(null);
+  const [proposal, setProposal] = useState(null);
+  const [isProposing, setIsProposing] = useState(false);
   
-  // Update time every second for repair status
-  useEffect(() => {
-    const interval = setInterval(() => setNow(new Date()), 1000);
-    return () => clearInterval(interval);
-  }, []);
-  
-  // Get all completed matches to track when robots last fought
-  const allCompletedMatches = tournaments.flatMap(tourney => 
-    (tourney.matches || []).filter(m => m.status === 'completed')
-  );
-  
-  // Build a map of robot name -> last fight end time
-  const robotLastFight = {};
-  allCompletedMatches.forEach(match => {
-    if (match.completedAt) {
-      const time = new Date(match.completedAt).getTime();
-      if (match.competitorA) {
-        if (!robotLastFight[match.competitorA] || time > robotLastFight[match.competitorA]) {
-          robotLastFight[match.competitorA] = time;
-        }
-      }
-      if (match.competitorB) {
-        if (!robotLastFight[match.competitorB] || time > robotLastFight[match.competitorB]) {
-          robotLastFight[match.competitorB] = time;
-        }
-      }
-    }
-  });
-  
-  const REPAIR_TIME_MS = 20 * 60 * 1000;
-  
-  const getRepairStatus = (robotName) => {
-    let resetTime = null;
-    if (repairResets) {
-      for (const [key, value] of Object.entries(repairResets)) {
-        if (key.toLowerCase() === robotName?.toLowerCase()) {
-          resetTime = new Date(value).getTime();
-          break;
-        }
-      }
-    }
-    
-    const lastFight = robotLastFight[robotName];
-    const effectiveStart = Math.max(lastFight || 0, resetTime || 0);
-    
-    if (!effectiveStart) return { ready: true, remaining: 0 };
-    
-    const elapsed = now.getTime() - effectiveStart;
-    const remaining = REPAIR_TIME_MS - elapsed;
-    
-    return {
-      ready: remaining <= 0,
-      remaining: Math.max(0, remaining)
-    };
-  };
+  const getRepairStatus = useRepairStatus(eventId);
   
-  const isMatchFighting = (match) => {
-    const activeMatch = activeMatches?.[match.tournamentUrl];
-    return activeMatch?.matchId === String(match.challongeId);
-  };
+  const isMatchFighting = (match) => findActiveArena(activeMatches, match) !== null;
   
-  // Get ready matches (both robots ready, not fighting)
+  // Get ready matches for this arena (both robots ready, not fighting)
   const getReadyMatches = () => {
     return tournaments.flatMap(tourney => 
       (tourney.matches || []).filter(m => 
         (m.status === 'pending' || m.status === 'active') && 
         m.competitorA && 
         m.competitorB &&
-        !isMatchFighting(m)
+        !isMatchFighting(m) &&
+        getMatchArena(m) === arenaId
       )
     ).filter(m => {
       const statusA = getRepairStatus(m.competitorA);
@@ -2580,13 +3088,18 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
     });
   };
   
-  // Load saved queue on mount
+  // Load the arena's saved queue on mount and when switching arena. A response
+  // for an arena that's no longer selected is dropped, so one arena's queue never
+  // shows (or gets saved) under another
   useEffect(() => {
+    let superseded = false;
     const loadQueue = async () => {
       if (!eventId) return;
+      setQueue([]);
       setIsLoading(true);
       try {
-        const savedQueue = await api.getMatchQueue(eventId);
+        const savedQueue = await api.getMatchQueue(eventId, arenaId);
+        if (superseded) return;
         if (savedQueue && savedQueue.length > 0) {
           setQueue(savedQueue);
         } else {
@@ -2594,7 +3107,7 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
           const readyMatches = getReadyMatches();
           const initialQueue = readyMatches.map((m, idx) => ({
             tournamentId: m.tournamentUrl,
-            matchId: String(m.challongeId),
+            matchId: String(m.id),
             position: idx,
             match: m
           }));
@@ -2603,12 +3116,13 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
       } catch (err) {
         console.error('Failed to load queue:', err);
       } finally {
-        setIsLoading(false);
+        if (!superseded) setIsLoading(false);
       }
     };
     
     loadQueue();
-  }, [eventId]);
+    return () => { superseded = true; };
+  }, [eventId, arenaId]);
   
   // Update queue when matches change
   useEffect(() => {
@@ -2616,14 +3130,14 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
     
     // Add new ready matches that aren't in queue yet
     const queueMatchIds = new Set(queue.map(q => q.matchId));
-    const newMatches = readyMatches.filter(m => !queueMatchIds.has(String(m.challongeId)));
+    const newMatches = readyMatches.filter(m => !queueMatchIds.has(String(m.id)));
     
     if (newMatches.length > 0) {
       const newQueue = [
         ...queue,
         ...newMatches.map((m, idx) => ({
           tournamentId: m.tournamentUrl,
-          matchId: String(m.challongeId),
+          matchId: String(m.id),
           position: queue.length + idx,
           match: m
         }))
@@ -2631,16 +3145,20 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
       setQueue(newQueue);
     }
     
-    // Remove matches that are no longer ready or are now fighting
+    // Remove matches that have finished, lost a robot, are now fighting or moved to
+    // another arena - a scheduled match can wait in the queue while its robots repair
+    const openMatches = tournaments.flatMap(tourney => tourney.matches || []).filter(m =>
+      (m.status === 'pending' || m.status === 'active') && m.competitorA && m.competitorB
+    );
     const updatedQueue = queue.filter(q => {
-      const match = readyMatches.find(m => String(m.challongeId) === q.matchId);
-      return match && !isMatchFighting(match);
+      const match = openMatches.find(m => String(m.id) === q.matchId);
+      return match && !isMatchFighting(match) && getMatchArena(match) === arenaId;
     }).map((q, idx) => ({ ...q, position: idx }));
     
     if (updatedQueue.length !== queue.length) {
       setQueue(updatedQueue);
     }
-  }, [tournaments, activeMatches, repairResets, now]);
+  }, [tournaments, activeMatches, getRepairStatus, getMatchArena, arenaId]);
   
   // Drag and drop handlers
   const handleDragStart = (e, index) => {
@@ -2676,7 +3194,7 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
     setSaveStatus(null);
     
     try {
-      await api.updateMatchQueue(eventId, queue);
+      await api.updateMatchQueue(eventId, queue, arenaId);
       setSaveStatus({ success: true, message: 'Queue order saved!' });
       setTimeout(() => setSaveStatus(null), 3000);
     } catch (err) {
@@ -2694,12 +3212,12 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
     setSaveStatus(null);
     
     try {
-      await api.clearMatchQueue(eventId);
+      await api.clearMatchQueue(eventId, arenaId);
       // Reinitialize with default order
       const readyMatches = getReadyMatches();
       const newQueue = readyMatches.map((m, idx) => ({
         tournamentId: m.tournamentUrl,
-        matchId: String(m.challongeId),
+        matchId: String(m.id),
         position: idx,
         match: m
       }));
@@ -2713,22 +3231,160 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
     }
   };
   
+  // Locked fights keep their place when the scheduler plans the rest
+  const toggleQueueLock = (matchId) => {
+    setQueue(queue.map(q => (q.matchId === matchId ? { ...q, locked: !q.locked } : q)));
+  };
+
+  const handlePropose = async () => {
+    if (!eventId) return;
+    setIsProposing(true);
+    setSaveStatus(null);
+    try {
+      setProposal(await api.getSchedule(eventId, undefined, arenaId));
+    } catch (err) {
+      setSaveStatus({ success: false, message: err.message });
+    } finally {
+      setIsProposing(false);
+    }
+  };
+
+  const toggleProposalLock = (index) => {
+    setProposal(prev => ({
+      ...prev,
+      fights: prev.fights.map((fight, i) => (i === index ? { ...fight, locked: !fight.locked } : fight)),
+    }));
+  };
+
+  // Accepting saves the proposal up to lastIndex as the queue
+  const handleAcceptProposal = async (lastIndex) => {
+    const accepted = proposal.fights.slice(0, lastIndex + 1).map((fight, position) => ({
+      tournamentId: fight.tournamentId,
+      matchId: fight.matchId,
+      position,
+      locked: fight.locked,
+    }));
+    setIsLoading(true);
+    setSaveStatus(null);
+    try {
+      await api.updateMatchQueue(eventId, accepted, arenaId);
+      setQueue(accepted);
+      setProposal(null);
+      setSaveStatus({ success: true, message: `${accepted.length} fights accepted into the queue` });
+      setTimeout(() => setSaveStatus(null), 3000);
+    } catch (err) {
+      setSaveStatus({ success: false, message: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // A proposal is for one arena - switching arena throws it away
+  const handleArenaChange = (nextArenaId) => {
+    setSelectedArena(nextArenaId);
+    setProposal(null);
+    setSaveStatus(null);
+  };
+
+  const arenaTabs = <ArenaTabs arenas={arenas} selected={arenaId} onSelect={handleArenaChange} theme={theme} />;
+
+  const schedulerPanel = (
+    <div className={`${t.card} rounded-xl border ${t.cardBorder} p-4`}>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div>
+          <h2 className={`text-lg font-bold ${t.text}`}>Scheduler</h2>
+          <p className={`text-sm ${t.textMuted}`}>Plans the next fights around repair times, teams and bracket progress</p>
+        </div>
+        <button
+          onClick={handlePropose}
+          disabled={isProposing || isLoading}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isProposing ? 'Planning...' : proposal ? 'Plan Again' : 'Propose Order'}
+        </button>
+      </div>
+
+      {proposal && proposal.fights.length === 0 && (
+        <p className={`mt-3 text-sm ${t.textMuted}`}>No fights have both robots yet.</p>
+      )}
+      {proposal && proposal.fights.length > 0 && (
+        <>
+          <div className="mt-3 divide-y divide-gray-200 dark:divide-gray-700">
+            {proposal.fights.map((fight, index) => (
+              <div key={`${fight.tournamentId}-${fight.matchId}`} className="py-2 flex items-start gap-3">
+                <span className={`w-6 flex-shrink-0 text-sm font-mono ${t.textFaint}`}>{index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-semibold ${t.text} truncate`}>{fight.competitorA} vs {fight.competitorB}</p>
+                  <p className={`text-xs ${t.textFaint}`}>
+                    {fight.weightClass || fight.tournamentId} M{fight.matchNum} at {new Date(fight.startAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </p>
+                  {fight.notes.map(note => (
+                    <p key={note} className="text-xs text-amber-600">{note}</p>
+                  ))}
+                </div>
+                <button
+                  onClick={() => toggleProposalLock(index)}
+                  title={fight.locked ? 'Unlock so the scheduler can move it' : 'Lock it in this place'}
+                  className={`px-2 py-1 text-xs font-medium rounded border transition-colors ${
+                    fight.locked ? 'bg-amber-100 text-amber-700 border-amber-300' : `${t.cardBorder} ${t.textMuted} ${t.hoverBg}`
+                  }`}
+                >
+                  {fight.locked ? 'Locked' : 'Lock'}
+                </button>
+                <button
+                  onClick={() => handleAcceptProposal(index)}
+                  disabled={isLoading}
+                  title="Accept the proposal up to this fight"
+                  className={`px-2 py-1 text-xs font-medium rounded border ${t.cardBorder} ${t.textMuted} ${t.hoverBg} transition-colors disabled:opacity-50`}
+                >
+                  Accept to Here
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-3 flex justify-end gap-2">
+            <button
+              onClick={() => setProposal(null)}
+              className={`px-3 py-2 text-sm font-medium ${t.textMuted} border ${t.cardBorder} rounded-lg ${t.hoverBg} transition-colors`}
+            >
+              Discard
+            </button>
+            <button
+              onClick={() => handleAcceptProposal(proposal.fights.length - 1)}
+              disabled={isLoading}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+            >
+              Accept All
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+  
   // Find match details for each queue item
   const queueWithMatches = queue.map(q => {
-    const match = tournaments.flatMap(t => t.matches || []).find(m => String(m.challongeId) === q.matchId);
+    const match = tournaments.flatMap(t => t.matches || []).find(m => String(m.id) === q.matchId);
     return { ...q, match };
   }).filter(q => q.match); // Filter out matches that no longer exist
   
   if (queueWithMatches.length === 0) {
     return (
-      <div className={`${t.card} rounded-xl border ${t.cardBorder} p-6 sm:p-8 text-center`}>
-        <div className={`w-16 h-16 mx-auto rounded-full ${t.tableBg} flex items-center justify-center mb-4`}>
-          <svg className={`w-8 h-8 ${t.textFaint}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-          </svg>
+      <div className="space-y-4">
+        {arenas.length > 1 && <div className={`${t.card} rounded-xl border ${t.cardBorder} p-4`}>{arenaTabs}</div>}
+        {schedulerPanel}
+        {saveStatus && !saveStatus.success && (
+          <div className="p-2 rounded-lg text-sm bg-red-50 text-red-700">{saveStatus.message}</div>
+        )}
+        <div className={`${t.card} rounded-xl border ${t.cardBorder} p-6 sm:p-8 text-center`}>
+          <div className={`w-16 h-16 mx-auto rounded-full ${t.tableBg} flex items-center justify-center mb-4`}>
+            <svg className={`w-8 h-8 ${t.textFaint}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+            </svg>
+          </div>
+          <h3 className={`text-lg font-bold ${t.text} mb-2`}>No Matches Ready</h3>
+          <p className={t.textMuted}>Matches will appear here when both robots are ready to fight, or propose an order above.</p>
         </div>
-        <h3 className={`text-lg font-bold ${t.text} mb-2`}>No Matches Ready</h3>
-        <p className={t.textMuted}>Matches will appear here when both robots are ready to fight.</p>
       </div>
     );
   }
@@ -2760,6 +3416,12 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
           </div>
         </div>
         
+        {arenas.length > 1 && (
+          <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+            {arenaTabs}
+          </div>
+        )}
+        
         {saveStatus && (
           <div className={`mt-3 p-2 rounded-lg text-sm ${
             saveStatus.success ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
@@ -2768,6 +3430,8 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
           </div>
         )}
       </div>
+
+      {schedulerPanel}
       
       {/* Queue List */}
       <div className={`${t.card} rounded-xl border ${t.cardBorder} overflow-hidden`}>
@@ -2807,20 +3471,47 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
                         {match.tournamentName}
                       </span>
                       <span className={`text-xs ${t.textFaint} font-mono`}>M{match.matchNum}</span>
+                      {!(getRepairStatus(match.competitorA).ready && getRepairStatus(match.competitorB).ready) && (
+                        <span className="text-xs text-red-500">Repairing</span>
+                      )}
                     </div>
                     <div className="flex items-center gap-3">
                       <RobotAvatar name={match.competitorA} robotImages={robotImages} size="sm" colorClass="bg-blue-100 text-blue-600" />
                       <span className={`font-semibold ${t.text} text-sm`}>
                         <RobotLink name={match.competitorA} weightClass={weightClass} theme={theme} />
                       </span>
+                      <CheckInBadge {...getRepairStatus(match.competitorA)} />
                       <span className={`text-xs ${t.textFaint}`}>vs</span>
                       <RobotAvatar name={match.competitorB} robotImages={robotImages} size="sm" colorClass="bg-red-100 text-red-600" />
                       <span className={`font-semibold ${t.text} text-sm`}>
                         <RobotLink name={match.competitorB} weightClass={weightClass} theme={theme} />
                       </span>
+                      <CheckInBadge {...getRepairStatus(match.competitorB)} />
                     </div>
                   </div>
                   
+                  {arenas.length > 1 && onMoveMatch && (
+                    <select
+                      value={arenaId}
+                      onChange={(e) => onMoveMatch(match, e.target.value)}
+                      onMouseDown={(e) => e.stopPropagation()}
+                      title="Send this fight to another arena"
+                      className={`flex-shrink-0 px-2 py-1 text-xs rounded border ${t.inputBorder} ${t.inputBg} ${t.text}`}
+                    >
+                      {arenas.map(arena => <option key={arena.arenaId} value={arena.arenaId}>{arena.name}</option>)}
+                    </select>
+                  )}
+
+                  <button
+                    onClick={() => toggleQueueLock(item.matchId)}
+                    title={item.locked ? 'Unlock so the scheduler can move it' : 'Lock it in this place'}
+                    className={`flex-shrink-0 px-2 py-1 text-xs font-medium rounded border transition-colors ${
+                      item.locked ? 'bg-amber-100 text-amber-700 border-amber-300' : `${t.cardBorder} ${t.textMuted} ${t.hoverBg}`
+                    }`}
+                  >
+                    {item.locked ? 'Locked' : 'Lock'}
+                  </button>
+
                   {/* Drag handle */}
                   <div className={`flex-shrink-0 ${t.textFaint}`}>
                     <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -2838,10 +3529,11 @@ const MatchQueueManager = ({ tournaments, eventId, robotImages, activeMatches, r
 };
 
 // Admin Dashboard View
-const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, scoringCriteria, robotImages, discordWebhookUrl, onEventIdChange, onEventNameChange, onAddTournament, onRemoveTournament, onRefreshAll, onSaveToServer, onCopyLink, onScoringCriteriaChange, onRobotImagesChange, onDiscordWebhookUrlChange, theme }) => {
+const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournamentDetails, tournaments, scoringCriteria, robotImages, discordWebhookUrl, judges, repairTimes, scheduling, arenas, onEventIdChange, onEventNameChange, onAddTournament, onRemoveTournament, onTournamentDetailChange, onRefreshAll, onSaveToServer, onCopyLink, onScoringCriteriaChange, onRobotImagesChange, onDiscordWebhookUrlChange, onJudgesChange, onRepairTimesChange, onSchedulingChange, onArenasChange, theme }) => {
   const t = themes[theme];
   const [selectedTab, setSelectedTab] = useState('settings');
   const [newTournamentUrl, setNewTournamentUrl] = useState('');
+  const [newArenaName, setNewArenaName] = useState('');
   const [newRceUrl, setNewRceUrl] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [syncStatus, setSyncStatus] = useState(null);
@@ -2850,6 +3542,42 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
   const [localCriteria, setLocalCriteria] = useState(scoringCriteria);
   const [localRobotImages, setLocalRobotImages] = useState(robotImages || {});
   const [localDiscordWebhookUrl, setLocalDiscordWebhookUrl] = useState(discordWebhookUrl || '');
+  const [localJudges, setLocalJudges] = useState(judges || DEFAULT_JUDGES);
+  const [localRepairTimes, setLocalRepairTimes] = useState(repairTimes || {});
+  const [localScheduling, setLocalScheduling] = useState(scheduling || {});
+  const [judgePins, setJudgePins] = useState([]);
+  const [issuedPins, setIssuedPins] = useState({}); // judgeId -> plain PIN, only shown right after issuing
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditFilters, setAuditFilters] = useState({ matchId: '', robot: '' });
+  const [isAuditLoading, setIsAuditLoading] = useState(false);
+  const [newBracket, setNewBracket] = useState({ name: '', tournamentType: 'double elimination', participants: '', bracketReset: true });
+  
+  // Load which judges have PINs when the Judges tab is opened
+  useEffect(() => {
+    if (selectedTab !== 'judges' || !eventId) return;
+    api.getJudgePins(eventId)
+      .then(setJudgePins)
+      .catch(err => setSyncStatus({ success: false, message: err.message }));
+  }, [selectedTab, eventId]);
+  
+  const loadAuditLog = useCallback(async (filters) => {
+    if (!eventId) return;
+    setIsAuditLoading(true);
+    try {
+      setAuditEntries(await api.getAuditLog(eventId, filters));
+    } catch (err) {
+      setSyncStatus({ success: false, message: err.message });
+    } finally {
+      setIsAuditLoading(false);
+    }
+  }, [eventId]);
+
+  // Load the full audit log when the Audit tab is opened
+  useEffect(() => {
+    if (selectedTab !== 'audit') return;
+    setAuditFilters({ matchId: '', robot: '' });
+    loadAuditLog({});
+  }, [selectedTab, loadAuditLog]);
   
   useEffect(() => {
     setLocalEventId(eventId);
@@ -2857,7 +3585,8 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
     setLocalCriteria(scoringCriteria);
     setLocalRobotImages(robotImages || {});
     setLocalDiscordWebhookUrl(discordWebhookUrl || '');
-  }, [eventId, eventName, scoringCriteria, robotImages, discordWebhookUrl]);
+    setLocalJudges(judges || DEFAULT_JUDGES);
+  }, [eventId, eventName, scoringCriteria, robotImages, discordWebhookUrl, judges]);
 
   const updateCriterion = (index, field, value) => {
     const updated = [...localCriteria];
@@ -2883,6 +3612,111 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
 
   const totalPoints = localCriteria.reduce((sum, c) => sum + c.points, 0);
 
+  // Repair times are in minutes. A blank override is removed, so the next setting down applies
+  const repairWeightClasses = [...new Set(tournamentUrls.map(url => tournamentDetails[url]?.weightClass).filter(Boolean))];
+
+  const setRepairMinutes = (field, key, value) => {
+    const minutes = parseInt(value);
+    setLocalRepairTimes(prev => {
+      if (!key) return { ...prev, [field]: minutes > 0 ? minutes : undefined };
+      const overrides = { ...prev[field] };
+      if (minutes > 0) overrides[key] = minutes;
+      else delete overrides[key];
+      return { ...prev, [field]: overrides };
+    });
+  };
+
+  const updateRepairRound = (index, field, value) => {
+    const rounds = [...(localRepairTimes.rounds || [])];
+    const round = { ...rounds[index], [field]: value };
+    if (round.stage === 'finals') delete round.round;
+    else if (!round.round) round.round = 1;
+    if (!round.tournamentId) delete round.tournamentId;
+    rounds[index] = round;
+    setLocalRepairTimes({ ...localRepairTimes, rounds });
+  };
+
+  const addRepairRound = () => {
+    const rounds = [...(localRepairTimes.rounds || []), { stage: 'finals', minutes: localRepairTimes.defaultMinutes || 20 }];
+    setLocalRepairTimes({ ...localRepairTimes, rounds });
+  };
+
+  const removeRepairRound = (index) => {
+    setLocalRepairTimes({ ...localRepairTimes, rounds: localRepairTimes.rounds.filter((_, i) => i !== index) });
+  };
+
+  // Scheduler settings - a blank one is removed so the default applies
+  const eventRobots = [...new Set(tournaments.flatMap(tourney => (tourney.matches || []).flatMap(m => [m.competitorA, m.competitorB])).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+
+  // Arenas - the id is made from the first name an arena is given, so renaming
+  // it later keeps its fights and queue
+  const addArena = () => {
+    const name = newArenaName.trim();
+    if (!name) return;
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'arena';
+    const taken = new Set(arenas.map(a => a.arenaId));
+    let arenaId = base;
+    for (let n = 2; taken.has(arenaId); n++) arenaId = `${base}-${n}`;
+    onArenasChange([...arenas, { arenaId, name }]);
+    setNewArenaName('');
+  };
+
+  const renameArena = (arenaId, name) => {
+    onArenasChange(arenas.map(a => (a.arenaId === arenaId ? { ...a, name } : a)));
+  };
+
+  // Tournaments in a removed arena go back to the first one
+  const removeArena = (arenaId) => {
+    onArenasChange(arenas.filter(a => a.arenaId !== arenaId));
+    tournamentUrls
+      .filter(url => tournamentDetails[url]?.arena === arenaId)
+      .forEach(url => onTournamentDetailChange(url, 'arena', null));
+  };
+
+  const setSchedulingValue = (field, value, min) => {
+    const number = field === 'proposalSize' ? parseInt(value) : parseFloat(value);
+    setLocalScheduling(prev => ({ ...prev, [field]: number >= min ? number : undefined }));
+  };
+
+  const setRobotTeam = (robotName, team) => {
+    setLocalScheduling(prev => {
+      const teams = { ...prev.teams };
+      if (team.trim()) teams[robotName] = team;
+      else delete teams[robotName];
+      return { ...prev, teams };
+    });
+  };
+
+  const updateJudge = (index, field, value) => {
+    const updated = [...localJudges];
+    updated[index] = { ...updated[index], [field]: value };
+    setLocalJudges(updated);
+  };
+
+  const addJudge = () => {
+    if (localJudges.length >= 7) return; // Max 7 judges
+    const usedIds = new Set(localJudges.map(j => j.id));
+    let num = localJudges.length + 1;
+    while (usedIds.has(`judge_${num}`)) num++;
+    setLocalJudges([...localJudges, { id: `judge_${num}`, name: `Judge ${num}`, active: true }]);
+  };
+
+  // Only one judge can be head judge - picking the current one clears it
+  const toggleHeadJudge = (index) => {
+    setLocalJudges(localJudges.map((judge, i) => ({
+      ...judge,
+      headJudge: i === index ? !judge.headJudge : false,
+    })));
+  };
+
+  const removeJudge = (index) => {
+    if (localJudges.length <= 1) return; // Min 1 judge
+    setLocalJudges(localJudges.filter((_, i) => i !== index));
+  };
+
+  const activePanelSize = localJudges.filter(j => j.active !== false).length;
+
   const handleScrapeRCE = async () => {
     if (!newRceUrl.trim()) return;
     setIsLoading(true);
@@ -2936,6 +3770,30 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
     }
   };
 
+  // Robots are entered one per line, in seed order
+  const bracketRobots = newBracket.participants.split('\n').map(name => name.trim()).filter(Boolean);
+
+  const handleCreateBracket = async () => {
+    setIsLoading(true);
+    setSyncStatus(null);
+
+    try {
+      const created = await api.createNativeTournament({
+        name: newBracket.name.trim(),
+        tournamentType: newBracket.tournamentType,
+        participants: bracketRobots,
+        bracketReset: newBracket.bracketReset,
+      });
+      await onAddTournament(created.tournament.url);
+      setNewBracket(prev => ({ ...prev, name: '', participants: '' }));
+      setSyncStatus({ success: true, message: `Bracket created: ${created.tournament.url}` });
+    } catch (err) {
+      setSyncStatus({ success: false, message: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleRefreshAll = async () => {
     setIsLoading(true);
     setSyncStatus(null);
@@ -2964,7 +3822,9 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
       onEventNameChange(localEventName.trim());
       onScoringCriteriaChange(localCriteria);
       onDiscordWebhookUrlChange(localDiscordWebhookUrl.trim());
-      await onSaveToServer(localEventId.trim(), localEventName.trim(), localDiscordWebhookUrl.trim());
+      onRepairTimesChange(localRepairTimes);
+      onSchedulingChange(localScheduling);
+      await onSaveToServer(localEventId.trim(), localEventName.trim(), localDiscordWebhookUrl.trim(), null, localRepairTimes, localScheduling);
       setSyncStatus({ success: true, message: 'Event saved! Share the link with judges.' });
     } catch (err) {
       setSyncStatus({ success: false, message: err.message });
@@ -2987,13 +3847,78 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
     setSyncStatus(null);
     
     try {
-      // First save the event to ensure webhook URL is stored
-      await onSaveToServer(localEventId.trim(), localEventName.trim(), localDiscordWebhookUrl.trim());
-      // Then test the webhook
-      await api.testDiscordWebhook(localEventId.trim());
-      setSyncStatus({ success: true, message: 'âœ“ Test message sent to Discord!' });
+      // First save the event to ensure webhook URL is stored
+      await onSaveToServer(localEventId.trim(), localEventName.trim(), localDiscordWebhookUrl.trim());
+      // Then test the webhook
+      await api.testDiscordWebhook(localEventId.trim());
+      setSyncStatus({ success: true, message: 'âœ“ Test message sent to Discord!' });
+    } catch (err) {
+      setSyncStatus({ success: false, message: `Discord test failed: ${err.message}` });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveJudges = async () => {
+    if (!eventId) {
+      setSyncStatus({ success: false, message: 'Save the event first before editing the judge panel' });
+      return;
+    }
+    if (activePanelSize === 0) {
+      setSyncStatus({ success: false, message: 'At least one judge must be active' });
+      return;
+    }
+    
+    setIsLoading(true);
+    setSyncStatus(null);
+    
+    try {
+      const roster = localJudges.map(j => ({ ...j, name: j.name.trim() || j.id }));
+      await onSaveToServer(eventId, eventName, discordWebhookUrl, roster);
+      onJudgesChange(roster);
+      setSyncStatus({ success: true, message: `Judge panel saved (${roster.filter(j => j.active !== false).length} active)` });
+    } catch (err) {
+      setSyncStatus({ success: false, message: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleIssuePin = async (judge) => {
+    if (!eventId) {
+      setSyncStatus({ success: false, message: 'Save the event first before issuing judge PINs' });
+      return;
+    }
+    
+    setIsLoading(true);
+    setSyncStatus(null);
+    
+    try {
+      const result = await api.issueJudgePin(eventId, judge.id, judge.name);
+      setIssuedPins(prev => ({ ...prev, [judge.id]: result.pin }));
+      setJudgePins(await api.getJudgePins(eventId));
+    } catch (err) {
+      setSyncStatus({ success: false, message: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRevokePin = async (judge) => {
+    if (!window.confirm(`Revoke ${judge.name}'s PIN?`)) return;
+    
+    setIsLoading(true);
+    setSyncStatus(null);
+    
+    try {
+      await api.revokeJudgePin(eventId, judge.id);
+      setIssuedPins(prev => {
+        const { [judge.id]: removed, ...rest } = prev;
+        return rest;
+      });
+      setJudgePins(await api.getJudgePins(eventId));
     } catch (err) {
-      setSyncStatus({ success: false, message: `Discord test failed: ${err.message}` });
+      setSyncStatus({ success: false, message: err.message });
     } finally {
       setIsLoading(false);
     }
@@ -3009,7 +3934,7 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
   return (
     <div className="space-y-4">
       <div className={`${t.card} rounded-xl border ${t.cardBorder} p-1 inline-flex gap-1 flex-wrap`}>
-        {['settings', 'tournaments', 'images', 'discord', 'share'].map(tab => (
+        {['settings', 'tournaments', 'judges', 'images', 'discord', 'audit', 'share'].map(tab => (
           <button key={tab} onClick={() => setSelectedTab(tab)}
             className={`px-3 sm:px-4 py-2 rounded-lg text-sm font-semibold capitalize transition-colors ${
               selectedTab === tab ? 'bg-gray-900 text-white' : `${t.textMuted} hover:${t.text}`
@@ -3111,6 +4036,217 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
               Points are split between competitors for each category. Save the event to apply changes.
             </p>
           </div>
+
+          <div className={`pt-4 border-t ${t.divider}`}>
+            <div className="flex justify-between items-center mb-3">
+              <p className={`text-sm font-medium ${t.textMuted}`}>Repair Times</p>
+              <button
+                onClick={addRepairRound}
+                className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200 transition-colors"
+              >
+                + Add Round
+              </button>
+            </div>
+            <div className="space-y-2">
+              <div className={`${t.tableBg} rounded-lg p-3 flex items-center justify-between gap-3`}>
+                <span className={`text-sm ${t.text}`}>Every fight</span>
+                <div className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    min="1"
+                    value={localRepairTimes.defaultMinutes ?? ''}
+                    onChange={(e) => setRepairMinutes('defaultMinutes', null, e.target.value)}
+                    placeholder="20"
+                    className={`w-16 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm text-center`}
+                  />
+                  <span className={`text-xs ${t.textFaint}`}>min</span>
+                </div>
+              </div>
+              {repairWeightClasses.map(weightClass => (
+                <div key={`weight-${weightClass}`} className={`${t.tableBg} rounded-lg p-3 flex items-center justify-between gap-3`}>
+                  <span className={`text-sm ${t.text}`}>{weightClass}</span>
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="1"
+                      value={localRepairTimes.weightClasses?.[weightClass] ?? ''}
+                      onChange={(e) => setRepairMinutes('weightClasses', weightClass, e.target.value)}
+                      placeholder={localRepairTimes.defaultMinutes || 20}
+                      className={`w-16 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm text-center`}
+                    />
+                    <span className={`text-xs ${t.textFaint}`}>min</span>
+                  </div>
+                </div>
+              ))}
+              {tournamentUrls.map(url => (
+                <div key={`tournament-${url}`} className={`${t.tableBg} rounded-lg p-3 flex items-center justify-between gap-3`}>
+                  <span className={`text-sm ${t.text} truncate`}>{tournamentDetails[url]?.displayName || tournaments.find(tourney => tourney.tournament.url === url)?.tournament.name || url}</span>
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="1"
+                      value={localRepairTimes.tournaments?.[url] ?? ''}
+                      onChange={(e) => setRepairMinutes('tournaments', url, e.target.value)}
+                      placeholder={localRepairTimes.weightClasses?.[tournamentDetails[url]?.weightClass] || localRepairTimes.defaultMinutes || 20}
+                      className={`w-16 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm text-center`}
+                    />
+                    <span className={`text-xs ${t.textFaint}`}>min</span>
+                  </div>
+                </div>
+              ))}
+              {(localRepairTimes.rounds || []).map((round, index) => (
+                <div key={`round-${index}`} className={`${t.tableBg} rounded-lg p-3 flex flex-wrap items-center gap-2`}>
+                  <select
+                    value={round.stage}
+                    onChange={(e) => updateRepairRound(index, 'stage', e.target.value)}
+                    className={`px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                  >
+                    <option value="finals">Finals</option>
+                    <option value="winners">Winners round</option>
+                    <option value="losers">Losers round</option>
+                  </select>
+                  {round.stage !== 'finals' && (
+                    <input
+                      type="number"
+                      min="1"
+                      value={round.round}
+                      onChange={(e) => updateRepairRound(index, 'round', Math.max(1, parseInt(e.target.value) || 1))}
+                      title="Round"
+                      className={`w-14 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm text-center`}
+                    />
+                  )}
+                  <select
+                    value={round.tournamentId || ''}
+                    onChange={(e) => updateRepairRound(index, 'tournamentId', e.target.value)}
+                    className={`flex-1 min-w-0 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                  >
+                    <option value="">Every tournament</option>
+                    {tournamentUrls.map(url => (
+                      <option key={url} value={url}>{tournamentDetails[url]?.displayName || url}</option>
+                    ))}
+                  </select>
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="1"
+                      value={round.minutes}
+                      onChange={(e) => updateRepairRound(index, 'minutes', Math.max(1, parseInt(e.target.value) || 1))}
+                      className={`w-16 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm text-center`}
+                    />
+                    <span className={`text-xs ${t.textFaint}`}>min</span>
+                  </div>
+                  <button
+                    onClick={() => removeRepairRound(index)}
+                    className="p-1 text-red-500 hover:bg-red-50 rounded transition-colors"
+                    title="Remove round"
+                  >
+                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              ))}
+            </div>
+            <p className={`text-xs ${t.textFaint} mt-2`}>
+              A robot's repair time is set by its next fight: a matching round wins, then its tournament, then its weight class, then every fight. Leave one blank to use the next. Save the event to apply changes.
+            </p>
+          </div>
+
+          <div className={`pt-4 border-t ${t.divider}`}>
+            <p className={`text-sm font-medium ${t.textMuted} mb-3`}>Arenas</p>
+            <div className="space-y-2">
+              {arenas.map(arena => (
+                <div key={arena.arenaId} className={`${t.tableBg} rounded-lg p-3 flex items-center gap-3`}>
+                  <input
+                    type="text"
+                    value={arena.name}
+                    onChange={(e) => renameArena(arena.arenaId, e.target.value)}
+                    className={`flex-1 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                  />
+                  <span className={`text-xs ${t.textFaint} font-mono`}>{arena.arenaId}</span>
+                  {arenas.length > 1 && (
+                    <button
+                      onClick={() => removeArena(arena.arenaId)}
+                      className="p-1 text-red-500 hover:bg-red-50 rounded transition-colors"
+                      title="Remove arena"
+                    >
+                      <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={newArenaName}
+                onChange={(e) => setNewArenaName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addArena()}
+                placeholder="New arena name"
+                className={`flex-1 px-3 py-1.5 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+              />
+              <button
+                onClick={addArena}
+                disabled={!newArenaName.trim()}
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+              >
+                Add Arena
+              </button>
+            </div>
+            <p className={`text-xs ${t.textFaint} mt-2`}>
+              Each arena has its own fight in progress and its own queue. Pick each tournament's arena under Tournaments - a tournament without one fights in the first arena, and single fights can be moved from the Queue view. Save the event to apply changes.
+            </p>
+          </div>
+
+          <div className={`pt-4 border-t ${t.divider}`}>
+            <p className={`text-sm font-medium ${t.textMuted} mb-3`}>Fight Scheduling</p>
+            <div className="space-y-2">
+              {[
+                { field: 'fightMinutes', label: 'Each fight, with robots in and out', placeholder: '5', min: 0.5, unit: 'min' },
+                { field: 'changeoverMinutes', label: 'Arena reset between weight classes', placeholder: '0', min: 0, unit: 'min' },
+                { field: 'proposalSize', label: 'Fights to propose', placeholder: '8', min: 1, unit: 'fights' },
+              ].map(({ field, label, placeholder, min, unit }) => (
+                <div key={field} className={`${t.tableBg} rounded-lg p-3 flex items-center justify-between gap-3`}>
+                  <span className={`text-sm ${t.text}`}>{label}</span>
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min={min}
+                      value={localScheduling[field] ?? ''}
+                      onChange={(e) => setSchedulingValue(field, e.target.value, min)}
+                      placeholder={placeholder}
+                      className={`w-16 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm text-center`}
+                    />
+                    <span className={`text-xs ${t.textFaint}`}>{unit}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+            {eventRobots.length > 0 && (
+              <>
+                <p className={`text-xs font-semibold ${t.textFaint} uppercase tracking-wide mt-4 mb-2`}>Teams</p>
+                <div className="max-h-64 overflow-y-auto space-y-1">
+                  {eventRobots.map(robotName => (
+                    <div key={robotName} className="flex items-center gap-2">
+                      <span className={`flex-1 min-w-0 truncate text-sm ${t.text}`}>{robotName}</span>
+                      <input
+                        type="text"
+                        value={localScheduling.teams?.[robotName] ?? ''}
+                        onChange={(e) => setRobotTeam(robotName, e.target.value)}
+                        placeholder="Team"
+                        className={`w-40 px-2 py-1 rounded border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+            <p className={`text-xs ${t.textFaint} mt-2`}>
+              The queue's scheduler plans around repair times, keeps a team from fighting twice in a row and keeps every bracket moving. Save the event to apply changes.
+            </p>
+          </div>
         </div>
       )}
 
@@ -3148,19 +4284,73 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
               </button>
             </div>
             <p className={`text-xs ${t.textFaint} mt-1`}>
-              Enter the tournament URL slug from challonge.com/YOUR_URL_HERE
+              Enter the tournament URL slug from challonge.com/YOUR_URL_HERE, or a start.gg event as startgg-TOURNAMENT--EVENT (from start.gg/tournament/TOURNAMENT/event/EVENT)
             </p>
           </div>
 
+          <div className={`${t.tableBg} rounded-lg p-4 space-y-3`}>
+            <div>
+              <h4 className={`font-semibold ${t.text}`}>Create Bracket Without Challonge</h4>
+              <p className={`text-xs ${t.textFaint} mt-1`}>
+                Runs the bracket on this server - for test-and-tune nights, or when Challonge is down. Results advance it just like a Challonge bracket.
+              </p>
+            </div>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                value={newBracket.name}
+                onChange={(e) => setNewBracket(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Bracket name, e.g. Beetleweight Test Night"
+                className={`flex-1 px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+              />
+              <select
+                value={newBracket.tournamentType}
+                onChange={(e) => setNewBracket(prev => ({ ...prev, tournamentType: e.target.value }))}
+                className={`px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text}`}
+              >
+                <option value="double elimination">Double elimination</option>
+                <option value="single elimination">Single elimination</option>
+                <option value="round robin">Round robin</option>
+              </select>
+            </div>
+            <textarea
+              value={newBracket.participants}
+              onChange={(e) => setNewBracket(prev => ({ ...prev, participants: e.target.value }))}
+              placeholder="Robots, one per line, top seed first"
+              rows={5}
+              className={`w-full px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+            />
+            <div className="flex flex-wrap justify-between items-center gap-2">
+              {newBracket.tournamentType === 'double elimination' ? (
+                <label className={`flex items-center gap-2 text-sm ${t.textMuted}`}>
+                  <input
+                    type="checkbox"
+                    checked={newBracket.bracketReset}
+                    onChange={(e) => setNewBracket(prev => ({ ...prev, bracketReset: e.target.checked }))}
+                  />
+                  Grand final bracket reset
+                </label>
+              ) : <span />}
+              <button
+                onClick={handleCreateBracket}
+                disabled={isLoading || !newBracket.name.trim() || bracketRobots.length < 2}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+              >
+                {isLoading ? 'Creating...' : `Create Bracket (${bracketRobots.length} robots)`}
+              </button>
+            </div>
+          </div>
+
           {tournamentUrls.length > 0 ? (
             <div className="space-y-2">
               {tournamentUrls.map((url) => {
                 const tourneyData = tournaments.find(t => t.tournament.url === url);
+                const details = tournamentDetails[url] || {};
                 return (
                   <div key={url} className={`${t.tableBg} rounded-lg p-4 flex justify-between items-center`}>
-                    <div>
+                    <div className="flex-1 min-w-0">
                       <p className={`font-semibold ${t.text}`}>
-                        {tourneyData?.tournament.name || url}
+                        {details.displayName || tourneyData?.tournament.name || url}
                       </p>
                       <p className={`text-xs ${t.textFaint}`}>{url}</p>
                       {tourneyData && (
@@ -3168,6 +4358,28 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
                           Status: {tourneyData.tournament.status} â€¢ {tourneyData.matches?.length || 0} matches
                         </p>
                       )}
+                      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-2">
+                        {[['displayName', 'Display name'], ['weightClass', 'Weight class']].map(([field, label]) => (
+                          <input
+                            key={field}
+                            type="text"
+                            value={details[field] || ''}
+                            onChange={(e) => onTournamentDetailChange(url, field, e.target.value)}
+                            placeholder={label}
+                            title={label}
+                            className={`w-full px-3 py-1.5 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                          />
+                        ))}
+                        <select
+                          value={arenas.some(a => a.arenaId === details.arena) ? details.arena : ''}
+                          onChange={(e) => onTournamentDetailChange(url, 'arena', e.target.value || null)}
+                          title="Arena"
+                          className={`w-full px-3 py-1.5 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                        >
+                          <option value="">{arenas[0].name} (first arena)</option>
+                          {arenas.map(arena => <option key={arena.arenaId} value={arena.arenaId}>{arena.name}</option>)}
+                        </select>
+                      </div>
                     </div>
                     <button 
                       onClick={() => onRemoveTournament(url)}
@@ -3191,6 +4403,117 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
         </div>
       )}
 
+      {selectedTab === 'judges' && (
+        <div className={`${t.card} rounded-xl border ${t.cardBorder} p-5 space-y-5`}>
+          <h3 className={`font-bold ${t.text}`}>Judge Panel</h3>
+          
+          <div className={`${t.tableBg} rounded-lg p-4`}>
+            <p className={`text-sm ${t.textMuted}`}>
+              A match is finalized once every active judge has scored it, and a KO needs a majority of the active panel ({Math.floor(activePanelSize / 2) + 1} of {activePanelSize}).
+              Each judge logs in from the judge link with their own PIN. A PIN is only shown once - issue a new one if it's lost. Revoking a PIN stops new logins with it.
+              When the judges disagree (split KOs, a KO against a points card, or scores far apart on a category) the result is held until the head judge, or an admin, confirms or overrides it.
+            </p>
+          </div>
+
+          {!eventId ? (
+            <div className={`${t.tableBg} rounded-lg p-6 text-center`}>
+              <p className={t.textMuted}>Save the event first to set up the judge panel</p>
+            </div>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {localJudges.map((judge, index) => {
+                  const hasPin = judgePins.some(p => p.judgeId === judge.id);
+                  const isSaved = (judges || DEFAULT_JUDGES).some(j => j.id === judge.id);
+                  return (
+                    <div key={judge.id} className={`${t.tableBg} rounded-lg p-4 flex flex-wrap justify-between items-center gap-3`}>
+                      <div className="flex items-center gap-3 flex-1 min-w-0">
+                        <input
+                          type="checkbox"
+                          checked={judge.active !== false}
+                          onChange={(e) => updateJudge(index, 'active', e.target.checked)}
+                          title="Active on the panel"
+                          className="w-4 h-4"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <input
+                            type="text"
+                            value={judge.name}
+                            onChange={(e) => updateJudge(index, 'name', e.target.value)}
+                            className={`w-full px-3 py-1.5 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+                          />
+                          {issuedPins[judge.id] ? (
+                            <p className="text-lg font-mono font-bold tracking-widest text-green-600 mt-1">{issuedPins[judge.id]}</p>
+                          ) : (
+                            <p className={`text-xs ${t.textFaint} mt-1`}>
+                              {!isSaved ? 'Save the panel to issue a PIN' : hasPin ? 'PIN issued' : 'No PIN yet'}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => toggleHeadJudge(index)}
+                          className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                            judge.headJudge ? 'bg-amber-500 text-white' : `border ${t.cardBorder} ${t.textMuted} ${t.hoverBg}`
+                          }`}
+                          title="The head judge resolves disagreements between judges"
+                        >
+                          Head
+                        </button>
+                        {hasPin && (
+                          <button
+                            onClick={() => handleRevokePin(judge)}
+                            disabled={isLoading}
+                            className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                          >
+                            Revoke
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleIssuePin(judge)}
+                          disabled={isLoading || !isSaved}
+                          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+                        >
+                          {hasPin ? 'New PIN' : 'Issue PIN'}
+                        </button>
+                        <button
+                          onClick={() => removeJudge(index)}
+                          disabled={localJudges.length <= 1}
+                          className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-30"
+                          title="Remove judge"
+                        >
+                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={addJudge}
+                  disabled={localJudges.length >= 7}
+                  className={`px-4 py-2 rounded-lg border ${t.cardBorder} ${t.text} text-sm font-medium ${t.hoverBg} transition-colors disabled:opacity-50`}
+                >
+                  + Add Judge
+                </button>
+                <button
+                  onClick={handleSaveJudges}
+                  disabled={isLoading}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+                >
+                  Save Judge Panel
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {selectedTab === 'images' && (
         <div className={`${t.card} rounded-xl border ${t.cardBorder} p-5 space-y-5`}>
           <h3 className={`font-bold ${t.text}`}>Robot Images</h3>
@@ -3277,7 +4600,7 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
           
           <div className={`${t.tableBg} rounded-lg p-4`}>
             <p className={`text-sm ${t.textMuted}`}>
-              Get real-time match results posted to your Discord server! When a match is finalized by all 3 judges, a notification will be automatically sent.
+              Get real-time match results posted to your Discord server! When a match is finalized by the full judge panel, a notification will be automatically sent.
             </p>
           </div>
 
@@ -3333,7 +4656,7 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
                 <span className="text-lg">3ï¸âƒ£</span>
                 <div>
                   <p className={`text-sm ${t.text}`}>Match results posted automatically</p>
-                  <p className={`text-xs ${t.textFaint}`}>Winner, loser, score, and KO/Decision status</p>
+                  <p className={`text-xs ${t.textFaint}`}>Winner, loser, score, and how the match was won</p>
                 </div>
               </div>
             </div>
@@ -3353,6 +4676,73 @@ const AdminDashboardView = ({ eventId, eventName, tournamentUrls, tournaments, s
         </div>
       )}
       
+      {selectedTab === 'audit' && (
+        <div className={`${t.card} rounded-xl border ${t.cardBorder} p-5 space-y-5`}>
+          <div>
+            <h3 className={`font-bold ${t.text}`}>Audit Log</h3>
+            <p className={`text-sm ${t.textMuted}`}>
+              Every score, finalization, reopen, active match, repair reset and queue change, newest first.
+            </p>
+          </div>
+
+          <form
+            onSubmit={(e) => { e.preventDefault(); loadAuditLog(auditFilters); }}
+            className="flex flex-wrap gap-2"
+          >
+            <input
+              type="text"
+              value={auditFilters.matchId}
+              onChange={(e) => setAuditFilters({ ...auditFilters, matchId: e.target.value.trim() })}
+              placeholder="Match ID"
+              className={`w-36 px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+            />
+            <input
+              type="text"
+              value={auditFilters.robot}
+              onChange={(e) => setAuditFilters({ ...auditFilters, robot: e.target.value })}
+              placeholder="Robot name"
+              className={`flex-1 min-w-[10rem] px-3 py-2 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-sm`}
+            />
+            <button
+              type="submit"
+              disabled={isAuditLoading || !eventId}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold transition-colors disabled:opacity-50"
+            >
+              {isAuditLoading ? 'Loading...' : 'Filter'}
+            </button>
+          </form>
+
+          {auditEntries.length === 0 ? (
+            <p className={`text-sm ${t.textFaint}`}>{isAuditLoading ? 'Loading...' : 'No audit entries found.'}</p>
+          ) : (
+            <div className="space-y-2">
+              {auditEntries.map(entry => (
+                <div key={entry.id} className={`${t.tableBg} rounded-lg p-3 text-sm`}>
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <span className={`font-mono font-semibold ${t.text}`}>{entry.action}</span>
+                    <span className={`text-xs ${t.textFaint}`}>{new Date(entry.createdAt).toLocaleString()}</span>
+                  </div>
+                  <div className={`text-xs ${t.textMuted} mt-1`}>
+                    {entry.actorName || entry.actorRole || 'unknown'}
+                    {entry.matchId && <> · Match {entry.matchId}</>}
+                    {entry.robots.length > 0 && <> · {entry.robots.join(' vs ')}</>}
+                  </div>
+                  {(entry.before || entry.after) && (
+                    <details className="mt-2">
+                      <summary className={`text-xs cursor-pointer ${t.textFaint}`}>Before / after</summary>
+                      <div className="grid sm:grid-cols-2 gap-2 mt-2">
+                        <pre className={`text-xs ${t.text} overflow-x-auto`}>{JSON.stringify(entry.before, null, 2)}</pre>
+                        <pre className={`text-xs ${t.text} overflow-x-auto`}>{JSON.stringify(entry.after, null, 2)}</pre>
+                      </div>
+                    </details>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {selectedTab === 'share' && (
         <div className={`${t.card} rounded-xl border ${t.cardBorder} p-5 space-y-5`}>
           <h3 className={`font-bold ${t.text}`}>Share Event</h3>
@@ -3466,7 +4856,10 @@ export default function TournamentJudgingApp() {
   const [view, setView] = useState('public');
   const [selectedMatch, setSelectedMatch] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
-  const [showJudgeSelect, setShowJudgeSelect] = useState(false);
+  const [loginRole, setLoginRole] = useState(null); // 'judge' | 'admin' while the login modal is open
+  const [loginSecret, setLoginSecret] = useState('');
+  const [loginError, setLoginError] = useState(null);
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
   
   const [darkMode, setDarkMode] = useState(() => {
     const saved = localStorage.getItem(STORAGE_KEYS.DARK_MODE);
@@ -3476,12 +4869,18 @@ export default function TournamentJudgingApp() {
   const [eventId, setEventId] = useState('');
   const [eventName, setEventName] = useState('');
   const [tournamentUrls, setTournamentUrls] = useState([]);
+  // { [tournamentId]: { idType, displayName, weightClass, arena } } - saved with the event
+  const [tournamentDetails, setTournamentDetails] = useState({});
   const [tournaments, setTournaments] = useState([]);
   const [scoringCriteria, setScoringCriteria] = useState(DEFAULT_SCORING_CRITERIA);
   const [robotImages, setRobotImages] = useState({});
   const [discordWebhookUrl, setDiscordWebhookUrl] = useState('');
+  const [judges, setJudges] = useState(DEFAULT_JUDGES);
+  const [repairTimes, setRepairTimes] = useState(null);
+  const [scheduling, setScheduling] = useState(null);
+  const [arenas, setArenas] = useState(DEFAULT_ARENAS);
+  const [matchArenas, setMatchArenas] = useState([]);
   const [activeMatches, setActiveMatches] = useState({});
-  const [repairResets, setRepairResets] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [eventLoaded, setEventLoaded] = useState(false);
@@ -3505,31 +4904,76 @@ export default function TournamentJudgingApp() {
     localStorage.setItem(STORAGE_KEYS.DARK_MODE, JSON.stringify(darkMode));
   }, [darkMode]);
 
-  // Load active matches and repair resets when event is loaded
+  // Restore a saved judge/admin session
+  useEffect(() => {
+    const restoreSession = async () => {
+      if (!localStorage.getItem(STORAGE_KEYS.SESSION_TOKEN)) return;
+      const session = await api.getSession().catch(() => null);
+      if (session?.user) {
+        const { user } = session;
+        setCurrentUser({ id: user.judgeId || user.role, role: user.role, name: user.name, eventId: user.eventId });
+      } else {
+        localStorage.removeItem(STORAGE_KEYS.SESSION_TOKEN);
+      }
+    };
+
+    restoreSession();
+  }, []);
+
+  // Load active matches when event is loaded - views load their own repair timers
   const loadActiveMatches = useCallback(async () => {
     if (!eventId) return;
     try {
-      const [matches, resets] = await Promise.all([
-        api.getActiveMatches(eventId),
-        api.getRepairResets(eventId)
-      ]);
-      setActiveMatches(matches);
-      setRepairResets(resets);
+      setActiveMatches(await api.getActiveMatches(eventId));
     } catch (err) {
       console.error('Failed to load active matches:', err);
     }
   }, [eventId]);
 
-  // Poll for active matches every 5 seconds on spectator site
+  // Matches sent to a different arena than their tournament's
+  const loadMatchArenas = useCallback(async () => {
+    if (!eventId) return;
+    try {
+      setMatchArenas(await api.getMatchArenas(eventId));
+    } catch (err) {
+      console.error('Failed to load match arenas:', err);
+    }
+  }, [eventId]);
+
+  const getMatchArena = useMemo(
+    () => createArenaLookup(arenas, tournamentDetails, matchArenas),
+    [arenas, tournamentDetails, matchArenas]
+  );
+
+  // Live updates - results refresh the brackets, everything else the active matches
+  const isLive = useEventStream(eventId, (type) => {
+    if (type === 'connected' || type === 'active-match') {
+      loadActiveMatches();
+    }
+    if (type === 'connected' || type === 'match-arena') {
+      loadMatchArenas();
+    }
+    if (type === 'match-finalized' || type === 'match-updated') {
+      loadActiveMatches();
+      loadAllTournaments({ silent: true });
+    }
+  });
+
+  // Poll for active matches while the live stream is down
   useEffect(() => {
     if (!eventId) return;
     
     loadActiveMatches();
+    loadMatchArenas();
+    if (isLive) return;
     
     // Poll more frequently on spectator site for real-time updates
-    const interval = setInterval(loadActiveMatches, isSpectatorDomain ? 3000 : 10000);
+    const interval = setInterval(() => {
+      loadActiveMatches();
+      loadMatchArenas();
+    }, isSpectatorDomain ? 3000 : 10000);
     return () => clearInterval(interval);
-  }, [eventId, loadActiveMatches, isSpectatorDomain]);
+  }, [eventId, loadActiveMatches, loadMatchArenas, isSpectatorDomain, isLive]);
 
   useEffect(() => {
     const loadEventFromUrl = async () => {
@@ -3542,9 +4986,14 @@ export default function TournamentJudgingApp() {
             setEventId(eventData.eventId);
             setEventName(eventData.name || eventData.eventId);
             setTournamentUrls(eventData.tournaments || []);
+            setTournamentDetails(Object.fromEntries((eventData.tournamentDetails || []).map(d => [d.tournamentId, d])));
             setScoringCriteria(eventData.scoringCriteria || DEFAULT_SCORING_CRITERIA);
             setRobotImages(eventData.robotImages || {});
             setDiscordWebhookUrl(eventData.discordWebhookUrl || '');
+            setJudges(eventData.judges || DEFAULT_JUDGES);
+            setRepairTimes(eventData.repairTimes || null);
+            setScheduling(eventData.scheduling || null);
+            setArenas(eventData.arenas?.length > 0 ? eventData.arenas : DEFAULT_ARENAS);
             setEventLoaded(true);
           }
         } catch (err) {
@@ -3558,21 +5007,21 @@ export default function TournamentJudgingApp() {
     loadEventFromUrl();
   }, [eventLoaded]);
 
-  const loadAllTournaments = useCallback(async () => {
+  // silent: refresh in the background without the loading screen (live updates)
+  const loadAllTournaments = useCallback(async ({ silent = false } = {}) => {
     if (tournamentUrls.length === 0) {
       setTournaments([]);
       return;
     }
 
-    setIsLoading(true);
+    if (!silent) setIsLoading(true);
     setError(null);
 
     try {
       const results = await Promise.all(
         tournamentUrls.map(async (url) => {
           try {
-            const data = await api.getTournament(url);
-            return transformChallongeData(data, url);
+            return await api.getTournament(url);
           } catch (err) {
             console.error(`Failed to load tournament ${url}:`, err);
             return null;
@@ -3584,7 +5033,7 @@ export default function TournamentJudgingApp() {
     } catch (err) {
       setError(err.message);
     } finally {
-      setIsLoading(false);
+      if (!silent) setIsLoading(false);
     }
   }, [tournamentUrls]);
 
@@ -3600,19 +5049,30 @@ export default function TournamentJudgingApp() {
     }
 
     const data = await api.getTournament(url);
-    const transformed = transformChallongeData(data, url);
 
     setTournamentUrls(prev => [...prev, url]);
-    setTournaments(prev => [...prev, transformed]);
+    setTournaments(prev => [...prev, data]);
   };
 
   const removeTournament = (url) => {
     setTournamentUrls(prev => prev.filter(u => u !== url));
     setTournaments(prev => prev.filter(t => t.tournament.url !== url));
+    setTournamentDetails(prev => {
+      const { [url]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const updateTournamentDetail = (url, field, value) => {
+    setTournamentDetails(prev => ({ ...prev, [url]: { ...prev[url], [field]: value } }));
   };
 
-  const saveToServer = async (id, name, webhookUrl) => {
-    await api.saveEvent(id, name, tournamentUrls, scoringCriteria, robotImages, webhookUrl || discordWebhookUrl);
+  const saveToServer = async (id, name, webhookUrl, judgeRoster, repairSettings, schedulingSettings) => {
+    const eventTournaments = tournamentUrls.map(url => ({ ...tournamentDetails[url], tournamentId: url }));
+    await api.saveEvent(
+      id, name, eventTournaments, scoringCriteria, robotImages, webhookUrl || discordWebhookUrl,
+      judgeRoster || judges, repairSettings || repairTimes, schedulingSettings || scheduling, arenas,
+    );
     setUrlParam('event', id);
   };
 
@@ -3629,68 +5089,112 @@ export default function TournamentJudgingApp() {
     setTimeout(() => loadAllTournaments(), 1000);
   }, [loadAllTournaments, loadActiveMatches]);
 
-  // Start a match (mark as "Now Fighting")
-  const handleStartMatch = async (tournamentId, matchId) => {
+  // Start a match (mark as "Now Fighting") in an arena - its assigned arena if left out
+  const handleStartMatch = async (tournamentId, matchId, arenaId) => {
     if (!eventId) return;
     try {
-      await api.setActiveMatch(eventId, tournamentId, String(matchId));
+      await api.setActiveMatch(eventId, tournamentId, String(matchId), arenaId);
       await loadActiveMatches();
     } catch (err) {
       console.error('Failed to start match:', err);
     }
   };
 
-  // End a match (clear "Now Fighting" status)
-  const handleEndMatch = async (tournamentId) => {
+  // End the match in an arena (clear "Now Fighting" status)
+  const handleEndMatch = async (arenaId) => {
     if (!eventId) return;
     try {
-      await api.clearActiveMatch(eventId, tournamentId);
+      await api.clearActiveMatch(eventId, arenaId);
       await loadActiveMatches();
     } catch (err) {
       console.error('Failed to end match:', err);
     }
   };
 
-  // Reset a robot's repair timer (restart 20 min countdown)
+  // Send a match to an arena - back to its tournament's arena clears the assignment
+  const handleMoveMatch = async (match, arenaId) => {
+    if (!eventId) return;
+    try {
+      if (createArenaLookup(arenas, tournamentDetails, [])(match) === arenaId) {
+        await api.clearMatchArena(eventId, match.tournamentUrl, String(match.id));
+      } else {
+        await api.setMatchArena(eventId, match.tournamentUrl, String(match.id), arenaId);
+      }
+      await loadMatchArenas();
+    } catch (err) {
+      console.error('Failed to move match:', err);
+    }
+  };
+
+  // Reset a robot's repair timer (restart its countdown) - the views' timers
+  // pick it up from the repair-reset stream event
   const handleResetRepairTimer = async (robotName) => {
     if (!eventId) return;
     try {
       await api.resetRepairTimer(eventId, robotName);
-      await loadActiveMatches(); // This also loads repair resets
     } catch (err) {
       console.error('Failed to reset repair timer:', err);
     }
   };
 
+  // Check a robot in from the pits, or clear its check-in with a null status
+  const handleCheckInRobot = async (robotName, status) => {
+    if (!eventId) return;
+    try {
+      if (status) {
+        await api.checkInRobot(eventId, robotName, status);
+      } else {
+        await api.clearCheckIn(eventId, robotName);
+      }
+    } catch (err) {
+      console.error('Failed to check in robot:', err);
+    }
+  };
+
  if (isDemo) return <SCARDemo />;
 
-const availableJudges = [
-    { id: 'judge_1', name: 'Judge 1' },
-    { id: 'judge_2', name: 'Judge 2' },
-    { id: 'judge_3', name: 'Judge 3' },
-  ];
-  
-  const handleLogin = (role, judgeData = null) => {
-    if (role === 'judge' && !judgeData) {
-      setShowJudgeSelect(true);
-      return;
-    }
+  // Open the judge or admin view, asking for a PIN/password if there's no session yet
+  const handleLogin = (role) => {
+    const hasSession = currentUser && (
+      currentUser.role === 'admin' || (role === 'judge' && currentUser.eventId === eventId)
+    );
     
-    if (role === 'judge' && judgeData) {
-      setCurrentUser({ id: judgeData.id, role: 'judge', name: judgeData.name });
-      setShowJudgeSelect(false);
-      setView('judge');
+    if (hasSession) {
+      setView(role);
       return;
     }
     
-    setCurrentUser({ id: `admin_${Date.now()}`, role: 'admin', name: 'Admin User' });
-    setView('admin');
+    setLoginRole(role);
+    setLoginSecret('');
+    setLoginError(null);
+  };
+  
+  const handleLoginSubmit = async () => {
+    setIsLoggingIn(true);
+    setLoginError(null);
+    
+    try {
+      const { token, user } = loginRole === 'judge'
+        ? await api.loginJudge(eventId, loginSecret.trim())
+        : await api.loginAdmin(loginSecret);
+      
+      localStorage.setItem(STORAGE_KEYS.SESSION_TOKEN, token);
+      setCurrentUser({ id: user.judgeId || user.role, role: user.role, name: user.name, eventId: user.eventId });
+      setView(loginRole);
+      setLoginRole(null);
+      setLoginSecret('');
+    } catch (err) {
+      setLoginError(err.message);
+    } finally {
+      setIsLoggingIn(false);
+    }
   };
   
   const handleLogout = () => {
+    localStorage.removeItem(STORAGE_KEYS.SESSION_TOKEN);
     setCurrentUser(null);
     setView('public');
-    setShowJudgeSelect(false);
+    setLoginRole(null);
   };
   
   return (
@@ -3756,7 +5260,7 @@ const availableJudges = [
             
             {/* Desktop Navigation */}
             <nav className="hidden sm:flex items-center gap-1">
-              <button onClick={() => { setView('public'); setCurrentUser(null); }}
+              <button onClick={() => setView('public')}
                 className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
                   view === 'public' ? `${t.activeBg} ${t.text}` : `${t.textMuted}`
                 }`}>
@@ -3796,7 +5300,7 @@ const availableJudges = [
 
             {/* Mobile Navigation */}
             <nav className="flex sm:hidden items-center gap-1">
-              <button onClick={() => { setView('public'); setCurrentUser(null); }}
+              <button onClick={() => setView('public')}
                 className={`px-2 py-1.5 rounded-md text-xs font-medium transition-colors ${
                   view === 'public' ? `${t.activeBg} ${t.text}` : `${t.textMuted}`
                 }`}>
@@ -3919,7 +5423,7 @@ const availableJudges = [
             onMatchClick={setSelectedMatch} 
             robotImages={robotImages}
             activeMatches={activeMatches}
-            repairResets={repairResets}
+            eventId={eventId}
             theme={theme} 
           />
         )}
@@ -3929,7 +5433,8 @@ const availableJudges = [
             tournaments={tournaments} 
             robotImages={robotImages}
             activeMatches={activeMatches}
-            repairResets={repairResets}
+            arenas={arenas}
+            getMatchArena={getMatchArena}
             eventId={eventId}
             theme={theme} 
           />
@@ -3952,11 +5457,14 @@ const availableJudges = [
             onStartMatch={handleStartMatch}
             onEndMatch={handleEndMatch}
             onResetRepairTimer={handleResetRepairTimer}
+            onCheckInRobot={handleCheckInRobot}
             scoringCriteria={scoringCriteria}
             robotImages={robotImages}
             activeMatches={activeMatches}
-            repairResets={repairResets}
+            arenas={arenas}
+            getMatchArena={getMatchArena}
             eventId={eventId}
+            judges={judges}
             theme={theme} 
           />
         )}
@@ -3967,7 +5475,9 @@ const availableJudges = [
             eventId={eventId}
             robotImages={robotImages}
             activeMatches={activeMatches}
-            repairResets={repairResets}
+            arenas={arenas}
+            getMatchArena={getMatchArena}
+            onMoveMatch={handleMoveMatch}
             theme={theme}
           />
         )}
@@ -3977,20 +5487,30 @@ const availableJudges = [
             eventId={eventId}
             eventName={eventName}
             tournamentUrls={tournamentUrls}
+            tournamentDetails={tournamentDetails}
             tournaments={tournaments}
             scoringCriteria={scoringCriteria}
             robotImages={robotImages}
             discordWebhookUrl={discordWebhookUrl}
+            judges={judges}
+            repairTimes={repairTimes}
+            scheduling={scheduling}
+            arenas={arenas}
             onEventIdChange={setEventId}
             onEventNameChange={setEventName}
             onAddTournament={addTournament}
             onRemoveTournament={removeTournament}
+            onTournamentDetailChange={updateTournamentDetail}
             onRefreshAll={loadAllTournaments}
             onSaveToServer={saveToServer}
             onCopyLink={copyLink}
             onScoringCriteriaChange={setScoringCriteria}
             onRobotImagesChange={setRobotImages}
             onDiscordWebhookUrlChange={setDiscordWebhookUrl}
+            onJudgesChange={setJudges}
+            onRepairTimesChange={setRepairTimes}
+            onSchedulingChange={setScheduling}
+            onArenasChange={setArenas}
             theme={theme} 
           />
         )}
@@ -4017,38 +5537,54 @@ const availableJudges = [
           match={selectedMatch}
           onClose={() => setSelectedMatch(null)} 
           robotImages={robotImages}
+          judgeRoster={judges}
+          scoringCriteria={scoringCriteria}
           theme={theme} 
         />
       )}
 
-      {showJudgeSelect && (
+      {loginRole && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
-          <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={() => setShowJudgeSelect(false)} />
+          <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={() => setLoginRole(null)} />
           <div className={`relative w-full max-w-sm ${t.card} rounded-2xl border ${t.cardBorder} shadow-2xl overflow-hidden`}>
             <div className={`px-5 py-4 border-b ${t.divider}`}>
-              <h2 className={`text-lg font-bold ${t.text}`}>Select Your Judge Position</h2>
-              <p className={`text-sm ${t.textMuted} mt-1`}>Choose which judge you are</p>
-            </div>
-            <div className="p-5 space-y-3">
-              {availableJudges.map(judge => (
-                <button
-                  key={judge.id}
-                  onClick={() => handleLogin('judge', judge)}
-                  className={`w-full p-4 rounded-xl border-2 ${t.cardBorder} ${t.hoverBg} transition-all text-left flex items-center gap-4`}
-                >
-                  <div className="w-12 h-12 rounded-full bg-blue-100 flex items-center justify-center">
-                    <span className="text-xl font-bold text-blue-600">{judge.name.split(' ')[1]}</span>
-                  </div>
-                  <div>
-                    <p className={`font-semibold ${t.text}`}>{judge.name}</p>
-                    <p className={`text-sm ${t.textMuted}`}>Click to login</p>
-                  </div>
-                </button>
-              ))}
+              <h2 className={`text-lg font-bold ${t.text}`}>{loginRole === 'judge' ? 'Judge Login' : 'Admin Login'}</h2>
+              <p className={`text-sm ${t.textMuted} mt-1`}>
+                {loginRole === 'judge' ? 'Enter the PIN the event admin gave you' : 'Enter the admin password'}
+              </p>
             </div>
+            <form
+              className="p-5 space-y-3"
+              onSubmit={(e) => { e.preventDefault(); handleLoginSubmit(); }}
+            >
+              {loginRole === 'judge' && !eventId ? (
+                <p className={`text-sm ${t.textMuted}`}>Open the judge link for your event first.</p>
+              ) : (
+                <input
+                  type={loginRole === 'judge' ? 'text' : 'password'}
+                  inputMode={loginRole === 'judge' ? 'numeric' : undefined}
+                  autoComplete={loginRole === 'judge' ? 'one-time-code' : 'current-password'}
+                  value={loginSecret}
+                  onChange={(e) => setLoginSecret(e.target.value)}
+                  placeholder={loginRole === 'judge' ? '6-digit PIN' : 'Password'}
+                  autoFocus
+                  className={`w-full px-3 py-3 rounded-lg border ${t.inputBorder} ${t.inputBg} ${t.text} text-center text-lg tracking-widest focus:ring-2 focus:ring-blue-500 focus:border-blue-500`}
+                />
+              )}
+              {loginError && (
+                <p className="text-sm text-red-500 text-center">{loginError}</p>
+              )}
+              <button
+                type="submit"
+                disabled={isLoggingIn || !loginSecret || (loginRole === 'judge' && !eventId)}
+                className="w-full py-3 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition-colors disabled:opacity-50"
+              >
+                {isLoggingIn ? 'Logging in...' : 'Login'}
+              </button>
+            </form>
             <div className={`px-5 py-3 border-t ${t.divider} ${t.tableBg}`}>
               <button
-                onClick={() => setShowJudgeSelect(false)}
+                onClick={() => setLoginRole(null)}
                 className={`w-full py-2 rounded-lg border ${t.cardBorder} ${t.text} font-semibold ${t.hoverBg} transition-colors`}
               >
                 Cancel
@@ -0,0 +1,62 @@
+// server/arenas.js
+// Arenas - an event can run fights in more than one arena at once, each with its
+// own fight in progress and its own queue. A tournament fights in one arena, and a
+// single match can be sent to a different one. An event that never set up arenas
+// has just the main arena.
+
+const DEFAULT_ARENA = { arenaId: 'main', name: 'Main Arena' };
+
+const MAX_ARENA_ID_LENGTH = 100;
+const MAX_ARENA_NAME_LENGTH = 255;
+
+const matchKey = ({ tournamentId, matchId }) => `${tournamentId}:${matchId}`;
+
+// Check an event's arena list, returns an error message or null
+//   [{ arenaId, name? }] in order - the name is the id if left out
+function validateArenas(arenas) {
+  if (!Array.isArray(arenas)) return 'arenas must be an array';
+  const seen = new Set();
+  for (const arena of arenas) {
+    if (!arena || typeof arena.arenaId !== 'string' || arena.arenaId.trim() === '') return 'Each arena needs an arenaId';
+    if (arena.arenaId.trim().length > MAX_ARENA_ID_LENGTH) return `An arenaId can be at most ${MAX_ARENA_ID_LENGTH} characters`;
+    if (arena.name != null && (typeof arena.name !== 'string' || arena.name.length > MAX_ARENA_NAME_LENGTH)) {
+      return `An arena name must be a string of at most ${MAX_ARENA_NAME_LENGTH} characters`;
+    }
+    if (seen.has(arena.arenaId.trim())) return `Arena ${arena.arenaId.trim()} is listed twice`;
+    seen.add(arena.arenaId.trim());
+  }
+  return null;
+}
+
+// A checked arena list, trimmed and with names filled in
+function normalizeArenas(arenas) {
+  return arenas.map(({ arenaId, name }) => ({ arenaId: arenaId.trim(), name: name?.trim() || arenaId.trim() }));
+}
+
+// An event's arenas in order, the main arena if it has none
+function getEventArenas(event) {
+  return event?.arenas?.length > 0 ? event.arenas : [DEFAULT_ARENA];
+}
+
+// Which arena each match fights in - the match's own assignment, then its
+// tournament's arena, then the event's first arena. Assignments to arenas the
+// event no longer has are ignored
+// matchArenas: [{ tournamentId, matchId, arenaId }] from storage
+// Returns ({ tournamentId, matchId }) => arenaId
+function createArenaResolver(event, matchArenas = []) {
+  const arenas = getEventArenas(event);
+  const known = new Set(arenas.map(a => a.arenaId));
+  const byTournament = Object.fromEntries((event?.tournaments || []).map(t => [t.tournamentId, t.arena]));
+  const byMatch = new Map(matchArenas.map(a => [matchKey(a), a.arenaId]));
+
+  return ({ tournamentId, matchId }) => [byMatch.get(matchKey({ tournamentId, matchId: String(matchId) })), byTournament[tournamentId]]
+    .find(arenaId => known.has(arenaId)) || arenas[0].arenaId;
+}
+
+module.exports = {
+  DEFAULT_ARENA,
+  validateArenas,
+  normalizeArenas,
+  getEventArenas,
+  createArenaResolver,
+};
@@ -0,0 +1,181 @@
+// server/auth.js
+// Session tokens and role checks for judges and admins
+// Judges log in with a per-event PIN issued by an admin, admins with ADMIN_PASSWORD
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SESSION_TTL = process.env.SESSION_TTL || '12h';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Without a configured secret, sessions are signed with a per-boot key and
+// every judge has to log in again after a restart
+const SESSION_SECRET = process.env.SESSION_SECRET || (() => {
+  console.warn('SESSION_SECRET not set - generating a temporary secret (sessions will not survive a restart)');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+// ============================================
+// SESSION TOKENS
+// ============================================
+
+// Issue a signed session token
+// session: { role: 'judge' | 'admin', name, eventId?, judgeId?, pinStamp? }
+function issueSessionToken(session) {
+  return jwt.sign(session, SESSION_SECRET, { expiresIn: SESSION_TTL });
+}
+
+// Verify a session token, returns the session or null
+function verifySessionToken(token) {
+  try {
+    const { role, name, eventId, judgeId, pinStamp } = jwt.verify(token, SESSION_SECRET);
+    return { role, name, eventId: eventId || null, judgeId: judgeId || null, pinStamp: pinStamp || null };
+  } catch (err) {
+    return null;
+  }
+}
+
+// ============================================
+// PINS AND PASSWORDS
+// ============================================
+
+// Generate a 6-digit judge PIN
+function generatePin() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+// Hash a PIN with a random salt, stored as "salt:hash"
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pin), salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+// Check a PIN against a stored "salt:hash"
+function verifyPin(pin, stored) {
+  if (!stored || !pin) return false;
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(String(pin), salt, 32);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+// Fingerprint of a stored PIN hash, kept in judge sessions so revoking or
+// re-issuing the PIN ends every session logged in with the old one
+function pinStamp(pinHash) {
+  return crypto.createHash('sha256').update(pinHash).digest('hex').slice(0, 16);
+}
+
+// Check the admin password (constant time)
+function verifyAdminPassword(password) {
+  if (!ADMIN_PASSWORD || typeof password !== 'string') return false;
+  const a = crypto.createHash('sha256').update(password).digest();
+  const b = crypto.createHash('sha256').update(ADMIN_PASSWORD).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function isAdminLoginConfigured() {
+  return Boolean(ADMIN_PASSWORD);
+}
+
+// ============================================
+// LOGIN RATE LIMITING
+// ============================================
+
+// Simple in-memory limiter so a 6-digit PIN can't be brute forced. Only failed
+// logins count, per event and client IP, so a venue's judges sharing one
+// connection don't lock each other out
+const LOGIN_WINDOW_MS = 5 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const loginAttempts = new Map();
+
+// Forget windows that have passed
+function pruneLoginAttempts(now) {
+  for (const [key, entry] of loginAttempts) {
+    if (now - entry.windowStart > LOGIN_WINDOW_MS) loginAttempts.delete(key);
+  }
+}
+
+function loginRateLimit(req, res, next) {
+  const key = `${req.body?.eventId || 'admin'}:${req.ip}`;
+  const now = Date.now();
+  pruneLoginAttempts(now);
+
+  if ((loginAttempts.get(key)?.count || 0) >= LOGIN_MAX_ATTEMPTS) {
+    return res.status(429).json({ error: 'Too many login attempts, try again in a few minutes' });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode !== 401 && res.statusCode !== 403) return;
+    const entry = loginAttempts.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      loginAttempts.set(key, { windowStart: Date.now(), count: 1 });
+    }
+  });
+  next();
+}
+
+// ============================================
+// EXPRESS MIDDLEWARE
+// ============================================
+
+// Attach req.session from the Authorization header (null for spectators)
+// getJudgePinHash(eventId, judgeId) resolves to the judge's current PIN hash, or
+// null once it's revoked - a judge session only counts while that PIN is current
+function authenticate(getJudgePinHash) {
+  return async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+      const verified = token ? verifySessionToken(token) : null;
+      if (!verified) {
+        req.session = null;
+        return next();
+      }
+
+      const { pinStamp: stamp, ...session } = verified;
+      if (session.role === 'judge') {
+        const pinHash = await getJudgePinHash(session.eventId, session.judgeId);
+        req.session = pinHash && pinStamp(pinHash) === stamp ? session : null;
+      } else {
+        req.session = session;
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Require a session with one of the given roles
+// Judges are scoped to their own event when the route has an :eventId param
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.session) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+    if (!roles.includes(req.session.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do that' });
+    }
+    if (req.session.role === 'judge' && req.params.eventId && req.params.eventId !== req.session.eventId) {
+      return res.status(403).json({ error: 'Your judge session is for a different event' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  issueSessionToken,
+  verifySessionToken,
+  generatePin,
+  hashPin,
+  verifyPin,
+  pinStamp,
+  verifyAdminPassword,
+  isAdminLoginConfigured,
+  loginRateLimit,
+  authenticate,
+  requireRole,
+};
@@ -0,0 +1,371 @@
+// server/bracket.js
+// Built-in bracket engine for events run without Challonge - generates single
+// elimination, double elimination and round robin brackets and advances robots
+// as results come in. Tournaments are plain objects using Challonge's field
+// names, so the rest of the server reads them exactly like Challonge's
+
+const BRACKET_TYPES = ['single elimination', 'double elimination', 'round robin'];
+
+// Native tournament URLs all start with this, which is how requests get routed here
+const NATIVE_URL_PREFIX = 'native-';
+
+// Each tournament gets a block of ids for its participants and matches, starting
+// well above Challonge's ids so a native match id never collides in judge_scores
+const NATIVE_ID_START = 2000000000;
+const NATIVE_ID_BLOCK = 10000;
+const MAX_PARTICIPANTS = 128;
+
+function bracketError(message, status) {
+  const error = new Error(`Bracket error: ${message}`);
+  error.status = status;
+  return error;
+}
+
+function isNativeTournamentId(tournamentId) {
+  return typeof tournamentId === 'string' && tournamentId.startsWith(NATIVE_URL_PREFIX);
+}
+
+// URL for a new tournament, unique because every tournament has its own id block
+function nativeTournamentUrl(name, baseId) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  const number = (baseId - NATIVE_ID_START) / NATIVE_ID_BLOCK + 1;
+  return `${NATIVE_URL_PREFIX}${slug || 'bracket'}-${number}`;
+}
+
+// ============================================
+// GENERATION
+// ============================================
+
+// Bracket positions for each seed, so the top seeds meet as late as possible
+// e.g. size 4 -> [1, 4, 2, 3]
+function seedPositions(size) {
+  let positions = [1];
+  while (positions.length < size) {
+    const total = positions.length * 2 + 1;
+    positions = positions.flatMap(seed => [seed, total - seed]);
+  }
+  return positions;
+}
+
+// Elimination brackets are built for the next power of two, with every slot
+// fed by a source: { participantId }, { node, loser }, or null for a bye
+function buildEliminationNodes(participantIds, { doubleElimination, bracketReset }) {
+  const size = 2 ** Math.ceil(Math.log2(participantIds.length));
+  const rounds = Math.log2(size);
+  const positions = seedPositions(size);
+  const nodes = [];
+
+  const addNode = (fields) => {
+    const node = { index: nodes.length, ...fields };
+    nodes.push(node);
+    return node;
+  };
+  const seed = position => (position <= participantIds.length ? { participantId: participantIds[position - 1] } : null);
+
+  // Winners bracket - played in order: round r sorts at 2r - 1
+  const winners = [];
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / 2 ** round;
+    winners.push(Array.from({ length: count }, (_, i) => addNode({
+      round,
+      order: 2 * round - 1,
+      sources: round === 1
+        ? [seed(positions[2 * i]), seed(positions[2 * i + 1])]
+        : [{ node: winners[round - 2][2 * i] }, { node: winners[round - 2][2 * i + 1] }],
+    })));
+  }
+  const winnersFinal = winners[rounds - 1][0];
+  if (!doubleElimination) return nodes;
+
+  // Losers bracket - odd rounds play off the survivors, even rounds bring in
+  // the losers of the next winners round (in reverse every other time, to
+  // avoid early rematches). Rounds are stored negative, like Challonge's
+  const losers = [];
+  for (let round = 1; round <= 2 * (rounds - 1); round++) {
+    const dropRound = round / 2 + 1;
+    let sources;
+    if (round === 1) {
+      sources = i => [{ node: winners[0][2 * i], loser: true }, { node: winners[0][2 * i + 1], loser: true }];
+    } else if (round % 2 === 0) {
+      const dropping = winners[dropRound - 1];
+      sources = i => [{ node: losers[round - 2][i] }, { node: dropping[dropRound % 2 === 0 ? dropping.length - 1 - i : i], loser: true }];
+    } else {
+      sources = i => [{ node: losers[round - 2][2 * i] }, { node: losers[round - 2][2 * i + 1] }];
+    }
+    const count = round % 2 === 0 ? size / 2 ** (round / 2 + 1) : size / 2 ** ((round + 1) / 2 + 1);
+    // A losers round is played once the winners round feeding it is done
+    const order = round === 1 ? 2 : round % 2 === 0 ? round + 1.5 : round + 0.6;
+    losers.push(Array.from({ length: count }, (_, i) => addNode({ round: -round, order, sources: sources(i) })));
+  }
+
+  const losersChampion = losers.length > 0
+    ? { node: losers[losers.length - 1][0] }
+    : { node: winnersFinal, loser: true };
+  // The grand final (and reset) come after the losers bracket final at 2 * rounds - 0.5
+  const grandFinal = addNode({
+    round: rounds + 1,
+    order: 2 * rounds,
+    sources: [{ node: winnersFinal }, losersChampion],
+  });
+
+  // The reset is only played if the losers bracket champion wins the grand final
+  if (bracketReset) {
+    addNode({
+      round: rounds + 1,
+      order: 2 * rounds,
+      isBracketReset: true,
+      sources: [{ node: grandFinal }, { node: grandFinal, loser: true }],
+    });
+  }
+  return nodes;
+}
+
+// Drop the matches byes make unnecessary, passing their robot straight through
+function removeByes(nodes) {
+  const resolve = source => {
+    if (!source || !source.node || !source.node.skipped) return source;
+    return source.loser ? source.node.loserOut : source.node.winnerOut;
+  };
+
+  // Nodes only feed later nodes, so one pass in creation order is enough
+  for (const node of nodes) {
+    node.sources = node.sources.map(resolve);
+    const present = node.sources.filter(Boolean);
+    if (present.length < 2) {
+      node.skipped = true;
+      node.winnerOut = present[0] || null;
+      node.loserOut = null;
+    }
+  }
+  return nodes.filter(node => !node.skipped);
+}
+
+// Round robin pairings using the circle method - every robot meets every other once
+function buildRoundRobinNodes(participantIds) {
+  let ids = participantIds.length % 2 === 0 ? [...participantIds] : [...participantIds, null];
+  const nodes = [];
+
+  for (let round = 1; round < ids.length; round++) {
+    for (let i = 0; i < ids.length / 2; i++) {
+      const a = ids[i];
+      const b = ids[ids.length - 1 - i];
+      if (a !== null && b !== null) {
+        nodes.push({ index: nodes.length, round, order: round, sources: [{ participantId: a }, { participantId: b }] });
+      }
+    }
+    ids = [ids[0], ids[ids.length - 1], ...ids.slice(1, ids.length - 1)];
+  }
+  return nodes;
+}
+
+// Create a tournament
+// participants: robot names in seed order
+// baseId: the start of this tournament's id block
+function createBracket({ name, tournamentType, participants, bracketReset = true }, baseId) {
+  const now = new Date().toISOString();
+  const participantIds = participants.map((_, i) => baseId + 1 + i);
+  const doubleElimination = tournamentType === 'double elimination';
+
+  const nodes = tournamentType === 'round robin'
+    ? buildRoundRobinNodes(participantIds)
+    : removeByes(buildEliminationNodes(participantIds, { doubleElimination, bracketReset }));
+
+  nodes.sort((a, b) => a.order - b.order || a.index - b.index);
+  nodes.forEach((node, i) => { node.id = baseId + 1 + participants.length + i; });
+
+  const matches = nodes.map((node, i) => {
+    const match = {
+      id: node.id,
+      tournament_id: baseId,
+      round: node.round,
+      suggested_play_order: i + 1,
+      identifier: String(i + 1),
+      state: 'pending',
+      winner_id: null,
+      loser_id: null,
+      scores_csv: '',
+      created_at: now,
+      updated_at: now,
+      completed_at: null,
+      attachments: [],
+    };
+    node.sources.forEach((source, slot) => {
+      const player = `player${slot + 1}`;
+      match[`${player}_id`] = source.participantId || null;
+      match[`${player}_prereq_match_id`] = source.node ? source.node.id : null;
+      match[`${player}_is_prereq_match_loser`] = Boolean(source.loser);
+    });
+    if (node.isBracketReset) match.is_bracket_reset = true;
+    match.state = match.player1_id && match.player2_id ? 'open' : 'pending';
+    return match;
+  });
+
+  return {
+    id: baseId,
+    url: nativeTournamentUrl(name, baseId),
+    name,
+    tournament_type: tournamentType,
+    grand_finals_modifier: doubleElimination && !bracketReset ? 'single_match' : null,
+    state: 'underway',
+    participants: participants.map((participantName, i) => ({
+      id: participantIds[i],
+      tournament_id: baseId,
+      name: participantName,
+      seed: i + 1,
+    })),
+    matches,
+    created_at: now,
+    started_at: now,
+    updated_at: now,
+    completed_at: null,
+  };
+}
+
+// ============================================
+// RESULTS
+// ============================================
+
+function findMatch(tournament, matchId) {
+  const match = tournament.matches.find(m => String(m.id) === String(matchId));
+  if (!match) throw bracketError(`Match ${matchId} not found`, 404);
+  return match;
+}
+
+// Matches that take a robot from this match: [{ match, slot }]
+function dependents(tournament, match) {
+  const fed = [];
+  for (const other of tournament.matches) {
+    for (const slot of [1, 2]) {
+      if (other[`player${slot}_prereq_match_id`] === match.id) fed.push({ match: other, slot });
+    }
+  }
+  return fed;
+}
+
+function refreshState(match) {
+  if (match.state === 'complete') return;
+  match.state = match.player1_id && match.player2_id ? 'open' : 'pending';
+}
+
+function refreshTournamentState(tournament) {
+  const grandFinalDone = tournament.matches.every(m => m.state === 'complete'
+    || (m.is_bracket_reset && !m.player1_id && !m.player2_id));
+  const now = new Date().toISOString();
+  tournament.state = grandFinalDone ? 'complete' : 'underway';
+  tournament.completed_at = grandFinalDone ? (tournament.completed_at || now) : null;
+  tournament.updated_at = now;
+}
+
+// Record a result and move the winner (and loser) on
+function reportMatch(tournament, matchId, { winnerId, scoresCsv }) {
+  const match = findMatch(tournament, matchId);
+  if (match.state === 'pending') {
+    throw bracketError(`Match ${matchId} is still waiting for its robots`, 422);
+  }
+  if (winnerId !== match.player1_id && winnerId !== match.player2_id) {
+    throw bracketError('winner_id must be one of the robots in this match', 422);
+  }
+  if (match.state === 'complete' && match.winner_id !== winnerId) {
+    throw bracketError(`Match ${matchId} is already complete - reopen it to change the winner`, 422);
+  }
+
+  const wasComplete = match.state === 'complete';
+  const now = new Date().toISOString();
+  match.winner_id = winnerId;
+  match.loser_id = winnerId === match.player1_id ? match.player2_id : match.player1_id;
+  match.scores_csv = scoresCsv || '';
+  match.state = 'complete';
+  match.completed_at = match.completed_at || now;
+  match.updated_at = now;
+
+  if (!wasComplete) {
+    for (const { match: next, slot } of dependents(tournament, match)) {
+      // No reset when the winners bracket champion (player 1) takes the grand final
+      if (next.is_bracket_reset && match.winner_id === match.player1_id) continue;
+      next[`player${slot}_id`] = next[`player${slot}_is_prereq_match_loser`] ? match.loser_id : match.winner_id;
+      next.updated_at = now;
+      refreshState(next);
+    }
+  }
+  refreshTournamentState(tournament);
+  return match;
+}
+
+// Clear a result, and every later result that depended on it
+function clearResult(tournament, match, now) {
+  match.winner_id = null;
+  match.loser_id = null;
+  match.scores_csv = '';
+  match.completed_at = null;
+  match.updated_at = now;
+  match.state = 'pending';
+  refreshState(match);
+
+  for (const { match: next, slot } of dependents(tournament, match)) {
+    if (next.state === 'complete') clearResult(tournament, next, now);
+    next[`player${slot}_id`] = null;
+    next.updated_at = now;
+    refreshState(next);
+  }
+}
+
+function reopenMatch(tournament, matchId) {
+  const match = findMatch(tournament, matchId);
+  if (match.state !== 'complete') {
+    throw bracketError(`Match ${matchId} is not complete`, 422);
+  }
+  clearResult(tournament, match, new Date().toISOString());
+  refreshTournamentState(tournament);
+  return match;
+}
+
+function addAttachment(tournament, matchId, { description, url }) {
+  const match = findMatch(tournament, matchId);
+  const attachment = {
+    id: match.attachments.length + 1,
+    match_id: match.id,
+    description: description || null,
+    url: url || null,
+    created_at: new Date().toISOString(),
+  };
+  match.attachments.push(attachment);
+  return attachment;
+}
+
+// ============================================
+// CHALLONGE SHAPE
+// ============================================
+
+// Tournaments in the shape of Challonge's API responses, so they share its normalizer
+
+function toChallongeMatch(match) {
+  const { attachments, ...fields } = match;
+  return { match: { ...fields, attachment_count: attachments.length } };
+}
+
+function toChallongeTournament(tournament, { includeParticipants = false, includeMatches = false } = {}) {
+  const { participants, matches, ...fields } = tournament;
+  return {
+    tournament: {
+      ...fields,
+      participants_count: participants.length,
+      ...(includeParticipants && { participants: participants.map(participant => ({ participant: { ...participant } })) }),
+      ...(includeMatches && { matches: matches.map(toChallongeMatch) }),
+    },
+  };
+}
+
+module.exports = {
+  BRACKET_TYPES,
+  NATIVE_ID_START,
+  NATIVE_ID_BLOCK,
+  MAX_PARTICIPANTS,
+  isNativeTournamentId,
+  findMatch,
+  createBracket,
+  reportMatch,
+  reopenMatch,
+  addAttachment,
+  toChallongeMatch,
+  toChallongeTournament,
+};
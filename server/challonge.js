@@ -0,0 +1,207 @@
+// server/challonge.js
+// Challonge API client - every call goes through a rate-limited queue, retries
+// 429/5xx responses with exponential backoff, and caches tournament and
+// participant reads for a few seconds so a busy event doesn't hit the limit
+
+const fetch = require('node-fetch');
+
+const CHALLONGE_API_KEY = process.env.CHALLONGE_API_KEY;
+const CHALLONGE_BASE_URL = process.env.CHALLONGE_BASE_URL || 'https://api.challonge.com/v1';
+
+// Challonge allows roughly one request per second
+const MIN_INTERVAL_MS = parseInt(process.env.CHALLONGE_MIN_INTERVAL_MS) || 1000;
+const CACHE_TTL_MS = parseInt(process.env.CHALLONGE_CACHE_TTL_MS) || 15 * 1000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+
+const metrics = {
+  requests: 0,     // HTTP calls actually sent to Challonge
+  throttled: 0,    // Calls that had to wait for a rate limit slot
+  retries: 0,      // Calls sent again after a 429/5xx/network error
+  rateLimited: 0,  // 429 responses from Challonge
+  failures: 0,     // Calls that still failed after retrying
+  cacheHits: 0,
+  cacheMisses: 0,
+  sharedReads: 0,  // Match reads that joined the same read already on its way
+  queued: 0,       // Calls currently waiting for a slot
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// RATE LIMITED QUEUE
+// ============================================
+
+// Each call reserves the next free slot, so calls go out in order
+// no closer together than MIN_INTERVAL_MS
+let nextSlotAt = 0;
+
+async function waitForSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotAt);
+  nextSlotAt = slot + MIN_INTERVAL_MS;
+
+  if (slot > now) {
+    metrics.throttled++;
+    metrics.queued++;
+    await sleep(slot - now);
+    metrics.queued--;
+  }
+}
+
+// ============================================
+// CACHE
+// ============================================
+
+// Only tournament and participant reads are cached - match state has to be
+// fresh, so a tournament read with its matches is never kept once it's back
+const CACHEABLE_ENDPOINT = /^\/tournaments\/[^/]+(\.json|\/participants\.json)(\?|$)/;
+const INCLUDES_MATCHES = /[?&]include_matches=1(&|$)/;
+
+// endpoint -> { expiresAt, promise }
+const cache = new Map();
+
+// endpoint -> promise, for match reads still waiting on Challonge
+const inFlight = new Map();
+
+function getTournamentKey(endpoint) {
+  const match = endpoint.match(/^\/tournaments\/([^/.?]+)/);
+  return match ? match[1] : null;
+}
+
+// Drop cached reads for a tournament (after anything changes it), and stop
+// later reads joining one that went out before the change
+function invalidateTournament(tournamentId) {
+  for (const reads of [cache, inFlight]) {
+    for (const endpoint of reads.keys()) {
+      if (getTournamentKey(endpoint) === tournamentId) {
+        reads.delete(endpoint);
+      }
+    }
+  }
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+function retryDelay(attempt, response) {
+  const retryAfter = response && parseInt(response.headers.get('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+async function sendRequest(endpoint, method, body) {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  const url = `${CHALLONGE_BASE_URL}${endpoint}${separator}api_key=${CHALLONGE_API_KEY}`;
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  };
+
+  if (body) {
+    options.body = JSON.stringify(body);
+  }
+
+  // Writes that may have reached Challonge are only retried when it told us to slow down
+  const isIdempotent = method === 'GET' || method === 'PUT';
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot();
+    metrics.requests++;
+
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (err) {
+      if (isIdempotent && attempt < MAX_RETRIES) {
+        metrics.retries++;
+        await sleep(retryDelay(attempt));
+        continue;
+      }
+      metrics.failures++;
+      throw err;
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    if (response.status === 429) metrics.rateLimited++;
+    const retryable = response.status === 429 || (isIdempotent && response.status >= 500);
+    if (retryable && attempt < MAX_RETRIES) {
+      metrics.retries++;
+      await sleep(retryDelay(attempt, response));
+      continue;
+    }
+
+    metrics.failures++;
+    const error = new Error(`Challonge API error: ${response.status} - ${await response.text()}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+// Make a Challonge API request
+async function challongeRequest(endpoint, method = 'GET', body = null) {
+  if (method !== 'GET') {
+    const tournamentId = getTournamentKey(endpoint);
+    try {
+      return await sendRequest(endpoint, method, body);
+    } finally {
+      if (tournamentId) invalidateTournament(tournamentId);
+    }
+  }
+
+  if (!CACHEABLE_ENDPOINT.test(endpoint)) {
+    return sendRequest(endpoint, method, body);
+  }
+
+  // Reads that come in while the same one is still waiting share it, so a room
+  // full of bracket views costs one call
+  if (INCLUDES_MATCHES.test(endpoint)) {
+    if (inFlight.has(endpoint)) {
+      metrics.sharedReads++;
+      return inFlight.get(endpoint);
+    }
+    const promise = sendRequest(endpoint, method, body);
+    inFlight.set(endpoint, promise);
+    const settle = () => {
+      if (inFlight.get(endpoint) === promise) inFlight.delete(endpoint);
+    };
+    promise.then(settle, settle);
+    return promise;
+  }
+
+  const cached = cache.get(endpoint);
+  if (cached && cached.expiresAt > Date.now()) {
+    metrics.cacheHits++;
+    return cached.promise;
+  }
+
+  // Concurrent reads of the same endpoint share one request
+  metrics.cacheMisses++;
+  const promise = sendRequest(endpoint, method, body);
+  cache.set(endpoint, { expiresAt: Date.now() + CACHE_TTL_MS, promise });
+  promise.catch(() => {
+    if (cache.get(endpoint)?.promise === promise) cache.delete(endpoint);
+  });
+  return promise;
+}
+
+function isChallongeConfigured() {
+  return Boolean(CHALLONGE_API_KEY);
+}
+
+function getChallongeMetrics() {
+  return { ...metrics, cachedEntries: cache.size, minIntervalMs: MIN_INTERVAL_MS, cacheTtlMs: CACHE_TTL_MS };
+}
+
+module.exports = {
+  challongeRequest,
+  invalidateTournament,
+  isChallongeConfigured,
+  getChallongeMetrics,
+};
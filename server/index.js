@@ -1,166 +1,93 @@
 // server/index.js
 // Backend server for SCAR Tournament Judge Portal
-// Handles Challonge API integration securely
+// Handles Challonge, start.gg and built-in brackets securely
 
 const express = require('express');
 const cors = require('cors');
 const fetch = require('node-fetch');
-const { Pool } = require('pg');
 require('dotenv').config();
 
+const {
+  issueSessionToken,
+  generatePin,
+  hashPin,
+  verifyPin,
+  pinStamp,
+  verifyAdminPassword,
+  isAdminLoginConfigured,
+  loginRateLimit,
+  authenticate,
+  requireRole,
+} = require('./auth');
+const { DECISION_METHODS, validateCriteria, resolveCriteria, fixedScoreline, judgeTotals, calculateMatchResult, detectDisagreements } = require('./scoring');
+const { validateScoreSubmission, validateBracketMatch, validateReviewDecision, validateManualResultFields, validateManualResult, validateNativeTournament, validateMatchQueue, mergePanelCards, sendValidationError } = require('./validation');
+const stream = require('./stream');
+const {
+  CHECK_IN_STATUSES, validateRepairTimes, isFinalsMatch, resolveRepairTimeMs, calculateRepairStatus,
+} = require('./repair');
+const { validateScheduling, resolveScheduling, proposeSchedule, MAX_PROPOSAL_SIZE } = require('./scheduler');
+const { validateArenas, normalizeArenas, getEventArenas, createArenaResolver } = require('./arenas');
+const { isChallongeConfigured, getChallongeMetrics } = require('./challonge');
+const { NATIVE_ID_START, NATIVE_ID_BLOCK, createBracket } = require('./bracket');
+const { createBracketProviders, createNativeProvider } = require('./providers');
+const startgg = require('./providers/startgg');
+const { createStorage } = require('./storage');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind the host's proxy req.ip is the proxy's address unless the forwarded one
+// is trusted - TRUST_PROXY is the number of proxy hops (1 by default), false to
+// trust none, or the proxies' addresses
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+if (/^\d+$/.test(TRUST_PROXY)) {
+  app.set('trust proxy', parseInt(TRUST_PROXY));
+} else {
+  app.set('trust proxy', { true: true, false: false }[TRUST_PROXY] ?? TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate(async (eventId, judgeId) => (
+  (await storage.getJudgePins(eventId)).find(p => p.judgeId === judgeId)?.pinHash || null
+)));
 
 // ============================================
 // DATABASE CONFIGURATION
 // ============================================
 
-// PostgreSQL connection pool
-const pool = process.env.DATABASE_URL ? new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-}) : null;
+// Postgres when DATABASE_URL is set, SQLite when SQLITE_PATH is set, otherwise memory - see ./storage
+const storage = createStorage({
+  databaseUrl: process.env.DATABASE_URL,
+  sqlitePath: process.env.SQLITE_PATH,
+});
+app.locals.storage = storage;
 
-// Initialize database tables
+// Bring the database schema up to date - rejects if a migration fails
 async function initDatabase() {
-  if (!pool) {
-    console.log('No DATABASE_URL found - using in-memory storage (data will not persist)');
-    return;
-  }
-
-  try {
-    // Create events table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS events (
-        event_id VARCHAR(255) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        tournaments JSONB NOT NULL DEFAULT '[]',
-        scoring_criteria JSONB,
-        robot_images JSONB,
-        discord_webhook_url VARCHAR(512),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Add scoring_criteria column if it doesn't exist (for existing databases)
-    await pool.query(`
-      ALTER TABLE events ADD COLUMN IF NOT EXISTS scoring_criteria JSONB
-    `).catch(() => {});
-
-    // Add robot_images column if it doesn't exist (for existing databases)
-    await pool.query(`
-      ALTER TABLE events ADD COLUMN IF NOT EXISTS robot_images JSONB
-    `).catch(() => {});
-
-    // Add discord_webhook_url column if it doesn't exist (for existing databases)
-    await pool.query(`
-      ALTER TABLE events ADD COLUMN IF NOT EXISTS discord_webhook_url VARCHAR(512)
-    `).catch(() => {});
-
-    // Create judge_scores table for persistent score storage
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS judge_scores (
-        id SERIAL PRIMARY KEY,
-        match_id VARCHAR(255) NOT NULL,
-        tournament_id VARCHAR(255) NOT NULL,
-        competitor_a_id INTEGER,
-        competitor_b_id INTEGER,
-        judges JSONB NOT NULL DEFAULT '{}',
-        finalized BOOLEAN DEFAULT FALSE,
-        result JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(match_id)
-      )
-    `);
-
-    // Create active_matches table for tracking which match is currently in progress per tournament
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS active_matches (
-        id SERIAL PRIMARY KEY,
-        event_id VARCHAR(255) NOT NULL,
-        tournament_id VARCHAR(255) NOT NULL,
-        match_id VARCHAR(255) NOT NULL,
-        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(event_id, tournament_id)
-      )
-    `);
-
-    // Create repair_timer_resets table for manual repair timer resets
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS repair_timer_resets (
-        id SERIAL PRIMARY KEY,
-        event_id VARCHAR(255) NOT NULL,
-        robot_name VARCHAR(255) NOT NULL,
-        reset_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(event_id, robot_name)
-      )
-    `);
-
-    // Create match_queue table for manual match ordering
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS match_queue (
-        id SERIAL PRIMARY KEY,
-        event_id VARCHAR(255) NOT NULL,
-        tournament_id VARCHAR(255) NOT NULL,
-        match_id VARCHAR(255) NOT NULL,
-        queue_position INTEGER NOT NULL,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(event_id, tournament_id, match_id)
-      )
-    `);
-
-    console.log('Database tables initialized successfully');
-  } catch (error) {
-    console.error('Failed to initialize database:', error);
-  }
+  await storage.init();
+  const schemaVersion = await storage.getSchemaVersion();
+  console.log(`Storage ready: ${storage.description}${schemaVersion === null ? '' : `, schema version ${schemaVersion}`}`);
 }
 
-// Initialize database on startup
-initDatabase();
-
-// Challonge API configuration
-const CHALLONGE_API_KEY = process.env.CHALLONGE_API_KEY;
-const CHALLONGE_USERNAME = process.env.CHALLONGE_USERNAME;
-const CHALLONGE_BASE_URL = 'https://api.challonge.com/v1';
-
-// Helper function to make Challonge API requests
-async function challongeRequest(endpoint, method = 'GET', body = null) {
-  const url = `${CHALLONGE_BASE_URL}${endpoint}`;
-  const options = {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-    },
-  };
-
-  // Add API key as query parameter
-  const separator = endpoint.includes('?') ? '&' : '?';
-  const urlWithKey = `${url}${separator}api_key=${CHALLONGE_API_KEY}`;
-
-  if (body) {
-    options.body = JSON.stringify(body);
-  }
-
-  const response = await fetch(urlWithKey, options);
-  
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Challonge API error: ${response.status} - ${error}`);
-  }
-
-  return response.json();
-}
+// Initialize database on startup - the server doesn't listen until this succeeds
+app.locals.databaseReady = initDatabase();
 
 // ============================================
 // DISCORD WEBHOOK INTEGRATION
 // ============================================
 
+// Embed colour and wording for each way a match can end
+const DISCORD_WIN_METHODS = {
+  points: { label: 'Decision', color: 0x00FF00 },
+  tapout: { label: "Judges' Decision (Tap-out)", color: 0x00BFFF },
+  ko: { label: 'KNOCKOUT!', color: 0xFF0000 },
+  tko: { label: 'TECHNICAL KNOCKOUT!', color: 0xFF8C00 },
+  forfeit: { label: 'Win by Forfeit', color: 0x808080 },
+  dq: { label: 'Win by Disqualification', color: 0x8B00FF },
+};
+
 // Post match result to Discord webhook
 async function postMatchToDiscord(webhookUrl, matchData) {
   if (!webhookUrl) {
@@ -181,11 +108,17 @@ async function postMatchToDiscord(webhookUrl, matchData) {
     loserImageUrl
   } = matchData;
 
+  const method = DISCORD_WIN_METHODS[winMethod] ? winMethod : 'points';
+  const display = DISCORD_WIN_METHODS[method];
+  const resultText = DECISION_METHODS.includes(method)
+    ? `${scoreA} - ${scoreB}${method === 'tapout' ? ' (tap-out)' : ''}`
+    : `**${display.label}**`;
+
   // Create Discord embed
   const embed = {
     title: `🤖 Match ${matchNum} Complete!`,
     description: `**${tournamentName}**`,
-    color: winMethod === 'ko' ? 0xFF0000 : 0x00FF00, // Red for KO, Green for decision
+    color: display.color,
     fields: [
       {
         name: '🏆 Winner',
@@ -199,7 +132,7 @@ async function postMatchToDiscord(webhookUrl, matchData) {
       },
       {
         name: '📊 Result',
-        value: winMethod === 'ko' ? '**KNOCKOUT!**' : `${scoreA} - ${scoreB}`,
+        value: resultText,
         inline: true
       }
     ],
@@ -242,52 +175,15 @@ async function postMatchToDiscord(webhookUrl, matchData) {
 // Helper to get event's Discord webhook URL
 async function getEventDiscordWebhook(tournamentId) {
   try {
-    console.log(`Looking for Discord webhook for tournament: ${tournamentId}`);
-    
-    if (pool) {
-      // Find event that contains this tournament
-      // Try JSONB containment first
-      let result = await pool.query(
-        `SELECT event_id, name, discord_webhook_url, robot_images, tournaments FROM events WHERE tournaments @> $1::jsonb`,
-        [JSON.stringify([tournamentId])]
-      );
-      
-      // If no result, try a text search as fallback (in case of format mismatch)
-      if (result.rows.length === 0) {
-        console.log(`JSONB containment found no match, trying text search...`);
-        result = await pool.query(
-          `SELECT event_id, name, discord_webhook_url, robot_images, tournaments FROM events WHERE tournaments::text LIKE $1`,
-          [`%${tournamentId}%`]
-        );
-      }
-      
-      if (result.rows.length > 0) {
-        const row = result.rows[0];
-        console.log(`Found event: ${row.event_id}, webhook configured: ${!!row.discord_webhook_url}`);
-        console.log(`Event tournaments: ${JSON.stringify(row.tournaments)}`);
-        return {
-          webhookUrl: row.discord_webhook_url,
-          eventName: row.name,
-          robotImages: row.robot_images || {}
-        };
-      } else {
-        console.log(`No event found containing tournament: ${tournamentId}`);
-        // Log all events for debugging
-        const allEvents = await pool.query('SELECT event_id, tournaments FROM events');
-        console.log(`All events in DB: ${JSON.stringify(allEvents.rows.map(r => ({ id: r.event_id, tournaments: r.tournaments })))}`);
-      }
-    } else {
-      // Search in-memory storage
-      for (const [eventId, eventData] of Object.entries(memoryStorage.events)) {
-        if (eventData.tournaments && eventData.tournaments.includes(tournamentId)) {
-          return {
-            webhookUrl: eventData.discordWebhookUrl,
-            eventName: eventData.name,
-            robotImages: eventData.robotImages || {}
-          };
-        }
-      }
+    const [event] = await storage.getEventsForTournament(tournamentId);
+    if (event) {
+      return {
+        webhookUrl: event.discordWebhookUrl,
+        eventName: event.name,
+        robotImages: event.robotImages || {}
+      };
     }
+    console.log(`No event found containing tournament: ${tournamentId}`);
     return { webhookUrl: null, eventName: null, robotImages: {} };
   } catch (err) {
     console.error('Error getting event Discord webhook:', err);
@@ -311,24 +207,310 @@ function getRobotImage(robotImages, robotName) {
   return null;
 }
 
+// Judge panel used by events that haven't configured a roster
+const DEFAULT_JUDGE_ROSTER = [
+  { id: 'judge_1', name: 'Judge 1', active: true },
+  { id: 'judge_2', name: 'Judge 2', active: true },
+  { id: 'judge_3', name: 'Judge 3', active: true },
+];
+
+// Helper to validate a judge roster from a request body, returns an error message or null
+function validateJudgeRoster(judges) {
+  if (!Array.isArray(judges)) return 'judges must be an array';
+  const ids = new Set();
+  for (const judge of judges) {
+    if (!judge || typeof judge.id !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(judge.id)) {
+      return 'Each judge needs an id made of letters, numbers, dashes or underscores';
+    }
+    if (ids.has(judge.id)) return `Duplicate judge id: ${judge.id}`;
+    ids.add(judge.id);
+  }
+  if (!judges.some(j => j.active !== false)) return 'At least one judge must be active';
+  if (judges.filter(j => j.headJudge).length > 1) return 'Only one judge can be the head judge';
+  return null;
+}
+
+// Whether an event's tournament id is the provider's numeric id or its URL slug
+const TOURNAMENT_ID_TYPES = ['slug', 'id'];
+const TOURNAMENT_DETAIL_FIELDS = ['displayName', 'weightClass', 'arena'];
+
+// Helper to validate an event's tournaments from a request body
+// Each is a tournament id, or { tournamentId, idType?, displayName?, weightClass?, arena? }
+// A bare id keeps whatever details the event already had for it
+// Returns { tournaments } or { error }
+function parseEventTournaments(tournaments, existing = []) {
+  const parsed = [];
+  for (const entry of tournaments) {
+    const details = entry !== null && typeof entry === 'object' ? entry : { ...existing.find(t => t.tournamentId === String(entry)), tournamentId: entry };
+    const tournamentId = typeof details.tournamentId === 'number' ? String(details.tournamentId) : details.tournamentId;
+    if (typeof tournamentId !== 'string' || tournamentId.trim() === '') {
+      return { error: 'Each tournament needs a tournamentId' };
+    }
+    if (parsed.some(t => t.tournamentId === tournamentId)) {
+      return { error: `Tournament ${tournamentId} is listed twice` };
+    }
+    if (details.idType != null && !TOURNAMENT_ID_TYPES.includes(details.idType)) {
+      return { error: `idType must be one of: ${TOURNAMENT_ID_TYPES.join(', ')}` };
+    }
+    for (const field of TOURNAMENT_DETAIL_FIELDS) {
+      if (details[field] != null && typeof details[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+    }
+    parsed.push({
+      tournamentId,
+      idType: details.idType || (/^\d+$/.test(tournamentId) ? 'id' : 'slug'),
+      displayName: details.displayName?.trim() || null,
+      weightClass: details.weightClass?.trim() || null,
+      arena: details.arena?.trim() || null,
+    });
+  }
+  return { tournaments: parsed };
+}
+
+// Helper to work out an event's arenas from a request body - left out, the event
+// keeps the arenas it has and any arena a tournament names is added to the end.
+// Otherwise each tournament's arena has to be in the list
+// Returns { arenas } or { error }
+function parseEventArenas(arenas, existing = [], tournaments = []) {
+  if (arenas === undefined || arenas === null) {
+    const kept = [...existing];
+    for (const { arena } of tournaments) {
+      if (arena && !kept.some(a => a.arenaId === arena)) kept.push({ arenaId: arena, name: arena });
+    }
+    return { arenas: kept };
+  }
+
+  const arenaError = validateArenas(arenas);
+  if (arenaError) return { error: arenaError };
+  const parsed = normalizeArenas(arenas);
+  const arenaIds = getEventArenas({ arenas: parsed }).map(a => a.arenaId);
+  const stray = tournaments.find(t => t.arena && !arenaIds.includes(t.arena));
+  if (stray) return { error: `Tournament ${stray.tournamentId} is in arena ${stray.arena}, which the event doesn't have` };
+  return { arenas: parsed };
+}
+
+// Helper to check an arena named in a request against an event's arenas - left
+// out, it's the event's first arena
+// Returns { arenaId } or { error }
+function resolveRequestArena(event, arenaId) {
+  const arenas = getEventArenas(event);
+  if (arenaId === undefined || arenaId === null || arenaId === '') return { arenaId: arenas[0].arenaId };
+  if (!arenas.some(a => a.arenaId === arenaId)) return { error: `Arena ${arenaId} is not in this event` };
+  return { arenaId };
+}
+
+// Helper to get the judges currently sitting on an event's panel
+function getActivePanel(judges) {
+  return (judges && judges.length > 0 ? judges : DEFAULT_JUDGE_ROSTER).filter(j => j.active !== false);
+}
+
+// Helper to find every event that includes a tournament
+async function getEventIdsForTournament(tournamentId) {
+  const events = await storage.getEventsForTournament(tournamentId);
+  return events.map(event => event.eventId);
+}
+
+// Push a change to every event stream that includes a tournament
+async function broadcastToTournament(tournamentId, type, data) {
+  try {
+    const eventIds = await getEventIdsForTournament(tournamentId);
+    eventIds.forEach(eventId => stream.broadcast(eventId, type, { tournamentId, ...data }));
+  } catch (err) {
+    // Streams are best effort - clients fall back to polling
+    console.error('Error broadcasting tournament update:', err);
+  }
+}
+
+// Append an entry to the audit log - never throws, a failed write is logged
+// entry: { eventId?, action, tournamentId?, matchId?, robots?, before?, after? }
+async function recordAudit(req, entry) {
+  try {
+    const session = req.session || {};
+    const eventId = entry.eventId
+      || (entry.tournamentId ? (await getEventIdsForTournament(entry.tournamentId))[0] : null)
+      || null;
+    const record = {
+      eventId,
+      action: entry.action,
+      actorRole: session.role || null,
+      actorId: session.judgeId || session.role || null,
+      actorName: session.name || null,
+      tournamentId: entry.tournamentId || null,
+      matchId: entry.matchId ? String(entry.matchId) : null,
+      robots: (entry.robots || []).filter(Boolean),
+      before: entry.before === undefined ? null : entry.before,
+      after: entry.after === undefined ? null : entry.after,
+    };
+
+    await storage.appendAudit(record);
+  } catch (err) {
+    console.error(`Failed to write audit entry ${entry.action}:`, err);
+  }
+}
+
+// Robot names for a match's competitors, for audit filtering
+async function getMatchRobots(tournamentId, competitorAId, competitorBId) {
+  if (!tournamentId || !competitorAId) return [];
+  const { competitorA, competitorB } = await getCompetitorNames(tournamentId, competitorAId, competitorBId);
+  return [competitorA, competitorB];
+}
+
+// Helper to turn a stored event into what the API returns - tournaments is the
+// list of ids, tournamentDetails has each one's metadata. An event without arenas
+// lists the main arena
+function toApiEvent(event) {
+  return {
+    ...event,
+    tournaments: event.tournaments.map(t => t.tournamentId),
+    tournamentDetails: event.tournaments,
+    arenas: getEventArenas(event),
+    judges: event.judges || DEFAULT_JUDGE_ROSTER,
+  };
+}
+
+// Helper to get an event's configuration from storage
+async function getEventFromStorage(eventId) {
+  const event = await storage.getEvent(eventId);
+  return event ? toApiEvent(event) : null;
+}
+
 // ============================================
-// IN-MEMORY FALLBACK STORAGE
+// AUTHENTICATION
 // ============================================
 
-// Fallback in-memory storage (used when no database is configured)
-const memoryStorage = {
-  events: {},
-  judgeScores: {},
-};
+// POST /api/auth/admin - Log in as an admin
+app.post('/api/auth/admin', loginRateLimit, (req, res) => {
+  if (!isAdminLoginConfigured()) {
+    return res.status(503).json({ error: 'Admin login is not configured - set ADMIN_PASSWORD on the server' });
+  }
+
+  if (!verifyAdminPassword(req.body.password)) {
+    return res.status(401).json({ error: 'Incorrect password' });
+  }
+
+  const user = { role: 'admin', name: 'Admin' };
+  res.json({ token: issueSessionToken(user), user });
+});
+
+// POST /api/auth/judge - Log in as a judge with an event PIN
+app.post('/api/auth/judge', loginRateLimit, async (req, res) => {
+  try {
+    const { eventId, pin } = req.body;
+
+    if (!eventId || !pin) {
+      return res.status(400).json({ error: 'eventId and pin are required' });
+    }
+
+    const pins = await storage.getJudgePins(eventId);
+
+    const match = pins.find(p => verifyPin(pin, p.pinHash));
+    if (!match) {
+      return res.status(401).json({ error: 'Invalid PIN for this event' });
+    }
+
+    const event = await getEventFromStorage(eventId);
+    const rosterJudge = event && getActivePanel(event.judges).find(j => j.id === match.judgeId);
+    if (!rosterJudge) {
+      return res.status(403).json({ error: 'This judge is not on the active panel for this event' });
+    }
+
+    const user = { role: 'judge', name: rosterJudge.name || match.judgeId, eventId, judgeId: match.judgeId };
+    console.log(`Judge logged in: event=${eventId}, judge=${match.judgeId}`);
+    res.json({ token: issueSessionToken({ ...user, pinStamp: pinStamp(match.pinHash) }), user });
+  } catch (error) {
+    console.error('Error logging in judge:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/auth/me - Get the current session
+app.get('/api/auth/me', (req, res) => {
+  if (!req.session) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+  res.json({ user: req.session });
+});
+
+// GET /api/events/:eventId/judge-pins - List judges that have a PIN issued
+app.get('/api/events/:eventId/judge-pins', requireRole('admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const pins = await storage.getJudgePins(eventId);
+    res.json(pins.map(({ judgeId, judgeName, createdAt }) => ({ judgeId, judgeName, createdAt })));
+  } catch (error) {
+    console.error('Error listing judge PINs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/events/:eventId/judge-pins - Issue (or re-issue) a judge's PIN
+// The plain PIN is only ever returned in this response
+app.post('/api/events/:eventId/judge-pins', requireRole('admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { judgeId, judgeName } = req.body;
+
+    if (!judgeId) {
+      return res.status(400).json({ error: 'judgeId is required' });
+    }
+
+    const event = await getEventFromStorage(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found - save the event first' });
+    }
+    if (!event.judges.some(j => j.id === judgeId)) {
+      return res.status(400).json({ error: `${judgeId} is not on this event's judge roster` });
+    }
+
+    // Make sure the new PIN doesn't collide with another judge's PIN for this event
+    const existingHashes = (await storage.getJudgePins(eventId))
+      .filter(p => p.judgeId !== judgeId)
+      .map(p => p.pinHash);
+
+    let pin = generatePin();
+    while (existingHashes.some(hash => verifyPin(pin, hash))) {
+      pin = generatePin();
+    }
+    const pinHash = hashPin(pin);
+
+    await storage.saveJudgePin(eventId, { judgeId, judgeName, pinHash });
+
+    console.log(`Judge PIN issued: event=${eventId}, judge=${judgeId}`);
+    res.json({ success: true, judgeId, judgeName: judgeName || null, pin });
+  } catch (error) {
+    console.error('Error issuing judge PIN:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/events/:eventId/judge-pins/:judgeId - Revoke a judge's PIN
+// Sessions already logged in with it end too
+app.delete('/api/events/:eventId/judge-pins/:judgeId', requireRole('admin'), async (req, res) => {
+  try {
+    const { eventId, judgeId } = req.params;
+
+    await storage.deleteJudgePin(eventId, judgeId);
+
+    console.log(`Judge PIN revoked: event=${eventId}, judge=${judgeId}`);
+    res.json({ success: true, message: 'Judge PIN revoked' });
+  } catch (error) {
+    console.error('Error revoking judge PIN:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // ============================================
 // EVENT STORAGE (Database with fallback)
 // ============================================
 
 // POST /api/events - Create or update an event
-app.post('/api/events', async (req, res) => {
+app.post('/api/events', requireRole('admin'), async (req, res) => {
   try {
-    const { eventId, name, tournaments, scoringCriteria, robotImages, discordWebhookUrl } = req.body;
+    const {
+      eventId, name, tournaments, arenas, scoringCriteria, robotImages, discordWebhookUrl, judges, repairTimes, scheduling,
+    } = req.body;
 
     if (!eventId) {
       return res.status(400).json({ error: 'eventId is required' });
@@ -338,43 +520,67 @@ app.post('/api/events', async (req, res) => {
       return res.status(400).json({ error: 'tournaments must be an array' });
     }
 
-    const now = new Date().toISOString();
+    const existing = await storage.getEvent(eventId);
+    const parsed = parseEventTournaments(tournaments, existing?.tournaments);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const parsedArenas = parseEventArenas(arenas, existing?.arenas, parsed.tournaments);
+    if (parsedArenas.error) {
+      return res.status(400).json({ error: parsedArenas.error });
+    }
 
-    if (pool) {
-      // Use PostgreSQL
-      await pool.query(`
-        INSERT INTO events (event_id, name, tournaments, scoring_criteria, robot_images, discord_webhook_url, updated_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        ON CONFLICT (event_id) 
-        DO UPDATE SET name = $2, tournaments = $3, scoring_criteria = $4, robot_images = $5, discord_webhook_url = $6, updated_at = $7
-      `, [eventId, name || eventId, JSON.stringify(tournaments), JSON.stringify(scoringCriteria || null), JSON.stringify(robotImages || null), discordWebhookUrl || null, now]);
+    if (judges !== undefined && judges !== null) {
+      const rosterError = validateJudgeRoster(judges);
+      if (rosterError) {
+        return res.status(400).json({ error: rosterError });
+      }
+    }
 
-      console.log(`Event saved to database: ${eventId} with ${tournaments.length} tournaments${discordWebhookUrl ? ' (Discord webhook configured)' : ''}`);
-    } else {
-      // Fallback to in-memory
-      memoryStorage.events[eventId] = {
-        name: name || eventId,
-        tournaments,
-        scoringCriteria: scoringCriteria || null,
-        robotImages: robotImages || null,
-        discordWebhookUrl: discordWebhookUrl || null,
-        createdAt: memoryStorage.events[eventId]?.createdAt || now,
-        updatedAt: now,
-      };
-      console.log(`Event saved to memory: ${eventId} with ${tournaments.length} tournaments`);
+    if (scoringCriteria !== undefined && scoringCriteria !== null) {
+      const criteriaError = validateCriteria(scoringCriteria);
+      if (criteriaError) {
+        return res.status(400).json({ error: criteriaError });
+      }
     }
-    
+
+    if (repairTimes !== undefined && repairTimes !== null) {
+      const repairError = validateRepairTimes(repairTimes);
+      if (repairError) {
+        return res.status(400).json({ error: repairError });
+      }
+    }
+
+    if (scheduling !== undefined && scheduling !== null) {
+      const schedulingError = validateScheduling(scheduling);
+      if (schedulingError) {
+        return res.status(400).json({ error: schedulingError });
+      }
+    }
+
+    const judgeRoster = judges
+      ? judges.map(j => ({ id: j.id, name: j.name || j.id, active: j.active !== false, headJudge: Boolean(j.headJudge) }))
+      : null;
+
+    const saved = await storage.saveEvent({
+      eventId,
+      name: name || eventId,
+      tournaments: parsed.tournaments,
+      arenas: parsedArenas.arenas,
+      scoringCriteria: scoringCriteria || null,
+      robotImages: robotImages || null,
+      discordWebhookUrl: discordWebhookUrl || null,
+      judges: judgeRoster,
+      repairTimes: repairTimes || null,
+      scheduling: scheduling || null,
+    });
+    stream.broadcast(eventId, 'repair-times', { repairTimes: saved.repairTimes });
+    console.log(`Event saved: ${eventId} with ${tournaments.length} tournaments${discordWebhookUrl ? ' (Discord webhook configured)' : ''}`);
+
     res.json({
       success: true,
-      event: {
-        eventId,
-        name: name || eventId,
-        tournaments,
-        scoringCriteria: scoringCriteria || null,
-        robotImages: robotImages || null,
-        discordWebhookUrl: discordWebhookUrl || null,
-        updatedAt: now,
-      },
+      event: toApiEvent(saved),
     });
   } catch (error) {
     console.error('Error saving event:', error);
@@ -387,39 +593,11 @@ app.get('/api/events/:eventId', async (req, res) => {
   try {
     const { eventId } = req.params;
 
-    if (pool) {
-      // Use PostgreSQL
-      const result = await pool.query(
-        'SELECT * FROM events WHERE event_id = $1',
-        [eventId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-
-      const row = result.rows[0];
-      res.json({
-        eventId: row.event_id,
-        name: row.name,
-        tournaments: row.tournaments,
-        scoringCriteria: row.scoring_criteria || null,
-        robotImages: row.robot_images || null,
-        discordWebhookUrl: row.discord_webhook_url || null,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-      });
-    } else {
-      // Fallback to in-memory
-      if (!memoryStorage.events[eventId]) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-
-      res.json({
-        eventId,
-        ...memoryStorage.events[eventId],
-      });
+    const event = await getEventFromStorage(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
     }
+    res.json(event);
   } catch (error) {
     console.error('Error fetching event:', error);
     res.status(500).json({ error: error.message });
@@ -429,25 +607,8 @@ app.get('/api/events/:eventId', async (req, res) => {
 // GET /api/events - List all events
 app.get('/api/events', async (req, res) => {
   try {
-    if (pool) {
-      // Use PostgreSQL
-      const result = await pool.query('SELECT * FROM events ORDER BY updated_at DESC');
-      const events = result.rows.map(row => ({
-        eventId: row.event_id,
-        name: row.name,
-        tournaments: row.tournaments,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-      }));
-      res.json(events);
-    } else {
-      // Fallback to in-memory
-      const eventList = Object.entries(memoryStorage.events).map(([eventId, data]) => ({
-        eventId,
-        ...data,
-      }));
-      res.json(eventList);
-    }
+    const events = await storage.listEvents();
+    res.json(events.map(toApiEvent));
   } catch (error) {
     console.error('Error listing events:', error);
     res.status(500).json({ error: error.message });
@@ -455,30 +616,14 @@ app.get('/api/events', async (req, res) => {
 });
 
 // DELETE /api/events/:eventId - Delete an event
-app.delete('/api/events/:eventId', async (req, res) => {
+app.delete('/api/events/:eventId', requireRole('admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
 
-    if (pool) {
-      // Use PostgreSQL
-      const result = await pool.query(
-        'DELETE FROM events WHERE event_id = $1 RETURNING *',
-        [eventId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-
-      console.log(`Event deleted from database: ${eventId}`);
-    } else {
-      // Fallback to in-memory
-      if (!memoryStorage.events[eventId]) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-      delete memoryStorage.events[eventId];
-      console.log(`Event deleted from memory: ${eventId}`);
+    if (!(await storage.deleteEvent(eventId))) {
+      return res.status(404).json({ error: 'Event not found' });
     }
+    console.log(`Event deleted: ${eventId}`);
 
     res.json({ success: true, message: `Event ${eventId} deleted` });
   } catch (error) {
@@ -488,29 +633,16 @@ app.delete('/api/events/:eventId', async (req, res) => {
 });
 
 // POST /api/events/:eventId/test-discord - Test Discord webhook
-app.post('/api/events/:eventId/test-discord', async (req, res) => {
+app.post('/api/events/:eventId/test-discord', requireRole('admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
     
-    // Get event data
-    let eventData;
-    if (pool) {
-      const result = await pool.query(
-        'SELECT name, discord_webhook_url FROM events WHERE event_id = $1',
-        [eventId]
-      );
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-      eventData = result.rows[0];
-    } else {
-      if (!memoryStorage.events[eventId]) {
-        return res.status(404).json({ error: 'Event not found' });
-      }
-      eventData = memoryStorage.events[eventId];
+    const eventData = await storage.getEvent(eventId);
+    if (!eventData) {
+      return res.status(404).json({ error: 'Event not found' });
     }
 
-    const webhookUrl = eventData.discord_webhook_url || eventData.discordWebhookUrl;
+    const webhookUrl = eventData.discordWebhookUrl;
     if (!webhookUrl) {
       return res.status(400).json({ error: 'No Discord webhook URL configured for this event' });
     }
@@ -539,17 +671,27 @@ app.post('/api/events/:eventId/test-discord', async (req, res) => {
 });
 
 // ============================================
-// ACTIVE MATCH TRACKING (In-Progress Matches)
+// EVENT STREAM (Server-Sent Events)
 // ============================================
 
-// In-memory fallback for active matches
-const memoryActiveMatches = {};
+// GET /api/events/:eventId/stream - Live updates for an event
+// Sends active-match, match-arena, repair-reset, repair-times, check-in, queue, judge-scores, match-finalized and match-updated events
+app.get('/api/events/:eventId/stream', (req, res) => {
+  stream.subscribe(req.params.eventId, req, res);
+});
+
+// ============================================
+// ACTIVE MATCH TRACKING (In-Progress Matches)
+// ============================================
 
-// In-memory fallback for match queue
-const memoryMatchQueue = {};
+// Helper to get an event's active matches, keyed by arena
+async function getActiveMatchesFromStorage(eventId) {
+  return storage.getActiveMatches(eventId);
+}
 
-// POST /api/events/:eventId/active-match - Set the currently fighting match for a tournament
-app.post('/api/events/:eventId/active-match', async (req, res) => {
+// POST /api/events/:eventId/active-match - Set the currently fighting match in an arena
+// Body: { tournamentId, matchId, arenaId? } - left out, the arena is the one the match is assigned to
+app.post('/api/events/:eventId/active-match', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
     const { tournamentId, matchId } = req.body;
@@ -558,51 +700,50 @@ app.post('/api/events/:eventId/active-match', async (req, res) => {
       return res.status(400).json({ error: 'tournamentId and matchId are required' });
     }
 
-    if (pool) {
-      // Use PostgreSQL - upsert
-      await pool.query(`
-        INSERT INTO active_matches (event_id, tournament_id, match_id, started_at)
-        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-        ON CONFLICT (event_id, tournament_id)
-        DO UPDATE SET match_id = $3, started_at = CURRENT_TIMESTAMP
-      `, [eventId, tournamentId, matchId]);
-      
-      console.log(`Active match set: event=${eventId}, tournament=${tournamentId}, match=${matchId}`);
-    } else {
-      // Fallback to in-memory
-      if (!memoryActiveMatches[eventId]) {
-        memoryActiveMatches[eventId] = {};
-      }
-      memoryActiveMatches[eventId][tournamentId] = {
-        matchId,
-        startedAt: new Date().toISOString()
-      };
+    const [event, matchArenas] = await Promise.all([storage.getEvent(eventId), storage.getMatchArenas(eventId)]);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
     }
+    if (!event.tournaments.some(t => t.tournamentId === String(tournamentId))) {
+      return res.status(400).json({ error: `Tournament ${tournamentId} is not in this event` });
+    }
+    const requested = req.body.arenaId ?? createArenaResolver(event, matchArenas)({ tournamentId, matchId });
+    const { arenaId, error } = resolveRequestArena(event, requested);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const before = (await getActiveMatchesFromStorage(eventId))[arenaId] || null;
+
+    await storage.setActiveMatch(eventId, arenaId, { tournamentId, matchId });
+    console.log(`Active match set: event=${eventId}, arena=${arenaId}, tournament=${tournamentId}, match=${matchId}`);
 
-    res.json({ success: true, eventId, tournamentId, matchId });
+    stream.broadcast(eventId, 'active-match', { arenaId, tournamentId, matchId });
+    await recordAudit(req, {
+      eventId, action: 'active-match.set', tournamentId, matchId,
+      before, after: { arenaId, tournamentId, matchId: String(matchId) },
+    });
+    res.json({ success: true, eventId, arenaId, tournamentId, matchId });
   } catch (error) {
     console.error('Error setting active match:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/events/:eventId/active-match/:tournamentId - Clear the active match for a tournament
-app.delete('/api/events/:eventId/active-match/:tournamentId', async (req, res) => {
+// DELETE /api/events/:eventId/active-match/:arenaId - Clear the active match in an arena
+app.delete('/api/events/:eventId/active-match/:arenaId', requireRole('judge', 'admin'), async (req, res) => {
   try {
-    const { eventId, tournamentId } = req.params;
-
-    if (pool) {
-      await pool.query(
-        'DELETE FROM active_matches WHERE event_id = $1 AND tournament_id = $2',
-        [eventId, tournamentId]
-      );
-      console.log(`Active match cleared: event=${eventId}, tournament=${tournamentId}`);
-    } else {
-      if (memoryActiveMatches[eventId]) {
-        delete memoryActiveMatches[eventId][tournamentId];
-      }
-    }
+    const { eventId, arenaId } = req.params;
+    const before = (await getActiveMatchesFromStorage(eventId))[arenaId] || null;
 
+    await storage.clearActiveMatch(eventId, arenaId);
+    console.log(`Active match cleared: event=${eventId}, arena=${arenaId}`);
+
+    stream.broadcast(eventId, 'active-match', { arenaId, tournamentId: before?.tournamentId || null, matchId: null });
+    await recordAudit(req, {
+      eventId, action: 'active-match.clear', tournamentId: before?.tournamentId, matchId: before?.matchId,
+      before, after: null,
+    });
     res.json({ success: true, message: 'Active match cleared' });
   } catch (error) {
     console.error('Error clearing active match:', error);
@@ -611,30 +752,92 @@ app.delete('/api/events/:eventId/active-match/:tournamentId', async (req, res) =
 });
 
 // GET /api/events/:eventId/active-matches - Get all active matches for an event
+// Returns { [arenaId]: { tournamentId, matchId, startedAt } }
 app.get('/api/events/:eventId/active-matches', async (req, res) => {
   try {
     const { eventId } = req.params;
+    res.json(await getActiveMatchesFromStorage(eventId));
+  } catch (error) {
+    console.error('Error getting active matches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (pool) {
-      const result = await pool.query(
-        'SELECT tournament_id, match_id, started_at FROM active_matches WHERE event_id = $1',
-        [eventId]
-      );
-      
-      const activeMatches = {};
-      result.rows.forEach(row => {
-        activeMatches[row.tournament_id] = {
-          matchId: row.match_id,
-          startedAt: row.started_at
-        };
-      });
-      
-      res.json(activeMatches);
-    } else {
-      res.json(memoryActiveMatches[eventId] || {});
+// ============================================
+// MATCH ARENA ASSIGNMENTS
+// ============================================
+
+// GET /api/events/:eventId/match-arenas - Matches sent to a different arena than their tournament's
+// Returns [{ tournamentId, matchId, arenaId }]
+app.get('/api/events/:eventId/match-arenas', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    res.json(await storage.getMatchArenas(eventId));
+  } catch (error) {
+    console.error('Error getting match arenas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/events/:eventId/match-arena - Send one match to an arena
+// Body: { tournamentId, matchId, arenaId }
+app.post('/api/events/:eventId/match-arena', requireRole('judge', 'admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { tournamentId, matchId, arenaId } = req.body;
+
+    if (!tournamentId || !matchId || !arenaId) {
+      return res.status(400).json({ error: 'tournamentId, matchId and arenaId are required' });
+    }
+
+    const event = await storage.getEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!event.tournaments.some(t => t.tournamentId === String(tournamentId))) {
+      return res.status(400).json({ error: `Tournament ${tournamentId} is not in this event` });
     }
+    const arena = resolveRequestArena(event, arenaId);
+    if (arena.error) {
+      return res.status(400).json({ error: arena.error });
+    }
+
+    const before = (await storage.getMatchArenas(eventId))
+      .find(a => a.tournamentId === String(tournamentId) && a.matchId === String(matchId)) || null;
+
+    await storage.setMatchArena(eventId, String(tournamentId), matchId, arenaId);
+    console.log(`Match arena set: event=${eventId}, tournament=${tournamentId}, match=${matchId}, arena=${arenaId}`);
+
+    stream.broadcast(eventId, 'match-arena', { tournamentId, matchId: String(matchId), arenaId });
+    await recordAudit(req, {
+      eventId, action: 'match-arena.set', tournamentId, matchId,
+      before, after: { tournamentId, matchId: String(matchId), arenaId },
+    });
+    res.json({ success: true, tournamentId, matchId: String(matchId), arenaId });
   } catch (error) {
-    console.error('Error getting active matches:', error);
+    console.error('Error setting match arena:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/events/:eventId/match-arena/:tournamentId/:matchId - Send a match back to its tournament's arena
+app.delete('/api/events/:eventId/match-arena/:tournamentId/:matchId', requireRole('judge', 'admin'), async (req, res) => {
+  try {
+    const { eventId, tournamentId, matchId } = req.params;
+    const before = (await storage.getMatchArenas(eventId))
+      .find(a => a.tournamentId === tournamentId && a.matchId === matchId) || null;
+
+    await storage.clearMatchArena(eventId, tournamentId, matchId);
+    console.log(`Match arena cleared: event=${eventId}, tournament=${tournamentId}, match=${matchId}`);
+
+    stream.broadcast(eventId, 'match-arena', { tournamentId, matchId, arenaId: null });
+    await recordAudit(req, {
+      eventId, action: 'match-arena.clear', tournamentId, matchId,
+      before, after: null,
+    });
+    res.json({ success: true, message: 'Match arena cleared' });
+  } catch (error) {
+    console.error('Error clearing match arena:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -643,11 +846,13 @@ app.get('/api/events/:eventId/active-matches', async (req, res) => {
 // REPAIR TIMER RESET ENDPOINTS
 // ============================================
 
-// In-memory fallback for repair timer resets
-const memoryRepairResets = {};
+// Helper to get an event's repair timer resets, keyed by robot name
+async function getRepairResetsFromStorage(eventId) {
+  return storage.getRepairResets(eventId);
+}
 
 // POST /api/events/:eventId/repair-reset - Reset a robot's repair timer
-app.post('/api/events/:eventId/repair-reset', async (req, res) => {
+app.post('/api/events/:eventId/repair-reset', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
     const { robotName } = req.body;
@@ -657,25 +862,16 @@ app.post('/api/events/:eventId/repair-reset', async (req, res) => {
     }
 
     const resetAt = new Date().toISOString();
+    const before = (await getRepairResetsFromStorage(eventId))[robotName] || null;
 
-    if (pool) {
-      // Use PostgreSQL - upsert
-      await pool.query(`
-        INSERT INTO repair_timer_resets (event_id, robot_name, reset_at)
-        VALUES ($1, $2, CURRENT_TIMESTAMP)
-        ON CONFLICT (event_id, robot_name)
-        DO UPDATE SET reset_at = CURRENT_TIMESTAMP
-      `, [eventId, robotName]);
-      
-      console.log(`Repair timer reset: event=${eventId}, robot=${robotName}`);
-    } else {
-      // Fallback to in-memory
-      if (!memoryRepairResets[eventId]) {
-        memoryRepairResets[eventId] = {};
-      }
-      memoryRepairResets[eventId][robotName] = resetAt;
-    }
+    await storage.setRepairReset(eventId, robotName, resetAt);
+    console.log(`Repair timer reset: event=${eventId}, robot=${robotName}`);
 
+    stream.broadcast(eventId, 'repair-reset', { robotName, resetAt });
+    await recordAudit(req, {
+      eventId, action: 'repair-reset.set', robots: [robotName],
+      before: before ? { resetAt: before } : null, after: { resetAt },
+    });
     res.json({ success: true, eventId, robotName, resetAt });
   } catch (error) {
     console.error('Error resetting repair timer:', error);
@@ -684,22 +880,19 @@ app.post('/api/events/:eventId/repair-reset', async (req, res) => {
 });
 
 // DELETE /api/events/:eventId/repair-reset/:robotName - Clear a robot's repair timer reset
-app.delete('/api/events/:eventId/repair-reset/:robotName', async (req, res) => {
+app.delete('/api/events/:eventId/repair-reset/:robotName', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { eventId, robotName } = req.params;
+    const before = (await getRepairResetsFromStorage(eventId))[robotName] || null;
 
-    if (pool) {
-      await pool.query(
-        'DELETE FROM repair_timer_resets WHERE event_id = $1 AND robot_name = $2',
-        [eventId, robotName]
-      );
-      console.log(`Repair timer reset cleared: event=${eventId}, robot=${robotName}`);
-    } else {
-      if (memoryRepairResets[eventId]) {
-        delete memoryRepairResets[eventId][robotName];
-      }
-    }
+    await storage.clearRepairReset(eventId, robotName);
+    console.log(`Repair timer reset cleared: event=${eventId}, robot=${robotName}`);
 
+    stream.broadcast(eventId, 'repair-reset', { robotName, resetAt: null });
+    await recordAudit(req, {
+      eventId, action: 'repair-reset.clear', robots: [robotName],
+      before: before ? { resetAt: before } : null, after: null,
+    });
     res.json({ success: true, message: 'Repair timer reset cleared' });
   } catch (error) {
     console.error('Error clearing repair timer reset:', error);
@@ -707,29 +900,182 @@ app.delete('/api/events/:eventId/repair-reset/:robotName', async (req, res) => {
   }
 });
 
-// GET /api/events/:eventId/repair-resets - Get all repair timer resets for an event
-app.get('/api/events/:eventId/repair-resets', async (req, res) => {
+// POST /api/events/:eventId/check-in - Check a robot in from the pits
+// Body: { robotName, status } - 'ready' waives the rest of its repair time, 'full-time' asks for all of it
+app.post('/api/events/:eventId/check-in', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
+    const { robotName, status } = req.body;
 
-    if (pool) {
-      const result = await pool.query(
-        'SELECT robot_name, reset_at FROM repair_timer_resets WHERE event_id = $1',
-        [eventId]
-      );
-      
-      const resets = {};
-      result.rows.forEach(row => {
-        resets[row.robot_name] = row.reset_at;
-      });
-      
-      res.json(resets);
-    } else {
-      res.json(memoryRepairResets[eventId] || {});
+    if (!robotName) {
+      return res.status(400).json({ error: 'robotName is required' });
     }
-  } catch (error) {
-    console.error('Error getting repair timer resets:', error);
-    res.status(500).json({ error: error.message });
+    if (!CHECK_IN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CHECK_IN_STATUSES.join(', ')}` });
+    }
+
+    const { role, judgeId, name } = req.session;
+    const checkIn = {
+      status,
+      setAt: new Date().toISOString(),
+      setByRole: role,
+      setById: judgeId || role,
+      setByName: name || null,
+    };
+    const before = (await storage.getCheckIns(eventId))[robotName] || null;
+
+    await storage.setCheckIn(eventId, robotName, checkIn);
+    console.log(`Robot checked in: event=${eventId}, robot=${robotName}, status=${status}`);
+
+    stream.broadcast(eventId, 'check-in', { robotName, checkIn });
+    await recordAudit(req, {
+      eventId, action: 'check-in.set', robots: [robotName],
+      before: before ? { status: before.status } : null, after: { status },
+    });
+    res.json({ success: true, eventId, robotName, checkIn });
+  } catch (error) {
+    console.error('Error checking in robot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/events/:eventId/check-in/:robotName - Clear a robot's check-in
+app.delete('/api/events/:eventId/check-in/:robotName', requireRole('judge', 'admin'), async (req, res) => {
+  try {
+    const { eventId, robotName } = req.params;
+    const before = (await storage.getCheckIns(eventId))[robotName] || null;
+
+    await storage.clearCheckIn(eventId, robotName);
+    console.log(`Robot check-in cleared: event=${eventId}, robot=${robotName}`);
+
+    stream.broadcast(eventId, 'check-in', { robotName, checkIn: null });
+    await recordAudit(req, {
+      eventId, action: 'check-in.clear', robots: [robotName],
+      before: before ? { status: before.status } : null, after: null,
+    });
+    res.json({ success: true, message: 'Check-in cleared' });
+  } catch (error) {
+    console.error('Error clearing check-in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/events/:eventId/check-ins - Get every robot's latest check-in, including ones
+// from before its last fight - repair-status only shows the ones that still count
+app.get('/api/events/:eventId/check-ins', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    res.json(await storage.getCheckIns(eventId));
+  } catch (error) {
+    console.error('Error getting check-ins:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start the repair clock for a match's robots in every event that includes the tournament
+// Timers are best effort - a failed write is logged rather than failing the result
+async function recordFightEnd(tournamentId, matchId, robots) {
+  try {
+    const endedAt = new Date().toISOString();
+    const eventIds = await getEventIdsForTournament(tournamentId);
+    for (const eventId of eventIds) {
+      for (const robotName of (robots || []).filter(Boolean)) {
+        await storage.setFightEnd(eventId, robotName, { endedAt, tournamentId, matchId });
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to record the end of match ${matchId}:`, err);
+  }
+}
+
+// Every bracket in an event, { [tournamentId]: matches } - one that fails to load
+// is logged and left out
+async function loadEventBrackets(event, purpose) {
+  const matchesByTournament = {};
+  for (const { tournamentId } of event.tournaments) {
+    try {
+      ({ matches: matchesByTournament[tournamentId] } = await brackets.getTournament(tournamentId));
+    } catch (err) {
+      console.error(`Failed to load ${tournamentId} for ${purpose}:`, err.message);
+    }
+  }
+  return matchesByTournament;
+}
+
+// Each robot's repair time comes from its next fight in the event's brackets - its
+// round, tournament and weight class - or from its last fight's tournament if the
+// bracket hasn't given it another one yet. Returns (robotName, lastTournamentId) => ms
+// matchesByTournament: brackets already loaded with loadEventBrackets, if there are any
+async function getRepairTimeResolver(event, matchesByTournament) {
+  const config = event?.repairTimes || null;
+  const weightClasses = Object.fromEntries((event?.tournaments || []).map(t => [t.tournamentId, t.weightClass]));
+  const fightFor = tournamentId => ({ tournamentId, weightClass: weightClasses[tournamentId] });
+
+  // Only settings beyond the event default need the brackets
+  const nextFights = {};
+  const hasOverrides = config && ['weightClasses', 'tournaments', 'rounds']
+    .some(field => config[field] && Object.keys(config[field]).length > 0);
+  if (hasOverrides) {
+    const loaded = matchesByTournament || await loadEventBrackets(event, 'repair times');
+    for (const { tournamentId } of event.tournaments) {
+      const matches = loaded[tournamentId];
+      if (!matches) continue;
+      const upcoming = matches
+        .filter(m => m.status !== 'completed' && (m.competitorA || m.competitorB))
+        .sort((a, b) => a.matchNum - b.matchNum);
+      for (const match of upcoming) {
+        for (const robotName of [match.competitorA, match.competitorB].filter(Boolean)) {
+          const key = robotName.toLowerCase();
+          if (!nextFights[key]) {
+            nextFights[key] = { ...fightFor(tournamentId), match, isFinals: isFinalsMatch(match, matches) };
+          }
+        }
+      }
+    }
+  }
+
+  return (robotName, lastTournamentId) => resolveRepairTimeMs(
+    config,
+    nextFights[robotName.toLowerCase()] || (lastTournamentId ? fightFor(lastTournamentId) : {}),
+  );
+}
+
+// GET /api/events/:eventId/repair-status - Repair time left for every robot with a timer or check-in
+// Returns { serverTime, repairTimeMs, robots: { [robotName]: { lastFightAt, resetAt, startedAt, readyAt,
+//   repairTimeMs, remainingMs, ready, checkIn, waived } } }
+// The top-level repairTimeMs is the event default. Robots that aren't listed are ready
+app.get('/api/events/:eventId/repair-status', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const [event, fightEnds, resets, checkIns] = await Promise.all([
+      storage.getEvent(eventId),
+      storage.getFightEnds(eventId),
+      getRepairResetsFromStorage(eventId),
+      storage.getCheckIns(eventId),
+    ]);
+    // The brackets are only needed once a robot has a timer
+    const hasTimers = Object.keys(fightEnds).length > 0 || Object.keys(resets).length > 0;
+    const repairTimeMs = hasTimers ? await getRepairTimeResolver(event) : undefined;
+    const now = Date.now();
+    res.json({
+      serverTime: new Date(now).toISOString(),
+      repairTimeMs: resolveRepairTimeMs(event?.repairTimes),
+      robots: calculateRepairStatus({ fightEnds, resets, checkIns, now, repairTimeMs }),
+    });
+  } catch (error) {
+    console.error('Error getting repair status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/events/:eventId/repair-resets - Get all repair timer resets for an event
+app.get('/api/events/:eventId/repair-resets', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    res.json(await getRepairResetsFromStorage(eventId));
+  } catch (error) {
+    console.error('Error getting repair timer resets:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -737,28 +1083,25 @@ app.get('/api/events/:eventId/repair-resets', async (req, res) => {
 // MATCH QUEUE MANAGEMENT ENDPOINTS
 // ============================================
 
+// Helper to get the saved match queue for one of an event's arenas
+async function getMatchQueueFromStorage(eventId, arenaId) {
+  return storage.getMatchQueue(eventId, arenaId);
+}
+
+const queueAuditEntry = arenaId => ({ tournamentId, matchId, position, locked }) => ({
+  arenaId, tournamentId, matchId, position, locked: Boolean(locked),
+});
+
 // GET /api/events/:eventId/match-queue - Get current match queue order
+// Query: arena - which arena's queue, the event's first arena if left out
 app.get('/api/events/:eventId/match-queue', async (req, res) => {
   try {
     const { eventId } = req.params;
-
-    if (pool) {
-      const result = await pool.query(
-        'SELECT tournament_id, match_id, queue_position FROM match_queue WHERE event_id = $1 ORDER BY queue_position ASC',
-        [eventId]
-      );
-      
-      // Return as array of match positions
-      const queue = result.rows.map(row => ({
-        tournamentId: row.tournament_id,
-        matchId: row.match_id,
-        position: row.queue_position
-      }));
-      
-      res.json(queue);
-    } else {
-      res.json(memoryMatchQueue[eventId] || []);
+    const { arenaId, error } = resolveRequestArena(await storage.getEvent(eventId), req.query.arena);
+    if (error) {
+      return res.status(400).json({ error });
     }
+    res.json(await getMatchQueueFromStorage(eventId, arenaId));
   } catch (error) {
     console.error('Error getting match queue:', error);
     res.status(500).json({ error: error.message });
@@ -766,34 +1109,37 @@ app.get('/api/events/:eventId/match-queue', async (req, res) => {
 });
 
 // POST /api/events/:eventId/match-queue - Update match queue order
-app.post('/api/events/:eventId/match-queue', async (req, res) => {
+// Body: { queue, arenaId? } - a match queued in another arena moves to this one
+app.post('/api/events/:eventId/match-queue', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const { queue } = req.body; // Array of { tournamentId, matchId, position }
+    const { queue } = req.body; // Array of { tournamentId, matchId, position, locked? }
 
-    if (!queue || !Array.isArray(queue)) {
-      return res.status(400).json({ error: 'queue must be an array' });
+    const event = await storage.getEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
     }
-
-    if (pool) {
-      // Delete existing queue for this event
-      await pool.query('DELETE FROM match_queue WHERE event_id = $1', [eventId]);
-      
-      // Insert new queue order
-      for (const item of queue) {
-        await pool.query(`
-          INSERT INTO match_queue (event_id, tournament_id, match_id, queue_position, updated_at)
-          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-        `, [eventId, item.tournamentId, item.matchId, item.position]);
-      }
-      
-      console.log(`Match queue updated for event ${eventId}: ${queue.length} matches`);
-    } else {
-      // Fallback to in-memory
-      memoryMatchQueue[eventId] = queue;
+    const problems = validateMatchQueue(req.body, event.tournaments.map(t => t.tournamentId));
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
     }
+    const { arenaId, error } = resolveRequestArena(event, req.body.arenaId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const before = await getMatchQueueFromStorage(eventId, arenaId);
 
-    res.json({ success: true, queueLength: queue.length });
+    await storage.saveMatchQueue(eventId, arenaId, queue);
+    console.log(`Match queue updated for event ${eventId}, arena ${arenaId}: ${queue.length} matches`);
+
+    stream.broadcast(eventId, 'queue', { arenaId, queueLength: queue.length });
+    await recordAudit(req, {
+      eventId, action: 'queue.update',
+      before: before.map(queueAuditEntry(arenaId)),
+      after: queue.map(queueAuditEntry(arenaId)),
+    });
+    res.json({ success: true, arenaId, queueLength: queue.length });
   } catch (error) {
     console.error('Error updating match queue:', error);
     res.status(500).json({ error: error.message });
@@ -801,17 +1147,25 @@ app.post('/api/events/:eventId/match-queue', async (req, res) => {
 });
 
 // DELETE /api/events/:eventId/match-queue - Clear match queue (revert to automatic ordering)
-app.delete('/api/events/:eventId/match-queue', async (req, res) => {
+// Query: arena - which arena's queue, the event's first arena if left out
+app.delete('/api/events/:eventId/match-queue', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { eventId } = req.params;
-
-    if (pool) {
-      await pool.query('DELETE FROM match_queue WHERE event_id = $1', [eventId]);
-      console.log(`Match queue cleared for event ${eventId}`);
-    } else {
-      delete memoryMatchQueue[eventId];
+    const { arenaId, error } = resolveRequestArena(await storage.getEvent(eventId), req.query.arena);
+    if (error) {
+      return res.status(400).json({ error });
     }
+    const before = await getMatchQueueFromStorage(eventId, arenaId);
+
+    await storage.clearMatchQueue(eventId, arenaId);
+    console.log(`Match queue cleared for event ${eventId}, arena ${arenaId}`);
 
+    stream.broadcast(eventId, 'queue', { arenaId, queueLength: 0 });
+    await recordAudit(req, {
+      eventId, action: 'queue.clear',
+      before: before.map(queueAuditEntry(arenaId)),
+      after: [],
+    });
     res.json({ success: true, message: 'Match queue cleared' });
   } catch (error) {
     console.error('Error clearing match queue:', error);
@@ -819,12 +1173,132 @@ app.delete('/api/events/:eventId/match-queue', async (req, res) => {
   }
 });
 
+// GET /api/events/:eventId/schedule - Proposed order for the next fights in an arena (judge or admin)
+// Query: arena - the event's first arena if left out
+//        size - how many fights to propose, the event's proposalSize if left out
+// Returns { generatedAt, arenaId, settings, fights: [{ position, tournamentId, matchId, matchNum, round, bracket,
+//   weightClass, competitorA, competitorB, startAt, waitMs, locked, notes }] }
+// Only fights assigned to the arena are proposed, and locked entries in its queue keep their
+// place. Accept a proposal by saving it as the arena's match queue
+app.get('/api/events/:eventId/schedule', requireRole('judge', 'admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = await storage.getEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const size = req.query.size === undefined ? undefined : Number(req.query.size);
+    if (size !== undefined && !(Number.isInteger(size) && size > 0 && size <= MAX_PROPOSAL_SIZE)) {
+      return res.status(400).json({ error: `size must be a whole number from 1 to ${MAX_PROPOSAL_SIZE}` });
+    }
+    const { arenaId, error } = resolveRequestArena(event, req.query.arena);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [matchesByTournament, fightEnds, resets, checkIns, activeMatches, queue, matchArenas] = await Promise.all([
+      loadEventBrackets(event, 'the schedule'),
+      storage.getFightEnds(eventId),
+      getRepairResetsFromStorage(eventId),
+      storage.getCheckIns(eventId),
+      getActiveMatchesFromStorage(eventId),
+      getMatchQueueFromStorage(eventId, arenaId),
+      storage.getMatchArenas(eventId),
+    ]);
+    const arenaFor = createArenaResolver(event, matchArenas);
+    const now = Date.now();
+    const settings = resolveScheduling(event.scheduling);
+    const fightMs = settings.fightMinutes * 60 * 1000;
+    const weightClasses = Object.fromEntries(event.tournaments.map(t => [t.tournamentId, t.weightClass || null]));
+    const repairTimeFor = await getRepairTimeResolver(event, matchesByTournament);
+
+    const repairStatus = calculateRepairStatus({ fightEnds, resets, checkIns, now, repairTimeMs: repairTimeFor });
+    const readyAt = Object.fromEntries(Object.entries(repairStatus).map(([name, robot]) => [name, robot.readyAt]));
+
+    const fights = [];
+    const progress = {};
+    let previous = null;
+    for (const { tournamentId } of event.tournaments) {
+      const matches = matchesByTournament[tournamentId];
+      if (!matches) continue;
+      progress[tournamentId] = { completed: matches.filter(m => m.status === 'completed').length, total: matches.length };
+
+      for (const match of matches) {
+        if (match.status === 'completed' || !match.competitorA || !match.competitorB) continue;
+        const robots = [match.competitorA, match.competitorB];
+
+        // A fight in any arena now holds its robots until it's done, and holds this arena if it's here
+        const [activeArenaId, active] = Object.entries(activeMatches)
+          .find(([, a]) => a.tournamentId === tournamentId && String(a.matchId) === String(match.id)) || [];
+        if (active) {
+          const endsAt = Math.max(now, new Date(active.startedAt).getTime() + fightMs);
+          if (activeArenaId === arenaId) previous = { weightClass: weightClasses[tournamentId], robots, endsAt };
+          for (const name of robots) readyAt[name] = new Date(endsAt + repairTimeFor(name, tournamentId)).toISOString();
+          continue;
+        }
+        if (arenaFor({ tournamentId, matchId: match.id }) !== arenaId) continue;
+        fights.push({
+          tournamentId,
+          matchId: String(match.id),
+          matchNum: match.matchNum,
+          round: match.round,
+          bracket: match.bracket,
+          weightClass: weightClasses[tournamentId],
+          competitorA: match.competitorA,
+          competitorB: match.competitorB,
+        });
+      }
+    }
+
+    // Nothing fighting - the last fight to finish in the arena was the one before
+    if (!previous) {
+      const last = Object.values(fightEnds)
+        .filter(fight => fight.tournamentId && arenaFor(fight) === arenaId)
+        .reduce((latest, fight) => (
+          !latest || new Date(fight.endedAt) > new Date(latest.endedAt) ? fight : latest
+        ), null);
+      if (last) {
+        previous = {
+          weightClass: weightClasses[last.tournamentId] || null,
+          robots: Object.entries(fightEnds)
+            .filter(([, fight]) => fight.tournamentId === last.tournamentId && fight.matchId === last.matchId)
+            .map(([name]) => name),
+        };
+      }
+    }
+
+    const schedule = proposeSchedule({
+      fights,
+      locked: queue.filter(item => item.locked),
+      progress,
+      readyAt,
+      // The repairs after a proposed fight are timed from the fight's own tournament
+      repairTimeMs: (fight, robotName) => repairTimeFor(robotName, fight.tournamentId),
+      previous,
+      settings: event.scheduling,
+      now,
+      size,
+    });
+
+    res.json({
+      generatedAt: new Date(now).toISOString(),
+      arenaId,
+      settings: { fightMinutes: settings.fightMinutes, changeoverMinutes: settings.changeoverMinutes, proposalSize: settings.proposalSize },
+      fights: schedule,
+    });
+  } catch (error) {
+    console.error('Error building schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // ROBOT COMBAT EVENTS IMAGE SCRAPING
 // ============================================
 
 // GET /api/scrape-rce - Scrape robot images from RobotCombatEvents registration page
-app.get('/api/scrape-rce', async (req, res) => {
+app.get('/api/scrape-rce', requireRole('admin'), async (req, res) => {
   try {
     const { url } = req.query;
     
@@ -902,14 +1376,90 @@ app.get('/api/scrape-rce', async (req, res) => {
   }
 });
 
+// ============================================
+// NATIVE BRACKETS
+// ============================================
+
+// Every tournament is reached through its bracket provider - see ./providers
+const nativeBrackets = createNativeProvider({
+  getTournament: url => storage.getNativeTournament(url),
+  saveTournament: tournament => storage.saveNativeTournament(tournament),
+  listTournaments: () => storage.listNativeTournaments(),
+});
+const brackets = createBracketProviders({ native: nativeBrackets });
+
+// GET /api/native-tournaments - List brackets run by the built-in engine
+app.get('/api/native-tournaments', async (req, res) => {
+  try {
+    res.json(await nativeBrackets.listTournaments());
+  } catch (error) {
+    console.error('Error fetching native tournaments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/native-tournaments - Create a bracket without Challonge (admin only)
+// Body: { name, tournamentType, participants: [robot names in seed order], bracketReset? }
+// tournamentType is 'single elimination', 'double elimination' or 'round robin'
+app.post('/api/native-tournaments', requireRole('admin'), async (req, res) => {
+  try {
+    const problems = validateNativeTournament(req.body);
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
+    }
+
+    const { name, tournamentType, participants, bracketReset } = req.body;
+    const tournament = createBracket({
+      name: name.trim(),
+      tournamentType,
+      participants: participants.map(participant => participant.trim()),
+      bracketReset: bracketReset !== false,
+    }, await storage.allocateNativeIdBlock());
+    await storage.saveNativeTournament(tournament);
+
+    await recordAudit(req, {
+      action: 'bracket.create', tournamentId: tournament.url,
+      robots: tournament.participants.map(p => p.name),
+      after: { name: tournament.name, tournamentType, bracketReset: bracketReset !== false },
+    });
+    console.log(`Created native ${tournamentType} bracket ${tournament.url} with ${participants.length} robots`);
+    res.status(201).json(await nativeBrackets.getTournament(tournament.url));
+  } catch (error) {
+    console.error('Error creating native tournament:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/native-tournaments/:url - Delete a built-in bracket (admin only)
+app.delete('/api/native-tournaments/:url', requireRole('admin'), async (req, res) => {
+  try {
+    const { url } = req.params;
+    const tournament = await storage.getNativeTournament(url);
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'bracket.delete', tournamentId: url,
+      robots: tournament.participants.map(p => p.name),
+      before: { name: tournament.name, tournamentType: tournament.tournament_type, state: tournament.state },
+    });
+    await storage.deleteNativeTournament(url);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting native tournament:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // TOURNAMENT ENDPOINTS
 // ============================================
 
-// GET /api/tournaments - List all tournaments
+// GET /api/tournaments - List tournaments from every configured bracket provider
 app.get('/api/tournaments', async (req, res) => {
   try {
-    const data = await challongeRequest('/tournaments.json');
+    const data = await brackets.listTournaments();
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -917,13 +1467,24 @@ app.get('/api/tournaments', async (req, res) => {
 });
 
 // GET /api/tournaments/:id - Get tournament details with participants and matches
+// Each match we finalized also carries its winMethod and `judging`: { result, judges } from our own scores
 app.get('/api/tournaments/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const data = await challongeRequest(
-      `/tournaments/${id}.json?include_participants=1&include_matches=1`
-    );
-    res.json(data);
+    const { tournament, participants, matches } = await brackets.getTournament(id);
+
+    const finalized = await getFinalizedScoresForTournament([id, tournament.id]);
+    const judgedMatches = matches.map(match => {
+      const scores = finalized[String(match.id)];
+      if (!scores) return { ...match, winMethod: null, judging: null };
+      return {
+        ...match,
+        winMethod: scores.result?.winMethod || null,
+        judging: { result: scores.result, judges: scores.judges },
+      };
+    });
+
+    res.json({ tournament, participants, matches: judgedMatches });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -933,8 +1494,8 @@ app.get('/api/tournaments/:id', async (req, res) => {
 app.get('/api/tournaments/:id/participants', async (req, res) => {
   try {
     const { id } = req.params;
-    const data = await challongeRequest(`/tournaments/${id}/participants.json`);
-    res.json(data);
+    const { participants } = await brackets.getTournament(id);
+    res.json(participants);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -944,8 +1505,8 @@ app.get('/api/tournaments/:id/participants', async (req, res) => {
 app.get('/api/tournaments/:id/matches', async (req, res) => {
   try {
     const { id } = req.params;
-    const data = await challongeRequest(`/tournaments/${id}/matches.json`);
-    res.json(data);
+    const { matches } = await brackets.getTournament(id);
+    res.json(matches);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -959,10 +1520,8 @@ app.get('/api/tournaments/:id/matches', async (req, res) => {
 app.get('/api/tournaments/:tournamentId/matches/:matchId', async (req, res) => {
   try {
     const { tournamentId, matchId } = req.params;
-    const data = await challongeRequest(
-      `/tournaments/${tournamentId}/matches/${matchId}.json`
-    );
-    res.json(data);
+    const match = await brackets.getMatch(tournamentId, matchId);
+    res.json({ match });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -970,44 +1529,101 @@ app.get('/api/tournaments/:tournamentId/matches/:matchId', async (req, res) => {
 
 // PUT /api/tournaments/:tournamentId/matches/:matchId - Update match (report scores)
 // This is the key endpoint for advancing the tournament
-app.put('/api/tournaments/:tournamentId/matches/:matchId', async (req, res) => {
+// Body: { winnerId, scoreA?, scoreB? } - Challonge's { winner_id, scores_csv } is still accepted
+app.put('/api/tournaments/:tournamentId/matches/:matchId', requireRole('admin'), async (req, res) => {
   try {
     const { tournamentId, matchId } = req.params;
-    const { winner_id, scores_csv } = req.body;
+    const winnerId = parseInt(req.body.winnerId ?? req.body.winner_id);
 
     // Validate required fields
-    if (!winner_id) {
-      return res.status(400).json({ error: 'winner_id is required' });
+    if (!winnerId) {
+      return res.status(400).json({ error: 'winnerId is required' });
     }
 
-    const matchData = {
-      match: {
-        winner_id: winner_id,
-        scores_csv: scores_csv || '1-0', // Default score if not provided
-      },
+    // Default score if not provided
+    const [csvA, csvB] = (req.body.scores_csv || '1-0').split('-').map(n => parseInt(n) || 0);
+    const result = {
+      winnerId,
+      scoreA: Number.isInteger(req.body.scoreA) ? req.body.scoreA : csvA,
+      scoreB: Number.isInteger(req.body.scoreB) ? req.body.scoreB : csvB,
     };
 
-    const data = await challongeRequest(
-      `/tournaments/${tournamentId}/matches/${matchId}.json`,
-      'PUT',
-      matchData
-    );
+    const match = await brackets.reportMatch(tournamentId, matchId, result);
 
-    res.json(data);
+    await recordFightEnd(tournamentId, matchId, [match?.competitorA, match?.competitorB]);
+    await broadcastToTournament(tournamentId, 'match-updated', { matchId });
+    await recordAudit(req, {
+      action: 'match.update', tournamentId, matchId,
+      robots: [match?.competitorA, match?.competitorB],
+      after: result,
+    });
+    res.json({ match });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Bracket matches for a tournament, keyed by match id
+async function getBracketMatchMap(tournamentId) {
+  const { matches } = await brackets.getTournament(tournamentId);
+  return new Map(matches.map(match => [String(match.id), match]));
+}
+
 // POST /api/tournaments/:tournamentId/matches/:matchId/reopen - Reopen a match
-app.post('/api/tournaments/:tournamentId/matches/:matchId/reopen', async (req, res) => {
+// Body: { reason } - the judge scores for the match, and for any later match
+// the bracket resets as a result, are archived so the fights can be scored again
+app.post('/api/tournaments/:tournamentId/matches/:matchId/reopen', requireRole('admin'), async (req, res) => {
   try {
     const { tournamentId, matchId } = req.params;
-    const data = await challongeRequest(
-      `/tournaments/${tournamentId}/matches/${matchId}/reopen.json`,
-      'POST'
-    );
-    res.json(data);
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reopen a match' });
+    }
+
+    const matchesBefore = await getBracketMatchMap(tournamentId);
+    const match = await brackets.reopenMatch(tournamentId, matchId);
+    const matchesAfter = await getBracketMatchMap(tournamentId);
+
+    // Later matches the bracket cleared: they were complete, their robots changed,
+    // or they're hidden again (a bracket reset that's no longer needed)
+    const resetMatchIds = [...matchesBefore.keys()].filter(id => {
+      const before = matchesBefore.get(id);
+      const after = matchesAfter.get(id);
+      if (id === String(matchId)) return false;
+      if (!after) return true;
+      return (before.status === 'completed' && after.status !== 'completed')
+        || before.competitorAId !== after.competitorAId
+        || before.competitorBId !== after.competitorBId;
+    });
+
+    const archived = [];
+    for (const id of [String(matchId), ...resetMatchIds]) {
+      const scores = await getJudgeScoresFromStorage(id);
+      if (!scores) continue;
+
+      await archiveJudgeScores(id, scores, {
+        reason,
+        reopenedMatchId: matchId,
+        archivedBy: req.session.name,
+      });
+      const cancelledDeliveries = await cancelResultDeliveries(id);
+      archived.push({
+        matchId: id,
+        judgeCount: Object.keys(scores.judges || {}).length,
+        wasFinalized: Boolean(scores.finalized),
+        cancelledDeliveries,
+      });
+      await broadcastToTournament(tournamentId, 'judge-scores', { matchId: id, judgeCount: 0 });
+    }
+
+    await broadcastToTournament(tournamentId, 'match-updated', { matchId });
+    await recordAudit(req, {
+      action: 'match.reopen', tournamentId, matchId,
+      robots: [match?.competitorA, match?.competitorB],
+      before: { status: matchesBefore.get(String(matchId))?.status || null, resetMatchIds, archived },
+      after: { status: match?.status || 'active', reason },
+    });
+    res.json({ match, reason, resetMatchIds, archived });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1019,100 +1635,77 @@ app.post('/api/tournaments/:tournamentId/matches/:matchId/reopen', async (req, r
 
 // Helper function to get judge scores from storage
 async function getJudgeScoresFromStorage(matchId) {
-  if (pool) {
-    const result = await pool.query(
-      'SELECT * FROM judge_scores WHERE match_id = $1',
-      [matchId]
-    );
-    if (result.rows.length > 0) {
-      const row = result.rows[0];
-      return {
-        tournamentId: row.tournament_id,
-        competitorAId: row.competitor_a_id,
-        competitorBId: row.competitor_b_id,
-        judges: row.judges,
-        finalized: row.finalized,
-        result: row.result,
-      };
-    }
-    return null;
-  } else {
-    return memoryStorage.judgeScores[matchId] || null;
-  }
+  return storage.getJudgeScores(matchId);
+}
+
+// Helper to get the finalized scores for every match in a tournament
+// tournamentIds: the ids the tournament might be stored under (URL slug or provider id)
+// Returns { [matchId]: scores }
+async function getFinalizedScoresForTournament(tournamentIds) {
+  const ids = [...new Set(tournamentIds.filter(Boolean).map(String))];
+  return storage.getFinalizedScores(ids);
 }
 
 // Helper function to save judge scores to storage
 async function saveJudgeScoresToStorage(matchId, data) {
-  if (pool) {
-    await pool.query(`
-      INSERT INTO judge_scores (match_id, tournament_id, competitor_a_id, competitor_b_id, judges, finalized, result, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
-      ON CONFLICT (match_id) 
-      DO UPDATE SET 
-        tournament_id = $2,
-        competitor_a_id = $3,
-        competitor_b_id = $4,
-        judges = $5,
-        finalized = $6,
-        result = $7,
-        updated_at = CURRENT_TIMESTAMP
-    `, [
-      matchId,
-      data.tournamentId,
-      data.competitorAId,
-      data.competitorBId,
-      JSON.stringify(data.judges),
-      data.finalized,
-      data.result ? JSON.stringify(data.result) : null,
-    ]);
-  } else {
-    memoryStorage.judgeScores[matchId] = data;
-  }
+  await storage.saveJudgeScores(matchId, data);
+}
+
+// Finalize a match: save the result, queue delivery to the bracket and Discord,
+// and tell everyone watching. Returns the outbox entry for the delivery
+async function finalizeMatchResult(req, matchId, matchScores, result, { eventId, robots, action = 'match.finalize', before = null }) {
+  matchScores.finalized = true;
+  matchScores.result = result;
+
+  await saveJudgeScoresToStorage(matchId, matchScores);
+  const delivery = await enqueueResultDelivery(matchId, matchScores);
+  await recordAudit(req, {
+    eventId, action, tournamentId: matchScores.tournamentId, matchId, robots,
+    before, after: result,
+  });
+  await recordFightEnd(matchScores.tournamentId, matchId, robots);
+  await broadcastToTournament(matchScores.tournamentId, 'match-finalized', { matchId, result });
+  return delivery;
 }
 
-// Helper to get competitor names from Challonge
+// Move a match's scores into the archive and clear them, so judges can score it again
+async function archiveJudgeScores(matchId, scores, archive) {
+  await storage.archiveJudgeScores(matchId, scores, archive);
+}
+
+// Helper to get the archived scores for a match, newest first
+async function getArchivedJudgeScores(matchId) {
+  return storage.getArchivedJudgeScores(matchId);
+}
+
+// Helper to get competitor names from the bracket
 async function getCompetitorNames(tournamentId, competitorAId, competitorBId) {
   try {
-    const data = await challongeRequest(
-      `/tournaments/${tournamentId}.json?include_participants=1`
-    );
-    const participants = data.tournament.participants || [];
-    
-    let competitorA = null;
-    let competitorB = null;
-    
-    for (const p of participants) {
-      if (p.participant.id === competitorAId) {
-        competitorA = p.participant.name;
-      }
-      if (p.participant.id === competitorBId) {
-        competitorB = p.participant.name;
-      }
-    }
-    
-    return { competitorA, competitorB };
+    const { participants } = await brackets.getTournament(tournamentId);
+    const names = Object.fromEntries(participants.map(p => [p.id, p.name]));
+    return { competitorA: names[competitorAId] || null, competitorB: names[competitorBId] || null };
   } catch (err) {
     console.error('Error getting competitor names:', err);
     return { competitorA: null, competitorB: null };
   }
 }
 
-// Helper to get tournament name from Challonge
+// Helper to get tournament name from the bracket
 async function getTournamentName(tournamentId) {
   try {
-    const data = await challongeRequest(`/tournaments/${tournamentId}.json`);
-    return data.tournament.name;
+    const { tournament } = await brackets.getTournament(tournamentId);
+    return tournament.name;
   } catch (err) {
     console.error('Error getting tournament name:', err);
     return tournamentId;
   }
 }
 
-// Helper to get match number from Challonge
+// Helper to get match number from the bracket
 async function getMatchNumber(tournamentId, matchId) {
   try {
-    const data = await challongeRequest(`/tournaments/${tournamentId}/matches/${matchId}.json`);
-    return data.match.suggested_play_order || data.match.id;
+    const match = await brackets.getMatch(tournamentId, matchId);
+    return match.matchNum || match.id;
   } catch (err) {
     console.error('Error getting match number:', err);
     return matchId;
@@ -1120,13 +1713,54 @@ async function getMatchNumber(tournamentId, matchId) {
 }
 
 // POST /api/matches/:matchId/scores - Submit judge scores
-app.post('/api/matches/:matchId/scores', async (req, res) => {
+app.post('/api/matches/:matchId/scores', requireRole('judge'), async (req, res) => {
   try {
     const { matchId } = req.params;
-    const { judgeId, tournamentId, competitorAId, competitorBId, scores, isKO, koWinnerId } = req.body;
+    const { tournamentId, competitorAId, competitorBId, scores, isKO, koWinnerId, winMethod } = req.body;
+
+    // The judge is whoever is logged in, never what the request body claims
+    const { judgeId, eventId } = req.session;
+
+    const event = await getEventFromStorage(eventId);
+    if (!event) {
+      return res.status(403).json({ error: 'This tournament is not part of your event' });
+    }
+
+    const panel = getActivePanel(event.judges);
+    const panelJudgeIds = panel.map(j => j.id);
+    if (!panelJudgeIds.includes(judgeId)) {
+      return res.status(403).json({ error: 'You are not on the active judge panel for this event' });
+    }
 
     // Get existing scores or initialize
     let matchScores = await getJudgeScoresFromStorage(matchId);
+
+    if (matchScores?.finalized) {
+      return res.status(400).json({ error: 'Match already finalized' });
+    }
+
+    // Check the card against the event's scoring criteria and the first judge's submission
+    const criteria = resolveCriteria(event.scoringCriteria);
+    const problems = validateScoreSubmission(req.body, criteria, matchScores);
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
+    }
+    if (!event.tournaments.includes(tournamentId)) {
+      return res.status(403).json({ error: 'This tournament is not part of your event' });
+    }
+
+    // Make sure the fight being scored is actually open in the bracket
+    let bracketMatch;
+    try {
+      bracketMatch = await brackets.getMatch(tournamentId, matchId);
+    } catch (err) {
+      console.error('Error checking match in the bracket:', err);
+      return res.status(502).json({ error: 'Could not check this match in the bracket, try again' });
+    }
+    const matchProblems = validateBracketMatch(bracketMatch, req.body);
+    if (matchProblems.length > 0) {
+      return sendValidationError(res, matchProblems);
+    }
     
     if (!matchScores) {
       matchScores = {
@@ -1140,101 +1774,93 @@ app.post('/api/matches/:matchId/scores', async (req, res) => {
     }
 
     // Store judge's scores
+    const previousCard = matchScores.judges[judgeId] || null;
     matchScores.judges[judgeId] = {
-      scores, // { aggression: X, damage: X, control: X } for competitor A
+      scores, // { [criterionId]: points for competitor A }
       isKO,
       koWinnerId,
+      winMethod: winMethod || (isKO ? 'ko' : 'points'),
       submittedAt: new Date().toISOString(),
     };
 
-    // Check if all 3 judges have submitted
-    const judgeCount = Object.keys(matchScores.judges).length;
+    // The card is saved before it's audited, so the log never shows a submission
+    // that didn't happen
+    await saveJudgeScoresToStorage(matchId, matchScores);
+    const robots = await getMatchRobots(tournamentId, competitorAId, competitorBId);
+    await recordAudit(req, {
+      eventId, action: 'score.submit', tournamentId, matchId, robots,
+      before: previousCard, after: matchScores.judges[judgeId],
+    });
+
+    // Check if every judge on the panel has submitted
+    const judgeCount = panelJudgeIds.filter(id => matchScores.judges[id]).length;
     
-    if (judgeCount >= 3 && !matchScores.finalized) {
+    if (judgeCount >= panelJudgeIds.length && !matchScores.finalized) {
       // Calculate final result
-      const result = calculateMatchResult(matchScores);
-      
-      // Update Challonge with the result
-      const challongeResult = await reportToChallonge(
-        matchScores.tournamentId,
-        matchId,
-        result.winnerId,
-        result.scoreA,
-        result.scoreB
-      );
-
-      matchScores.finalized = true;
-      matchScores.result = result;
-
-      // Save to storage
-      await saveJudgeScoresToStorage(matchId, matchScores);
-
-      // Save the detailed judge breakdown to Challonge as an attachment
-      await saveJudgeBreakdownToChallonge(
-        matchScores.tournamentId,
-        matchId,
-        matchScores
-      );
-
-      // Send Discord notification
-      try {
-        console.log(`Match finalized! Attempting Discord notification for tournament: ${matchScores.tournamentId}`);
-        const { webhookUrl, eventName, robotImages } = await getEventDiscordWebhook(matchScores.tournamentId);
-        
-        if (webhookUrl) {
-          console.log(`Discord webhook found, sending notification...`);
-          // Get competitor names and tournament info
-          const { competitorA, competitorB } = await getCompetitorNames(
-            matchScores.tournamentId, 
-            matchScores.competitorAId, 
-            matchScores.competitorBId
-          );
-          const tournamentName = await getTournamentName(matchScores.tournamentId);
-          const matchNum = await getMatchNumber(matchScores.tournamentId, matchId);
-          
-          const winner = result.winnerId === matchScores.competitorAId ? competitorA : competitorB;
-          const loser = result.winnerId === matchScores.competitorAId ? competitorB : competitorA;
-          
-          console.log(`Posting to Discord: ${winner} defeats ${loser} in Match ${matchNum}`);
-          
-          const discordResult = await postMatchToDiscord(webhookUrl, {
-            winner,
-            loser,
-            scoreA: result.scoreA,
-            scoreB: result.scoreB,
-            winMethod: result.winMethod,
-            tournamentName,
-            matchNum,
-            eventName,
-            winnerImageUrl: getRobotImage(robotImages, winner),
-            loserImageUrl: getRobotImage(robotImages, loser)
-          });
-          
-          console.log(`Discord notification result:`, discordResult);
-        } else {
-          console.log(`No Discord webhook configured for this event`);
-        }
-      } catch (discordErr) {
-        // Log but don't fail the request if Discord notification fails
-        console.error('Discord notification error (non-fatal):', discordErr.message);
+      const result = calculateMatchResult(matchScores, panelJudgeIds, criteria);
+
+      // Hold the result for the head judge if the cards disagree
+      const judgeNames = Object.fromEntries(panel.map(j => [j.id, j.name]));
+      const disagreements = detectDisagreements(matchScores, panelJudgeIds, criteria, judgeNames);
+      if (disagreements.length > 0) {
+        matchScores.review = {
+          status: 'pending',
+          disagreements,
+          proposedResult: result,
+          flaggedAt: new Date().toISOString(),
+        };
+        await saveJudgeScoresToStorage(matchId, matchScores);
+        await recordAudit(req, {
+          eventId, action: 'match.review', tournamentId, matchId, robots,
+          after: matchScores.review,
+        });
+        await broadcastToTournament(tournamentId, 'match-review', { matchId, disagreements });
+        return res.json({
+          success: true,
+          judgeCount,
+          panelSize: panelJudgeIds.length,
+          finalized: false,
+          needsReview: true,
+          disagreements,
+          proposedResult: result,
+          message: 'The judges disagree - waiting for the head judge to confirm or override the result',
+        });
+      }
+      matchScores.review = null;
+
+      if (!result) {
+        // Level on points, cards and every criterion - someone has to change their card
+        await saveJudgeScoresToStorage(matchId, matchScores);
+        await broadcastToTournament(tournamentId, 'judge-scores', { matchId, judgeCount, panelSize: panelJudgeIds.length });
+        return res.json({
+          success: true,
+          judgeCount,
+          panelSize: panelJudgeIds.length,
+          finalized: false,
+          tied: true,
+          message: 'Scores are tied on every tie-break - a judge needs to revise their scores',
+        });
       }
+      
+      const delivery = await finalizeMatchResult(req, matchId, matchScores, result, { eventId, robots });
 
       res.json({
         success: true,
         judgeCount,
+        panelSize: panelJudgeIds.length,
         finalized: true,
         result,
-        challongeResponse: challongeResult,
+        delivery: { outboxId: delivery.id, status: delivery.status },
       });
     } else {
-      // Save to storage
-      await saveJudgeScoresToStorage(matchId, matchScores);
+      await broadcastToTournament(matchScores.tournamentId, 'judge-scores', { matchId, judgeCount, panelSize: panelJudgeIds.length });
 
       res.json({
         success: true,
         judgeCount,
         finalized: false,
-        message: `Waiting for ${3 - judgeCount} more judge(s)`,
+        panelSize: panelJudgeIds.length,
+        message: `Waiting for ${panelJudgeIds.length - judgeCount} more judge(s)`,
       });
     }
   } catch (error) {
@@ -1254,6 +1880,7 @@ app.get('/api/matches/:matchId/scores', async (req, res) => {
       judgeCount: Object.keys(scores.judges || {}).length,
       finalized: scores.finalized || false,
       result: scores.result || null,
+      review: scores.review || null,
     });
   } catch (error) {
     console.error('Error fetching scores:', error);
@@ -1270,15 +1897,15 @@ app.get('/api/matches/:matchId/scores/details', async (req, res) => {
     // First check storage
     let scores = await getJudgeScoresFromStorage(matchId);
     
-    // If not in storage and tournamentId provided, try to fetch from Challonge
+    // If not in storage and tournamentId provided, try to fetch from the bracket
     if ((!scores || Object.keys(scores.judges || {}).length === 0) && tournamentId) {
-      const challongeData = await getJudgeBreakdownFromChallonge(tournamentId, matchId);
-      if (challongeData) {
+      const breakdown = await getJudgeBreakdown(tournamentId, matchId);
+      if (breakdown) {
         scores = {
-          judges: challongeData.judges,
-          competitorAId: challongeData.competitorAId,
-          competitorBId: challongeData.competitorBId,
-          result: challongeData.result,
+          judges: breakdown.judges,
+          competitorAId: breakdown.competitorAId,
+          competitorBId: breakdown.competitorBId,
+          result: breakdown.result,
           finalized: true,
           tournamentId,
         };
@@ -1297,6 +1924,7 @@ app.get('/api/matches/:matchId/scores/details', async (req, res) => {
       judgeCount: Object.keys(scores.judges || {}).length,
       finalized: scores.finalized || false,
       result: scores.result || null,
+      review: scores.review || null,
     });
   } catch (error) {
     console.error('Error fetching score details:', error);
@@ -1304,20 +1932,273 @@ app.get('/api/matches/:matchId/scores/details', async (req, res) => {
   }
 });
 
+// Helper to find the event a head judge or admin is acting on for a tournament
+// Returns { eventId, event, panel }, or { error } if they aren't allowed to
+async function getHeadJudgeContext(req, tournamentId) {
+  const eventIds = await getEventIdsForTournament(tournamentId);
+  const eventId = req.session.role === 'judge' ? req.session.eventId : eventIds[0];
+  if (!eventId || !eventIds.includes(eventId)) {
+    return { error: 'This tournament is not part of your event' };
+  }
+
+  const event = await getEventFromStorage(eventId);
+  const panel = getActivePanel(event.judges);
+  if (req.session.role === 'judge' && !panel.some(j => j.id === req.session.judgeId && j.headJudge)) {
+    return { error: 'Only the head judge or an admin can do this' };
+  }
+  return { eventId, event, panel };
+}
+
+// POST /api/matches/:matchId/review - Resolve a judge disagreement (head judge or admin)
+// Body: { action: 'confirm' } to accept the calculated result, or
+//       { action: 'override', winnerId, winMethod, scoreA?, scoreB? } (scores for decisions only)
+// Both take an optional note
+app.post('/api/matches/:matchId/review', requireRole('judge', 'admin'), async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const matchScores = await getJudgeScoresFromStorage(matchId);
+
+    if (!matchScores) {
+      return res.status(404).json({ error: 'No scores found for this match' });
+    }
+    if (matchScores.finalized) {
+      return res.status(400).json({ error: 'Match already finalized' });
+    }
+    if (matchScores.review?.status !== 'pending') {
+      return res.status(400).json({ error: 'This match is not waiting for review' });
+    }
+
+    const context = await getHeadJudgeContext(req, matchScores.tournamentId);
+    if (context.error) {
+      return res.status(403).json({ error: context.error });
+    }
+    const { eventId, event, panel } = context;
+
+    const problems = validateReviewDecision(req.body, matchScores);
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
+    }
+
+    const { action, winnerId, note } = req.body;
+    const { proposedResult, disagreements } = matchScores.review;
+    const criteria = resolveCriteria(event.scoringCriteria);
+    const review = {
+      action,
+      note: note || null,
+      disagreements,
+      resolvedBy: req.session.name,
+      resolvedAt: new Date().toISOString(),
+    };
+
+    let result;
+    if (action === 'confirm') {
+      result = { ...proposedResult, review };
+    } else {
+      const winMethod = req.body.winMethod || 'points';
+      const isWinnerA = winnerId === matchScores.competitorAId;
+      const { scoreA, scoreB } = fixedScoreline(winMethod, isWinnerA, criteria, panel.length) || req.body;
+      result = {
+        winnerId,
+        winMethod,
+        scoreA,
+        scoreB,
+        tieBreak: null,
+        judgeTotals: proposedResult?.judgeTotals || null,
+        panelSize: panel.length,
+        criteria,
+        override: true,
+        review,
+      };
+    }
+
+    matchScores.review = { ...matchScores.review, status: action === 'confirm' ? 'confirmed' : 'overridden' };
+    const robots = await getMatchRobots(matchScores.tournamentId, matchScores.competitorAId, matchScores.competitorBId);
+    const delivery = await finalizeMatchResult(req, matchId, matchScores, result, {
+      eventId,
+      robots,
+      action: action === 'confirm' ? 'match.review-confirm' : 'match.review-override',
+      before: proposedResult,
+    });
+
+    res.json({
+      success: true,
+      finalized: true,
+      result,
+      delivery: { outboxId: delivery.id, status: delivery.status },
+    });
+  } catch (error) {
+    console.error('Error resolving review:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/matches/:matchId/manual-result - Enter a result by hand (head judge or admin)
+// For when a judge can't submit (dead phone, no signal). Goes through the same
+// finalization as judge scores and is flagged as an override.
+// Body: { tournamentId, competitorAId, competitorBId, winnerId,
+//         winMethod: 'points'|'tapout'|'ko'|'tko'|'forfeit'|'dq',
+//         scoreA?, scoreB?, cards?: { [judgeId]: { [criterionId]: points for A } }, note? }
+app.post('/api/matches/:matchId/manual-result', requireRole('judge', 'admin'), async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { tournamentId, competitorAId, competitorBId, winnerId, winMethod, cards, note } = req.body || {};
+
+    const fieldProblems = validateManualResultFields(req.body);
+    if (fieldProblems.length > 0) {
+      return sendValidationError(res, fieldProblems);
+    }
+
+    const context = await getHeadJudgeContext(req, tournamentId);
+    if (context.error) {
+      return res.status(403).json({ error: context.error });
+    }
+    const { eventId, event, panel } = context;
+
+    let matchScores = await getJudgeScoresFromStorage(matchId);
+    if (matchScores?.finalized) {
+      return res.status(400).json({ error: 'Match already finalized' });
+    }
+
+    const criteria = resolveCriteria(event.scoringCriteria);
+    const panelJudgeIds = panel.map(j => j.id);
+    const problems = validateManualResult(req.body, criteria, panelJudgeIds, matchScores);
+    if (problems.length > 0) {
+      return sendValidationError(res, problems);
+    }
+
+    // The fight has to be open in the bracket for the result to be reported
+    let bracketMatch;
+    try {
+      bracketMatch = await brackets.getMatch(tournamentId, matchId);
+    } catch (err) {
+      console.error('Error checking match in the bracket:', err);
+      return res.status(502).json({ error: 'Could not check this match in the bracket, try again' });
+    }
+    const matchProblems = validateBracketMatch(bracketMatch, req.body);
+    if (matchProblems.length > 0) {
+      return sendValidationError(res, matchProblems);
+    }
+
+    if (!matchScores) {
+      matchScores = {
+        tournamentId,
+        competitorAId,
+        competitorBId,
+        judges: {},
+        finalized: false,
+        result: null,
+      };
+    }
+    const before = { judges: { ...matchScores.judges }, review: matchScores.review || null };
+    const pointCards = mergePanelCards(matchScores, cards, panelJudgeIds);
+
+    // Cards entered on a judge's behalf replace anything they'd submitted
+    const enteredAt = new Date().toISOString();
+    Object.entries(cards || {}).forEach(([judgeId, scores]) => {
+      matchScores.judges[judgeId] = {
+        scores,
+        isKO: false,
+        koWinnerId: null,
+        submittedAt: enteredAt,
+        enteredBy: req.session.name,
+      };
+    });
+
+    const isWinnerA = winnerId === competitorAId;
+    let { scoreA, scoreB } = fixedScoreline(winMethod, isWinnerA, criteria, panel.length) || req.body;
+    let resultTotals = null;
+    if (DECISION_METHODS.includes(winMethod) && cards && Object.keys(cards).length > 0) {
+      resultTotals = Object.fromEntries(Object.entries(pointCards).map(([judgeId, scores]) => [judgeId, judgeTotals(criteria, scores)]));
+      scoreA = Object.values(resultTotals).reduce((sum, totals) => sum + totals.a, 0);
+      scoreB = Object.values(resultTotals).reduce((sum, totals) => sum + totals.b, 0);
+    }
+
+    const result = {
+      winnerId,
+      winMethod,
+      scoreA,
+      scoreB,
+      tieBreak: null,
+      judgeTotals: resultTotals,
+      panelSize: panel.length,
+      criteria,
+      override: true,
+      manual: {
+        enteredBy: req.session.name,
+        note: note || null,
+        enteredAt,
+      },
+    };
+
+    if (matchScores.review?.status === 'pending') {
+      matchScores.review = { ...matchScores.review, status: 'overridden' };
+    }
+
+    const robots = await getMatchRobots(tournamentId, competitorAId, competitorBId);
+    const delivery = await finalizeMatchResult(req, matchId, matchScores, result, {
+      eventId,
+      robots,
+      action: 'match.manual-result',
+      before,
+    });
+
+    res.json({
+      success: true,
+      finalized: true,
+      result,
+      delivery: { outboxId: delivery.id, status: delivery.status },
+    });
+  } catch (error) {
+    console.error('Error entering manual result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/matches/:matchId/scores/archive - Scores set aside by earlier reopens (admin)
+app.get('/api/matches/:matchId/scores/archive', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await getArchivedJudgeScores(req.params.matchId));
+  } catch (error) {
+    console.error('Error fetching archived scores:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // DELETE /api/matches/:matchId/scores/:judgeId - Allow judge to edit (delete and resubmit)
-app.delete('/api/matches/:matchId/scores/:judgeId', async (req, res) => {
+app.delete('/api/matches/:matchId/scores/:judgeId', requireRole('judge', 'admin'), async (req, res) => {
   try {
     const { matchId, judgeId } = req.params;
+
+    // Judges can only withdraw their own scores
+    if (req.session.role === 'judge' && req.session.judgeId !== judgeId) {
+      return res.status(403).json({ error: 'You can only edit your own scores' });
+    }
     
     const scores = await getJudgeScoresFromStorage(matchId);
-    
+
+    // Every event numbers its judges the same way, so the match has to be in the judge's event
+    if (scores && req.session.role === 'judge') {
+      const event = await getEventFromStorage(req.session.eventId);
+      if (!event || !event.tournaments.includes(String(scores.tournamentId))) {
+        return res.status(403).json({ error: 'This tournament is not part of your event' });
+      }
+    }
+
     if (scores?.finalized) {
       return res.status(400).json({ error: 'Match already finalized' });
     }
 
     if (scores?.judges?.[judgeId]) {
+      const previousCard = scores.judges[judgeId];
       delete scores.judges[judgeId];
+      scores.review = null; // The panel is incomplete again, so any disagreement is moot
       await saveJudgeScoresToStorage(matchId, scores);
+      await recordAudit(req, {
+        action: 'score.delete', tournamentId: scores.tournamentId, matchId,
+        robots: await getMatchRobots(scores.tournamentId, scores.competitorAId, scores.competitorBId),
+        before: { judgeId, ...previousCard }, after: null,
+      });
+      await broadcastToTournament(scores.tournamentId, 'judge-scores', { matchId, judgeCount: Object.keys(scores.judges).length });
       res.json({ success: true, message: 'Score deleted, you can resubmit' });
     } else {
       res.status(404).json({ error: 'Score not found' });
@@ -1332,145 +2213,285 @@ app.delete('/api/matches/:matchId/scores/:judgeId', async (req, res) => {
 // HELPER FUNCTIONS
 // ============================================
 
-function calculateMatchResult(matchData) {
-  const judges = Object.values(matchData.judges);
-  
-  // Check for KO majority (2/3 judges)
-  const koVotes = {};
-  judges.forEach(judge => {
-    if (judge.isKO && judge.koWinnerId) {
-      koVotes[judge.koWinnerId] = (koVotes[judge.koWinnerId] || 0) + 1;
-    }
-  });
+// Save the judge score breakdown with the bracket (a Challonge match attachment)
+// Returns false if the bracket provider has nowhere to keep it
+async function attachJudgeBreakdown(tournamentId, matchId, judgeData) {
+  try {
+    const attached = await brackets.attachBreakdown(tournamentId, matchId, {
+      type: 'judge_scores',
+      winMethod: judgeData.result?.winMethod,
+      judges: judgeData.judges,
+      competitorAId: judgeData.competitorAId,
+      competitorBId: judgeData.competitorBId,
+      result: judgeData.result,
+      savedAt: new Date().toISOString(),
+    });
 
-  // Check if any competitor has 2+ KO votes
-  for (const [winnerId, votes] of Object.entries(koVotes)) {
-    if (votes >= 2) {
-      // Calculate max possible points (3 judges Ã— total points per judge)
-      // Default is 11 points per judge (3+5+3), but could be different with custom criteria
-      // For KO, give winner all points from all 3 judges
-      const maxPointsPerJudge = 11; // Default total points
-      const totalMaxPoints = maxPointsPerJudge * 3; // 33 total
-      
-      const isWinnerA = parseInt(winnerId) === matchData.competitorAId;
-      return {
-        winnerId: parseInt(winnerId),
-        winMethod: 'ko',
-        scoreA: isWinnerA ? totalMaxPoints : 0,
-        scoreB: isWinnerA ? 0 : totalMaxPoints,
-        koVotes: votes,
-      };
-    }
+    if (attached) console.log('Saved judge breakdown to the bracket');
+    return attached;
+  } catch (error) {
+    console.error('Failed to save judge breakdown to the bracket:', error);
+    throw error;
   }
+}
 
-  // Calculate point totals
-  let totalA = 0;
-  let totalB = 0;
+// Retrieve the judge score breakdown saved with the bracket
+async function getJudgeBreakdown(tournamentId, matchId) {
+  try {
+    return await brackets.getBreakdown(tournamentId, matchId);
+  } catch (error) {
+    console.error('Failed to get judge breakdown from the bracket:', error);
+    return null;
+  }
+}
 
-  judges.forEach(judge => {
-    if (judge.scores) {
-      // Competitor A's scores
-      const judgeScoreA = judge.scores.aggression + judge.scores.damage + judge.scores.control;
-      // Competitor B's scores (11 - A's total, since points are split)
-      const judgeScoreB = 11 - judgeScoreA;
-      
-      totalA += judgeScoreA;
-      totalB += judgeScoreB;
-    }
-  });
+// ============================================
+// AUDIT LOG
+// ============================================
 
-  // Determine winner by points
-  const winnerId = totalA > totalB ? matchData.competitorAId : matchData.competitorBId;
+// GET /api/events/:eventId/audit - Browse the audit log (admin)
+// Filters: ?matchId=&robot=&action=&limit=
+app.get('/api/events/:eventId/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { matchId, robot, action } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
 
-  return {
-    winnerId,
-    winMethod: 'points',
-    scoreA: totalA,
-    scoreB: totalB,
+    res.json(await storage.getAuditEntries(eventId, { matchId, robot, action, limit }));
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// RESULT DELIVERY OUTBOX
+// ============================================
+
+// Finalized results are saved to the outbox before anything is sent, and a
+// background worker delivers each step with retries. A bracket provider or Discord
+// outage delays the report instead of losing it or failing the judges' submission.
+// The 'challonge' step reports to whichever provider runs the tournament - it keeps
+// its original name so entries already in the outbox still line up
+
+const OUTBOX_STEPS = ['challonge', 'attachment', 'discord'];
+const OUTBOX_POLL_MS = 5 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BACKOFF_BASE_MS = 15 * 1000;
+const OUTBOX_BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+// Queue a finalized result for delivery, returns the outbox entry
+async function enqueueResultDelivery(matchId, matchScores) {
+  const payload = {
+    tournamentId: matchScores.tournamentId,
+    competitorAId: matchScores.competitorAId,
+    competitorBId: matchScores.competitorBId,
+    judges: matchScores.judges,
+    result: matchScores.result,
   };
+  const steps = {};
+  OUTBOX_STEPS.forEach(step => {
+    steps[step] = { status: 'pending', attempts: 0, lastError: null, completedAt: null };
+  });
+
+  const entry = await storage.createOutboxEntry({ matchId, tournamentId: matchScores.tournamentId, payload, steps });
+
+  // Deliver straight away rather than waiting for the next poll
+  processOutbox();
+  return entry;
 }
 
-async function reportToChallonge(tournamentId, matchId, winnerId, scoreA, scoreB) {
-  try {
-    const matchData = {
-      match: {
-        winner_id: winnerId,
-        scores_csv: `${scoreA}-${scoreB}`,
-      },
-    };
+async function getOutboxEntries(filters) {
+  return storage.getOutboxEntries(filters);
+}
 
-    const result = await challongeRequest(
-      `/tournaments/${tournamentId}/matches/${matchId}.json`,
-      'PUT',
-      matchData
-    );
+async function getOutboxEntry(id) {
+  return storage.getOutboxEntry(id);
+}
 
-    return result;
-  } catch (error) {
-    console.error('Failed to report to Challonge:', error);
-    throw error;
+async function saveOutboxEntry(entry) {
+  entry.updatedAt = new Date().toISOString();
+  await storage.saveOutboxEntry(entry);
+}
+
+// Stop undelivered results for a match from going out (e.g. after a reopen)
+async function cancelResultDeliveries(matchId) {
+  const entries = (await getOutboxEntries())
+    .filter(entry => String(entry.matchId) === String(matchId) && entry.status !== 'delivered' && entry.status !== 'cancelled');
+  for (const entry of entries) {
+    entry.status = 'cancelled';
+    await saveOutboxEntry(entry);
   }
+  return entries.length;
 }
 
-// Save judge score breakdown as a Challonge match attachment
-async function saveJudgeBreakdownToChallonge(tournamentId, matchId, judgeData) {
-  try {
-    const attachmentData = {
-      match_attachment: {
-        description: JSON.stringify({
-          type: 'judge_scores',
-          judges: judgeData.judges,
-          competitorAId: judgeData.competitorAId,
-          competitorBId: judgeData.competitorBId,
-          result: judgeData.result,
-          savedAt: new Date().toISOString(),
-        }),
-      },
-    };
+// Send the Discord notification for a delivered result
+// Returns false when the event has no webhook configured
+async function deliverDiscordNotification(matchId, payload) {
+  const { tournamentId, competitorAId, competitorBId, result } = payload;
+  const { webhookUrl, eventName, robotImages } = await getEventDiscordWebhook(tournamentId);
+  if (!webhookUrl) return false;
+
+  const { competitorA, competitorB } = await getCompetitorNames(tournamentId, competitorAId, competitorBId);
+  const tournamentName = await getTournamentName(tournamentId);
+  const matchNum = await getMatchNumber(tournamentId, matchId);
+
+  const winner = result.winnerId === competitorAId ? competitorA : competitorB;
+  const loser = result.winnerId === competitorAId ? competitorB : competitorA;
+
+  console.log(`Posting to Discord: ${winner} defeats ${loser} in Match ${matchNum}`);
+
+  const discordResult = await postMatchToDiscord(webhookUrl, {
+    winner,
+    loser,
+    scoreA: result.scoreA,
+    scoreB: result.scoreB,
+    winMethod: result.winMethod,
+    tournamentName,
+    matchNum,
+    eventName,
+    winnerImageUrl: getRobotImage(robotImages, winner),
+    loserImageUrl: getRobotImage(robotImages, loser)
+  });
 
-    const result = await challongeRequest(
-      `/tournaments/${tournamentId}/matches/${matchId}/attachments.json`,
-      'POST',
-      attachmentData
-    );
+  if (!discordResult.success) {
+    throw new Error(discordResult.error || 'Discord webhook failed');
+  }
+  return true;
+}
 
-    console.log('Saved judge breakdown to Challonge attachment');
-    return result;
-  } catch (error) {
-    console.error('Failed to save judge breakdown to Challonge:', error);
-    // Don't throw - this is not critical
-    return null;
+// Run one delivery step, returns 'done' or 'skipped' (throws on failure)
+async function runOutboxStep(step, entry) {
+  const { matchId, payload } = entry;
+
+  if (step === 'challonge') {
+    const { winnerId, scoreA, scoreB } = payload.result;
+    await brackets.reportMatch(payload.tournamentId, matchId, { winnerId, scoreA, scoreB });
+    await broadcastToTournament(payload.tournamentId, 'match-updated', { matchId });
+    return 'done';
+  }
+  if (step === 'attachment') {
+    return (await attachJudgeBreakdown(payload.tournamentId, matchId, payload)) ? 'done' : 'skipped';
+  }
+  if (step === 'discord') {
+    return (await deliverDiscordNotification(matchId, payload)) ? 'done' : 'skipped';
+  }
+  throw new Error(`Unknown outbox step: ${step}`);
+}
+
+// Try every unfinished step of an entry and schedule a retry if any failed
+// The attachment and Discord post wait for the bracket report, so neither can
+// get ahead of the result the bracket has. A reopen can cancel the entry part way
+// through, so its status is checked again before each step - storage never saves
+// over a cancelled entry either
+async function deliverOutboxEntry(entry) {
+  entry.attempts++;
+
+  const isFinished = state => state.status === 'done' || state.status === 'skipped';
+  for (const step of OUTBOX_STEPS) {
+    const state = entry.steps[step];
+    if (isFinished(state)) continue;
+    if (step !== 'challonge' && !isFinished(entry.steps.challonge)) continue;
+    if ((await getOutboxEntry(entry.id))?.status === 'cancelled') return;
+
+    state.attempts++;
+    try {
+      state.status = await runOutboxStep(step, entry);
+      state.completedAt = new Date().toISOString();
+      state.lastError = null;
+    } catch (err) {
+      console.error(`Outbox ${entry.id} step ${step} failed (attempt ${state.attempts}):`, err.message);
+      state.status = 'pending';
+      state.lastError = err.message;
+    }
+  }
+
+  const unfinished = OUTBOX_STEPS.filter(step => entry.steps[step].status === 'pending');
+  if (unfinished.length === 0) {
+    entry.status = 'delivered';
+  } else if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+    entry.status = 'failed';
+    unfinished.forEach(step => { entry.steps[step].status = 'failed'; });
+  } else {
+    const delay = Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** (entry.attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
   }
+
+  await saveOutboxEntry(entry);
 }
 
-// Retrieve judge score breakdown from Challonge match attachments
-async function getJudgeBreakdownFromChallonge(tournamentId, matchId) {
+// Deliver every due entry - only one pass runs at a time
+let outboxRunning = false;
+let outboxRunAgain = false;
+
+async function processOutbox() {
+  if (outboxRunning) {
+    outboxRunAgain = true;
+    return;
+  }
+  outboxRunning = true;
+
   try {
-    const attachments = await challongeRequest(
-      `/tournaments/${tournamentId}/matches/${matchId}/attachments.json`
-    );
-
-    // Find our judge_scores attachment
-    for (const att of attachments) {
-      const attachment = att.match_attachment;
-      if (attachment.description) {
-        try {
-          const data = JSON.parse(attachment.description);
-          if (data.type === 'judge_scores') {
-            return data;
-          }
-        } catch (e) {
-          // Not JSON or not our attachment, skip
-        }
+    do {
+      outboxRunAgain = false;
+      const due = await getOutboxEntries({ dueOnly: true });
+      for (const entry of due) {
+        await deliverOutboxEntry(entry);
       }
+    } while (outboxRunAgain);
+  } catch (error) {
+    console.error('Error processing result outbox:', error);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+function startOutboxWorker() {
+  setInterval(processOutbox, OUTBOX_POLL_MS);
+  processOutbox();
+}
+
+// GET /api/outbox - List result deliveries (optionally ?status=pending|delivered|failed|cancelled)
+app.get('/api/outbox', requireRole('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const entries = await getOutboxEntries({ status });
+    res.json(entries.reverse());
+  } catch (error) {
+    console.error('Error listing outbox:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/outbox/:id/retry - Retry the failed steps of a delivery now
+app.post('/api/outbox/:id/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const entry = await getOutboxEntry(parseInt(req.params.id));
+    if (!entry) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (entry.status === 'delivered') {
+      return res.status(400).json({ error: 'Delivery already completed' });
+    }
+    if (entry.status === 'cancelled') {
+      return res.status(400).json({ error: 'Delivery was cancelled when the match was reopened' });
     }
 
-    return null;
+    OUTBOX_STEPS.forEach(step => {
+      if (entry.steps[step].status === 'failed') entry.steps[step].status = 'pending';
+    });
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    await saveOutboxEntry(entry);
+
+    await processOutbox();
+    res.json(await getOutboxEntry(entry.id));
   } catch (error) {
-    console.error('Failed to get judge breakdown from Challonge:', error);
-    return null;
+    console.error('Error retrying delivery:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 // ============================================
 // HEALTH CHECK
@@ -1480,18 +2501,22 @@ app.get('/api/health', async (req, res) => {
   const health = {
     status: 'ok',
     timestamp: new Date().toISOString(),
-    database: pool ? 'connected' : 'not configured (using memory)',
-    challonge: CHALLONGE_API_KEY ? 'configured' : 'not configured',
+    database: storage.kind === 'memory' ? 'not configured (using memory)' : 'connected',
+    storage: storage.kind,
+    schemaVersion: null,
+    challonge: isChallongeConfigured() ? 'configured' : 'not configured',
+    startgg: startgg.isConfigured() ? 'configured' : 'not configured',
+    challongeMetrics: getChallongeMetrics(),
+    adminLogin: isAdminLoginConfigured() ? 'configured' : 'not configured',
+    streamSubscribers: stream.subscriberCount(),
   };
 
-  if (pool) {
-    try {
-      await pool.query('SELECT 1');
-      health.database = 'connected';
-    } catch (error) {
-      health.database = 'error: ' + error.message;
-      health.status = 'degraded';
-    }
+  try {
+    await storage.ping();
+    health.schemaVersion = await storage.getSchemaVersion();
+  } catch (error) {
+    health.database = 'error: ' + error.message;
+    health.status = 'degraded';
   }
 
   res.json(health);
@@ -1501,10 +2526,20 @@ app.get('/api/health', async (req, res) => {
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Database: ${pool ? 'PostgreSQL configured' : 'Using in-memory storage'}`);
-  console.log(`Challonge API: ${CHALLONGE_API_KEY ? 'configured' : 'NOT configured - set CHALLONGE_API_KEY'}`);
-});
+// Only listen when run directly - tests load the app and listen on their own port
+// and only once the database is ready
+if (require.main === module) {
+  app.locals.databaseReady.then(() => app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Database: ${storage.description}`);
+    console.log(`Challonge API: ${isChallongeConfigured() ? 'configured' : 'NOT configured - set CHALLONGE_API_KEY'}`);
+    console.log(`start.gg API: ${startgg.isConfigured() ? 'configured' : 'not configured - set STARTGG_API_TOKEN to use start.gg events'}`);
+    startOutboxWorker();
+    console.log(`Admin login: ${isAdminLoginConfigured() ? 'configured' : 'NOT configured - set ADMIN_PASSWORD'}`);
+  }), error => {
+    console.error('Failed to initialize database - not starting:', error.message);
+    process.exit(1);
+  });
+}
 
 module.exports = app;
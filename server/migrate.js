@@ -0,0 +1,98 @@
+// server/migrate.js
+// Schema migrations from the command line, against DATABASE_URL or SQLITE_PATH
+//
+//   npm run migrate                      apply every pending migration
+//   npm run migrate -- up --to 3         apply pending migrations up to version 3
+//   npm run migrate -- down              roll back the newest migration
+//   npm run migrate -- down --to 0       roll back everything
+//   npm run migrate -- status            list migrations and whether each is applied
+//   npm run migrate -- create add-arenas write an empty numbered migration file
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { createStorage } = require('./storage');
+const { MIGRATIONS_DIR, loadMigrations } = require('./storage/migrations');
+
+const TEMPLATE = `// server/migrations/{name}.js
+//
+
+module.exports = {
+  postgres: {
+    up: \`\`,
+    down: \`\`,
+  },
+  sqlite: {
+    up: \`\`,
+    down: \`\`,
+  },
+};
+`;
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const toIndex = rest.indexOf('--to');
+  let to;
+  if (toIndex !== -1) {
+    to = parseInt(rest[toIndex + 1]);
+    if (Number.isNaN(to) || to < 0) throw new Error('--to needs a migration version');
+    rest.splice(toIndex, 2);
+  }
+  return { command, to, args: rest };
+}
+
+function createMigrationFile(description) {
+  if (!description || !/^[a-z0-9-]+$/.test(description)) {
+    throw new Error('Give the migration a name made of lowercase letters, numbers and dashes');
+  }
+  const migrations = loadMigrations();
+  const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const name = `${String(version).padStart(3, '0')}-${description}`;
+  const file = path.join(MIGRATIONS_DIR, `${name}.js`);
+  fs.writeFileSync(file, TEMPLATE.replace('{name}', name));
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+async function main() {
+  const { command, to, args } = parseArgs(process.argv.slice(2));
+
+  if (command === 'create') {
+    createMigrationFile(args[0]);
+    return;
+  }
+
+  const storage = createStorage({
+    databaseUrl: process.env.DATABASE_URL,
+    sqlitePath: process.env.SQLITE_PATH,
+  });
+  if (storage.kind === 'memory') {
+    throw new Error('Set DATABASE_URL or SQLITE_PATH - in-memory storage has nothing to migrate');
+  }
+  console.log(`Database: ${storage.description}`);
+
+  try {
+    if (command === 'up') {
+      const applied = await storage.migrate({ to });
+      if (applied.length === 0) console.log('Nothing to migrate');
+    } else if (command === 'down') {
+      const undone = await storage.rollback({ to });
+      if (undone.length === 0) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      for (const migration of await storage.getMigrations()) {
+        const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${migration.name.padEnd(40)} ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command} (use up, down, status or create)`);
+    }
+    console.log(`Schema version: ${await storage.getSchemaVersion()}`);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
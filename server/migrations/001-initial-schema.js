@@ -0,0 +1,300 @@
+// server/migrations/001-initial-schema.js
+// The schema as it stood before migrations. The Postgres side only creates what's
+// missing, so databases set up by the old initDatabase are adopted as they are
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE IF NOT EXISTS events (
+        event_id VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        tournaments JSONB NOT NULL DEFAULT '[]',
+        scoring_criteria JSONB,
+        robot_images JSONB,
+        discord_webhook_url VARCHAR(512),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS scoring_criteria JSONB;
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS robot_images JSONB;
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS discord_webhook_url VARCHAR(512);
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS judges JSONB;
+
+      CREATE TABLE IF NOT EXISTS judge_scores (
+        id SERIAL PRIMARY KEY,
+        match_id VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255) NOT NULL,
+        competitor_a_id INTEGER,
+        competitor_b_id INTEGER,
+        judges JSONB NOT NULL DEFAULT '{}',
+        finalized BOOLEAN DEFAULT FALSE,
+        result JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(match_id)
+      );
+      ALTER TABLE judge_scores ADD COLUMN IF NOT EXISTS review JSONB;
+
+      CREATE TABLE IF NOT EXISTS judge_scores_archive (
+        id SERIAL PRIMARY KEY,
+        match_id VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255) NOT NULL,
+        competitor_a_id INTEGER,
+        competitor_b_id INTEGER,
+        judges JSONB NOT NULL DEFAULT '{}',
+        finalized BOOLEAN DEFAULT FALSE,
+        result JSONB,
+        reason TEXT NOT NULL,
+        reopened_match_id VARCHAR(255) NOT NULL,
+        archived_by VARCHAR(255),
+        archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS active_matches (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255) NOT NULL,
+        match_id VARCHAR(255) NOT NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, tournament_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS repair_timer_resets (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL,
+        robot_name VARCHAR(255) NOT NULL,
+        reset_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, robot_name)
+      );
+
+      CREATE TABLE IF NOT EXISTS match_queue (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255) NOT NULL,
+        match_id VARCHAR(255) NOT NULL,
+        queue_position INTEGER NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, tournament_id, match_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS judge_pins (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL,
+        judge_id VARCHAR(255) NOT NULL,
+        judge_name VARCHAR(255),
+        pin_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, judge_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS result_outbox (
+        id SERIAL PRIMARY KEY,
+        match_id VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255) NOT NULL,
+        payload JSONB NOT NULL,
+        steps JSONB NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255),
+        action VARCHAR(100) NOT NULL,
+        actor_role VARCHAR(50),
+        actor_id VARCHAR(255),
+        actor_name VARCHAR(255),
+        tournament_id VARCHAR(255),
+        match_id VARCHAR(255),
+        robots JSONB NOT NULL DEFAULT '[]',
+        before JSONB,
+        after JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Reject any UPDATE or DELETE on the audit log
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+      DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+      CREATE TRIGGER audit_log_append_only
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+      -- data holds the whole tournament (participants and matches) in Challonge's shape
+      CREATE TABLE IF NOT EXISTS native_tournaments (
+        url VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        tournament_type VARCHAR(50) NOT NULL,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- NATIVE_ID_START and NATIVE_ID_BLOCK in bracket.js
+      CREATE SEQUENCE IF NOT EXISTS native_tournament_ids START 2000000000 INCREMENT 10000;
+    `,
+    down: `
+      DROP SEQUENCE IF EXISTS native_tournament_ids;
+      DROP TABLE IF EXISTS native_tournaments;
+      DROP TABLE IF EXISTS audit_log;
+      DROP FUNCTION IF EXISTS audit_log_append_only();
+      DROP TABLE IF EXISTS result_outbox;
+      DROP TABLE IF EXISTS judge_pins;
+      DROP TABLE IF EXISTS match_queue;
+      DROP TABLE IF EXISTS repair_timer_resets;
+      DROP TABLE IF EXISTS active_matches;
+      DROP TABLE IF EXISTS judge_scores_archive;
+      DROP TABLE IF EXISTS judge_scores;
+      DROP TABLE IF EXISTS events;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE events (
+        event_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        tournaments TEXT NOT NULL DEFAULT '[]',
+        scoring_criteria TEXT,
+        robot_images TEXT,
+        discord_webhook_url TEXT,
+        judges TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE judge_scores (
+        match_id TEXT PRIMARY KEY,
+        tournament_id TEXT NOT NULL,
+        competitor_a_id INTEGER,
+        competitor_b_id INTEGER,
+        judges TEXT NOT NULL DEFAULT '{}',
+        finalized INTEGER NOT NULL DEFAULT 0,
+        result TEXT,
+        review TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE judge_scores_archive (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        competitor_a_id INTEGER,
+        competitor_b_id INTEGER,
+        judges TEXT NOT NULL DEFAULT '{}',
+        finalized INTEGER NOT NULL DEFAULT 0,
+        result TEXT,
+        reason TEXT NOT NULL,
+        reopened_match_id TEXT NOT NULL,
+        archived_by TEXT,
+        archived_at TEXT NOT NULL
+      );
+
+      CREATE TABLE active_matches (
+        event_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        match_id TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, tournament_id)
+      );
+
+      CREATE TABLE repair_timer_resets (
+        event_id TEXT NOT NULL,
+        robot_name TEXT NOT NULL,
+        reset_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, robot_name)
+      );
+
+      CREATE TABLE match_queue (
+        event_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        match_id TEXT NOT NULL,
+        queue_position INTEGER NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, tournament_id, match_id)
+      );
+
+      CREATE TABLE judge_pins (
+        event_id TEXT NOT NULL,
+        judge_id TEXT NOT NULL,
+        judge_name TEXT,
+        pin_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, judge_id)
+      );
+
+      CREATE TABLE result_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        match_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        steps TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT,
+        action TEXT NOT NULL,
+        actor_role TEXT,
+        actor_id TEXT,
+        actor_name TEXT,
+        tournament_id TEXT,
+        match_id TEXT,
+        robots TEXT NOT NULL DEFAULT '[]',
+        before TEXT,
+        after TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TABLE native_tournaments (
+        url TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        tournament_type TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      -- Stands in for Postgres sequences
+      CREATE TABLE sequences (
+        name TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS sequences;
+      DROP TABLE IF EXISTS native_tournaments;
+      DROP TABLE IF EXISTS audit_log;
+      DROP TABLE IF EXISTS result_outbox;
+      DROP TABLE IF EXISTS judge_pins;
+      DROP TABLE IF EXISTS match_queue;
+      DROP TABLE IF EXISTS repair_timer_resets;
+      DROP TABLE IF EXISTS active_matches;
+      DROP TABLE IF EXISTS judge_scores_archive;
+      DROP TABLE IF EXISTS judge_scores;
+      DROP TABLE IF EXISTS events;
+    `,
+  },
+};
@@ -0,0 +1,70 @@
+// server/migrations/002-event-tournaments.js
+// Event membership moves from the events.tournaments JSON list to its own table,
+// with per-tournament metadata. id_type says whether tournament_id is the
+// provider's numeric id or a URL slug - existing rows are guessed from the id
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE event_tournaments (
+        event_id VARCHAR(255) NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+        tournament_id VARCHAR(255) NOT NULL,
+        id_type VARCHAR(10) NOT NULL DEFAULT 'slug' CHECK (id_type IN ('slug', 'id')),
+        display_name VARCHAR(255),
+        weight_class VARCHAR(100),
+        arena VARCHAR(100),
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (event_id, tournament_id)
+      );
+      CREATE INDEX event_tournaments_tournament_id ON event_tournaments (tournament_id);
+
+      INSERT INTO event_tournaments (event_id, tournament_id, id_type, position)
+      SELECT e.event_id, t.value, CASE WHEN t.value ~ '^[0-9]+$' THEN 'id' ELSE 'slug' END, t.ordinality - 1
+      FROM events e, jsonb_array_elements_text(e.tournaments) WITH ORDINALITY AS t(value, ordinality)
+      ON CONFLICT DO NOTHING;
+
+      ALTER TABLE events DROP COLUMN tournaments;
+    `,
+    down: `
+      ALTER TABLE events ADD COLUMN tournaments JSONB NOT NULL DEFAULT '[]';
+      UPDATE events e SET tournaments = COALESCE(
+        (SELECT jsonb_agg(et.tournament_id ORDER BY et.position) FROM event_tournaments et WHERE et.event_id = e.event_id),
+        '[]'
+      );
+      DROP TABLE event_tournaments;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE event_tournaments (
+        event_id TEXT NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+        tournament_id TEXT NOT NULL,
+        id_type TEXT NOT NULL DEFAULT 'slug' CHECK (id_type IN ('slug', 'id')),
+        display_name TEXT,
+        weight_class TEXT,
+        arena TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (event_id, tournament_id)
+      );
+      CREATE INDEX event_tournaments_tournament_id ON event_tournaments (tournament_id);
+
+      INSERT OR IGNORE INTO event_tournaments (event_id, tournament_id, id_type, position)
+      SELECT e.event_id, CAST(t.value AS TEXT),
+        CASE WHEN CAST(t.value AS TEXT) <> '' AND CAST(t.value AS TEXT) NOT GLOB '*[^0-9]*' THEN 'id' ELSE 'slug' END,
+        t.key
+      FROM events e, json_each(e.tournaments) t;
+
+      ALTER TABLE events DROP COLUMN tournaments;
+    `,
+    down: `
+      ALTER TABLE events ADD COLUMN tournaments TEXT NOT NULL DEFAULT '[]';
+      UPDATE events SET tournaments = COALESCE(
+        (SELECT json_group_array(tournament_id) FROM
+          (SELECT tournament_id FROM event_tournaments et WHERE et.event_id = events.event_id ORDER BY et.position)),
+        '[]'
+      );
+      DROP TABLE event_tournaments;
+    `,
+  },
+};
@@ -0,0 +1,41 @@
+// server/migrations/003-robot-fight-ends.js
+// When each robot's last fight ended, recorded as matches are finalized, so repair
+// timers no longer depend on the bracket's updated_at. Postgres reset times move to
+// TIMESTAMPTZ - they were written as UTC, so they're read back as UTC
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE robot_fight_ends (
+        event_id VARCHAR(255) NOT NULL,
+        robot_name VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255),
+        match_id VARCHAR(255),
+        ended_at TIMESTAMPTZ NOT NULL,
+        PRIMARY KEY (event_id, robot_name)
+      );
+
+      ALTER TABLE repair_timer_resets ALTER COLUMN reset_at TYPE TIMESTAMPTZ USING reset_at AT TIME ZONE 'UTC';
+    `,
+    down: `
+      ALTER TABLE repair_timer_resets ALTER COLUMN reset_at TYPE TIMESTAMP USING reset_at AT TIME ZONE 'UTC';
+      DROP TABLE robot_fight_ends;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE robot_fight_ends (
+        event_id TEXT NOT NULL,
+        robot_name TEXT NOT NULL,
+        tournament_id TEXT,
+        match_id TEXT,
+        ended_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, robot_name)
+      );
+    `,
+    down: `
+      DROP TABLE robot_fight_ends;
+    `,
+  },
+};
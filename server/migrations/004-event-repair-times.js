@@ -0,0 +1,22 @@
+// server/migrations/004-event-repair-times.js
+// Per-event repair time settings - null until an admin changes them from the default
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE events ADD COLUMN repair_times JSONB;
+    `,
+    down: `
+      ALTER TABLE events DROP COLUMN repair_times;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      ALTER TABLE events ADD COLUMN repair_times TEXT;
+    `,
+    down: `
+      ALTER TABLE events DROP COLUMN repair_times;
+    `,
+  },
+};
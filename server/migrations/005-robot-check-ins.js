@@ -0,0 +1,41 @@
+// server/migrations/005-robot-check-ins.js
+// Pit check-ins - a robot can be marked ready before its repair time is up, or as
+// wanting its full time, along with who marked it
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE robot_check_ins (
+        event_id VARCHAR(255) NOT NULL,
+        robot_name VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('ready', 'full-time')),
+        set_by_role VARCHAR(20),
+        set_by_id VARCHAR(255),
+        set_by_name VARCHAR(255),
+        set_at TIMESTAMPTZ NOT NULL,
+        PRIMARY KEY (event_id, robot_name)
+      );
+    `,
+    down: `
+      DROP TABLE robot_check_ins;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE robot_check_ins (
+        event_id TEXT NOT NULL,
+        robot_name TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('ready', 'full-time')),
+        set_by_role TEXT,
+        set_by_id TEXT,
+        set_by_name TEXT,
+        set_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, robot_name)
+      );
+    `,
+    down: `
+      DROP TABLE robot_check_ins;
+    `,
+  },
+};
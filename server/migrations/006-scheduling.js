@@ -0,0 +1,27 @@
+// server/migrations/006-scheduling.js
+// Per-event scheduler settings, and locked match queue entries the scheduler
+// has to plan around
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE events ADD COLUMN scheduling JSONB;
+      ALTER TABLE match_queue ADD COLUMN locked BOOLEAN NOT NULL DEFAULT FALSE;
+    `,
+    down: `
+      ALTER TABLE match_queue DROP COLUMN locked;
+      ALTER TABLE events DROP COLUMN scheduling;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      ALTER TABLE events ADD COLUMN scheduling TEXT;
+      ALTER TABLE match_queue ADD COLUMN locked INTEGER NOT NULL DEFAULT 0;
+    `,
+    down: `
+      ALTER TABLE match_queue DROP COLUMN locked;
+      ALTER TABLE events DROP COLUMN scheduling;
+    `,
+  },
+};
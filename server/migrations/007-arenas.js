@@ -0,0 +1,148 @@
+// server/migrations/007-arenas.js
+// Arenas become an event resource, and a match can be sent to a different arena
+// than its tournament's. Active matches and the match queue move from one per
+// tournament and event to one per arena. Tournament arenas were free text, so
+// each name becomes an arena of its own. Where nothing says which arena, the
+// event's first arena is used, or 'main' if it has none. Active matches only last
+// as long as a fight, so if two end up in one arena only the latest is kept.
+// Postgres start times move to TIMESTAMPTZ - they were written in the session's
+// time zone, so they're read back in it
+
+module.exports = {
+  postgres: {
+    up: `
+      CREATE TABLE event_arenas (
+        event_id VARCHAR(255) NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+        arena_id VARCHAR(100) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (event_id, arena_id)
+      );
+
+      UPDATE event_tournaments SET arena = NULL WHERE arena = '';
+      INSERT INTO event_arenas (event_id, arena_id, name, position)
+      SELECT event_id, arena, arena, ROW_NUMBER() OVER (PARTITION BY event_id ORDER BY MIN(position)) - 1
+      FROM event_tournaments
+      WHERE arena IS NOT NULL
+      GROUP BY event_id, arena;
+
+      CREATE TABLE match_arenas (
+        event_id VARCHAR(255) NOT NULL,
+        tournament_id VARCHAR(255) NOT NULL,
+        match_id VARCHAR(255) NOT NULL,
+        arena_id VARCHAR(100) NOT NULL,
+        PRIMARY KEY (event_id, tournament_id, match_id)
+      );
+
+      ALTER TABLE active_matches ADD COLUMN arena_id VARCHAR(100);
+      ALTER TABLE match_queue ADD COLUMN arena_id VARCHAR(100) NOT NULL DEFAULT 'main';
+      UPDATE active_matches am SET arena_id = COALESCE(
+        (SELECT et.arena FROM event_tournaments et WHERE et.event_id = am.event_id AND et.tournament_id = am.tournament_id),
+        (SELECT ea.arena_id FROM event_arenas ea WHERE ea.event_id = am.event_id ORDER BY ea.position LIMIT 1),
+        'main'
+      );
+      UPDATE match_queue mq SET arena_id = COALESCE(
+        (SELECT et.arena FROM event_tournaments et WHERE et.event_id = mq.event_id AND et.tournament_id = mq.tournament_id),
+        (SELECT ea.arena_id FROM event_arenas ea WHERE ea.event_id = mq.event_id ORDER BY ea.position LIMIT 1),
+        'main'
+      );
+
+      DELETE FROM active_matches am WHERE EXISTS (
+        SELECT 1 FROM active_matches newer
+        WHERE newer.event_id = am.event_id AND newer.arena_id = am.arena_id
+          AND (newer.started_at > am.started_at OR (newer.started_at = am.started_at AND newer.id > am.id))
+      );
+      ALTER TABLE active_matches ALTER COLUMN arena_id SET NOT NULL;
+      ALTER TABLE active_matches DROP CONSTRAINT active_matches_event_id_tournament_id_key;
+      ALTER TABLE active_matches ADD CONSTRAINT active_matches_event_id_arena_id_key UNIQUE (event_id, arena_id);
+      ALTER TABLE active_matches ALTER COLUMN started_at TYPE TIMESTAMPTZ USING started_at::timestamptz;
+    `,
+    down: `
+      ALTER TABLE active_matches ALTER COLUMN started_at TYPE TIMESTAMP USING started_at::timestamp;
+      DELETE FROM active_matches am WHERE EXISTS (
+        SELECT 1 FROM active_matches newer
+        WHERE newer.event_id = am.event_id AND newer.tournament_id = am.tournament_id
+          AND (newer.started_at > am.started_at OR (newer.started_at = am.started_at AND newer.id > am.id))
+      );
+      ALTER TABLE active_matches DROP CONSTRAINT active_matches_event_id_arena_id_key;
+      ALTER TABLE active_matches ADD CONSTRAINT active_matches_event_id_tournament_id_key UNIQUE (event_id, tournament_id);
+      ALTER TABLE active_matches DROP COLUMN arena_id;
+      ALTER TABLE match_queue DROP COLUMN arena_id;
+
+      DROP TABLE match_arenas;
+      DROP TABLE event_arenas;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE event_arenas (
+        event_id TEXT NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+        arena_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (event_id, arena_id)
+      );
+
+      UPDATE event_tournaments SET arena = NULL WHERE arena = '';
+      INSERT INTO event_arenas (event_id, arena_id, name, position)
+      SELECT event_id, arena, arena, ROW_NUMBER() OVER (PARTITION BY event_id ORDER BY MIN(position)) - 1
+      FROM event_tournaments
+      WHERE arena IS NOT NULL
+      GROUP BY event_id, arena;
+
+      CREATE TABLE match_arenas (
+        event_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        match_id TEXT NOT NULL,
+        arena_id TEXT NOT NULL,
+        PRIMARY KEY (event_id, tournament_id, match_id)
+      );
+
+      CREATE TABLE active_matches_by_arena (
+        event_id TEXT NOT NULL,
+        arena_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        match_id TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, arena_id)
+      );
+      INSERT OR REPLACE INTO active_matches_by_arena (event_id, arena_id, tournament_id, match_id, started_at)
+      SELECT am.event_id,
+        COALESCE(
+          (SELECT et.arena FROM event_tournaments et WHERE et.event_id = am.event_id AND et.tournament_id = am.tournament_id),
+          (SELECT ea.arena_id FROM event_arenas ea WHERE ea.event_id = am.event_id ORDER BY ea.position LIMIT 1),
+          'main'
+        ),
+        am.tournament_id, am.match_id, am.started_at
+      FROM active_matches am
+      ORDER BY am.started_at;
+      DROP TABLE active_matches;
+      ALTER TABLE active_matches_by_arena RENAME TO active_matches;
+
+      ALTER TABLE match_queue ADD COLUMN arena_id TEXT NOT NULL DEFAULT 'main';
+      UPDATE match_queue SET arena_id = COALESCE(
+        (SELECT et.arena FROM event_tournaments et WHERE et.event_id = match_queue.event_id AND et.tournament_id = match_queue.tournament_id),
+        (SELECT ea.arena_id FROM event_arenas ea WHERE ea.event_id = match_queue.event_id ORDER BY ea.position LIMIT 1),
+        'main'
+      );
+    `,
+    down: `
+      CREATE TABLE active_matches_by_tournament (
+        event_id TEXT NOT NULL,
+        tournament_id TEXT NOT NULL,
+        match_id TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, tournament_id)
+      );
+      INSERT OR REPLACE INTO active_matches_by_tournament (event_id, tournament_id, match_id, started_at)
+      SELECT event_id, tournament_id, match_id, started_at FROM active_matches ORDER BY started_at;
+      DROP TABLE active_matches;
+      ALTER TABLE active_matches_by_tournament RENAME TO active_matches;
+      ALTER TABLE match_queue DROP COLUMN arena_id;
+
+      DROP TABLE match_arenas;
+      DROP TABLE event_arenas;
+    `,
+  },
+};
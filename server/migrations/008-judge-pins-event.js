@@ -0,0 +1,50 @@
+// server/migrations/008-judge-pins-event.js
+// Judge PINs belong to their event, so deleting the event deletes them - before,
+// recreating a deleted event id brought its old judges' PINs back. PINs already
+// left behind by deleted events are dropped
+// SQLite can't add a foreign key to an existing table, so it's rebuilt
+
+module.exports = {
+  postgres: {
+    up: `
+      DELETE FROM judge_pins WHERE event_id NOT IN (SELECT event_id FROM events);
+      ALTER TABLE judge_pins ADD CONSTRAINT judge_pins_event_id_fkey
+        FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE;
+    `,
+    down: `
+      ALTER TABLE judge_pins DROP CONSTRAINT judge_pins_event_id_fkey;
+    `,
+  },
+
+  sqlite: {
+    up: `
+      CREATE TABLE judge_pins_by_event (
+        event_id TEXT NOT NULL REFERENCES events(event_id) ON DELETE CASCADE,
+        judge_id TEXT NOT NULL,
+        judge_name TEXT,
+        pin_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, judge_id)
+      );
+      INSERT INTO judge_pins_by_event (event_id, judge_id, judge_name, pin_hash, created_at)
+      SELECT event_id, judge_id, judge_name, pin_hash, created_at FROM judge_pins
+      WHERE event_id IN (SELECT event_id FROM events);
+      DROP TABLE judge_pins;
+      ALTER TABLE judge_pins_by_event RENAME TO judge_pins;
+    `,
+    down: `
+      CREATE TABLE judge_pins_any_event (
+        event_id TEXT NOT NULL,
+        judge_id TEXT NOT NULL,
+        judge_name TEXT,
+        pin_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (event_id, judge_id)
+      );
+      INSERT INTO judge_pins_any_event (event_id, judge_id, judge_name, pin_hash, created_at)
+      SELECT event_id, judge_id, judge_name, pin_hash, created_at FROM judge_pins;
+      DROP TABLE judge_pins;
+      ALTER TABLE judge_pins_any_event RENAME TO judge_pins;
+    `,
+  },
+};
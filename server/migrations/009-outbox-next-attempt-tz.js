@@ -0,0 +1,23 @@
+// server/migrations/009-outbox-next-attempt-tz.js
+// Postgres outbox retry times move to TIMESTAMPTZ, so they compare with the clock
+// the same way whatever the session's time zone. Retries were written as UTC but
+// new entries got the session's time, so each time is read back the earlier of the
+// two ways - a retry that comes early is harmless, one stuck for hours isn't.
+// SQLite keeps ISO strings, so there's nothing to change
+
+module.exports = {
+  postgres: {
+    up: `
+      ALTER TABLE result_outbox ALTER COLUMN next_attempt_at TYPE TIMESTAMPTZ
+        USING LEAST(next_attempt_at AT TIME ZONE 'UTC', next_attempt_at::timestamptz);
+    `,
+    down: `
+      ALTER TABLE result_outbox ALTER COLUMN next_attempt_at TYPE TIMESTAMP USING next_attempt_at AT TIME ZONE 'UTC';
+    `,
+  },
+
+  sqlite: {
+    up: '',
+    down: '',
+  },
+};
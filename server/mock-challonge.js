@@ -0,0 +1,196 @@
+// server/mock-challonge.js
+// Stand-in for the Challonge API, for development and tests. Serves the v1
+// endpoints the server uses from memory, with brackets run by ./bracket.js so
+// winners and losers advance the way they do on Challonge
+//
+// In-process:  const mock = await startMockChallonge({ apiKey: 'test' })
+//              mock.createTournament({ url: 'test-cup', participants: ['A', 'B', 'C', 'D'] })
+//              then point CHALLONGE_BASE_URL at mock.url
+// Standalone:  npm run mock-challonge (seeds a "mock-cup" tournament)
+
+const express = require('express');
+const {
+  findMatch,
+  createBracket,
+  reportMatch,
+  reopenMatch,
+  addAttachment,
+  toChallongeMatch,
+  toChallongeTournament,
+} = require('./bracket');
+
+const MOCK_ID_START = 1000000;
+const MOCK_ID_BLOCK = 10000;
+
+function mockError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// apiKey: when set, requests without ?api_key=<apiKey> get a 401 like Challonge's
+function createMockChallonge({ apiKey } = {}) {
+  const tournaments = new Map();
+  const requests = [];
+  let nextBaseId = MOCK_ID_START;
+  let failure = null;
+  let hold = null;
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body });
+    if (apiKey && req.query.api_key !== apiKey) {
+      return res.status(401).json({ errors: ['Access denied - invalid API key'] });
+    }
+    if (failure && req.method === failure.method && failure.path.test(req.path)) {
+      return res.status(failure.status).json({ errors: ['Mock failure'] });
+    }
+    if (hold && req.method === hold.method && hold.path.test(req.path)) {
+      return hold.until.then(() => next());
+    }
+    next();
+  });
+
+  function loadTournament(url) {
+    const tournament = tournaments.get(url);
+    if (!tournament) throw mockError(`Tournament ${url} not found`, 404);
+    return tournament;
+  }
+
+  // Each route gets the tournament (if the path has one) and returns the response body
+  function route(handler) {
+    return (req, res) => {
+      try {
+        const tournament = req.params.url ? loadTournament(req.params.url) : null;
+        res.json(handler(req, tournament));
+      } catch (error) {
+        res.status(error.status || 500).json({ errors: [error.message] });
+      }
+    };
+  }
+
+  // ============================================
+  // TOURNAMENTS
+  // ============================================
+
+  // GET /tournaments.json - List tournaments
+  app.get('/tournaments.json', route(() => [...tournaments.values()].map(t => toChallongeTournament(t))));
+
+  // GET /tournaments/:url.json - Tournament, optionally with participants and matches
+  app.get('/tournaments/:url.json', route((req, tournament) => toChallongeTournament(tournament, {
+    includeParticipants: req.query.include_participants === '1',
+    includeMatches: req.query.include_matches === '1',
+  })));
+
+  // GET /tournaments/:url/participants.json - List participants
+  app.get('/tournaments/:url/participants.json', route((req, tournament) => (
+    toChallongeTournament(tournament, { includeParticipants: true }).tournament.participants
+  )));
+
+  // ============================================
+  // MATCHES
+  // ============================================
+
+  // GET /tournaments/:url/matches.json - List matches, optionally by state (open, pending, complete, all)
+  app.get('/tournaments/:url/matches.json', route((req, tournament) => {
+    const state = req.query.state || 'all';
+    return tournament.matches.filter(m => state === 'all' || m.state === state).map(toChallongeMatch);
+  }));
+
+  // GET /tournaments/:url/matches/:matchId.json - Single match
+  app.get('/tournaments/:url/matches/:matchId.json', route((req, tournament) => (
+    toChallongeMatch(findMatch(tournament, req.params.matchId))
+  )));
+
+  // PUT /tournaments/:url/matches/:matchId.json - Report a result
+  app.put('/tournaments/:url/matches/:matchId.json', route((req, tournament) => {
+    const { winner_id: winnerId, scores_csv: scoresCsv } = req.body.match || {};
+    if (!winnerId) throw mockError('winner_id is required', 422);
+    return toChallongeMatch(reportMatch(tournament, req.params.matchId, { winnerId: parseInt(winnerId), scoresCsv }));
+  }));
+
+  // POST /tournaments/:url/matches/:matchId/reopen.json - Reopen a match and everything after it
+  app.post('/tournaments/:url/matches/:matchId/reopen.json', route((req, tournament) => (
+    toChallongeMatch(reopenMatch(tournament, req.params.matchId))
+  )));
+
+  // ============================================
+  // ATTACHMENTS
+  // ============================================
+
+  // GET /tournaments/:url/matches/:matchId/attachments.json - List a match's attachments
+  app.get('/tournaments/:url/matches/:matchId/attachments.json', route((req, tournament) => (
+    findMatch(tournament, req.params.matchId).attachments.map(attachment => ({ match_attachment: { ...attachment } }))
+  )));
+
+  // POST /tournaments/:url/matches/:matchId/attachments.json - Attach a description or link
+  app.post('/tournaments/:url/matches/:matchId/attachments.json', route((req, tournament) => {
+    const { description, url } = req.body.match_attachment || {};
+    if (!description && !url) throw mockError('An attachment needs a description or url', 422);
+    return { match_attachment: { ...addAttachment(tournament, req.params.matchId, { description, url }) } };
+  }));
+
+  app.use((req, res) => res.status(404).json({ errors: [`No mock for ${req.method} ${req.path}`] }));
+
+  return {
+    app,
+    // Every request received: [{ method, path, body }]
+    requests,
+
+    // Add a started tournament. participants: robot names in seed order
+    createTournament({ url, name = url, tournamentType = 'double elimination', participants, bracketReset = true }) {
+      const tournament = createBracket({ name, tournamentType, participants, bracketReset }, nextBaseId);
+      nextBaseId += MOCK_ID_BLOCK;
+      tournament.url = url;
+      tournaments.set(url, tournament);
+      return tournament;
+    },
+
+    // The live tournament, in the engine's shape (participants, matches with attachments)
+    getTournament: url => tournaments.get(url) || null,
+
+    // Answer matching requests with an error until cleared with null
+    // { method, path: RegExp, status }
+    setFailure(next) {
+      failure = next;
+    },
+
+    // Hold matching requests until a promise settles, clear with null
+    // { method, path: RegExp, until: Promise }
+    holdRequests(next) {
+      hold = next;
+    },
+  };
+}
+
+// Start the mock on a port (0 picks a free one). Resolves to the mock plus its url and close()
+function startMockChallonge({ port = 0, apiKey } = {}) {
+  const mock = createMockChallonge({ apiKey });
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, () => {
+      resolve({
+        ...mock,
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createMockChallonge, startMockChallonge };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_CHALLONGE_PORT) || 3002;
+  startMockChallonge({ port }).then(mock => {
+    mock.createTournament({
+      url: 'mock-cup',
+      name: 'Mock Cup',
+      participants: ['Sawblaze', 'Tombstone', 'Minotaur', 'Bite Force', 'Witch Doctor', 'HyperShock', 'Whiplash', 'End Game'],
+    });
+    console.log(`Mock Challonge running on ${mock.url}`);
+    console.log(`Start the server with CHALLONGE_BASE_URL=${mock.url} and any CHALLONGE_API_KEY, then add "mock-cup" to an event`);
+  });
+}
@@ -0,0 +1,171 @@
+// server/providers/challonge.js
+// Challonge bracket provider - also owns the normalizer for Challonge-shaped
+// tournaments, which the built-in engine produces too
+
+const { challongeRequest, isChallongeConfigured } = require('../challonge');
+
+// ============================================
+// NORMALIZING
+// ============================================
+
+// "3-1" -> { a: 3, b: 1 }
+function parseScores(scoresCsv) {
+  if (!scoresCsv) return { a: 0, b: 0 };
+  const parts = scoresCsv.split('-');
+  return { a: parseInt(parts[0]) || 0, b: parseInt(parts[1]) || 0 };
+}
+
+function normalizeChallongeMatch(match, { tournamentId, tournament, participantNames, matchNumbers }) {
+  const source = (prereqId, isLoser) => (prereqId ? {
+    type: isLoser ? 'loser' : 'winner',
+    matchNum: matchNumbers[prereqId] || prereqId,
+  } : null);
+
+  return {
+    id: match.id,
+    competitorA: participantNames[match.player1_id] || null,
+    competitorAId: match.player1_id,
+    competitorB: participantNames[match.player2_id] || null,
+    competitorBId: match.player2_id,
+    bracket: match.round > 0 ? 'winners' : 'losers',
+    round: Math.abs(match.round),
+    matchNum: matchNumbers[match.id],
+    status: match.state === 'complete' ? 'completed' : match.state === 'open' ? 'active' : 'pending',
+    winner: match.winner_id ? participantNames[match.winner_id] || null : null,
+    winnerId: match.winner_id || null,
+    loserId: match.loser_id || null,
+    scores: parseScores(match.scores_csv),
+    sourceA: source(match.player1_prereq_match_id, match.player1_is_prereq_match_loser),
+    sourceB: source(match.player2_prereq_match_id, match.player2_is_prereq_match_loser),
+    // Challonge has no completed_at on matches, updated_at is the closest thing
+    completedAt: match.state === 'complete' ? (match.completed_at || match.updated_at) : null,
+    isBracketReset: Boolean(match.is_bracket_reset),
+    tournamentName: tournament.name,
+    tournamentUrl: tournamentId,
+    tournamentId: tournament.id,
+  };
+}
+
+function normalizeChallongeSummary(tournament, tournamentId, provider) {
+  return {
+    id: tournament.id,
+    url: tournamentId,
+    name: tournament.name,
+    status: tournament.state,
+    tournamentType: tournament.tournament_type,
+    grandFinalsModifier: tournament.grand_finals_modifier || null,
+    provider,
+  };
+}
+
+// Normalize a tournament fetched with include_participants=1&include_matches=1
+// tournamentId: the id we know the tournament by (its URL slug)
+function normalizeChallongeTournament(data, tournamentId, provider = 'challonge') {
+  const tournament = data.tournament;
+  const participants = (tournament.participants || []).map(({ participant }) => participant);
+  const rawMatches = (tournament.matches || []).map(({ match }) => match);
+
+  const participantNames = Object.fromEntries(participants.map(p => [p.id, p.name]));
+  const matchNumbers = Object.fromEntries(rawMatches.map(m => [m.id, m.suggested_play_order || m.id]));
+  const context = { tournamentId, tournament, participantNames, matchNumbers };
+  const matches = rawMatches.map(match => normalizeChallongeMatch(match, context));
+
+  // Grand finals is the last winners round. grand_finals_modifier is null for a
+  // possible bracket reset, "single_match" for no reset or "skip" for no grand finals
+  const maxWinnersRound = Math.max(...matches.filter(m => m.bracket === 'winners').map(m => m.round));
+  const grandFinals = matches.find(m => m.bracket === 'winners' && m.round === maxWinnersRound);
+  const modifier = tournament.grand_finals_modifier;
+
+  // Hide the bracket reset unless it's actually being played
+  const visibleMatches = matches.filter(m => {
+    if (!grandFinals || m.matchNum <= grandFinals.matchNum) return true;
+    if (modifier === 'single_match' || modifier === 'skip') return false;
+    return Boolean(m.competitorA || m.competitorB);
+  });
+
+  return {
+    tournament: normalizeChallongeSummary(tournament, tournamentId, provider),
+    participants: participants.map(p => ({ id: p.id, name: p.name, seed: p.seed })),
+    matches: visibleMatches,
+  };
+}
+
+// ============================================
+// PROVIDER
+// ============================================
+
+// Our own tournaments use the Challonge URL slug as their id
+async function getTournament(tournamentId) {
+  const data = await challongeRequest(`/tournaments/${tournamentId}.json?include_participants=1&include_matches=1`);
+  return normalizeChallongeTournament(data, tournamentId);
+}
+
+// Match state has to be fresh, so it's read on its own rather than from the cached tournament
+async function getMatch(tournamentId, matchId) {
+  const [tournamentData, matchData] = await Promise.all([
+    challongeRequest(`/tournaments/${tournamentId}.json?include_participants=1`),
+    challongeRequest(`/tournaments/${tournamentId}/matches/${matchId}.json`),
+  ]);
+  const { tournament } = tournamentData;
+  const participantNames = Object.fromEntries((tournament.participants || []).map(({ participant }) => [participant.id, participant.name]));
+  const match = matchData.match;
+  const matchNumbers = { [match.id]: match.suggested_play_order || match.id };
+  return normalizeChallongeMatch(match, { tournamentId, tournament, participantNames, matchNumbers });
+}
+
+async function reportMatch(tournamentId, matchId, { winnerId, scoreA, scoreB }) {
+  await challongeRequest(`/tournaments/${tournamentId}/matches/${matchId}.json`, 'PUT', {
+    match: {
+      winner_id: winnerId,
+      scores_csv: `${scoreA}-${scoreB}`,
+    },
+  });
+  return getMatch(tournamentId, matchId);
+}
+
+async function reopenMatch(tournamentId, matchId) {
+  await challongeRequest(`/tournaments/${tournamentId}/matches/${matchId}/reopen.json`, 'POST');
+  return getMatch(tournamentId, matchId);
+}
+
+// The judges' breakdown is kept as a match attachment, tagged so we can find it again
+async function attachBreakdown(tournamentId, matchId, breakdown) {
+  await challongeRequest(`/tournaments/${tournamentId}/matches/${matchId}/attachments.json`, 'POST', {
+    match_attachment: { description: JSON.stringify(breakdown) },
+  });
+  return true;
+}
+
+async function getBreakdown(tournamentId, matchId) {
+  const attachments = await challongeRequest(`/tournaments/${tournamentId}/matches/${matchId}/attachments.json`);
+  for (const { match_attachment: attachment } of attachments) {
+    try {
+      const data = JSON.parse(attachment.description);
+      if (data?.type === 'judge_scores') return data;
+    } catch (e) {
+      // Not JSON or not our attachment, skip
+    }
+  }
+  return null;
+}
+
+async function listTournaments() {
+  const data = await challongeRequest('/tournaments.json');
+  return data.map(({ tournament }) => normalizeChallongeSummary(tournament, tournament.url, 'challonge'));
+}
+
+module.exports = {
+  name: 'challonge',
+  // Anything another provider doesn't claim is a Challonge URL slug
+  ownsTournament: () => true,
+  isConfigured: isChallongeConfigured,
+  listTournaments,
+  getTournament,
+  getMatch,
+  reportMatch,
+  reopenMatch,
+  attachBreakdown,
+  getBreakdown,
+  normalizeChallongeTournament,
+  normalizeChallongeSummary,
+};
@@ -0,0 +1,58 @@
+// server/providers/index.js
+// Bracket providers - a tournament lives in Challonge, start.gg or the built-in
+// engine, and the rest of the server only talks to it through these operations:
+//
+//   listTournaments()                                   -> [tournament]
+//   getTournament(tournamentId)                         -> { tournament, participants, matches }
+//   getMatch(tournamentId, matchId)                     -> match
+//   reportMatch(tournamentId, matchId, { winnerId, scoreA, scoreB }) -> match
+//   reopenMatch(tournamentId, matchId)                  -> match
+//   attachBreakdown(tournamentId, matchId, breakdown)   -> false if the provider can't store it
+//   getBreakdown(tournamentId, matchId)                 -> breakdown or null
+//
+// Every provider returns the same normalized shapes:
+//   tournament:  { id, url, name, status, tournamentType, grandFinalsModifier, provider }
+//   participant: { id, name, seed }
+//   match:       { id, competitorA, competitorAId, competitorB, competitorBId, bracket, round,
+//                  matchNum, status, winner, winnerId, loserId, scores: { a, b }, sourceA, sourceB,
+//                  completedAt, isBracketReset, tournamentName, tournamentUrl, tournamentId }
+// `url` is the id the tournament is added to events with. Match status is
+// 'pending' (waiting for robots), 'active' (ready to fight) or 'completed'
+
+const challonge = require('./challonge');
+const startgg = require('./startgg');
+const { createNativeProvider } = require('./native');
+
+// native: the built-in provider, made with createNativeProvider(storage)
+function createBracketProviders({ native }) {
+  // Challonge goes last - it takes every tournament the others don't claim
+  const providers = [native, startgg, challonge];
+  const getProvider = tournamentId => providers.find(provider => provider.ownsTournament(String(tournamentId)));
+
+  return {
+    providers,
+    getProvider,
+
+    // Every configured provider's tournaments - one being down doesn't hide the rest
+    async listTournaments() {
+      const lists = await Promise.all(providers.filter(p => p.isConfigured()).map(async provider => {
+        try {
+          return await provider.listTournaments();
+        } catch (error) {
+          console.error(`Error listing ${provider.name} tournaments:`, error.message);
+          return [];
+        }
+      }));
+      return lists.flat();
+    },
+
+    getTournament: tournamentId => getProvider(tournamentId).getTournament(tournamentId),
+    getMatch: (tournamentId, matchId) => getProvider(tournamentId).getMatch(tournamentId, matchId),
+    reportMatch: (tournamentId, matchId, result) => getProvider(tournamentId).reportMatch(tournamentId, matchId, result),
+    reopenMatch: (tournamentId, matchId) => getProvider(tournamentId).reopenMatch(tournamentId, matchId),
+    attachBreakdown: (tournamentId, matchId, breakdown) => getProvider(tournamentId).attachBreakdown(tournamentId, matchId, breakdown),
+    getBreakdown: (tournamentId, matchId) => getProvider(tournamentId).getBreakdown(tournamentId, matchId),
+  };
+}
+
+module.exports = { createBracketProviders, createNativeProvider };
@@ -0,0 +1,98 @@
+// server/providers/native.js
+// Built-in bracket provider - tournaments run by ../bracket.js and kept in our
+// own storage. The engine stores them in Challonge's shape, so they share the
+// Challonge normalizer
+
+const {
+  isNativeTournamentId,
+  findMatch,
+  reportMatch: reportBracketMatch,
+  reopenMatch: reopenBracketMatch,
+  addAttachment,
+  toChallongeTournament,
+} = require('../bracket');
+const { normalizeChallongeTournament, normalizeChallongeSummary } = require('./challonge');
+
+function notFound(tournamentId) {
+  const error = new Error(`Bracket error: Tournament ${tournamentId} not found`);
+  error.status = 404;
+  return error;
+}
+
+function normalize(tournament) {
+  const data = toChallongeTournament(tournament, { includeParticipants: true, includeMatches: true });
+  return normalizeChallongeTournament(data, tournament.url, 'native');
+}
+
+// storage: { getTournament(url), saveTournament(tournament), listTournaments() }
+function createNativeProvider(storage) {
+  // Changes are read-modify-write, so run them one at a time per tournament
+  const locks = new Map();
+
+  function withLock(tournamentId, task) {
+    const previous = locks.get(tournamentId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    locks.set(tournamentId, current);
+    current.catch(() => {}).then(() => {
+      if (locks.get(tournamentId) === current) locks.delete(tournamentId);
+    });
+    return current;
+  }
+
+  async function load(tournamentId) {
+    const tournament = await storage.getTournament(tournamentId);
+    if (!tournament) throw notFound(tournamentId);
+    return tournament;
+  }
+
+  // Apply a change to the stored tournament and return the changed match
+  function update(tournamentId, matchId, change) {
+    return withLock(tournamentId, async () => {
+      const tournament = await load(tournamentId);
+      change(tournament);
+      await storage.saveTournament(tournament);
+      return normalize(tournament).matches.find(m => String(m.id) === String(matchId));
+    });
+  }
+
+  async function getTournament(tournamentId) {
+    return normalize(await load(tournamentId));
+  }
+
+  async function getMatch(tournamentId, matchId) {
+    const tournament = await load(tournamentId);
+    findMatch(tournament, matchId);
+    return normalize(tournament).matches.find(m => String(m.id) === String(matchId));
+  }
+
+  return {
+    name: 'native',
+    ownsTournament: isNativeTournamentId,
+    isConfigured: () => true,
+    async listTournaments() {
+      const tournaments = await storage.listTournaments();
+      return tournaments.map(tournament => normalizeChallongeSummary(tournament, tournament.url, 'native'));
+    },
+    getTournament,
+    getMatch,
+    reportMatch: (tournamentId, matchId, { winnerId, scoreA, scoreB }) => update(tournamentId, matchId, tournament => {
+      reportBracketMatch(tournament, matchId, { winnerId: parseInt(winnerId), scoresCsv: `${scoreA}-${scoreB}` });
+    }),
+    reopenMatch: (tournamentId, matchId) => update(tournamentId, matchId, tournament => {
+      reopenBracketMatch(tournament, matchId);
+    }),
+    async attachBreakdown(tournamentId, matchId, breakdown) {
+      await update(tournamentId, matchId, tournament => {
+        addAttachment(tournament, matchId, { description: JSON.stringify(breakdown) });
+      });
+      return true;
+    },
+    async getBreakdown(tournamentId, matchId) {
+      const match = findMatch(await load(tournamentId), matchId);
+      const attachment = match.attachments.find(a => a.description?.includes('"judge_scores"'));
+      return attachment ? JSON.parse(attachment.description) : null;
+    },
+  };
+}
+
+module.exports = { createNativeProvider };
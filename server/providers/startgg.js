@@ -0,0 +1,326 @@
+// server/providers/startgg.js
+// start.gg bracket provider - talks to the start.gg GraphQL API
+// Tournaments are known as startgg-<tournament slug>--<event slug>, taken from
+// the event's page: start.gg/tournament/<tournament slug>/event/<event slug>
+
+const fetch = require('node-fetch');
+
+const STARTGG_API_URL = process.env.STARTGG_API_URL || 'https://api.start.gg/gql/alpha';
+const STARTGG_API_TOKEN = process.env.STARTGG_API_TOKEN;
+const STARTGG_PREFIX = 'startgg-';
+
+// start.gg allows 80 requests a minute
+const MIN_INTERVAL_MS = parseInt(process.env.STARTGG_MIN_INTERVAL_MS) || 800;
+// A read is the whole event a page at a time, so it's kept briefly for the
+// reads that follow it - our own reports and resets drop it straight away
+const CACHE_TTL_MS = parseInt(process.env.STARTGG_CACHE_TTL_MS) || 5 * 1000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const PAGE_SIZE = 40;
+
+// start.gg's ActivityState for sets
+const SET_STATE_COMPLETED = 3;
+
+const BRACKET_TYPES = {
+  SINGLE_ELIMINATION: 'single elimination',
+  DOUBLE_ELIMINATION: 'double elimination',
+  ROUND_ROBIN: 'round robin',
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// GRAPHQL CLIENT
+// ============================================
+
+let nextSlotAt = 0;
+
+async function waitForSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotAt);
+  nextSlotAt = slot + MIN_INTERVAL_MS;
+  if (slot > now) await sleep(slot - now);
+}
+
+// Run a query or mutation, retrying rate limits and server errors
+async function graphqlRequest(query, variables = {}) {
+  if (!STARTGG_API_TOKEN) {
+    throw new Error('start.gg API error: STARTGG_API_TOKEN is not set');
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot();
+    const response = await fetch(STARTGG_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${STARTGG_API_TOKEN}`,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    if ((response.status === 429 || response.status >= 500) && attempt < MAX_RETRIES) {
+      await sleep(RETRY_BASE_MS * 2 ** attempt);
+      continue;
+    }
+    if (!response.ok) {
+      const error = new Error(`start.gg API error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const body = await response.json();
+    if (body.errors?.length) {
+      throw new Error(`start.gg API error: ${body.errors.map(e => e.message).join('; ')}`);
+    }
+    return body.data;
+  }
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+const EVENT_QUERY = `
+  query EventBracket($slug: String!, $page: Int!, $perPage: Int!) {
+    event(slug: $slug) {
+      id
+      name
+      state
+      tournament { name }
+      phases { bracketType }
+      entrants(query: { page: $page, perPage: $perPage }) {
+        pageInfo { totalPages }
+        nodes { id name initialSeedNum }
+      }
+      sets(page: $page, perPage: $perPage, sortType: CALL_ORDER) {
+        pageInfo { totalPages }
+        nodes {
+          id
+          round
+          fullRoundText
+          state
+          winnerId
+          completedAt
+          slots {
+            prereqId
+            prereqType
+            prereqPlacement
+            entrant { id }
+            standing { stats { score { value } } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const REPORT_MUTATION = `
+  mutation ReportSet($setId: ID!, $winnerId: ID!, $gameData: [BracketSetGameDataInput]) {
+    reportBracketSet(setId: $setId, winnerId: $winnerId, gameData: $gameData) { id }
+  }
+`;
+
+const RESET_MUTATION = `
+  mutation ResetSet($setId: ID!) {
+    resetSet(setId: $setId, resetDependentSets: true) { id }
+  }
+`;
+
+const ADMIN_TOURNAMENTS_QUERY = `
+  query AdminTournaments {
+    currentUser {
+      tournaments(query: { perPage: 25, filter: { tournamentView: "admin" } }) {
+        nodes { name slug events { name slug state } }
+      }
+    }
+  }
+`;
+
+// startgg-texas-cup--beetleweight -> tournament/texas-cup/event/beetleweight
+function eventSlug(tournamentId) {
+  const [tournamentSlug, eventPart] = tournamentId.slice(STARTGG_PREFIX.length).split('--');
+  if (!tournamentSlug || !eventPart) {
+    throw new Error(`start.gg tournaments look like startgg-<tournament>--<event>, not ${tournamentId}`);
+  }
+  return `tournament/${tournamentSlug}/event/${eventPart}`;
+}
+
+// Every entrant and set in an event, a page at a time
+async function fetchEventPages(tournamentId) {
+  const slug = eventSlug(tournamentId);
+  let event = null;
+  const entrants = [];
+  const sets = [];
+
+  for (let page = 1; ; page++) {
+    const data = await graphqlRequest(EVENT_QUERY, { slug, page, perPage: PAGE_SIZE });
+    if (!data.event) {
+      const error = new Error(`start.gg API error: no event at ${slug}`);
+      error.status = 404;
+      throw error;
+    }
+    event = data.event;
+    entrants.push(...event.entrants.nodes);
+    sets.push(...event.sets.nodes);
+    if (page >= Math.max(event.entrants.pageInfo.totalPages, event.sets.pageInfo.totalPages)) break;
+  }
+  return { event, entrants, sets };
+}
+
+// ============================================
+// CACHE
+// ============================================
+
+// tournamentId -> { expiresAt, promise }
+const cache = new Map();
+
+// Concurrent reads of the same event share one fetch
+function fetchEvent(tournamentId) {
+  const cached = cache.get(tournamentId);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const promise = fetchEventPages(tournamentId);
+  cache.set(tournamentId, { expiresAt: Date.now() + CACHE_TTL_MS, promise });
+  promise.catch(() => {
+    if (cache.get(tournamentId)?.promise === promise) cache.delete(tournamentId);
+  });
+  return promise;
+}
+
+// Run a mutation on an event, dropping its cached read whether or not it worked
+async function mutateEvent(tournamentId, mutation, variables) {
+  try {
+    return await graphqlRequest(mutation, variables);
+  } finally {
+    cache.delete(tournamentId);
+  }
+}
+
+// ============================================
+// NORMALIZING
+// ============================================
+
+function normalizeEvent(tournamentId, { event, entrants, sets }) {
+  const names = Object.fromEntries(entrants.map(e => [e.id, e.name]));
+  // Sets come in call order, which is the order they're played in
+  const matchNumbers = Object.fromEntries(sets.map((set, i) => [set.id, i + 1]));
+  const tournament = {
+    id: event.id,
+    url: tournamentId,
+    name: `${event.tournament.name} - ${event.name}`,
+    status: event.state === 'COMPLETED' ? 'complete' : event.state === 'ACTIVE' ? 'underway' : 'pending',
+    tournamentType: BRACKET_TYPES[event.phases?.[0]?.bracketType] || null,
+    grandFinalsModifier: null,
+    provider: 'startgg',
+  };
+
+  const matches = sets.map(set => {
+    const [slotA, slotB] = set.slots;
+    const competitorAId = slotA?.entrant?.id || null;
+    const competitorBId = slotB?.entrant?.id || null;
+    const isComplete = set.state === SET_STATE_COMPLETED;
+    const score = slot => Math.max(slot?.standing?.stats?.score?.value || 0, 0);
+    const source = slot => (slot?.prereqType === 'set' ? {
+      type: slot.prereqPlacement === 2 ? 'loser' : 'winner',
+      matchNum: matchNumbers[slot.prereqId] || slot.prereqId,
+    } : null);
+
+    return {
+      id: set.id,
+      competitorA: names[competitorAId] || null,
+      competitorAId,
+      competitorB: names[competitorBId] || null,
+      competitorBId,
+      bracket: set.round > 0 ? 'winners' : 'losers',
+      round: Math.abs(set.round),
+      matchNum: matchNumbers[set.id],
+      status: isComplete ? 'completed' : competitorAId && competitorBId ? 'active' : 'pending',
+      winner: set.winnerId ? names[set.winnerId] || null : null,
+      winnerId: set.winnerId || null,
+      loserId: set.winnerId ? (set.winnerId === competitorAId ? competitorBId : competitorAId) : null,
+      scores: { a: score(slotA), b: score(slotB) },
+      sourceA: source(slotA),
+      sourceB: source(slotB),
+      completedAt: isComplete && set.completedAt ? new Date(set.completedAt * 1000).toISOString() : null,
+      isBracketReset: set.fullRoundText === 'Grand Final Reset',
+      tournamentName: tournament.name,
+      tournamentUrl: tournamentId,
+      tournamentId: event.id,
+    };
+  });
+
+  return {
+    tournament,
+    participants: entrants.map(e => ({ id: e.id, name: e.name, seed: e.initialSeedNum })),
+    // Like Challonge, the reset only shows once it's being played
+    matches: matches.filter(m => !m.isBracketReset || m.competitorA || m.competitorB),
+  };
+}
+
+// ============================================
+// PROVIDER
+// ============================================
+
+async function getTournament(tournamentId) {
+  return normalizeEvent(tournamentId, await fetchEvent(tournamentId));
+}
+
+// start.gg numbers sets by call order across the event, so a set is read with the rest
+async function getMatch(tournamentId, matchId) {
+  const { matches } = await getTournament(tournamentId);
+  const match = matches.find(m => String(m.id) === String(matchId));
+  if (!match) {
+    const error = new Error(`start.gg API error: no set ${matchId} in ${tournamentId}`);
+    error.status = 404;
+    throw error;
+  }
+  return match;
+}
+
+async function reportMatch(tournamentId, matchId, { winnerId, scoreA, scoreB }) {
+  await mutateEvent(tournamentId, REPORT_MUTATION, {
+    setId: String(matchId),
+    winnerId: String(winnerId),
+    gameData: [{ gameNum: 1, winnerId: String(winnerId), entrant1Score: scoreA, entrant2Score: scoreB }],
+  });
+  return getMatch(tournamentId, matchId);
+}
+
+async function reopenMatch(tournamentId, matchId) {
+  await mutateEvent(tournamentId, RESET_MUTATION, { setId: String(matchId) });
+  return getMatch(tournamentId, matchId);
+}
+
+async function listTournaments() {
+  const data = await graphqlRequest(ADMIN_TOURNAMENTS_QUERY);
+  const tournaments = data.currentUser?.tournaments?.nodes || [];
+  return tournaments.flatMap(tournament => (tournament.events || []).map(event => {
+    const [, tournamentSlug, , eventPart] = event.slug.split('/');
+    return {
+      id: null,
+      url: `${STARTGG_PREFIX}${tournamentSlug}--${eventPart}`,
+      name: `${tournament.name} - ${event.name}`,
+      status: event.state === 'COMPLETED' ? 'complete' : event.state === 'ACTIVE' ? 'underway' : 'pending',
+      tournamentType: null,
+      grandFinalsModifier: null,
+      provider: 'startgg',
+    };
+  }));
+}
+
+module.exports = {
+  name: 'startgg',
+  ownsTournament: tournamentId => tournamentId.startsWith(STARTGG_PREFIX),
+  isConfigured: () => Boolean(STARTGG_API_TOKEN),
+  listTournaments,
+  getTournament,
+  getMatch,
+  reportMatch,
+  reopenMatch,
+  // start.gg has nowhere to keep the judges' breakdown - it stays in our database
+  attachBreakdown: async () => false,
+  getBreakdown: async () => null,
+  eventSlug,
+  normalizeEvent,
+};
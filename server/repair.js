@@ -0,0 +1,156 @@
+// server/repair.js
+// Repair timers - a robot gets a repair period after a fight before it's ready
+// again. The clock starts when the server finalized its last fight, or at a
+// manual reset if that's later, and is always worked out against server time.
+// The pits can check a robot in as ready early, which waives the rest of its
+// time, or as wanting its full time. A check-in only counts for the repair
+// period it was made in.
+
+// What a robot can be checked in as
+const CHECK_IN_STATUSES = ['ready', 'full-time'];
+
+const DEFAULT_REPAIR_MINUTES = 20;
+const REPAIR_TIME_MS = DEFAULT_REPAIR_MINUTES * 60 * 1000;
+
+// Longest repair period an event can set, in minutes
+const MAX_REPAIR_MINUTES = 24 * 60;
+
+// Rounds a repair time can be set for: 'finals' is the final (and any bracket
+// reset), 'winners' and 'losers' need a round number in that bracket
+const REPAIR_STAGES = ['finals', 'winners', 'losers'];
+
+const toTime = value => (value ? new Date(value).getTime() : null);
+const toIso = time => (time === null ? null : new Date(time).toISOString());
+const isMinutes = value => typeof value === 'number' && value > 0 && value <= MAX_REPAIR_MINUTES;
+
+// Check an event's repair time settings, returns an error message or null
+// Every part is optional, all times are in minutes:
+//   { defaultMinutes,
+//     weightClasses: { [weightClass]: minutes },
+//     tournaments: { [tournamentId]: minutes },
+//     rounds: [{ stage, round?, tournamentId?, minutes }] }
+function validateRepairTimes(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'repairTimes must be an object';
+  }
+  if (config.defaultMinutes != null && !isMinutes(config.defaultMinutes)) {
+    return `defaultMinutes must be more than 0 and at most ${MAX_REPAIR_MINUTES}`;
+  }
+  for (const field of ['weightClasses', 'tournaments']) {
+    const overrides = config[field];
+    if (overrides == null) continue;
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) return `${field} must be an object`;
+    for (const [key, minutes] of Object.entries(overrides)) {
+      if (!isMinutes(minutes)) return `Repair time for ${key} must be more than 0 and at most ${MAX_REPAIR_MINUTES} minutes`;
+    }
+  }
+  if (config.rounds != null) {
+    if (!Array.isArray(config.rounds)) return 'rounds must be an array';
+    for (const r of config.rounds) {
+      if (!r || !REPAIR_STAGES.includes(r.stage)) return `Each round needs a stage: ${REPAIR_STAGES.join(', ')}`;
+      if (r.stage !== 'finals' && !(Number.isInteger(r.round) && r.round > 0)) {
+        return `The ${r.stage} bracket needs a round number`;
+      }
+      if (r.tournamentId != null && typeof r.tournamentId !== 'string') return 'A round\'s tournamentId must be a string';
+      if (!isMinutes(r.minutes)) return `Repair time for a round must be more than 0 and at most ${MAX_REPAIR_MINUTES} minutes`;
+    }
+  }
+  return null;
+}
+
+// Whether a bracket match is the final or its reset, given the tournament's matches
+function isFinalsMatch(match, matches) {
+  if (match.isBracketReset) return true;
+  if (match.bracket !== 'winners') return false;
+  return match.round === Math.max(...matches.filter(m => m.bracket === 'winners').map(m => m.round));
+}
+
+// Repair time in ms for a fight, from an event's settings - the most specific wins:
+// a round (one set for the tournament before one for every tournament), then the
+// tournament, then its weight class, then the event default
+// fight: { tournamentId, weightClass, match, isFinals } - everything but the ids can be missing
+function resolveRepairTimeMs(config, { tournamentId, weightClass, match, isFinals } = {}) {
+  if (!config || validateRepairTimes(config)) return REPAIR_TIME_MS;
+
+  const rounds = (config.rounds || []).filter(r => {
+    if (r.tournamentId && r.tournamentId !== tournamentId) return false;
+    if (r.stage === 'finals') return Boolean(isFinals);
+    return match?.bracket === r.stage && match.round === r.round;
+  });
+  const round = rounds.find(r => r.tournamentId) || rounds[0];
+
+  const minutes = round?.minutes
+    ?? config.tournaments?.[tournamentId]
+    ?? (weightClass ? config.weightClasses?.[weightClass] : undefined)
+    ?? config.defaultMinutes
+    ?? DEFAULT_REPAIR_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+// fightEnds: { [robotName]: { endedAt, tournamentId, matchId } } from storage
+// resets: { [robotName]: resetAt } from storage
+// checkIns: { [robotName]: { status, setAt, setByRole, setById, setByName } } from storage
+// repairTimeMs: a number, or (robotName, lastTournamentId) => ms for per-robot times
+// Robot names match whatever their case, since resets are typed in by hand
+// Returns { [robotName]: { lastFightAt, resetAt, startedAt, readyAt, repairTimeMs, remainingMs,
+//   ready, checkIn, waived } } - checkIn is null unless one was made since the clock started,
+//   waived is whether a 'ready' check-in cut the time short
+function calculateRepairStatus({ fightEnds = {}, resets = {}, checkIns = {}, now = Date.now(), repairTimeMs = REPAIR_TIME_MS }) {
+  const robots = {};
+  const robotFor = name => {
+    const key = Object.keys(robots).find(k => k.toLowerCase() === name.toLowerCase()) || name;
+    robots[key] = robots[key] || { lastFightAt: null, resetAt: null, tournamentId: null, checkIn: null };
+    return robots[key];
+  };
+
+  for (const [name, fight] of Object.entries(fightEnds)) {
+    const robot = robotFor(name);
+    const endedAt = toTime(fight.endedAt);
+    if (endedAt > (robot.lastFightAt || 0)) {
+      robot.lastFightAt = endedAt;
+      robot.tournamentId = fight.tournamentId || null;
+    }
+  }
+  for (const [name, resetAt] of Object.entries(resets)) {
+    const robot = robotFor(name);
+    robot.resetAt = Math.max(robot.resetAt || 0, toTime(resetAt));
+  }
+  for (const [name, checkIn] of Object.entries(checkIns)) {
+    const robot = robotFor(name);
+    if (!robot.checkIn || toTime(checkIn.setAt) > toTime(robot.checkIn.setAt)) robot.checkIn = checkIn;
+  }
+
+  return Object.fromEntries(Object.entries(robots).map(([name, { lastFightAt, resetAt, tournamentId, checkIn }]) => {
+    const durationMs = typeof repairTimeMs === 'function' ? repairTimeMs(name, tournamentId) : repairTimeMs;
+    const startedAt = lastFightAt || resetAt ? Math.max(lastFightAt || 0, resetAt || 0) : null;
+    const checkedInAt = checkIn ? toTime(checkIn.setAt) : null;
+    const current = checkIn && (startedAt === null || checkedInAt >= startedAt) ? checkIn : null;
+
+    const fullReadyAt = startedAt === null ? null : startedAt + durationMs;
+    const waived = current?.status === 'ready' && fullReadyAt !== null && checkedInAt < fullReadyAt;
+    const readyAt = waived ? checkedInAt : fullReadyAt;
+    const remainingMs = readyAt === null ? 0 : Math.max(0, readyAt - now);
+    return [name, {
+      lastFightAt: toIso(lastFightAt),
+      resetAt: toIso(resetAt),
+      startedAt: toIso(startedAt),
+      readyAt: toIso(readyAt),
+      repairTimeMs: durationMs,
+      remainingMs,
+      ready: remainingMs === 0,
+      checkIn: current && { ...current, setAt: toIso(checkedInAt) },
+      waived,
+    }];
+  }));
+}
+
+module.exports = {
+  CHECK_IN_STATUSES,
+  DEFAULT_REPAIR_MINUTES,
+  REPAIR_TIME_MS,
+  REPAIR_STAGES,
+  validateRepairTimes,
+  isFinalsMatch,
+  resolveRepairTimeMs,
+  calculateRepairStatus,
+};
@@ -0,0 +1,193 @@
+// server/scheduler.js
+// Fight-order scheduler - proposes the next fights across every tournament in an
+// event sharing one arena. Each slot goes to the fight that can start soonest once
+// robots' repair times are counted, weighed against keeping the brackets level and
+// keeping a team out of the arena twice in a row. Changing weight class can need an
+// arena reset, which counts as waiting like anything else. Locked queue entries
+// keep their place and the rest of the proposal is planned around them.
+
+const { REPAIR_TIME_MS } = require('./repair');
+
+const DEFAULT_FIGHT_MINUTES = 5;
+const DEFAULT_PROPOSAL_SIZE = 8;
+const MAX_PROPOSAL_SIZE = 50;
+
+// Longest fight or arena reset an event can set, in minutes
+const MAX_SCHEDULING_MINUTES = 120;
+
+// What each preference is worth in minutes of waiting
+const SAME_TEAM_PENALTY_MINUTES = 10;
+// Per whole bracket a tournament is ahead of the one furthest behind
+const UNEVEN_PENALTY_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+const toTime = value => (value ? new Date(value).getTime() : null);
+const fightKey = fight => `${fight.tournamentId}:${fight.matchId}`;
+
+// Check an event's scheduler settings, returns an error message or null
+// Every part is optional:
+//   { fightMinutes, changeoverMinutes, proposalSize, teams: { [robotName]: team } }
+// fightMinutes is a fight plus getting robots in and out, changeoverMinutes the
+// arena reset when the weight class changes
+function validateScheduling(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'scheduling must be an object';
+  }
+  if (config.fightMinutes != null
+    && !(typeof config.fightMinutes === 'number' && config.fightMinutes > 0 && config.fightMinutes <= MAX_SCHEDULING_MINUTES)) {
+    return `fightMinutes must be more than 0 and at most ${MAX_SCHEDULING_MINUTES}`;
+  }
+  if (config.changeoverMinutes != null
+    && !(typeof config.changeoverMinutes === 'number' && config.changeoverMinutes >= 0 && config.changeoverMinutes <= MAX_SCHEDULING_MINUTES)) {
+    return `changeoverMinutes must be between 0 and ${MAX_SCHEDULING_MINUTES}`;
+  }
+  if (config.proposalSize != null
+    && !(Number.isInteger(config.proposalSize) && config.proposalSize > 0 && config.proposalSize <= MAX_PROPOSAL_SIZE)) {
+    return `proposalSize must be a whole number from 1 to ${MAX_PROPOSAL_SIZE}`;
+  }
+  if (config.teams != null) {
+    if (typeof config.teams !== 'object' || Array.isArray(config.teams)) return 'teams must be an object';
+    for (const [robotName, team] of Object.entries(config.teams)) {
+      if (typeof team !== 'string') return `The team for ${robotName} must be a string`;
+    }
+  }
+  return null;
+}
+
+// An event's scheduler settings with the defaults filled in - invalid settings
+// fall back to the defaults
+function resolveScheduling(config) {
+  const valid = config && !validateScheduling(config) ? config : {};
+  return {
+    fightMinutes: valid.fightMinutes ?? DEFAULT_FIGHT_MINUTES,
+    changeoverMinutes: valid.changeoverMinutes ?? 0,
+    proposalSize: valid.proposalSize ?? DEFAULT_PROPOSAL_SIZE,
+    teams: valid.teams || {},
+  };
+}
+
+// fights: [{ tournamentId, matchId, matchNum, round, bracket, weightClass, competitorA, competitorB }]
+//   every fight that could go in the arena next - both robots known, not fighting or finished
+// locked: [{ tournamentId, matchId, position }] from the match queue
+// progress: { [tournamentId]: { completed, total } } match counts for each bracket
+// readyAt: { [robotName]: time } when each robot is out of repairs, missing ones are ready
+// repairTimeMs: (fight, robotName) => ms of repairs a robot gets after a proposed fight
+// previous: { weightClass, robots, endsAt? } the fight in the arena now or the last one fought
+// Robot and team names match whatever their case
+// Returns [{ ...fight, position, startAt, waitMs, locked, notes }] in order - every
+// locked fight still open is included even past the proposal size
+function proposeSchedule({
+  fights = [],
+  locked = [],
+  progress = {},
+  readyAt = {},
+  repairTimeMs = () => REPAIR_TIME_MS,
+  previous = null,
+  settings,
+  now = Date.now(),
+  size,
+}) {
+  const { fightMinutes, changeoverMinutes, proposalSize, teams } = resolveScheduling(settings);
+  const count = size || proposalSize;
+  const fightMs = fightMinutes * MINUTE_MS;
+  const changeoverMs = changeoverMinutes * MINUTE_MS;
+
+  const teamOf = Object.fromEntries(Object.entries(teams).map(([name, team]) => [name.toLowerCase(), team.trim().toLowerCase()]));
+  const teamName = Object.fromEntries(Object.values(teams).map(team => [team.trim().toLowerCase(), team.trim()]));
+  const teamsIn = robots => new Set(robots.map(name => teamOf[name.toLowerCase()]).filter(Boolean));
+
+  const ready = {};
+  for (const [name, at] of Object.entries(readyAt)) {
+    const key = name.toLowerCase();
+    ready[key] = Math.max(ready[key] || 0, toTime(at) || 0);
+  }
+  const scheduled = {};
+  const bracketProgress = tournamentId => {
+    const { completed = 0, total = 0 } = progress[tournamentId] || {};
+    return total > 0 ? (completed + (scheduled[tournamentId] || 0)) / total : 1;
+  };
+
+  const open = new Map(fights.map(fight => [fightKey(fight), fight]));
+  const lockedQueue = [...locked]
+    .sort((a, b) => a.position - b.position)
+    .filter(entry => open.has(fightKey(entry)));
+  const lockedKeys = new Set(lockedQueue.map(fightKey));
+
+  let clock = Math.max(now, toTime(previous?.endsAt) || 0);
+  let last = previous;
+
+  // When a fight could start after the current slot, and why it would wait
+  const plan = fight => {
+    const robots = [fight.competitorA, fight.competitorB];
+    const changeover = last?.weightClass && fight.weightClass && last.weightClass !== fight.weightClass ? changeoverMs : 0;
+    const arenaFree = clock + changeover;
+    const startAt = Math.max(arenaFree, ...robots.map(name => ready[name.toLowerCase()] || 0));
+    const lastTeams = teamsIn(last?.robots || []);
+    const sharedTeams = [...teamsIn(robots)].filter(team => lastTeams.has(team));
+
+    const notes = [];
+    const repairing = robots.filter(name => (ready[name.toLowerCase()] || 0) > arenaFree);
+    if (repairing.length > 0) {
+      notes.push(`Waits ${Math.ceil((startAt - arenaFree) / MINUTE_MS)} min for ${repairing.join(' and ')} to finish repairs`);
+    }
+    if (changeover > 0) notes.push(`Arena reset after ${last.weightClass}`);
+    for (const team of sharedTeams) notes.push(`${teamName[team]} was also in the fight before`);
+    return { startAt, waitMs: startAt - clock, sharedTeams, notes };
+  };
+
+  // Lower is better - behind is the progress of the bracket furthest behind
+  const score = (fight, behind) => {
+    const { waitMs, sharedTeams } = plan(fight);
+    return waitMs / MINUTE_MS
+      + sharedTeams.length * SAME_TEAM_PENALTY_MINUTES
+      + (bracketProgress(fight.tournamentId) - behind) * UNEVEN_PENALTY_MINUTES;
+  };
+
+  const schedule = [];
+  while (open.size > 0 && (schedule.length < count || lockedQueue.length > 0)) {
+    let fight;
+    let isLocked = false;
+    const unlocked = [...open.values()].filter(f => !lockedKeys.has(fightKey(f)));
+    const lockedNext = lockedQueue.length > 0
+      && (lockedQueue[0].position <= schedule.length || schedule.length >= count || unlocked.length === 0);
+    if (lockedNext) {
+      fight = open.get(fightKey(lockedQueue.shift()));
+      isLocked = true;
+    } else {
+      // Lowest score wins, then the earlier match in its bracket
+      const behind = Math.min(...unlocked.map(f => bracketProgress(f.tournamentId)));
+      fight = unlocked
+        .map(f => ({ f, s: score(f, behind) }))
+        .sort((a, b) => a.s - b.s || a.f.matchNum - b.f.matchNum)[0].f;
+    }
+
+    const { startAt, waitMs, notes } = plan(fight);
+    schedule.push({
+      ...fight,
+      position: schedule.length,
+      startAt: new Date(startAt).toISOString(),
+      waitMs,
+      locked: isLocked,
+      notes,
+    });
+
+    open.delete(fightKey(fight));
+    scheduled[fight.tournamentId] = (scheduled[fight.tournamentId] || 0) + 1;
+    clock = startAt + fightMs;
+    for (const name of [fight.competitorA, fight.competitorB]) {
+      ready[name.toLowerCase()] = clock + repairTimeMs(fight, name);
+    }
+    last = { weightClass: fight.weightClass, robots: [fight.competitorA, fight.competitorB] };
+  }
+  return schedule;
+}
+
+module.exports = {
+  DEFAULT_FIGHT_MINUTES,
+  DEFAULT_PROPOSAL_SIZE,
+  MAX_PROPOSAL_SIZE,
+  validateScheduling,
+  resolveScheduling,
+  proposeSchedule,
+};
@@ -0,0 +1,289 @@
+// server/scoring.js
+// Scoring engine - validates judge cards and calculates match results from an
+// event's scoring criteria. Every criterion is split between the two robots:
+// a judge gives competitor A 0..points and competitor B gets the rest.
+
+// Criteria used by events that haven't customised scoring
+const DEFAULT_SCORING_CRITERIA = [
+  { id: 'aggression', name: 'Aggression', points: 3 },
+  { id: 'damage', name: 'Damage', points: 5 },
+  { id: 'control', name: 'Control', points: 3 },
+];
+
+// How a match can end
+//   points  - judges' decision at the end of the fight
+//   tapout  - judges' decision after one team tapped out
+//   ko/tko  - stoppage, the winner takes every point
+//   forfeit - no-show or withdrawal, nothing scored
+//   dq      - disqualification, nothing scored
+const WIN_METHODS = ['points', 'tapout', 'ko', 'tko', 'forfeit', 'dq'];
+const DECISION_METHODS = ['points', 'tapout'];
+const STOPPAGE_METHODS = ['ko', 'tko'];
+
+// Check a criteria definition from an event, returns an error message or null
+function validateCriteria(criteria) {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return 'scoringCriteria must be a non-empty array';
+  }
+  const ids = new Set();
+  for (const c of criteria) {
+    if (!c || typeof c.id !== 'string' || !c.id) return 'Each scoring criterion needs an id';
+    if (!Number.isInteger(c.points) || c.points < 1) return `${c.name || c.id} must be worth at least 1 point`;
+    if (ids.has(c.id)) return `Duplicate scoring criterion: ${c.id}`;
+    ids.add(c.id);
+  }
+  return null;
+}
+
+// Use the event's criteria if they're well formed, otherwise the defaults
+function resolveCriteria(criteria) {
+  if (!criteria || validateCriteria(criteria)) return DEFAULT_SCORING_CRITERIA;
+  return criteria.map(c => ({ id: c.id, name: c.name || c.id, points: c.points }));
+}
+
+// Total points a single judge splits between the two robots
+function maxPointsPerJudge(criteria) {
+  return criteria.reduce((sum, c) => sum + c.points, 0);
+}
+
+// Scoreline for results that aren't decided on the judges' points
+// Returns { scoreA, scoreB }, or null for decisions
+function fixedScoreline(winMethod, isWinnerA, criteria, panelSize) {
+  if (STOPPAGE_METHODS.includes(winMethod)) {
+    const totalMaxPoints = maxPointsPerJudge(criteria) * panelSize;
+    return { scoreA: isWinnerA ? totalMaxPoints : 0, scoreB: isWinnerA ? 0 : totalMaxPoints };
+  }
+  if (winMethod === 'forfeit' || winMethod === 'dq') {
+    return { scoreA: 0, scoreB: 0 };
+  }
+  return null;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// Check a judge's submission against the criteria
+// competitorIds: [competitorAId, competitorBId] for the match
+// Returns a list of { field, message } problems (empty when the card is valid)
+// winMethod on a card is optional: 'ko' or 'tko' for a KO card, 'points' or 'tapout' otherwise
+function validateJudgeScores(criteria, { scores, isKO, koWinnerId, winMethod }, competitorIds) {
+  if (isKO) {
+    if (!competitorIds.some(id => String(id) === String(koWinnerId))) {
+      return [{ field: 'koWinnerId', message: 'koWinnerId must be one of the competitors in this match' }];
+    }
+    if (winMethod && !STOPPAGE_METHODS.includes(winMethod)) {
+      return [{ field: 'winMethod', message: `A KO card's winMethod must be one of: ${STOPPAGE_METHODS.join(', ')}` }];
+    }
+    return [];
+  }
+
+  if (winMethod && !DECISION_METHODS.includes(winMethod)) {
+    return [{ field: 'winMethod', message: `A points card's winMethod must be one of: ${DECISION_METHODS.join(', ')}` }];
+  }
+
+  if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+    return [{ field: 'scores', message: 'scores are required unless declaring a KO' }];
+  }
+
+  const problems = [];
+  const criteriaIds = criteria.map(c => c.id);
+  Object.keys(scores)
+    .filter(id => !criteriaIds.includes(id))
+    .forEach(id => problems.push({ field: `scores.${id}`, message: `Unknown scoring criterion: ${id}` }));
+
+  for (const criterion of criteria) {
+    const value = scores[criterion.id];
+    if (!Number.isInteger(value) || value < 0 || value > criterion.points) {
+      problems.push({
+        field: `scores.${criterion.id}`,
+        message: `${criterion.name} must be a whole number from 0 to ${criterion.points}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+// ============================================
+// RESULTS
+// ============================================
+
+// Points each robot got from one judge's card
+function judgeTotals(criteria, scores) {
+  const a = criteria.reduce((sum, c) => sum + (scores?.[c.id] || 0), 0);
+  return { a, b: maxPointsPerJudge(criteria) - a };
+}
+
+// Pick a winner when the point totals are level:
+// first the number of judges' cards won, then each criterion in order
+function breakTie(criteria, cards) {
+  const cardsA = cards.filter(c => c.totals.a > c.totals.b).length;
+  const cardsB = cards.filter(c => c.totals.b > c.totals.a).length;
+  if (cardsA !== cardsB) {
+    return { winner: cardsA > cardsB ? 'a' : 'b', tieBreak: 'cards' };
+  }
+
+  for (const criterion of criteria) {
+    const a = cards.reduce((sum, c) => sum + (c.scores?.[criterion.id] || 0), 0);
+    const b = criterion.points * cards.length - a;
+    if (a !== b) {
+      return { winner: a > b ? 'a' : 'b', tieBreak: `criterion:${criterion.id}` };
+    }
+  }
+
+  return null;
+}
+
+// Calculate a match result from the panel's submitted scores
+// panelJudgeIds: the judges on the panel - other submissions are ignored
+// Returns null if the scores are level on every tie-break
+function calculateMatchResult(matchData, panelJudgeIds, criteria) {
+  const panelSize = panelJudgeIds.length;
+  const judges = panelJudgeIds.filter(id => matchData.judges[id]).map(id => ({ id, ...matchData.judges[id] }));
+
+  // A KO needs a strict majority of the panel (2 of 3, 3 of 5, 1 of 1...)
+  const koMajority = Math.floor(panelSize / 2) + 1;
+  const koVotes = {};
+  judges.forEach(judge => {
+    if (judge.isKO && judge.koWinnerId) {
+      koVotes[judge.koWinnerId] = (koVotes[judge.koWinnerId] || 0) + 1;
+    }
+  });
+
+  for (const [winnerId, votes] of Object.entries(koVotes)) {
+    if (votes >= koMajority) {
+      // The KO winner takes every point from every judge on the panel.
+      // It's a TKO if more of the judges who called it said so
+      const stoppageCards = judges.filter(judge => judge.isKO && String(judge.koWinnerId) === winnerId);
+      const tkoVotes = stoppageCards.filter(judge => judge.winMethod === 'tko').length;
+      const winMethod = tkoVotes > stoppageCards.length - tkoVotes ? 'tko' : 'ko';
+      const isWinnerA = parseInt(winnerId) === matchData.competitorAId;
+      return {
+        winnerId: parseInt(winnerId),
+        winMethod,
+        ...fixedScoreline(winMethod, isWinnerA, criteria, panelSize),
+        koVotes: votes,
+        panelSize,
+        criteria,
+      };
+    }
+  }
+
+  // Judges who declared a KO that didn't carry score it as a full card for their KO winner
+  const cards = judges.map(judge => {
+    if (judge.isKO || !judge.scores) {
+      const koForA = String(judge.koWinnerId) === String(matchData.competitorAId);
+      const scores = Object.fromEntries(criteria.map(c => [c.id, koForA ? c.points : 0]));
+      return { id: judge.id, scores, totals: judgeTotals(criteria, scores) };
+    }
+    return { id: judge.id, scores: judge.scores, totals: judgeTotals(criteria, judge.scores) };
+  });
+
+  const scoreA = cards.reduce((sum, c) => sum + c.totals.a, 0);
+  const scoreB = cards.reduce((sum, c) => sum + c.totals.b, 0);
+
+  let winner = scoreA > scoreB ? 'a' : 'b';
+  let tieBreak = null;
+  if (scoreA === scoreB) {
+    const decision = breakTie(criteria, cards);
+    if (!decision) return null;
+    ({ winner, tieBreak } = decision);
+  }
+
+  // A decision after a tap-out if most of the judges scoring on points marked one
+  const pointCards = judges.filter(judge => !judge.isKO && judge.scores);
+  const tapoutCards = pointCards.filter(judge => judge.winMethod === 'tapout').length;
+
+  return {
+    winnerId: winner === 'a' ? matchData.competitorAId : matchData.competitorBId,
+    winMethod: tapoutCards > pointCards.length / 2 ? 'tapout' : 'points',
+    scoreA,
+    scoreB,
+    tieBreak,
+    judgeTotals: Object.fromEntries(cards.map(c => [c.id, c.totals])),
+    panelSize,
+    criteria,
+  };
+}
+
+// ============================================
+// DISAGREEMENT
+// ============================================
+
+// Two judges are far apart on a criterion when their share for competitor A
+// differs by at least this fraction of the criterion's points (and by 2 or more)
+const CRITERION_SPREAD_RATIO = 0.6;
+
+// Find disagreements on the panel's cards that a head judge should look at
+// before the result goes out. judgeNames: { [judgeId]: name } for the messages
+// Returns a list of
+// { type, message, judgeIds, criterionId? } (empty when the panel broadly agrees)
+// type: 'split-ko' | 'ko-vs-points' | 'criterion-spread'
+function detectDisagreements(matchData, panelJudgeIds, criteria, judgeNames = {}) {
+  const nameOf = id => judgeNames[id] || id;
+  const judges = panelJudgeIds.filter(id => matchData.judges[id]).map(id => ({ id, ...matchData.judges[id] }));
+  const koJudges = judges.filter(judge => judge.isKO && judge.koWinnerId);
+  const pointJudges = judges.filter(judge => !judge.isKO && judge.scores);
+  const disagreements = [];
+
+  // KO votes for both robots
+  const koWinners = new Set(koJudges.map(judge => String(judge.koWinnerId)));
+  if (koWinners.size > 1) {
+    disagreements.push({
+      type: 'split-ko',
+      message: 'Judges declared a KO for different robots',
+      judgeIds: koJudges.map(judge => judge.id),
+    });
+  }
+
+  // A KO for one robot while a points card has the other robot ahead
+  koJudges.forEach(koJudge => {
+    const koForA = String(koJudge.koWinnerId) === String(matchData.competitorAId);
+    const against = pointJudges.filter(judge => {
+      const totals = judgeTotals(criteria, judge.scores);
+      return koForA ? totals.b > totals.a : totals.a > totals.b;
+    });
+    if (against.length > 0) {
+      disagreements.push({
+        type: 'ko-vs-points',
+        message: `${nameOf(koJudge.id)} declared a KO but ${against.map(j => nameOf(j.id)).join(', ')} scored the other robot ahead`,
+        judgeIds: [koJudge.id, ...against.map(j => j.id)],
+      });
+    }
+  });
+
+  // Judges far apart on a single criterion
+  for (const criterion of criteria) {
+    if (pointJudges.length < 2) break;
+    const threshold = Math.max(2, Math.ceil(criterion.points * CRITERION_SPREAD_RATIO));
+    const values = pointJudges.map(judge => ({ id: judge.id, value: judge.scores[criterion.id] || 0 }));
+    const low = values.reduce((min, v) => (v.value < min.value ? v : min));
+    const high = values.reduce((max, v) => (v.value > max.value ? v : max));
+    if (high.value - low.value >= threshold) {
+      disagreements.push({
+        type: 'criterion-spread',
+        criterionId: criterion.id,
+        message: `${criterion.name} scores are ${high.value - low.value} points apart (${nameOf(low.id)}: ${low.value}, ${nameOf(high.id)}: ${high.value})`,
+        judgeIds: [low.id, high.id],
+      });
+    }
+  }
+
+  return disagreements;
+}
+
+module.exports = {
+  WIN_METHODS,
+  DECISION_METHODS,
+  STOPPAGE_METHODS,
+  DEFAULT_SCORING_CRITERIA,
+  validateCriteria,
+  resolveCriteria,
+  maxPointsPerJudge,
+  fixedScoreline,
+  validateJudgeScores,
+  judgeTotals,
+  calculateMatchResult,
+  detectDisagreements,
+};
@@ -0,0 +1,83 @@
+// server/storage/index.js
+// Storage backends - Postgres, SQLite or memory. The rest of the server only
+// reads and writes through these operations, and every backend returns the
+// same camelCase shapes, with times as ISO strings:
+//
+//   init()                                    applies any pending migrations
+//   ping() / close()
+//   migrate({ to }) / rollback({ to })        -> [{ version, name }] applied or undone - see ./migrations
+//   getMigrations()                           -> [{ version, name, appliedAt }]
+//   getSchemaVersion()                        -> newest applied version, null for memory
+//
+//   getEvent(eventId)                         -> event or null
+//   listEvents()                              -> [event], most recently updated first
+//   getEventsForTournament(tournamentId)      -> [event]
+//   saveEvent(event)                          -> event
+//   deleteEvent(eventId)                      -> false if there was no such event
+//     event: { eventId, name, tournaments, arenas, scoringCriteria, robotImages, discordWebhookUrl,
+//              judges, repairTimes, scheduling, createdAt, updatedAt } - judges, repairTimes and
+//              scheduling are null until saved
+//     tournaments: [{ tournamentId, idType, displayName, weightClass, arena }] in order -
+//              idType is 'id' for a provider's numeric id, 'slug' for a URL slug, arena an arenaId
+//     arenas: [{ arenaId, name }] in order, empty until saved
+//
+//   getJudgePins(eventId)                     -> [{ judgeId, judgeName, pinHash, createdAt }]
+//   saveJudgePin(eventId, { judgeId, judgeName, pinHash })
+//   deleteJudgePin(eventId, judgeId)
+//
+//   getActiveMatches(eventId)                 -> { [arenaId]: { tournamentId, matchId, startedAt } }
+//   setActiveMatch(eventId, arenaId, { tournamentId, matchId })
+//                                             takes the match out of any other arena
+//   clearActiveMatch(eventId, arenaId)
+//   getMatchArenas(eventId)                   -> [{ tournamentId, matchId, arenaId }] matches sent to
+//                                                a different arena than their tournament's
+//   setMatchArena(eventId, tournamentId, matchId, arenaId)
+//   clearMatchArena(eventId, tournamentId, matchId)
+//   getRepairResets(eventId)                  -> { [robotName]: resetAt }
+//   setRepairReset(eventId, robotName, resetAt)
+//   clearRepairReset(eventId, robotName)
+//   getFightEnds(eventId)                     -> { [robotName]: { endedAt, tournamentId, matchId } }
+//   setFightEnd(eventId, robotName, { endedAt, tournamentId, matchId })
+//   getCheckIns(eventId)                      -> { [robotName]: { status, setAt, setByRole, setById, setByName } }
+//   setCheckIn(eventId, robotName, checkIn)   status is 'ready' or 'full-time'
+//   clearCheckIn(eventId, robotName)
+//   getMatchQueue(eventId, arenaId)           -> [{ tournamentId, matchId, position, locked }] in order
+//   saveMatchQueue(eventId, arenaId, queue)   replaces the arena's whole queue, taking its matches
+//                                             out of any other arena's
+//   clearMatchQueue(eventId, arenaId)
+//
+//   getNativeTournament(url) / listNativeTournaments() / saveNativeTournament(tournament)
+//   deleteNativeTournament(url) / allocateNativeIdBlock() -> first id of a fresh block
+//
+//   getJudgeScores(matchId)                   -> { tournamentId, competitorAId, competitorBId,
+//                                                  judges, finalized, result, review } or null
+//   getFinalizedScores(tournamentIds)         -> { [matchId]: { judges, result } }
+//   saveJudgeScores(matchId, scores)
+//   archiveJudgeScores(matchId, scores, { reason, reopenedMatchId, archivedBy })
+//                                             moves the scores to the archive
+//   getArchivedJudgeScores(matchId)           -> [archived scores], newest first
+//
+//   appendAudit(record)
+//   getAuditEntries(eventId, { matchId, robot, action, limit }) -> [entry], newest first
+//
+//   createOutboxEntry({ matchId, tournamentId, payload, steps }) -> entry
+//   getOutboxEntries({ status, dueOnly })     -> [entry], oldest first
+//   getOutboxEntry(id)                        -> entry or null
+//   saveOutboxEntry(entry)                    saves steps, status, attempts and nextAttemptAt,
+//                                             unless the entry has been cancelled
+//
+// Match ids always come back as strings. Nothing returned is shared with the
+// store - change it and save it to make the change stick
+
+const { createPostgresStorage } = require('./postgres');
+const { createSqliteStorage } = require('./sqlite');
+const { createMemoryStorage } = require('./memory');
+
+// Postgres wins if both are configured
+function createStorage({ databaseUrl, sqlitePath } = {}) {
+  if (databaseUrl) return createPostgresStorage(databaseUrl);
+  if (sqlitePath) return createSqliteStorage(sqlitePath);
+  return createMemoryStorage();
+}
+
+module.exports = { createStorage };
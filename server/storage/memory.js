@@ -0,0 +1,370 @@
+// server/storage/memory.js
+// In-memory storage - used when no database is configured. Nothing survives a
+// restart. Everything is copied on the way in and out so callers can't change
+// stored data without saving it, the same as with a database
+
+const { NATIVE_ID_START, NATIVE_ID_BLOCK } = require('../bracket');
+
+const copy = value => (value === undefined ? undefined : structuredClone(value));
+
+const toEventTournament = ({ tournamentId, idType, displayName, weightClass, arena }) => ({
+  tournamentId: String(tournamentId),
+  idType: idType || 'slug',
+  displayName: displayName || null,
+  weightClass: weightClass || null,
+  arena: arena || null,
+});
+
+const toEventArena = ({ arenaId, name }) => ({ arenaId: String(arenaId), name: String(name) });
+const sameMatch = (a, b) => a.tournamentId === b.tournamentId && a.matchId === String(b.matchId);
+
+function createMemoryStorage() {
+  const data = {
+    events: {},
+    judgePins: {},
+    activeMatches: {},
+    matchArenas: {},
+    repairResets: {},
+    fightEnds: {},
+    checkIns: {},
+    matchQueues: {},
+    nativeTournaments: {},
+    nextNativeId: NATIVE_ID_START,
+    judgeScores: {},
+    judgeScoresArchive: [],
+    auditLog: [],
+    outbox: [],
+    nextOutboxId: 1,
+  };
+
+  return {
+    kind: 'memory',
+    description: 'in-memory (data will not persist)',
+
+    async init() {},
+    async ping() {},
+    async close() {},
+
+    // Nothing to migrate - there's no schema
+    async migrate() { return []; },
+    async rollback() { return []; },
+    async getMigrations() { return []; },
+    async getSchemaVersion() { return null; },
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    async getEvent(eventId) {
+      return copy(data.events[eventId]) || null;
+    },
+
+    async listEvents() {
+      return Object.values(data.events)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(copy);
+    },
+
+    async getEventsForTournament(tournamentId) {
+      return Object.values(data.events)
+        .filter(event => event.tournaments.some(t => t.tournamentId === String(tournamentId)))
+        .map(copy);
+    },
+
+    async saveEvent(event) {
+      const now = new Date().toISOString();
+      data.events[event.eventId] = copy({
+        ...event,
+        tournaments: event.tournaments.map(toEventTournament),
+        arenas: (event.arenas || []).map(toEventArena),
+        repairTimes: event.repairTimes || null,
+        scheduling: event.scheduling || null,
+        createdAt: data.events[event.eventId]?.createdAt || now,
+        updatedAt: now,
+      });
+      return copy(data.events[event.eventId]);
+    },
+
+    async deleteEvent(eventId) {
+      if (!data.events[eventId]) return false;
+      delete data.events[eventId];
+      delete data.judgePins[eventId];
+      return true;
+    },
+
+    // ============================================
+    // JUDGE PINS
+    // ============================================
+
+    async getJudgePins(eventId) {
+      return Object.values(data.judgePins[eventId] || {})
+        .sort((a, b) => a.judgeId.localeCompare(b.judgeId))
+        .map(copy);
+    },
+
+    async saveJudgePin(eventId, { judgeId, judgeName, pinHash }) {
+      data.judgePins[eventId] = data.judgePins[eventId] || {};
+      data.judgePins[eventId][judgeId] = { judgeId, judgeName: judgeName || null, pinHash, createdAt: new Date().toISOString() };
+    },
+
+    async deleteJudgePin(eventId, judgeId) {
+      if (data.judgePins[eventId]) delete data.judgePins[eventId][judgeId];
+    },
+
+    // ============================================
+    // ACTIVE MATCHES, REPAIR TIMERS AND THE QUEUE
+    // ============================================
+
+    async getActiveMatches(eventId) {
+      return copy(data.activeMatches[eventId] || {});
+    },
+
+    // A match is only ever fighting in one arena
+    async setActiveMatch(eventId, arenaId, { tournamentId, matchId }) {
+      const active = data.activeMatches[eventId] = data.activeMatches[eventId] || {};
+      for (const [otherArenaId, match] of Object.entries(active)) {
+        if (sameMatch(match, { tournamentId, matchId })) delete active[otherArenaId];
+      }
+      active[arenaId] = { tournamentId, matchId: String(matchId), startedAt: new Date().toISOString() };
+    },
+
+    async clearActiveMatch(eventId, arenaId) {
+      if (data.activeMatches[eventId]) delete data.activeMatches[eventId][arenaId];
+    },
+
+    async getMatchArenas(eventId) {
+      return copy(data.matchArenas[eventId] || []);
+    },
+
+    async setMatchArena(eventId, tournamentId, matchId, arenaId) {
+      const assignments = (data.matchArenas[eventId] || []).filter(a => !sameMatch(a, { tournamentId, matchId }));
+      data.matchArenas[eventId] = [...assignments, { tournamentId, matchId: String(matchId), arenaId }];
+    },
+
+    async clearMatchArena(eventId, tournamentId, matchId) {
+      if (data.matchArenas[eventId]) {
+        data.matchArenas[eventId] = data.matchArenas[eventId].filter(a => !sameMatch(a, { tournamentId, matchId }));
+      }
+    },
+
+    async getRepairResets(eventId) {
+      return copy(data.repairResets[eventId] || {});
+    },
+
+    async setRepairReset(eventId, robotName, resetAt) {
+      data.repairResets[eventId] = data.repairResets[eventId] || {};
+      data.repairResets[eventId][robotName] = resetAt;
+    },
+
+    async clearRepairReset(eventId, robotName) {
+      if (data.repairResets[eventId]) delete data.repairResets[eventId][robotName];
+    },
+
+    async getFightEnds(eventId) {
+      return copy(data.fightEnds[eventId] || {});
+    },
+
+    async setFightEnd(eventId, robotName, { endedAt, tournamentId, matchId }) {
+      data.fightEnds[eventId] = data.fightEnds[eventId] || {};
+      data.fightEnds[eventId][robotName] = {
+        endedAt,
+        tournamentId: tournamentId || null,
+        matchId: matchId == null ? null : String(matchId),
+      };
+    },
+
+    async getCheckIns(eventId) {
+      return copy(data.checkIns[eventId] || {});
+    },
+
+    async setCheckIn(eventId, robotName, { status, setAt, setByRole, setById, setByName }) {
+      data.checkIns[eventId] = data.checkIns[eventId] || {};
+      data.checkIns[eventId][robotName] = {
+        status,
+        setAt,
+        setByRole: setByRole || null,
+        setById: setById || null,
+        setByName: setByName || null,
+      };
+    },
+
+    async clearCheckIn(eventId, robotName) {
+      if (data.checkIns[eventId]) delete data.checkIns[eventId][robotName];
+    },
+
+    async getMatchQueue(eventId, arenaId) {
+      return copy(data.matchQueues[eventId]?.[arenaId] || []);
+    },
+
+    // A match queued in another arena moves to this one
+    async saveMatchQueue(eventId, arenaId, queue) {
+      const queues = data.matchQueues[eventId] = data.matchQueues[eventId] || {};
+      for (const [otherArenaId, otherQueue] of Object.entries(queues)) {
+        queues[otherArenaId] = otherQueue.filter(entry => !queue.some(item => sameMatch(entry, item)));
+      }
+      queues[arenaId] = queue
+        .map(({ tournamentId, matchId, position, locked }) => ({
+          tournamentId, matchId: String(matchId), position, locked: Boolean(locked),
+        }))
+        .sort((a, b) => a.position - b.position);
+    },
+
+    async clearMatchQueue(eventId, arenaId) {
+      if (data.matchQueues[eventId]) delete data.matchQueues[eventId][arenaId];
+    },
+
+    // ============================================
+    // NATIVE TOURNAMENTS
+    // ============================================
+
+    async getNativeTournament(url) {
+      return copy(data.nativeTournaments[url]) || null;
+    },
+
+    // Newest first
+    async listNativeTournaments() {
+      return Object.values(data.nativeTournaments).map(copy).reverse();
+    },
+
+    async saveNativeTournament(tournament) {
+      data.nativeTournaments[tournament.url] = copy(tournament);
+    },
+
+    async deleteNativeTournament(url) {
+      delete data.nativeTournaments[url];
+    },
+
+    async allocateNativeIdBlock() {
+      const baseId = data.nextNativeId;
+      data.nextNativeId += NATIVE_ID_BLOCK;
+      return baseId;
+    },
+
+    // ============================================
+    // JUDGE SCORES
+    // ============================================
+
+    async getJudgeScores(matchId) {
+      return copy(data.judgeScores[matchId]) || null;
+    },
+
+    async getFinalizedScores(tournamentIds) {
+      const ids = tournamentIds.map(String);
+      return Object.fromEntries(Object.entries(data.judgeScores)
+        .filter(([, scores]) => scores.finalized && ids.includes(String(scores.tournamentId)))
+        .map(([matchId, { judges, result }]) => [matchId, copy({ judges, result })]));
+    },
+
+    async saveJudgeScores(matchId, scores) {
+      const { tournamentId, competitorAId, competitorBId, judges, finalized, result, review } = scores;
+      data.judgeScores[matchId] = copy({
+        tournamentId,
+        competitorAId,
+        competitorBId,
+        judges: judges || {},
+        finalized: Boolean(finalized),
+        result: result || null,
+        review: review || null,
+      });
+    },
+
+    async archiveJudgeScores(matchId, scores, { reason, reopenedMatchId, archivedBy }) {
+      data.judgeScoresArchive.push(copy({
+        matchId: String(matchId),
+        tournamentId: scores.tournamentId,
+        competitorAId: scores.competitorAId,
+        competitorBId: scores.competitorBId,
+        judges: scores.judges || {},
+        finalized: Boolean(scores.finalized),
+        result: scores.result || null,
+        reason,
+        reopenedMatchId: String(reopenedMatchId),
+        archivedBy,
+        archivedAt: new Date().toISOString(),
+      }));
+      delete data.judgeScores[matchId];
+    },
+
+    // Newest first
+    async getArchivedJudgeScores(matchId) {
+      return data.judgeScoresArchive
+        .filter(entry => entry.matchId === String(matchId))
+        .map(copy)
+        .reverse();
+    },
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    async appendAudit(record) {
+      data.auditLog.push(Object.freeze(copy({
+        id: data.auditLog.length + 1,
+        ...record,
+        createdAt: new Date().toISOString(),
+      })));
+    },
+
+    // Newest first
+    async getAuditEntries(eventId, { matchId, robot, action, limit }) {
+      const robotName = robot?.trim().toLowerCase();
+      return data.auditLog
+        .filter(entry => entry.eventId === eventId)
+        .filter(entry => !matchId || entry.matchId === String(matchId))
+        .filter(entry => !robotName || entry.robots.some(r => r.toLowerCase() === robotName))
+        .filter(entry => !action || entry.action === action)
+        .reverse()
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    // ============================================
+    // RESULT OUTBOX
+    // ============================================
+
+    async createOutboxEntry({ matchId, tournamentId, payload, steps }) {
+      const now = new Date().toISOString();
+      const entry = {
+        id: data.nextOutboxId++,
+        matchId: String(matchId),
+        tournamentId,
+        payload,
+        steps,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now,
+      };
+      data.outbox.push(copy(entry));
+      return entry;
+    },
+
+    // Oldest first
+    async getOutboxEntries({ status, dueOnly = false } = {}) {
+      const now = Date.now();
+      return data.outbox
+        .filter(entry => (!status || entry.status === status)
+          && (!dueOnly || (entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() <= now)))
+        .map(copy);
+    },
+
+    async getOutboxEntry(id) {
+      return copy(data.outbox.find(entry => entry.id === id)) || null;
+    },
+
+    async saveOutboxEntry(entry) {
+      const stored = data.outbox.find(e => e.id === entry.id);
+      if (!stored || stored.status === 'cancelled') return;
+      Object.assign(stored, copy({
+        steps: entry.steps,
+        status: entry.status,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+        updatedAt: new Date().toISOString(),
+      }));
+    },
+  };
+}
+
+module.exports = { createMemoryStorage };
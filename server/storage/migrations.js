@@ -0,0 +1,116 @@
+// server/storage/migrations.js
+// Versioned schema migrations. Each file in server/migrations is named
+// NNN-description.js and exports the SQL for both databases:
+//
+//   module.exports = {
+//     postgres: { up: `...`, down: `...` },
+//     sqlite: { up: `...`, down: `...` },
+//   };
+//
+// Applied versions are recorded in schema_migrations. Each migration runs in a
+// transaction with its schema_migrations row, so a failed one leaves nothing behind
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+// Every migration file, oldest first
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => ({
+      version: parseInt(file.match(MIGRATION_FILE)[1]),
+      name: path.basename(file, '.js'),
+      ...require(path.join(dir, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations have version ${migration.version}: ${migrations[i - 1].name} and ${migration.name}`);
+    }
+  });
+  return migrations;
+}
+
+// Wraps a database adapter with the migration commands
+// adapter: {
+//   dialect,                                  'postgres' or 'sqlite'
+//   ensureMigrationsTable(),
+//   appliedMigrations()                       -> [{ version, name, appliedAt }]
+//   applyMigration(migration, sql, direction) runs sql and adds ('up') or removes ('down') its row
+// }
+function createMigrator(adapter, migrations = loadMigrations()) {
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  const sqlFor = (migration, direction) => {
+    const sql = migration[adapter.dialect]?.[direction];
+    if (typeof sql !== 'string') {
+      throw new Error(`Migration ${migration.name} has no ${adapter.dialect} ${direction}`);
+    }
+    return sql;
+  };
+
+  async function appliedMigrations() {
+    await adapter.ensureMigrationsTable();
+    return adapter.appliedMigrations();
+  }
+
+  return {
+    latestVersion,
+
+    // Every known migration, and any applied one this server doesn't have a file for
+    // -> [{ version, name, appliedAt }] - appliedAt is null if not applied
+    async getMigrations() {
+      const applied = await appliedMigrations();
+      const appliedAt = Object.fromEntries(applied.map(m => [m.version, m.appliedAt]));
+      const known = migrations.map(({ version, name }) => ({ version, name, appliedAt: appliedAt[version] || null }));
+      const unknown = applied.filter(m => !migrations.some(k => k.version === m.version));
+      return [...known, ...unknown].sort((a, b) => a.version - b.version);
+    },
+
+    // Highest applied version, 0 for an empty database
+    async getSchemaVersion() {
+      const applied = await appliedMigrations();
+      return applied.reduce((max, m) => Math.max(max, m.version), 0);
+    },
+
+    // Apply every pending migration up to `to` (default: all), returns the ones applied
+    async migrate({ to = latestVersion } = {}) {
+      const applied = await appliedMigrations();
+      const newest = applied.reduce((max, m) => Math.max(max, m.version), 0);
+      if (newest > latestVersion) {
+        throw new Error(`Database schema is at version ${newest} but this server only knows migrations up to ${latestVersion}`);
+      }
+
+      const pending = migrations.filter(m => m.version <= to && !applied.some(a => a.version === m.version));
+      for (const migration of pending) {
+        await adapter.applyMigration(migration, sqlFor(migration, 'up'), 'up');
+        console.log(`Applied migration ${migration.name}`);
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    },
+
+    // Undo applied migrations newer than `to` (default: just the newest), returns the ones undone
+    async rollback({ to } = {}) {
+      const applied = (await appliedMigrations()).sort((a, b) => b.version - a.version);
+      const target = to === undefined ? (applied[1]?.version || 0) : to;
+
+      const undone = [];
+      for (const { version } of applied.filter(m => m.version > target)) {
+        const migration = migrations.find(m => m.version === version);
+        if (!migration) {
+          throw new Error(`Can't roll back version ${version} - this server has no migration file for it`);
+        }
+        await adapter.applyMigration(migration, sqlFor(migration, 'down'), 'down');
+        console.log(`Rolled back migration ${migration.name}`);
+        undone.push({ version, name: migration.name });
+      }
+      return undone;
+    },
+  };
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, createMigrator };
@@ -0,0 +1,631 @@
+// server/storage/postgres.js
+// PostgreSQL storage - used when DATABASE_URL is set. The tables come from ../migrations
+
+const { Pool } = require('pg');
+const { createMigrator } = require('./migrations');
+
+const json = value => (value === null || value === undefined ? null : JSON.stringify(value));
+
+// Run fn(client) in a transaction on one connection
+async function transaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+function createMigrationAdapter(pool) {
+  return {
+    dialect: 'postgres',
+
+    async ensureMigrationsTable() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+
+    async appliedMigrations() {
+      const result = await pool.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+      return result.rows.map(row => ({ version: row.version, name: row.name, appliedAt: isoTime(row.applied_at) }));
+    },
+
+    async applyMigration({ version, name }, sql, direction) {
+      try {
+        await transaction(pool, async client => {
+          await client.query(sql);
+          if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [version, name]);
+          } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+          }
+        });
+      } catch (error) {
+        throw new Error(`Migration ${name} (${direction}) failed: ${error.message}`);
+      }
+    },
+  };
+}
+
+// ============================================
+// ROWS
+// ============================================
+
+// pg reads times as Dates - the other backends hand back ISO strings, so these do too
+function isoTime(value) {
+  return value instanceof Date ? value.toISOString() : value ?? null;
+}
+
+// tournaments and arenas: the event's event_tournaments and event_arenas rows, in order
+function rowToEvent(row, tournaments = [], arenas = []) {
+  return {
+    eventId: row.event_id,
+    name: row.name,
+    tournaments: tournaments.map(rowToEventTournament),
+    arenas: arenas.map(a => ({ arenaId: a.arena_id, name: a.name })),
+    scoringCriteria: row.scoring_criteria || null,
+    robotImages: row.robot_images || null,
+    discordWebhookUrl: row.discord_webhook_url || null,
+    judges: row.judges || null,
+    repairTimes: row.repair_times || null,
+    scheduling: row.scheduling || null,
+    createdAt: isoTime(row.created_at),
+    updatedAt: isoTime(row.updated_at),
+  };
+}
+
+function rowToEventTournament(row) {
+  return {
+    tournamentId: row.tournament_id,
+    idType: row.id_type,
+    displayName: row.display_name,
+    weightClass: row.weight_class,
+    arena: row.arena,
+  };
+}
+
+function rowToCheckIn(row) {
+  return {
+    status: row.status,
+    setAt: isoTime(row.set_at),
+    setByRole: row.set_by_role,
+    setById: row.set_by_id,
+    setByName: row.set_by_name,
+  };
+}
+
+function rowToJudgeScores(row) {
+  return {
+    tournamentId: row.tournament_id,
+    competitorAId: row.competitor_a_id,
+    competitorBId: row.competitor_b_id,
+    judges: row.judges,
+    finalized: row.finalized,
+    result: row.result,
+    review: row.review,
+  };
+}
+
+function rowToArchivedScores(row) {
+  return {
+    matchId: row.match_id,
+    tournamentId: row.tournament_id,
+    competitorAId: row.competitor_a_id,
+    competitorBId: row.competitor_b_id,
+    judges: row.judges,
+    finalized: row.finalized,
+    result: row.result,
+    reason: row.reason,
+    reopenedMatchId: row.reopened_match_id,
+    archivedBy: row.archived_by,
+    archivedAt: isoTime(row.archived_at),
+  };
+}
+
+function rowToAuditEntry(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    action: row.action,
+    actorRole: row.actor_role,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    tournamentId: row.tournament_id,
+    matchId: row.match_id,
+    robots: row.robots || [],
+    before: row.before,
+    after: row.after,
+    createdAt: isoTime(row.created_at),
+  };
+}
+
+function rowToOutboxEntry(row) {
+  return {
+    id: row.id,
+    matchId: row.match_id,
+    tournamentId: row.tournament_id,
+    payload: row.payload,
+    steps: row.steps,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: isoTime(row.next_attempt_at),
+    createdAt: isoTime(row.created_at),
+    updatedAt: isoTime(row.updated_at),
+  };
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+function createPostgresStorage(databaseUrl) {
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  });
+
+  const migrator = createMigrator(createMigrationAdapter(pool));
+
+  // Turn event rows into events, with their tournaments and arenas
+  async function withTournaments({ rows }) {
+    if (rows.length === 0) return [];
+    const eventIds = rows.map(row => row.event_id);
+    const tournaments = await pool.query('SELECT * FROM event_tournaments WHERE event_id = ANY($1) ORDER BY position', [eventIds]);
+    const arenas = await pool.query('SELECT * FROM event_arenas WHERE event_id = ANY($1) ORDER BY position', [eventIds]);
+    return rows.map(row => rowToEvent(
+      row,
+      tournaments.rows.filter(t => t.event_id === row.event_id),
+      arenas.rows.filter(a => a.event_id === row.event_id)
+    ));
+  }
+
+  return {
+    kind: 'postgres',
+    description: 'PostgreSQL',
+
+    ...migrator,
+    init: () => migrator.migrate(),
+    ping: () => pool.query('SELECT 1'),
+    close: () => pool.end(),
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    async getEvent(eventId) {
+      const [event] = await withTournaments(await pool.query('SELECT * FROM events WHERE event_id = $1', [eventId]));
+      return event || null;
+    },
+
+    async listEvents() {
+      return withTournaments(await pool.query('SELECT * FROM events ORDER BY updated_at DESC'));
+    },
+
+    async getEventsForTournament(tournamentId) {
+      return withTournaments(await pool.query(
+        'SELECT e.* FROM events e JOIN event_tournaments et ON et.event_id = e.event_id WHERE et.tournament_id = $1 ORDER BY e.updated_at DESC',
+        [String(tournamentId)]
+      ));
+    },
+
+    // Replaces the event's tournament and arena lists along with the event
+    async saveEvent(event) {
+      await transaction(pool, async client => {
+        await client.query(`
+          INSERT INTO events (event_id, name, scoring_criteria, robot_images, discord_webhook_url, judges, repair_times, scheduling, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+          ON CONFLICT (event_id)
+          DO UPDATE SET name = $2, scoring_criteria = $3, robot_images = $4, discord_webhook_url = $5, judges = $6,
+            repair_times = $7, scheduling = $8, updated_at = CURRENT_TIMESTAMP
+        `, [
+          event.eventId, event.name, json(event.scoringCriteria),
+          json(event.robotImages), event.discordWebhookUrl || null, json(event.judges), json(event.repairTimes),
+          json(event.scheduling),
+        ]);
+        await client.query('DELETE FROM event_tournaments WHERE event_id = $1', [event.eventId]);
+        for (const [position, t] of event.tournaments.entries()) {
+          await client.query(`
+            INSERT INTO event_tournaments (event_id, tournament_id, id_type, display_name, weight_class, arena, position)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `, [event.eventId, String(t.tournamentId), t.idType || 'slug', t.displayName || null, t.weightClass || null, t.arena || null, position]);
+        }
+        await client.query('DELETE FROM event_arenas WHERE event_id = $1', [event.eventId]);
+        for (const [position, a] of (event.arenas || []).entries()) {
+          await client.query(
+            'INSERT INTO event_arenas (event_id, arena_id, name, position) VALUES ($1, $2, $3, $4)',
+            [event.eventId, a.arenaId, a.name, position]
+          );
+        }
+      });
+      const [saved] = await withTournaments(await pool.query('SELECT * FROM events WHERE event_id = $1', [event.eventId]));
+      return saved;
+    },
+
+    async deleteEvent(eventId) {
+      const result = await pool.query('DELETE FROM events WHERE event_id = $1', [eventId]);
+      return result.rowCount > 0;
+    },
+
+    // ============================================
+    // JUDGE PINS
+    // ============================================
+
+    async getJudgePins(eventId) {
+      const result = await pool.query(
+        'SELECT judge_id, judge_name, pin_hash, created_at FROM judge_pins WHERE event_id = $1 ORDER BY judge_id',
+        [eventId]
+      );
+      return result.rows.map(row => ({ judgeId: row.judge_id, judgeName: row.judge_name, pinHash: row.pin_hash, createdAt: isoTime(row.created_at) }));
+    },
+
+    async saveJudgePin(eventId, { judgeId, judgeName, pinHash }) {
+      await pool.query(`
+        INSERT INTO judge_pins (event_id, judge_id, judge_name, pin_hash, created_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+        ON CONFLICT (event_id, judge_id)
+        DO UPDATE SET judge_name = $3, pin_hash = $4, created_at = CURRENT_TIMESTAMP
+      `, [eventId, judgeId, judgeName || null, pinHash]);
+    },
+
+    async deleteJudgePin(eventId, judgeId) {
+      await pool.query('DELETE FROM judge_pins WHERE event_id = $1 AND judge_id = $2', [eventId, judgeId]);
+    },
+
+    // ============================================
+    // ACTIVE MATCHES, REPAIR TIMERS AND THE QUEUE
+    // ============================================
+
+    async getActiveMatches(eventId) {
+      const result = await pool.query(
+        'SELECT arena_id, tournament_id, match_id, started_at FROM active_matches WHERE event_id = $1',
+        [eventId]
+      );
+      return Object.fromEntries(result.rows.map(row => [
+        row.arena_id,
+        { tournamentId: row.tournament_id, matchId: row.match_id, startedAt: isoTime(row.started_at) },
+      ]));
+    },
+
+    // A match is only ever fighting in one arena
+    async setActiveMatch(eventId, arenaId, { tournamentId, matchId }) {
+      await transaction(pool, async client => {
+        await client.query(
+          'DELETE FROM active_matches WHERE event_id = $1 AND tournament_id = $2 AND match_id = $3 AND arena_id <> $4',
+          [eventId, tournamentId, String(matchId), arenaId]
+        );
+        await client.query(`
+          INSERT INTO active_matches (event_id, arena_id, tournament_id, match_id, started_at)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+          ON CONFLICT (event_id, arena_id)
+          DO UPDATE SET tournament_id = $3, match_id = $4, started_at = CURRENT_TIMESTAMP
+        `, [eventId, arenaId, tournamentId, String(matchId)]);
+      });
+    },
+
+    async clearActiveMatch(eventId, arenaId) {
+      await pool.query('DELETE FROM active_matches WHERE event_id = $1 AND arena_id = $2', [eventId, arenaId]);
+    },
+
+    async getMatchArenas(eventId) {
+      const result = await pool.query(
+        'SELECT tournament_id, match_id, arena_id FROM match_arenas WHERE event_id = $1',
+        [eventId]
+      );
+      return result.rows.map(row => ({ tournamentId: row.tournament_id, matchId: row.match_id, arenaId: row.arena_id }));
+    },
+
+    async setMatchArena(eventId, tournamentId, matchId, arenaId) {
+      await pool.query(`
+        INSERT INTO match_arenas (event_id, tournament_id, match_id, arena_id)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (event_id, tournament_id, match_id)
+        DO UPDATE SET arena_id = $4
+      `, [eventId, tournamentId, String(matchId), arenaId]);
+    },
+
+    async clearMatchArena(eventId, tournamentId, matchId) {
+      await pool.query(
+        'DELETE FROM match_arenas WHERE event_id = $1 AND tournament_id = $2 AND match_id = $3',
+        [eventId, tournamentId, String(matchId)]
+      );
+    },
+
+    async getRepairResets(eventId) {
+      const result = await pool.query(
+        'SELECT robot_name, reset_at FROM repair_timer_resets WHERE event_id = $1',
+        [eventId]
+      );
+      return Object.fromEntries(result.rows.map(row => [row.robot_name, isoTime(row.reset_at)]));
+    },
+
+    async setRepairReset(eventId, robotName, resetAt) {
+      await pool.query(`
+        INSERT INTO repair_timer_resets (event_id, robot_name, reset_at)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (event_id, robot_name)
+        DO UPDATE SET reset_at = $3
+      `, [eventId, robotName, resetAt]);
+    },
+
+    async clearRepairReset(eventId, robotName) {
+      await pool.query('DELETE FROM repair_timer_resets WHERE event_id = $1 AND robot_name = $2', [eventId, robotName]);
+    },
+
+    async getFightEnds(eventId) {
+      const result = await pool.query(
+        'SELECT robot_name, tournament_id, match_id, ended_at FROM robot_fight_ends WHERE event_id = $1',
+        [eventId]
+      );
+      return Object.fromEntries(result.rows.map(row => [
+        row.robot_name,
+        { endedAt: isoTime(row.ended_at), tournamentId: row.tournament_id, matchId: row.match_id },
+      ]));
+    },
+
+    async setFightEnd(eventId, robotName, { endedAt, tournamentId, matchId }) {
+      await pool.query(`
+        INSERT INTO robot_fight_ends (event_id, robot_name, tournament_id, match_id, ended_at)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (event_id, robot_name)
+        DO UPDATE SET tournament_id = $3, match_id = $4, ended_at = $5
+      `, [eventId, robotName, tournamentId || null, matchId == null ? null : String(matchId), endedAt]);
+    },
+
+    async getCheckIns(eventId) {
+      const result = await pool.query(
+        'SELECT robot_name, status, set_at, set_by_role, set_by_id, set_by_name FROM robot_check_ins WHERE event_id = $1',
+        [eventId]
+      );
+      return Object.fromEntries(result.rows.map(row => [row.robot_name, rowToCheckIn(row)]));
+    },
+
+    async setCheckIn(eventId, robotName, { status, setAt, setByRole, setById, setByName }) {
+      await pool.query(`
+        INSERT INTO robot_check_ins (event_id, robot_name, status, set_at, set_by_role, set_by_id, set_by_name)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (event_id, robot_name)
+        DO UPDATE SET status = $3, set_at = $4, set_by_role = $5, set_by_id = $6, set_by_name = $7
+      `, [eventId, robotName, status, setAt, setByRole || null, setById || null, setByName || null]);
+    },
+
+    async clearCheckIn(eventId, robotName) {
+      await pool.query('DELETE FROM robot_check_ins WHERE event_id = $1 AND robot_name = $2', [eventId, robotName]);
+    },
+
+    async getMatchQueue(eventId, arenaId) {
+      const result = await pool.query(
+        'SELECT tournament_id, match_id, queue_position, locked FROM match_queue WHERE event_id = $1 AND arena_id = $2 ORDER BY queue_position ASC',
+        [eventId, arenaId]
+      );
+      return result.rows.map(row => ({
+        tournamentId: row.tournament_id, matchId: row.match_id, position: row.queue_position, locked: row.locked,
+      }));
+    },
+
+    // Replaces the arena's whole queue in one transaction - a match queued in
+    // another arena moves to this one
+    async saveMatchQueue(eventId, arenaId, queue) {
+      await transaction(pool, async client => {
+        await client.query('DELETE FROM match_queue WHERE event_id = $1 AND arena_id = $2', [eventId, arenaId]);
+        for (const item of queue) {
+          await client.query(
+            'DELETE FROM match_queue WHERE event_id = $1 AND tournament_id = $2 AND match_id = $3',
+            [eventId, item.tournamentId, String(item.matchId)]
+          );
+          await client.query(`
+            INSERT INTO match_queue (event_id, arena_id, tournament_id, match_id, queue_position, locked, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+          `, [eventId, arenaId, item.tournamentId, String(item.matchId), item.position, Boolean(item.locked)]);
+        }
+      });
+    },
+
+    async clearMatchQueue(eventId, arenaId) {
+      await pool.query('DELETE FROM match_queue WHERE event_id = $1 AND arena_id = $2', [eventId, arenaId]);
+    },
+
+    // ============================================
+    // NATIVE TOURNAMENTS
+    // ============================================
+
+    async getNativeTournament(url) {
+      const result = await pool.query('SELECT data FROM native_tournaments WHERE url = $1', [url]);
+      return result.rows[0]?.data || null;
+    },
+
+    async listNativeTournaments() {
+      const result = await pool.query('SELECT data FROM native_tournaments ORDER BY created_at DESC');
+      return result.rows.map(row => row.data);
+    },
+
+    async saveNativeTournament(tournament) {
+      await pool.query(`
+        INSERT INTO native_tournaments (url, name, tournament_type, data, updated_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+        ON CONFLICT (url)
+        DO UPDATE SET data = $4, updated_at = CURRENT_TIMESTAMP
+      `, [tournament.url, tournament.name, tournament.tournament_type, JSON.stringify(tournament)]);
+    },
+
+    async deleteNativeTournament(url) {
+      await pool.query('DELETE FROM native_tournaments WHERE url = $1', [url]);
+    },
+
+    async allocateNativeIdBlock() {
+      const result = await pool.query("SELECT nextval('native_tournament_ids') AS id");
+      return parseInt(result.rows[0].id);
+    },
+
+    // ============================================
+    // JUDGE SCORES
+    // ============================================
+
+    async getJudgeScores(matchId) {
+      const result = await pool.query('SELECT * FROM judge_scores WHERE match_id = $1', [String(matchId)]);
+      return result.rows.length > 0 ? rowToJudgeScores(result.rows[0]) : null;
+    },
+
+    async getFinalizedScores(tournamentIds) {
+      const result = await pool.query(
+        'SELECT match_id, judges, result FROM judge_scores WHERE tournament_id = ANY($1) AND finalized = true',
+        [tournamentIds.map(String)]
+      );
+      return Object.fromEntries(result.rows.map(row => [row.match_id, { judges: row.judges, result: row.result }]));
+    },
+
+    async saveJudgeScores(matchId, scores) {
+      await pool.query(`
+        INSERT INTO judge_scores (match_id, tournament_id, competitor_a_id, competitor_b_id, judges, finalized, result, review, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+        ON CONFLICT (match_id)
+        DO UPDATE SET
+          tournament_id = $2,
+          competitor_a_id = $3,
+          competitor_b_id = $4,
+          judges = $5,
+          finalized = $6,
+          result = $7,
+          review = $8,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        String(matchId),
+        scores.tournamentId,
+        scores.competitorAId,
+        scores.competitorBId,
+        JSON.stringify(scores.judges || {}),
+        Boolean(scores.finalized),
+        json(scores.result),
+        json(scores.review),
+      ]);
+    },
+
+    async archiveJudgeScores(matchId, scores, { reason, reopenedMatchId, archivedBy }) {
+      await transaction(pool, async client => {
+        await client.query(`
+          INSERT INTO judge_scores_archive
+            (match_id, tournament_id, competitor_a_id, competitor_b_id, judges, finalized, result, reason, reopened_match_id, archived_by)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [
+          String(matchId),
+          scores.tournamentId,
+          scores.competitorAId,
+          scores.competitorBId,
+          JSON.stringify(scores.judges || {}),
+          Boolean(scores.finalized),
+          json(scores.result),
+          reason,
+          String(reopenedMatchId),
+          archivedBy,
+        ]);
+        await client.query('DELETE FROM judge_scores WHERE match_id = $1', [String(matchId)]);
+      });
+    },
+
+    async getArchivedJudgeScores(matchId) {
+      const result = await pool.query(
+        'SELECT * FROM judge_scores_archive WHERE match_id = $1 ORDER BY id DESC',
+        [String(matchId)]
+      );
+      return result.rows.map(rowToArchivedScores);
+    },
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    async appendAudit(record) {
+      await pool.query(`
+        INSERT INTO audit_log (event_id, action, actor_role, actor_id, actor_name, tournament_id, match_id, robots, before, after)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        record.eventId, record.action, record.actorRole, record.actorId, record.actorName,
+        record.tournamentId, record.matchId, JSON.stringify(record.robots),
+        JSON.stringify(record.before), JSON.stringify(record.after),
+      ]);
+    },
+
+    async getAuditEntries(eventId, { matchId, robot, action, limit }) {
+      const conditions = ['event_id = $1'];
+      const params = [eventId];
+      if (matchId) {
+        params.push(String(matchId));
+        conditions.push(`match_id = $${params.length}`);
+      }
+      if (robot) {
+        params.push(robot.trim());
+        conditions.push(`EXISTS (SELECT 1 FROM jsonb_array_elements_text(robots) r WHERE lower(r) = lower($${params.length}))`);
+      }
+      if (action) {
+        params.push(action);
+        conditions.push(`action = $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await pool.query(`
+        SELECT * FROM audit_log
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT $${params.length}
+      `, params);
+      return result.rows.map(rowToAuditEntry);
+    },
+
+    // ============================================
+    // RESULT OUTBOX
+    // ============================================
+
+    async createOutboxEntry({ matchId, tournamentId, payload, steps }) {
+      const result = await pool.query(`
+        INSERT INTO result_outbox (match_id, tournament_id, payload, steps)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [String(matchId), tournamentId, JSON.stringify(payload), JSON.stringify(steps)]);
+      return rowToOutboxEntry(result.rows[0]);
+    },
+
+    async getOutboxEntries({ status, dueOnly = false } = {}) {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (dueOnly) {
+        conditions.push(`status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP`);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await pool.query(`SELECT * FROM result_outbox ${where} ORDER BY id ASC`, params);
+      return result.rows.map(rowToOutboxEntry);
+    },
+
+    async getOutboxEntry(id) {
+      const result = await pool.query('SELECT * FROM result_outbox WHERE id = $1', [id]);
+      return result.rows.length > 0 ? rowToOutboxEntry(result.rows[0]) : null;
+    },
+
+    async saveOutboxEntry(entry) {
+      await pool.query(`
+        UPDATE result_outbox
+        SET steps = $2, status = $3, attempts = $4, next_attempt_at = $5, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status <> 'cancelled'
+      `, [entry.id, JSON.stringify(entry.steps), entry.status, entry.attempts, entry.nextAttemptAt]);
+    },
+  };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,622 @@
+// server/storage/sqlite.js
+// SQLite storage - used when SQLITE_PATH is set, so one laptop can run an event
+// with everything kept on disk and no Postgres server. JSON columns are stored
+// as text and timestamps as ISO strings. The tables come from ../migrations
+
+const { NATIVE_ID_START, NATIVE_ID_BLOCK } = require('../bracket');
+const { createMigrator } = require('./migrations');
+
+// better-sqlite3 is an optional dependency - only needed when SQLite is used
+function openDatabase(path) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`SQLITE_PATH is set but better-sqlite3 is not installed - run npm install better-sqlite3 (${error.message})`);
+  }
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+function createMigrationAdapter(database) {
+  return {
+    dialect: 'sqlite',
+
+    async ensureMigrationsTable() {
+      database().exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL
+        )
+      `);
+    },
+
+    async appliedMigrations() {
+      return database().prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all()
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+    },
+
+    async applyMigration({ version, name }, sql, direction) {
+      const db = database();
+      try {
+        db.transaction(() => {
+          db.exec(sql);
+          if (direction === 'up') {
+            db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+              .run(version, name, new Date().toISOString());
+          } else {
+            db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+          }
+        })();
+      } catch (error) {
+        throw new Error(`Migration ${name} (${direction}) failed: ${error.message}`);
+      }
+    },
+  };
+}
+
+// ============================================
+// ROWS
+// ============================================
+
+const json = value => (value === null || value === undefined ? null : JSON.stringify(value));
+const parse = text => (text === null || text === undefined ? null : JSON.parse(text));
+const now = () => new Date().toISOString();
+
+// tournaments and arenas: the event's event_tournaments and event_arenas rows, in order
+function rowToEvent(row, tournaments = [], arenas = []) {
+  return {
+    eventId: row.event_id,
+    name: row.name,
+    tournaments: tournaments.map(rowToEventTournament),
+    arenas: arenas.map(a => ({ arenaId: a.arena_id, name: a.name })),
+    scoringCriteria: parse(row.scoring_criteria),
+    robotImages: parse(row.robot_images),
+    discordWebhookUrl: row.discord_webhook_url || null,
+    judges: parse(row.judges),
+    repairTimes: parse(row.repair_times),
+    scheduling: parse(row.scheduling),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToEventTournament(row) {
+  return {
+    tournamentId: row.tournament_id,
+    idType: row.id_type,
+    displayName: row.display_name,
+    weightClass: row.weight_class,
+    arena: row.arena,
+  };
+}
+
+function rowToCheckIn(row) {
+  return {
+    status: row.status,
+    setAt: row.set_at,
+    setByRole: row.set_by_role,
+    setById: row.set_by_id,
+    setByName: row.set_by_name,
+  };
+}
+
+function rowToJudgeScores(row) {
+  return {
+    tournamentId: row.tournament_id,
+    competitorAId: row.competitor_a_id,
+    competitorBId: row.competitor_b_id,
+    judges: parse(row.judges),
+    finalized: Boolean(row.finalized),
+    result: parse(row.result),
+    review: parse(row.review),
+  };
+}
+
+function rowToArchivedScores(row) {
+  return {
+    matchId: row.match_id,
+    tournamentId: row.tournament_id,
+    competitorAId: row.competitor_a_id,
+    competitorBId: row.competitor_b_id,
+    judges: parse(row.judges),
+    finalized: Boolean(row.finalized),
+    result: parse(row.result),
+    reason: row.reason,
+    reopenedMatchId: row.reopened_match_id,
+    archivedBy: row.archived_by,
+    archivedAt: row.archived_at,
+  };
+}
+
+function rowToAuditEntry(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    action: row.action,
+    actorRole: row.actor_role,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    tournamentId: row.tournament_id,
+    matchId: row.match_id,
+    robots: parse(row.robots) || [],
+    before: parse(row.before),
+    after: parse(row.after),
+    createdAt: row.created_at,
+  };
+}
+
+function rowToOutboxEntry(row) {
+  return {
+    id: row.id,
+    matchId: row.match_id,
+    tournamentId: row.tournament_id,
+    payload: parse(row.payload),
+    steps: parse(row.steps),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+function createSqliteStorage(path) {
+  // Opened on first use, so the migrate command can work on the file without init()
+  let db = null;
+  const database = () => {
+    if (!db) db = openDatabase(path);
+    return db;
+  };
+  const all = (sql, ...params) => database().prepare(sql).all(...params);
+  const get = (sql, ...params) => database().prepare(sql).get(...params);
+  const run = (sql, ...params) => database().prepare(sql).run(...params);
+
+  const migrator = createMigrator(createMigrationAdapter(database));
+
+  // Turn event rows into events, with their tournaments and arenas
+  function withTournaments(rows) {
+    if (rows.length === 0) return [];
+    const ids = rows.map(row => row.event_id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const tournaments = all(`SELECT * FROM event_tournaments WHERE event_id IN (${placeholders}) ORDER BY position`, ...ids);
+    const arenas = all(`SELECT * FROM event_arenas WHERE event_id IN (${placeholders}) ORDER BY position`, ...ids);
+    return rows.map(row => rowToEvent(
+      row,
+      tournaments.filter(t => t.event_id === row.event_id),
+      arenas.filter(a => a.event_id === row.event_id)
+    ));
+  }
+
+  return {
+    kind: 'sqlite',
+    description: `SQLite (${path})`,
+
+    ...migrator,
+    init: () => migrator.migrate(),
+    async ping() {
+      get('SELECT 1');
+    },
+    async close() {
+      if (db) db.close();
+      db = null;
+    },
+
+    // ============================================
+    // EVENTS
+    // ============================================
+
+    async getEvent(eventId) {
+      const [event] = withTournaments(all('SELECT * FROM events WHERE event_id = ?', eventId));
+      return event || null;
+    },
+
+    async listEvents() {
+      return withTournaments(all('SELECT * FROM events ORDER BY updated_at DESC'));
+    },
+
+    async getEventsForTournament(tournamentId) {
+      return withTournaments(all(
+        'SELECT e.* FROM events e JOIN event_tournaments et ON et.event_id = e.event_id WHERE et.tournament_id = ? ORDER BY e.updated_at DESC',
+        String(tournamentId)
+      ));
+    },
+
+    // Replaces the event's tournament and arena lists along with the event
+    async saveEvent(event) {
+      const timestamp = now();
+      database().transaction(() => {
+        run(`
+          INSERT INTO events (event_id, name, scoring_criteria, robot_images, discord_webhook_url, judges, repair_times, scheduling,
+            created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT (event_id)
+          DO UPDATE SET name = excluded.name, scoring_criteria = excluded.scoring_criteria,
+            robot_images = excluded.robot_images, discord_webhook_url = excluded.discord_webhook_url, judges = excluded.judges,
+            repair_times = excluded.repair_times, scheduling = excluded.scheduling, updated_at = excluded.updated_at
+        `,
+        event.eventId, event.name, json(event.scoringCriteria),
+        json(event.robotImages), event.discordWebhookUrl || null, json(event.judges), json(event.repairTimes),
+        json(event.scheduling), timestamp, timestamp);
+        run('DELETE FROM event_tournaments WHERE event_id = ?', event.eventId);
+        event.tournaments.forEach((t, position) => {
+          run(`
+            INSERT INTO event_tournaments (event_id, tournament_id, id_type, display_name, weight_class, arena, position)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `, event.eventId, String(t.tournamentId), t.idType || 'slug', t.displayName || null, t.weightClass || null, t.arena || null, position);
+        });
+        run('DELETE FROM event_arenas WHERE event_id = ?', event.eventId);
+        (event.arenas || []).forEach((a, position) => {
+          run('INSERT INTO event_arenas (event_id, arena_id, name, position) VALUES (?, ?, ?, ?)', event.eventId, a.arenaId, a.name, position);
+        });
+      })();
+      return withTournaments(all('SELECT * FROM events WHERE event_id = ?', event.eventId))[0];
+    },
+
+    async deleteEvent(eventId) {
+      return run('DELETE FROM events WHERE event_id = ?', eventId).changes > 0;
+    },
+
+    // ============================================
+    // JUDGE PINS
+    // ============================================
+
+    async getJudgePins(eventId) {
+      return all('SELECT judge_id, judge_name, pin_hash, created_at FROM judge_pins WHERE event_id = ? ORDER BY judge_id', eventId)
+        .map(row => ({ judgeId: row.judge_id, judgeName: row.judge_name, pinHash: row.pin_hash, createdAt: row.created_at }));
+    },
+
+    async saveJudgePin(eventId, { judgeId, judgeName, pinHash }) {
+      run(`
+        INSERT INTO judge_pins (event_id, judge_id, judge_name, pin_hash, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (event_id, judge_id)
+        DO UPDATE SET judge_name = excluded.judge_name, pin_hash = excluded.pin_hash, created_at = excluded.created_at
+      `, eventId, judgeId, judgeName || null, pinHash, now());
+    },
+
+    async deleteJudgePin(eventId, judgeId) {
+      run('DELETE FROM judge_pins WHERE event_id = ? AND judge_id = ?', eventId, judgeId);
+    },
+
+    // ============================================
+    // ACTIVE MATCHES, REPAIR TIMERS AND THE QUEUE
+    // ============================================
+
+    async getActiveMatches(eventId) {
+      const rows = all('SELECT arena_id, tournament_id, match_id, started_at FROM active_matches WHERE event_id = ?', eventId);
+      return Object.fromEntries(rows.map(row => [
+        row.arena_id,
+        { tournamentId: row.tournament_id, matchId: row.match_id, startedAt: row.started_at },
+      ]));
+    },
+
+    // A match is only ever fighting in one arena
+    async setActiveMatch(eventId, arenaId, { tournamentId, matchId }) {
+      database().transaction(() => {
+        run(
+          'DELETE FROM active_matches WHERE event_id = ? AND tournament_id = ? AND match_id = ? AND arena_id <> ?',
+          eventId, String(tournamentId), String(matchId), arenaId
+        );
+        run(`
+          INSERT INTO active_matches (event_id, arena_id, tournament_id, match_id, started_at)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (event_id, arena_id)
+          DO UPDATE SET tournament_id = excluded.tournament_id, match_id = excluded.match_id, started_at = excluded.started_at
+        `, eventId, arenaId, String(tournamentId), String(matchId), now());
+      })();
+    },
+
+    async clearActiveMatch(eventId, arenaId) {
+      run('DELETE FROM active_matches WHERE event_id = ? AND arena_id = ?', eventId, arenaId);
+    },
+
+    async getMatchArenas(eventId) {
+      return all('SELECT tournament_id, match_id, arena_id FROM match_arenas WHERE event_id = ?', eventId)
+        .map(row => ({ tournamentId: row.tournament_id, matchId: row.match_id, arenaId: row.arena_id }));
+    },
+
+    async setMatchArena(eventId, tournamentId, matchId, arenaId) {
+      run(`
+        INSERT INTO match_arenas (event_id, tournament_id, match_id, arena_id)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (event_id, tournament_id, match_id)
+        DO UPDATE SET arena_id = excluded.arena_id
+      `, eventId, String(tournamentId), String(matchId), arenaId);
+    },
+
+    async clearMatchArena(eventId, tournamentId, matchId) {
+      run('DELETE FROM match_arenas WHERE event_id = ? AND tournament_id = ? AND match_id = ?', eventId, String(tournamentId), String(matchId));
+    },
+
+    async getRepairResets(eventId) {
+      const rows = all('SELECT robot_name, reset_at FROM repair_timer_resets WHERE event_id = ?', eventId);
+      return Object.fromEntries(rows.map(row => [row.robot_name, row.reset_at]));
+    },
+
+    async setRepairReset(eventId, robotName, resetAt) {
+      run(`
+        INSERT INTO repair_timer_resets (event_id, robot_name, reset_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT (event_id, robot_name)
+        DO UPDATE SET reset_at = excluded.reset_at
+      `, eventId, robotName, resetAt);
+    },
+
+    async clearRepairReset(eventId, robotName) {
+      run('DELETE FROM repair_timer_resets WHERE event_id = ? AND robot_name = ?', eventId, robotName);
+    },
+
+    async getFightEnds(eventId) {
+      const rows = all('SELECT robot_name, tournament_id, match_id, ended_at FROM robot_fight_ends WHERE event_id = ?', eventId);
+      return Object.fromEntries(rows.map(row => [
+        row.robot_name,
+        { endedAt: row.ended_at, tournamentId: row.tournament_id, matchId: row.match_id },
+      ]));
+    },
+
+    async setFightEnd(eventId, robotName, { endedAt, tournamentId, matchId }) {
+      run(`
+        INSERT INTO robot_fight_ends (event_id, robot_name, tournament_id, match_id, ended_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (event_id, robot_name)
+        DO UPDATE SET tournament_id = excluded.tournament_id, match_id = excluded.match_id, ended_at = excluded.ended_at
+      `, eventId, robotName, tournamentId || null, matchId == null ? null : String(matchId), endedAt);
+    },
+
+    async getCheckIns(eventId) {
+      const rows = all('SELECT robot_name, status, set_at, set_by_role, set_by_id, set_by_name FROM robot_check_ins WHERE event_id = ?', eventId);
+      return Object.fromEntries(rows.map(row => [row.robot_name, rowToCheckIn(row)]));
+    },
+
+    async setCheckIn(eventId, robotName, { status, setAt, setByRole, setById, setByName }) {
+      run(`
+        INSERT INTO robot_check_ins (event_id, robot_name, status, set_at, set_by_role, set_by_id, set_by_name)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (event_id, robot_name)
+        DO UPDATE SET status = excluded.status, set_at = excluded.set_at, set_by_role = excluded.set_by_role,
+          set_by_id = excluded.set_by_id, set_by_name = excluded.set_by_name
+      `, eventId, robotName, status, setAt, setByRole || null, setById || null, setByName || null);
+    },
+
+    async clearCheckIn(eventId, robotName) {
+      run('DELETE FROM robot_check_ins WHERE event_id = ? AND robot_name = ?', eventId, robotName);
+    },
+
+    async getMatchQueue(eventId, arenaId) {
+      return all(
+        'SELECT tournament_id, match_id, queue_position, locked FROM match_queue WHERE event_id = ? AND arena_id = ? ORDER BY queue_position ASC',
+        eventId, arenaId
+      )
+        .map(row => ({
+          tournamentId: row.tournament_id, matchId: row.match_id, position: row.queue_position, locked: Boolean(row.locked),
+        }));
+    },
+
+    // Replaces the arena's whole queue in one transaction - a match queued in
+    // another arena moves to this one
+    async saveMatchQueue(eventId, arenaId, queue) {
+      const timestamp = now();
+      database().transaction(() => {
+        run('DELETE FROM match_queue WHERE event_id = ? AND arena_id = ?', eventId, arenaId);
+        for (const item of queue) {
+          run(
+            'DELETE FROM match_queue WHERE event_id = ? AND tournament_id = ? AND match_id = ?',
+            eventId, String(item.tournamentId), String(item.matchId)
+          );
+          run(`
+            INSERT INTO match_queue (event_id, arena_id, tournament_id, match_id, queue_position, locked, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+          `, eventId, arenaId, String(item.tournamentId), String(item.matchId), item.position, item.locked ? 1 : 0, timestamp);
+        }
+      })();
+    },
+
+    async clearMatchQueue(eventId, arenaId) {
+      run('DELETE FROM match_queue WHERE event_id = ? AND arena_id = ?', eventId, arenaId);
+    },
+
+    // ============================================
+    // NATIVE TOURNAMENTS
+    // ============================================
+
+    async getNativeTournament(url) {
+      const row = get('SELECT data FROM native_tournaments WHERE url = ?', url);
+      return row ? parse(row.data) : null;
+    },
+
+    async listNativeTournaments() {
+      return all('SELECT data FROM native_tournaments ORDER BY created_at DESC, rowid DESC').map(row => parse(row.data));
+    },
+
+    async saveNativeTournament(tournament) {
+      const timestamp = now();
+      run(`
+        INSERT INTO native_tournaments (url, name, tournament_type, data, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (url)
+        DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `, tournament.url, tournament.name, tournament.tournament_type, JSON.stringify(tournament), timestamp, timestamp);
+    },
+
+    async deleteNativeTournament(url) {
+      run('DELETE FROM native_tournaments WHERE url = ?', url);
+    },
+
+    async allocateNativeIdBlock() {
+      const row = get(`
+        INSERT INTO sequences (name, value) VALUES ('native_tournament_ids', ?)
+        ON CONFLICT (name) DO UPDATE SET value = value + ?
+        RETURNING value
+      `, NATIVE_ID_START, NATIVE_ID_BLOCK);
+      return row.value;
+    },
+
+    // ============================================
+    // JUDGE SCORES
+    // ============================================
+
+    async getJudgeScores(matchId) {
+      const row = get('SELECT * FROM judge_scores WHERE match_id = ?', String(matchId));
+      return row ? rowToJudgeScores(row) : null;
+    },
+
+    async getFinalizedScores(tournamentIds) {
+      const ids = tournamentIds.map(String);
+      if (ids.length === 0) return {};
+      const rows = all(
+        `SELECT match_id, judges, result FROM judge_scores WHERE finalized = 1 AND tournament_id IN (${ids.map(() => '?').join(', ')})`,
+        ...ids
+      );
+      return Object.fromEntries(rows.map(row => [row.match_id, { judges: parse(row.judges), result: parse(row.result) }]));
+    },
+
+    async saveJudgeScores(matchId, scores) {
+      const timestamp = now();
+      run(`
+        INSERT INTO judge_scores (match_id, tournament_id, competitor_a_id, competitor_b_id, judges, finalized, result, review, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (match_id)
+        DO UPDATE SET
+          tournament_id = excluded.tournament_id,
+          competitor_a_id = excluded.competitor_a_id,
+          competitor_b_id = excluded.competitor_b_id,
+          judges = excluded.judges,
+          finalized = excluded.finalized,
+          result = excluded.result,
+          review = excluded.review,
+          updated_at = excluded.updated_at
+      `,
+      String(matchId),
+      String(scores.tournamentId),
+      scores.competitorAId ?? null,
+      scores.competitorBId ?? null,
+      JSON.stringify(scores.judges || {}),
+      scores.finalized ? 1 : 0,
+      json(scores.result),
+      json(scores.review),
+      timestamp,
+      timestamp);
+    },
+
+    async archiveJudgeScores(matchId, scores, { reason, reopenedMatchId, archivedBy }) {
+      database().transaction(() => {
+        run(`
+          INSERT INTO judge_scores_archive
+            (match_id, tournament_id, competitor_a_id, competitor_b_id, judges, finalized, result, reason, reopened_match_id, archived_by, archived_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        String(matchId),
+        String(scores.tournamentId),
+        scores.competitorAId ?? null,
+        scores.competitorBId ?? null,
+        JSON.stringify(scores.judges || {}),
+        scores.finalized ? 1 : 0,
+        json(scores.result),
+        reason,
+        String(reopenedMatchId),
+        archivedBy ?? null,
+        now());
+        run('DELETE FROM judge_scores WHERE match_id = ?', String(matchId));
+      })();
+    },
+
+    async getArchivedJudgeScores(matchId) {
+      return all('SELECT * FROM judge_scores_archive WHERE match_id = ? ORDER BY id DESC', String(matchId)).map(rowToArchivedScores);
+    },
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    async appendAudit(record) {
+      run(`
+        INSERT INTO audit_log (event_id, action, actor_role, actor_id, actor_name, tournament_id, match_id, robots, before, after, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      record.eventId, record.action, record.actorRole, record.actorId, record.actorName,
+      record.tournamentId, record.matchId, JSON.stringify(record.robots),
+      JSON.stringify(record.before), JSON.stringify(record.after), now());
+    },
+
+    async getAuditEntries(eventId, { matchId, robot, action, limit }) {
+      const conditions = ['event_id = ?'];
+      const params = [eventId];
+      if (matchId) {
+        conditions.push('match_id = ?');
+        params.push(String(matchId));
+      }
+      if (robot) {
+        conditions.push('EXISTS (SELECT 1 FROM json_each(audit_log.robots) r WHERE lower(r.value) = lower(?))');
+        params.push(robot.trim());
+      }
+      if (action) {
+        conditions.push('action = ?');
+        params.push(action);
+      }
+      params.push(limit);
+
+      return all(`
+        SELECT * FROM audit_log
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ?
+      `, ...params).map(rowToAuditEntry);
+    },
+
+    // ============================================
+    // RESULT OUTBOX
+    // ============================================
+
+    async createOutboxEntry({ matchId, tournamentId, payload, steps }) {
+      const timestamp = now();
+      const row = get(`
+        INSERT INTO result_outbox (match_id, tournament_id, payload, steps, next_attempt_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        RETURNING *
+      `, String(matchId), String(tournamentId), JSON.stringify(payload), JSON.stringify(steps), timestamp, timestamp, timestamp);
+      return rowToOutboxEntry(row);
+    },
+
+    async getOutboxEntries({ status, dueOnly = false } = {}) {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (dueOnly) {
+        conditions.push("status = 'pending' AND next_attempt_at <= ?");
+        params.push(now());
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      return all(`SELECT * FROM result_outbox ${where} ORDER BY id ASC`, ...params).map(rowToOutboxEntry);
+    },
+
+    async getOutboxEntry(id) {
+      const row = get('SELECT * FROM result_outbox WHERE id = ?', id);
+      return row ? rowToOutboxEntry(row) : null;
+    },
+
+    async saveOutboxEntry(entry) {
+      run(`
+        UPDATE result_outbox
+        SET steps = ?, status = ?, attempts = ?, next_attempt_at = ?, updated_at = ?
+        WHERE id = ? AND status <> 'cancelled'
+      `, JSON.stringify(entry.steps), entry.status, entry.attempts, entry.nextAttemptAt, now(), entry.id);
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
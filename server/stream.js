@@ -0,0 +1,65 @@
+// server/stream.js
+// Server-sent event streams, one channel per event
+// Views subscribe once and refetch what changed instead of polling
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// eventId -> Set of open responses
+const channels = new Map();
+
+// Open a stream for an event on an Express response
+function subscribe(eventId, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx-style proxies buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (!channels.has(eventId)) {
+    channels.set(eventId, new Set());
+  }
+  const channel = channels.get(eventId);
+  channel.add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    channel.delete(res);
+    if (channel.size === 0) {
+      channels.delete(eventId);
+    }
+  });
+
+  send(res, 'connected', { eventId });
+}
+
+function send(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Push a change to everyone watching an event
+// type: 'active-match' | 'repair-reset' | 'queue' | 'judge-scores' | 'match-review' | 'match-finalized' | 'match-updated'
+function broadcast(eventId, type, data = {}) {
+  const channel = channels.get(eventId);
+  if (!channel) return;
+  const payload = { ...data, eventId, at: new Date().toISOString() };
+  channel.forEach(res => send(res, type, payload));
+}
+
+// Number of open streams, for the health check
+function subscriberCount() {
+  let count = 0;
+  channels.forEach(channel => { count += channel.size; });
+  return count;
+}
+
+module.exports = {
+  subscribe,
+  broadcast,
+  subscriberCount,
+};
@@ -0,0 +1,20 @@
+// server/test/api-postgres.test.js
+// Every route, and the migrations up and down, against Postgres - set
+// TEST_DATABASE_URL to a throwaway database to run these (it's wiped first)
+// Sessions run ahead of UTC unless PGOPTIONS says otherwise, so anything that
+// depends on the session's time zone shows up here
+
+const { test } = require('node:test');
+const { apiSuite } = require('./api-suite');
+const { migrationRoundTrip } = require('./helpers');
+const { createStorage } = require('../storage');
+
+if (process.env.TEST_DATABASE_URL) {
+  process.env.PGOPTIONS = process.env.PGOPTIONS || '-c timezone=Asia/Tokyo';
+  apiSuite({ databaseUrl: process.env.TEST_DATABASE_URL });
+
+  // Runs after the route tests, on its own connection
+  test('Postgres migrates up and down', () => migrationRoundTrip(createStorage({ databaseUrl: process.env.TEST_DATABASE_URL })));
+} else {
+  test('Postgres routes', { skip: 'TEST_DATABASE_URL is not set' }, () => {});
+}
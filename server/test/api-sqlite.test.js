@@ -0,0 +1,23 @@
+// server/test/api-sqlite.test.js
+// Every route against SQLite, in a fresh file under the OS temp directory
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test, after } = require('node:test');
+const { apiSuite } = require('./api-suite');
+
+let sqliteInstalled = true;
+try {
+  require.resolve('better-sqlite3');
+} catch {
+  sqliteInstalled = false;
+}
+
+if (sqliteInstalled) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scar-sqlite-'));
+  apiSuite({ sqlitePath: path.join(dir, 'scar.db') });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+} else {
+  test('SQLite routes', { skip: 'better-sqlite3 is not installed' }, () => {});
+}
@@ -0,0 +1,987 @@
+// server/test/api-suite.js
+// Route tests shared by the in-memory, SQLite and Postgres runs - each *.test.js
+// file calls apiSuite() with the storage it wants
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, waitFor } = require('./helpers');
+const { loadMigrations } = require('../storage/migrations');
+
+const ROBOTS = ['Sawblaze', 'Tombstone', 'Minotaur', 'Bite Force'];
+
+// Every storage hands back times as ISO strings in UTC, never the driver's Dates
+function assertIsoTime(value) {
+  assert.strictEqual(typeof value, 'string');
+  assert.match(value, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+}
+
+function apiSuite({ databaseUrl, sqlitePath } = {}) {
+  let server;
+  let api;
+  let adminToken;
+  let tournamentCount = 0;
+
+  before(async () => {
+    server = await startTestServer({ databaseUrl, sqlitePath });
+    ({ api, adminToken } = server);
+  });
+
+  after(() => server.close());
+
+  // A fresh mock tournament and an event for it, with the three judges logged in
+  // Resolves to { tournamentId, judgeTokens, matches } with the normalized matches
+  async function setUpMatch(eventId, event = {}) {
+    const tournamentId = `cup-${++tournamentCount}`;
+    server.mock.createTournament({ url: tournamentId, participants: ROBOTS });
+    const { judgeTokens } = await server.createEventWithJudges(eventId, { tournaments: [tournamentId], ...event });
+    const { matches } = (await api(`/api/tournaments/${tournamentId}`)).body;
+    return { tournamentId, judgeTokens, matches };
+  }
+
+  function submitCard(match, token, card) {
+    return api(`/api/matches/${match.id}/scores`, {
+      method: 'POST',
+      token,
+      body: {
+        tournamentId: match.tournamentUrl,
+        competitorAId: match.competitorAId,
+        competitorBId: match.competitorBId,
+        isKO: false,
+        ...card,
+      },
+    });
+  }
+
+  const pointsCard = scores => ({ scores });
+  const koCard = (winnerId, winMethod) => ({ isKO: true, koWinnerId: winnerId, winMethod });
+
+  // ============================================
+  // HEALTH
+  // ============================================
+
+  test('GET /api/health reports storage and integrations', async () => {
+    const { status, body } = await api('/api/health');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ok');
+    assert.strictEqual(body.database, databaseUrl || sqlitePath ? 'connected' : 'not configured (using memory)');
+    assert.strictEqual(body.storage, databaseUrl ? 'postgres' : sqlitePath ? 'sqlite' : 'memory');
+    assert.strictEqual(body.schemaVersion, databaseUrl || sqlitePath ? loadMigrations().pop().version : null);
+    assert.strictEqual(body.challonge, 'configured');
+    assert.strictEqual(body.adminLogin, 'configured');
+    assert.strictEqual(typeof body.challongeMetrics.requests, 'number');
+  });
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  describe('events', () => {
+    test('saving an event needs an admin', async () => {
+      const { status } = await api('/api/events', { method: 'POST', body: { eventId: 'no-auth', tournaments: [] } });
+      assert.strictEqual(status, 401);
+    });
+
+    test('saving an event checks the body', async () => {
+      const save = body => api('/api/events', { method: 'POST', token: adminToken, body });
+      assert.strictEqual((await save({ tournaments: [] })).status, 400);
+      assert.strictEqual((await save({ eventId: 'bad', tournaments: 'cup' })).status, 400);
+      assert.strictEqual((await save({ eventId: 'bad', tournaments: [], scoringCriteria: [] })).status, 400);
+      assert.strictEqual((await save({ eventId: 'bad', tournaments: [], judges: 'judge_1' })).status, 400);
+    });
+
+    test('create, read, list, update and delete', async () => {
+      const created = await api('/api/events', {
+        method: 'POST',
+        token: adminToken,
+        body: { eventId: 'crud', name: 'CRUD Open', tournaments: ['crud-cup'] },
+      });
+      assert.strictEqual(created.status, 200);
+      assert.strictEqual(created.body.event.judges.length, 3);
+
+      const fetched = await api('/api/events/crud');
+      assert.strictEqual(fetched.status, 200);
+      assert.strictEqual(fetched.body.name, 'CRUD Open');
+      assert.deepStrictEqual(fetched.body.tournaments, ['crud-cup']);
+      assert.deepStrictEqual(fetched.body.judges.map(j => j.id), ['judge_1', 'judge_2', 'judge_3']);
+
+      const updated = await api('/api/events', {
+        method: 'POST',
+        token: adminToken,
+        body: { eventId: 'crud', name: 'CRUD Finals', tournaments: ['crud-cup', 'crud-cup-2'] },
+      });
+      assert.strictEqual(updated.status, 200);
+      assert.deepStrictEqual((await api('/api/events/crud')).body.tournaments, ['crud-cup', 'crud-cup-2']);
+
+      // The list carries the same event shape as a single read, whatever the storage
+      const list = await api('/api/events');
+      const listed = list.body.find(event => event.eventId === 'crud');
+      assert.deepStrictEqual(listed, (await api('/api/events/crud')).body);
+      assert.strictEqual(listed.name, 'CRUD Finals');
+      assert.strictEqual(listed.scoringCriteria, null);
+
+      assert.strictEqual((await api('/api/events/crud', { method: 'DELETE' })).status, 401);
+      assert.strictEqual((await api('/api/events/crud', { method: 'DELETE', token: adminToken })).status, 200);
+      assert.strictEqual((await api('/api/events/crud')).status, 404);
+      assert.strictEqual((await api('/api/events/crud', { method: 'DELETE', token: adminToken })).status, 404);
+    });
+
+    test('stored times are ISO strings', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('times', { tournaments: ['times-cup'] });
+      const body = { tournamentId: 'times-cup', matchId: 1 };
+      assert.strictEqual((await api('/api/events/times/active-match', { method: 'POST', token: judgeTokens.judge_1, body })).status, 200);
+
+      const { storage } = server.app.locals;
+      const event = await storage.getEvent('times');
+      const [pin] = await storage.getJudgePins('times');
+      const { main } = await storage.getActiveMatches('times');
+      [event.createdAt, event.updatedAt, pin.createdAt, main.startedAt].forEach(assertIsoTime);
+      await api('/api/events/times', { method: 'DELETE', token: adminToken });
+    });
+
+    test('tournaments carry their details, and membership is by exact id', async () => {
+      const save = tournaments => api('/api/events', {
+        method: 'POST',
+        token: adminToken,
+        body: { eventId: 'weights', tournaments },
+      });
+      const saved = await save([
+        { tournamentId: 'beetle', displayName: 'Beetles', weightClass: 'Beetle', arena: 'Arena 1' },
+        { tournamentId: 4242, weightClass: 'Antweight' },
+      ]);
+      assert.strictEqual(saved.status, 200);
+      assert.deepStrictEqual(saved.body.event.tournaments, ['beetle', '4242']);
+      assert.deepStrictEqual(saved.body.event.tournamentDetails, [
+        { tournamentId: 'beetle', idType: 'slug', displayName: 'Beetles', weightClass: 'Beetle', arena: 'Arena 1' },
+        { tournamentId: '4242', idType: 'id', displayName: null, weightClass: 'Antweight', arena: null },
+      ]);
+
+      // A bare id keeps the details already saved for it
+      await save(['4242', 'beetle']);
+      const { tournamentDetails } = (await api('/api/events/weights')).body;
+      assert.deepStrictEqual(tournamentDetails.map(t => [t.tournamentId, t.weightClass]), [['4242', 'Antweight'], ['beetle', 'Beetle']]);
+
+      const storage = server.app.locals.storage;
+      assert.deepStrictEqual((await storage.getEventsForTournament('beetle')).map(e => e.eventId), ['weights']);
+      assert.deepStrictEqual(await storage.getEventsForTournament('beetle-2024'), []);
+      assert.deepStrictEqual(await storage.getEventsForTournament('beet'), []);
+
+      assert.strictEqual((await save(['beetle', 'beetle'])).status, 400);
+      assert.strictEqual((await save([{ tournamentId: '' }])).status, 400);
+      assert.strictEqual((await save([{ tournamentId: 'beetle', idType: 'url' }])).status, 400);
+      assert.strictEqual((await save([{ tournamentId: 'beetle', arena: 2 }])).status, 400);
+      await api('/api/events/weights', { method: 'DELETE', token: adminToken });
+    });
+
+    test('the Discord test message goes to the event webhook', async () => {
+      await api('/api/events', {
+        method: 'POST',
+        token: adminToken,
+        body: { eventId: 'discord-test', tournaments: [], discordWebhookUrl: server.discord.webhookUrl('discord-test') },
+      });
+      const { status } = await api('/api/events/discord-test/test-discord', { method: 'POST', token: adminToken });
+      assert.strictEqual(status, 200);
+      assert.ok(server.discord.posts.some(post => post.webhook === 'discord-test'));
+    });
+  });
+
+  // ============================================
+  // JUDGE LOGINS
+  // ============================================
+
+  describe('judge logins', () => {
+    const issuePin = (eventId, judgeId) => api(`/api/events/${eventId}/judge-pins`, { method: 'POST', token: adminToken, body: { judgeId } });
+    const login = (eventId, pin) => api('/api/auth/judge', { method: 'POST', body: { eventId, pin } });
+
+    test('admins log in with the password', async () => {
+      assert.strictEqual((await api('/api/auth/admin', { method: 'POST', body: { password: 'wrong' } })).status, 401);
+      assert.strictEqual((await api('/api/auth/me')).status, 401);
+      const me = await api('/api/auth/me', { token: adminToken });
+      assert.strictEqual(me.body.user.role, 'admin');
+    });
+
+    test('the roster is checked when the event is saved', async () => {
+      const save = judges => api('/api/events', { method: 'POST', token: adminToken, body: { eventId: 'roster', tournaments: [], judges } });
+      assert.strictEqual((await save([{ id: 'judge 1' }])).status, 400);
+      assert.strictEqual((await save([{ id: 'judge_1' }, { id: 'judge_1' }])).status, 400);
+      assert.strictEqual((await save([{ id: 'judge_1', active: false }])).status, 400);
+      assert.strictEqual((await save([{ id: 'judge_1', headJudge: true }, { id: 'judge_2', headJudge: true }])).status, 400);
+
+      const saved = await save([{ id: 'judge_1', name: 'Alex', headJudge: true }, { id: 'judge_2', active: false }]);
+      assert.strictEqual(saved.status, 200);
+      assert.deepStrictEqual(saved.body.event.judges, [
+        { id: 'judge_1', name: 'Alex', active: true, headJudge: true },
+        { id: 'judge_2', name: 'judge_2', active: false, headJudge: false },
+      ]);
+      await api('/api/events/roster', { method: 'DELETE', token: adminToken });
+    });
+
+    test('PINs are issued, listed, used and revoked', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('pins');
+
+      assert.strictEqual((await api('/api/events/pins/judge-pins')).status, 401);
+      const listed = await api('/api/events/pins/judge-pins', { token: adminToken });
+      assert.deepStrictEqual(listed.body.map(p => p.judgeId).sort(), ['judge_1', 'judge_2', 'judge_3']);
+      assert.ok(listed.body.every(p => !('pin' in p) && !('pinHash' in p)));
+
+      assert.strictEqual((await api('/api/events/pins/judge-pins', { method: 'POST', token: adminToken, body: {} })).status, 400);
+      assert.strictEqual((await issuePin('no-such-event', 'judge_1')).status, 404);
+      assert.strictEqual((await issuePin('pins', 'judge_9')).status, 400);
+
+      // A new PIN replaces the old one
+      const first = await issuePin('pins', 'judge_1');
+      const second = await issuePin('pins', 'judge_1');
+      assert.match(second.body.pin, /^\d{6}$/);
+      if (first.body.pin !== second.body.pin) assert.strictEqual((await login('pins', first.body.pin)).status, 401);
+
+      assert.strictEqual((await login('pins')).status, 400);
+      assert.strictEqual((await login('pins', 'not-a-pin')).status, 401);
+      assert.strictEqual((await login('no-such-event', second.body.pin)).status, 401);
+      const loggedIn = await login('pins', second.body.pin);
+      assert.strictEqual(loggedIn.status, 200);
+      assert.deepStrictEqual([loggedIn.body.user.role, loggedIn.body.user.eventId, loggedIn.body.user.judgeId], ['judge', 'pins', 'judge_1']);
+      const me = await api('/api/auth/me', { token: loggedIn.body.token });
+      assert.deepStrictEqual(me.body.user, loggedIn.body.user);
+
+      // Revoking the PIN ends the sessions logged in with it
+      const setActive = token => api('/api/events/pins/active-match', { method: 'POST', token, body: { tournamentId: 'a', matchId: 1 } });
+      assert.strictEqual((await api('/api/events/pins/judge-pins/judge_1', { method: 'DELETE', token: adminToken })).status, 200);
+      assert.strictEqual((await login('pins', second.body.pin)).status, 401);
+      assert.strictEqual((await api('/api/auth/me', { token: loggedIn.body.token })).status, 401);
+      assert.strictEqual((await setActive(loggedIn.body.token)).status, 401);
+
+      // So does issuing a new one
+      assert.strictEqual((await api('/api/auth/me', { token: judgeTokens.judge_3 })).status, 200);
+      await issuePin('pins', 'judge_3');
+      assert.strictEqual((await api('/api/auth/me', { token: judgeTokens.judge_3 })).status, 401);
+
+      // A judge taken off the panel can't log in with a PIN they still have
+      const benched = await issuePin('pins', 'judge_2');
+      await api('/api/events', {
+        method: 'POST',
+        token: adminToken,
+        body: { eventId: 'pins', tournaments: [], judges: [{ id: 'judge_1' }, { id: 'judge_2', active: false }, { id: 'judge_3' }] },
+      });
+      assert.strictEqual((await login('pins', benched.body.pin)).status, 403);
+
+      // Deleting the event deletes its PINs, so recreating it doesn't bring them back
+      const kept = await issuePin('pins', 'judge_3');
+      assert.strictEqual((await api('/api/events/pins', { method: 'DELETE', token: adminToken })).status, 200);
+      await api('/api/events', { method: 'POST', token: adminToken, body: { eventId: 'pins', tournaments: [] } });
+      assert.deepStrictEqual((await api('/api/events/pins/judge-pins', { token: adminToken })).body, []);
+      assert.strictEqual((await login('pins', kept.body.pin)).status, 401);
+    });
+  });
+
+  // ============================================
+  // EVENT STREAM
+  // ============================================
+
+  // Open an event's stream. next(type) resolves to the data of the next event
+  // of that type, skipping anything before it
+  async function openStream(eventId) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/api/events/${eventId}/stream`, { signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+
+    async function next(type) {
+      for (;;) {
+        const index = events.findIndex(event => event.type === type);
+        if (index >= 0) return events.splice(0, index + 1).pop().data;
+        const { value, done } = await reader.read();
+        if (done) throw new Error('Stream closed');
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const eventType = block.match(/^event: (.+)$/m)?.[1];
+          if (eventType) events.push({ type: eventType, data: JSON.parse(block.match(/^data: (.+)$/m)[1]) });
+        }
+      }
+    }
+    return { response, next, close: () => controller.abort() };
+  }
+
+  describe('event stream', () => {
+    test('changes to an event reach its stream', async () => {
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('stream');
+      const match = matches.find(m => m.matchNum === 1);
+      const stream = await openStream('stream');
+      try {
+        assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+        assert.strictEqual((await stream.next('connected')).eventId, 'stream');
+
+        await api('/api/events/stream/check-in', { method: 'POST', token: judgeTokens.judge_1, body: { robotName: 'Sawblaze', status: 'ready' } });
+        const checkIn = await stream.next('check-in');
+        assert.deepStrictEqual([checkIn.eventId, checkIn.robotName, checkIn.checkIn.status], ['stream', 'Sawblaze', 'ready']);
+
+        await api('/api/events/stream/active-match', { method: 'POST', token: judgeTokens.judge_1, body: { tournamentId, matchId: match.id } });
+        const active = await stream.next('active-match');
+        assert.deepStrictEqual([active.arenaId, active.tournamentId, String(active.matchId)], ['main', tournamentId, String(match.id)]);
+
+        await submitCard(match, judgeTokens.judge_1, pointsCard({ aggression: 2, damage: 4, control: 2 }));
+        const scored = await stream.next('judge-scores');
+        assert.deepStrictEqual([String(scored.matchId), scored.judgeCount], [String(match.id), 1]);
+      } finally {
+        stream.close();
+      }
+    });
+  });
+
+  // ============================================
+  // ACTIVE MATCHES, REPAIR TIMERS AND THE QUEUE
+  // ============================================
+
+  describe('active match', () => {
+    test('set, list and clear', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('active', { tournaments: ['a', 'b'] });
+      const token = judgeTokens.judge_1;
+
+      const unauthenticated = await api('/api/events/active/active-match', { method: 'POST', body: { tournamentId: 'a', matchId: 1 } });
+      assert.strictEqual(unauthenticated.status, 401);
+      const missing = await api('/api/events/active/active-match', { method: 'POST', token, body: { tournamentId: 'a' } });
+      assert.strictEqual(missing.status, 400);
+      const noEvent = await api('/api/events/no-such-event/active-match', { method: 'POST', token: adminToken, body: { tournamentId: 'a', matchId: 11 } });
+      assert.strictEqual(noEvent.status, 404);
+      const elsewhere = await api('/api/events/active/active-match', { method: 'POST', token, body: { tournamentId: 'hobby', matchId: 11 } });
+      assert.strictEqual(elsewhere.status, 400);
+      assert.match(elsewhere.body.error, /not in this event/);
+      assert.deepStrictEqual((await api('/api/events/active/active-matches')).body, {});
+
+      const set = await api('/api/events/active/active-match', { method: 'POST', token, body: { tournamentId: 'a', matchId: 11 } });
+      assert.strictEqual(set.status, 200);
+      assert.strictEqual(set.body.arenaId, 'main');
+      let active = (await api('/api/events/active/active-matches')).body;
+      assert.strictEqual(active.main.tournamentId, 'a');
+      assert.strictEqual(String(active.main.matchId), '11');
+      assert.ok(active.main.startedAt);
+
+      // One fight at a time in an arena, whichever tournament it's from
+      await api('/api/events/active/active-match', { method: 'POST', token, body: { tournamentId: 'b', matchId: 12 } });
+      active = (await api('/api/events/active/active-matches')).body;
+      assert.deepStrictEqual(Object.keys(active), ['main']);
+      assert.deepStrictEqual([active.main.tournamentId, String(active.main.matchId)], ['b', '12']);
+
+      const cleared = await api('/api/events/active/active-match/main', { method: 'DELETE', token });
+      assert.strictEqual(cleared.status, 200);
+      assert.deepStrictEqual((await api('/api/events/active/active-matches')).body, {});
+    });
+  });
+
+  describe('arenas', () => {
+    const arenas = [{ arenaId: 'cage', name: 'The Cage' }, { arenaId: 'box' }];
+    const tournaments = [{ tournamentId: 'ant', arena: 'cage' }, { tournamentId: 'beetle', arena: 'box' }];
+
+    test('events list their arenas, the main arena if they have none', async () => {
+      const save = body => api('/api/events', { method: 'POST', token: adminToken, body: { eventId: 'arena-list', ...body } });
+
+      assert.deepStrictEqual((await save({ tournaments: [] })).body.event.arenas, [{ arenaId: 'main', name: 'Main Arena' }]);
+      const saved = await save({ tournaments, arenas });
+      assert.strictEqual(saved.status, 200);
+      assert.deepStrictEqual(saved.body.event.arenas, [{ arenaId: 'cage', name: 'The Cage' }, { arenaId: 'box', name: 'box' }]);
+
+      // Left out, the arenas are kept
+      assert.deepStrictEqual((await save({ tournaments: ['ant'] })).body.event.arenas.map(a => a.arenaId), ['cage', 'box']);
+
+      assert.strictEqual((await save({ tournaments, arenas: 'cage' })).status, 400);
+      assert.strictEqual((await save({ tournaments, arenas: [{ name: 'No id' }] })).status, 400);
+      assert.strictEqual((await save({ tournaments, arenas: [{ arenaId: 'cage' }, { arenaId: 'cage' }] })).status, 400);
+      assert.strictEqual((await save({ tournaments, arenas: [{ arenaId: 'cage' }] })).status, 400);
+      await api('/api/events/arena-list', { method: 'DELETE', token: adminToken });
+    });
+
+    test('each arena has its own fight and queue, and a match can move arena', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('arenas', { tournaments, arenas });
+      const token = judgeTokens.judge_1;
+      const start = body => api('/api/events/arenas/active-match', { method: 'POST', token, body });
+
+      // A match fights in its tournament's arena unless it's sent somewhere else
+      assert.strictEqual((await start({ tournamentId: 'ant', matchId: 1 })).body.arenaId, 'cage');
+      assert.strictEqual((await start({ tournamentId: 'beetle', matchId: 2 })).body.arenaId, 'box');
+      assert.strictEqual((await start({ tournamentId: 'beetle', matchId: 3, arenaId: 'pit' })).status, 400);
+      let active = (await api('/api/events/arenas/active-matches')).body;
+      assert.deepStrictEqual(Object.keys(active).sort(), ['box', 'cage']);
+
+      const assign = body => api('/api/events/arenas/match-arena', { method: 'POST', token, body });
+      assert.strictEqual((await assign({ tournamentId: 'beetle', matchId: 3, arenaId: 'pit' })).status, 400);
+      assert.strictEqual((await assign({ tournamentId: 'hobby', matchId: 3, arenaId: 'cage' })).status, 400);
+      assert.strictEqual((await assign({ tournamentId: 'beetle', matchId: 2, arenaId: 'cage' })).status, 200);
+      assert.deepStrictEqual((await api('/api/events/arenas/match-arenas')).body, [{ tournamentId: 'beetle', matchId: '2', arenaId: 'cage' }]);
+
+      // Starting a match takes it out of whichever arena it was in
+      assert.strictEqual((await start({ tournamentId: 'beetle', matchId: 2 })).body.arenaId, 'cage');
+      active = (await api('/api/events/arenas/active-matches')).body;
+      assert.deepStrictEqual(Object.keys(active), ['cage']);
+      assert.strictEqual(String(active.cage.matchId), '2');
+
+      assert.strictEqual((await api('/api/events/arenas/match-arena/beetle/2', { method: 'DELETE', token })).status, 200);
+      assert.deepStrictEqual((await api('/api/events/arenas/match-arenas')).body, []);
+
+      // Queues are per arena, and a match queued in one arena moves when it's queued in another
+      const queue = (arenaId, entries) => api('/api/events/arenas/match-queue', {
+        method: 'POST', token, body: { arenaId, queue: entries.map(([tournamentId, matchId], position) => ({ tournamentId, matchId, position })) },
+      });
+      const read = async arenaId => (await api(`/api/events/arenas/match-queue?arena=${arenaId}`)).body
+        .map(item => `${item.tournamentId}:${item.matchId}`);
+      assert.strictEqual((await queue('cage', [['ant', 4], ['ant', 5]])).status, 200);
+      assert.strictEqual((await queue('box', [['beetle', 6], ['ant', 5]])).status, 200);
+      assert.deepStrictEqual(await read('cage'), ['ant:4']);
+      assert.deepStrictEqual(await read('box'), ['beetle:6', 'ant:5']);
+      assert.deepStrictEqual(await read(''), ['ant:4']);
+      assert.strictEqual((await api('/api/events/arenas/match-queue?arena=pit')).status, 400);
+      assert.strictEqual((await queue('pit', [])).status, 400);
+
+      assert.strictEqual((await api('/api/events/arenas/match-queue?arena=box', { method: 'DELETE', token })).status, 200);
+      assert.deepStrictEqual(await read('box'), []);
+      assert.deepStrictEqual(await read('cage'), ['ant:4']);
+    });
+
+    test('the scheduler only proposes fights for its arena', async () => {
+      const tournamentId = 'cup-arenas';
+      server.mock.createTournament({ url: tournamentId, participants: ['Sawblaze', 'Tombstone', 'Minotaur', 'Bite Force'] });
+      const { judgeTokens } = await server.createEventWithJudges('arena-schedule', {
+        tournaments: [{ tournamentId, arena: 'cage' }], arenas,
+      });
+      const token = judgeTokens.judge_1;
+      const { matches } = (await api(`/api/tournaments/${tournamentId}`)).body;
+      const [first, second] = matches.filter(m => m.competitorA && m.competitorB).sort((a, b) => a.matchNum - b.matchNum);
+      const proposed = async arena => (await api(`/api/events/arena-schedule/schedule?arena=${arena}`, { token })).body.fights
+        .map(f => f.matchId);
+
+      assert.deepStrictEqual(await proposed('cage'), [String(first.id), String(second.id)]);
+      assert.deepStrictEqual(await proposed('box'), []);
+      assert.strictEqual((await api('/api/events/arena-schedule/schedule?arena=pit', { token })).status, 400);
+
+      await api('/api/events/arena-schedule/match-arena', { method: 'POST', token, body: { tournamentId, matchId: second.id, arenaId: 'box' } });
+      assert.deepStrictEqual(await proposed('cage'), [String(first.id)]);
+      assert.deepStrictEqual(await proposed('box'), [String(second.id)]);
+    });
+  });
+
+  describe('repair reset', () => {
+    test('reset, list and clear', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('repair');
+      const token = judgeTokens.judge_2;
+
+      assert.strictEqual((await api('/api/events/repair/repair-reset', { method: 'POST', token, body: {} })).status, 400);
+
+      const reset = await api('/api/events/repair/repair-reset', { method: 'POST', token, body: { robotName: 'Tombstone' } });
+      assert.strictEqual(reset.status, 200);
+      const resets = (await api('/api/events/repair/repair-resets')).body;
+      assert.ok(!Number.isNaN(Date.parse(resets.Tombstone)));
+
+      const status = (await api('/api/events/repair/repair-status')).body;
+      assert.strictEqual(status.robots.Tombstone.resetAt, new Date(resets.Tombstone).toISOString());
+      assert.strictEqual(status.robots.Tombstone.ready, false);
+
+      const cleared = await api('/api/events/repair/repair-reset/Tombstone', { method: 'DELETE', token });
+      assert.strictEqual(cleared.status, 200);
+      assert.deepStrictEqual((await api('/api/events/repair/repair-resets')).body, {});
+      assert.deepStrictEqual((await api('/api/events/repair/repair-status')).body.robots, {});
+    });
+
+    test('repair times follow the event settings', async () => {
+      const tournamentId = `cup-${++tournamentCount}`;
+      server.mock.createTournament({ url: tournamentId, participants: ROBOTS });
+      const save = repairTimes => api('/api/events', {
+        method: 'POST',
+        token: adminToken,
+        body: { eventId: 'repair-times', tournaments: [{ tournamentId, weightClass: 'Beetle' }], repairTimes },
+      });
+      assert.strictEqual((await save({ defaultMinutes: 0 })).status, 400);
+      assert.strictEqual((await save({ weightClasses: { Beetle: '15' } })).status, 400);
+      assert.strictEqual((await save({ rounds: [{ stage: 'winners', minutes: 30 }] })).status, 400);
+
+      const repairTimes = { defaultMinutes: 10, weightClasses: { Beetle: 15 }, rounds: [{ stage: 'winners', round: 2, minutes: 30 }] };
+      assert.strictEqual((await save(repairTimes)).status, 200);
+      assert.deepStrictEqual((await api('/api/events/repair-times')).body.repairTimes, repairTimes);
+      assert.strictEqual((await api('/api/events/repair-times/repair-status')).body.repairTimeMs, 10 * 60 * 1000);
+
+      // The winner's next fight is winners round 2, the loser's is in the losers bracket
+      const { matches } = (await api(`/api/tournaments/${tournamentId}`)).body;
+      const match = matches.find(m => m.matchNum === 1);
+      const reported = await api(`/api/tournaments/${tournamentId}/matches/${match.id}`, {
+        method: 'PUT',
+        token: adminToken,
+        body: { winnerId: match.competitorAId },
+      });
+      assert.strictEqual(reported.status, 200);
+
+      const { robots } = (await api('/api/events/repair-times/repair-status')).body;
+      assert.strictEqual(robots[match.competitorA].repairTimeMs, 30 * 60 * 1000);
+      assert.strictEqual(robots[match.competitorB].repairTimeMs, 15 * 60 * 1000);
+      assert.strictEqual(
+        Date.parse(robots[match.competitorB].readyAt) - Date.parse(robots[match.competitorB].lastFightAt),
+        15 * 60 * 1000,
+      );
+      await api('/api/events/repair-times', { method: 'DELETE', token: adminToken });
+    });
+  });
+
+  describe('check-ins', () => {
+    test('check in, list and clear', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('check-in');
+      const token = judgeTokens.judge_1;
+      const checkIn = body => api('/api/events/check-in/check-in', { method: 'POST', token, body });
+
+      assert.strictEqual((await api('/api/events/check-in/check-in', { method: 'POST', body: { robotName: 'Sawblaze', status: 'ready' } })).status, 401);
+      assert.strictEqual((await checkIn({ status: 'ready' })).status, 400);
+      assert.strictEqual((await checkIn({ robotName: 'Sawblaze', status: 'done' })).status, 400);
+
+      await api('/api/events/check-in/repair-reset', { method: 'POST', token, body: { robotName: 'Sawblaze' } });
+      const set = await checkIn({ robotName: 'Sawblaze', status: 'ready' });
+      assert.strictEqual(set.status, 200);
+      assert.strictEqual(set.body.checkIn.setByRole, 'judge');
+      assert.strictEqual(set.body.checkIn.setById, 'judge_1');
+      assert.strictEqual((await checkIn({ robotName: 'Tombstone', status: 'full-time' })).status, 200);
+
+      const checkIns = (await api('/api/events/check-in/check-ins')).body;
+      assert.deepStrictEqual(Object.keys(checkIns).sort(), ['Sawblaze', 'Tombstone']);
+      assert.strictEqual(checkIns.Tombstone.status, 'full-time');
+
+      const { robots } = (await api('/api/events/check-in/repair-status')).body;
+      assert.strictEqual(robots.Sawblaze.ready, true);
+      assert.strictEqual(robots.Sawblaze.waived, true);
+      assert.strictEqual(robots.Sawblaze.checkIn.setById, 'judge_1');
+      assert.strictEqual(robots.Tombstone.checkIn.status, 'full-time');
+
+      const cleared = await api('/api/events/check-in/check-in/Sawblaze', { method: 'DELETE', token });
+      assert.strictEqual(cleared.status, 200);
+      assert.deepStrictEqual(Object.keys((await api('/api/events/check-in/check-ins')).body), ['Tombstone']);
+      assert.strictEqual((await api('/api/events/check-in/repair-status')).body.robots.Sawblaze.ready, false);
+
+      const audit = (await api('/api/events/check-in/audit?robot=Sawblaze', { token: adminToken })).body;
+      assert.deepStrictEqual(audit.map(e => e.action).filter(a => a.startsWith('check-in')).sort(), ['check-in.clear', 'check-in.set']);
+    });
+  });
+
+  describe('match queue', () => {
+    test('save, read and clear', async () => {
+      const { judgeTokens } = await server.createEventWithJudges('queue', { tournaments: ['a', 'b'] });
+      const token = judgeTokens.judge_3;
+      const save = body => api('/api/events/queue/match-queue', { method: 'POST', token, body });
+
+      assert.strictEqual((await save({ queue: 'x' })).status, 400);
+      assert.strictEqual((await api('/api/events/nowhere/match-queue', { method: 'POST', token: adminToken, body: { queue: [] } })).status, 404);
+      const invalid = await save({
+        queue: [
+          { tournamentId: 'a', position: 0 },
+          { tournamentId: 'a', matchId: '3', position: 1.5, locked: 'yes' },
+          { tournamentId: 'hobby', matchId: 4, position: 2 },
+          'a:5',
+        ],
+      });
+      assert.strictEqual(invalid.status, 400);
+      assert.deepStrictEqual(invalid.body.details.map(p => p.field), [
+        'queue.0.matchId', 'queue.1.position', 'queue.1.locked', 'queue.2.tournamentId', 'queue.3',
+      ]);
+      assert.deepStrictEqual((await api('/api/events/queue/match-queue')).body, []);
+
+      const queue = [
+        { tournamentId: 'b', matchId: '7', position: 0 },
+        { tournamentId: 'a', matchId: '3', position: 1 },
+      ];
+      const saved = await api('/api/events/queue/match-queue', { method: 'POST', token, body: { queue } });
+      assert.strictEqual(saved.status, 200);
+      assert.strictEqual(saved.body.queueLength, 2);
+
+      const read = (await api('/api/events/queue/match-queue')).body;
+      assert.deepStrictEqual(read.map(item => [item.tournamentId, String(item.matchId), item.position]), [['b', '7', 0], ['a', '3', 1]]);
+
+      assert.strictEqual((await api('/api/events/queue/match-queue', { method: 'DELETE', token })).status, 200);
+      assert.deepStrictEqual((await api('/api/events/queue/match-queue')).body, []);
+    });
+
+    test('the scheduler proposes fights around locked queue entries', async () => {
+      const scheduling = { fightMinutes: 6, teams: { Sawblaze: 'Whyachi' } };
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('schedule', { scheduling });
+      const token = judgeTokens.judge_1;
+      const schedule = (query = '') => api(`/api/events/schedule/schedule${query}`, { token });
+
+      assert.strictEqual((await api('/api/events/schedule/schedule')).status, 401);
+      assert.strictEqual((await api('/api/events/nowhere/schedule', { token: adminToken })).status, 404);
+      assert.strictEqual((await schedule('?size=0')).status, 400);
+      assert.deepStrictEqual((await api('/api/events/schedule')).body.scheduling, scheduling);
+      assert.strictEqual((await api('/api/events', {
+        method: 'POST', token: adminToken, body: { eventId: 'schedule', tournaments: [tournamentId], scheduling: { fightMinutes: -1 } },
+      })).status, 400);
+
+      const ready = matches.filter(m => m.competitorA && m.competitorB).sort((a, b) => a.matchNum - b.matchNum);
+      const proposal = (await schedule()).body;
+      assert.strictEqual(proposal.settings.fightMinutes, 6);
+      assert.deepStrictEqual(proposal.fights.map(f => f.matchId), ready.map(m => String(m.id)));
+      assert.strictEqual(Date.parse(proposal.fights[1].startAt) - Date.parse(proposal.fights[0].startAt), 6 * 60 * 1000);
+
+      // Accepting saves the proposal as the queue - a locked fight keeps its place
+      const queue = [...proposal.fights].reverse().map((f, position) => ({ ...f, position, locked: position === 0 }));
+      assert.strictEqual((await api('/api/events/schedule/match-queue', { method: 'POST', token, body: { queue } })).status, 200);
+      assert.deepStrictEqual((await api('/api/events/schedule/match-queue')).body.map(item => item.locked), [true, false]);
+      const relocked = (await schedule('?size=1')).body.fights;
+      assert.deepStrictEqual(relocked.map(f => [f.matchId, f.locked]), [[String(ready[1].id), true]]);
+
+      // A fight in the arena is left out and holds the arena until it's done
+      await api('/api/events/schedule/active-match', { method: 'POST', token, body: { tournamentId, matchId: ready[1].id } });
+      const during = (await schedule()).body;
+      assert.deepStrictEqual(during.fights.map(f => f.matchId), [String(ready[0].id)]);
+      assert.ok(Date.parse(during.fights[0].startAt) - Date.parse(during.generatedAt) >= 5 * 60 * 1000);
+    });
+  });
+
+  // ============================================
+  // SCORES
+  // ============================================
+
+  describe('scores', () => {
+    test('submit, withdraw, finalize and report', async () => {
+      const discordUrl = server.discord.webhookUrl('scores');
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('scores', { discordWebhookUrl: discordUrl });
+      const match = matches.find(m => m.matchNum === 1);
+      const card = pointsCard({ aggression: 2, damage: 4, control: 2 });
+
+      // Only judges on the event can score, and only valid cards
+      assert.strictEqual((await submitCard(match, null, card)).status, 401);
+      assert.strictEqual((await submitCard(match, adminToken, card)).status, 403);
+      const wrongTournament = await submitCard({ ...match, tournamentUrl: 'not-in-event' }, judgeTokens.judge_1, card);
+      assert.strictEqual(wrongTournament.status, 403);
+      // A missing or malformed tournament is a bad card, not someone else's tournament
+      for (const tournamentId of [undefined, 42]) {
+        const malformed = await submitCard(match, judgeTokens.judge_1, { ...card, tournamentId });
+        assert.strictEqual(malformed.status, 400);
+        assert.deepStrictEqual(malformed.body.details.map(d => d.field), ['tournamentId']);
+      }
+      const invalid = await submitCard(match, judgeTokens.judge_1, pointsCard({ aggression: 9, damage: 4, control: 2 }));
+      assert.strictEqual(invalid.status, 400);
+
+      // A card that can't be saved isn't in the audit log either
+      const { storage } = server.app.locals;
+      const { saveJudgeScores } = storage;
+      storage.saveJudgeScores = async () => { throw new Error('Database unavailable'); };
+      try {
+        assert.strictEqual((await submitCard(match, judgeTokens.judge_1, card)).status, 500);
+      } finally {
+        storage.saveJudgeScores = saveJudgeScores;
+      }
+      const audit = await api(`/api/events/scores/audit?matchId=${match.id}&action=score.submit`, { token: adminToken });
+      assert.deepStrictEqual(audit.body, []);
+
+      const first = await submitCard(match, judgeTokens.judge_1, card);
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.body.finalized, false);
+      assert.strictEqual(first.body.judgeCount, 1);
+      assert.strictEqual((await api(`/api/matches/${match.id}/scores`)).body.judgeCount, 1);
+
+      // A judge can only withdraw their own card
+      const notMine = await api(`/api/matches/${match.id}/scores/judge_1`, { method: 'DELETE', token: judgeTokens.judge_2 });
+      assert.strictEqual(notMine.status, 403);
+      const notSubmitted = await api(`/api/matches/${match.id}/scores/judge_2`, { method: 'DELETE', token: judgeTokens.judge_2 });
+      assert.strictEqual(notSubmitted.status, 404);
+
+      // Judge ids repeat across events, so the same-numbered judge elsewhere can't withdraw it
+      const otherEvent = await server.createEventWithJudges('scores-elsewhere');
+      const crossEvent = await api(`/api/matches/${match.id}/scores/judge_1`, { method: 'DELETE', token: otherEvent.judgeTokens.judge_1 });
+      assert.strictEqual(crossEvent.status, 403);
+      assert.strictEqual((await api(`/api/matches/${match.id}/scores`)).body.judgeCount, 1);
+
+      const withdrawn = await api(`/api/matches/${match.id}/scores/judge_1`, { method: 'DELETE', token: judgeTokens.judge_1 });
+      assert.strictEqual(withdrawn.status, 200);
+      assert.strictEqual((await api(`/api/matches/${match.id}/scores`)).body.judgeCount, 0);
+
+      for (const judgeId of ['judge_1', 'judge_2']) {
+        assert.strictEqual((await submitCard(match, judgeTokens[judgeId], card)).status, 200);
+      }
+      const last = await submitCard(match, judgeTokens.judge_3, card);
+      assert.strictEqual(last.body.finalized, true);
+      assert.deepStrictEqual(
+        [last.body.result.winnerId, last.body.result.winMethod, last.body.result.scoreA, last.body.result.scoreB],
+        [match.competitorAId, 'points', 24, 9],
+      );
+
+      // Finalized matches can't be scored or withdrawn from
+      assert.strictEqual((await submitCard(match, judgeTokens.judge_1, card)).status, 400);
+      const lateWithdraw = await api(`/api/matches/${match.id}/scores/judge_1`, { method: 'DELETE', token: judgeTokens.judge_1 });
+      assert.strictEqual(lateWithdraw.status, 400);
+
+      const details = (await api(`/api/matches/${match.id}/scores/details?tournamentId=${tournamentId}`)).body;
+      assert.strictEqual(details.finalized, true);
+      assert.strictEqual(details.judgeCount, 3);
+      assert.deepStrictEqual(details.judges.judge_2.scores, card.scores);
+
+      const delivery = await server.waitForDelivery(match.id);
+      assert.deepStrictEqual(
+        Object.values(delivery.steps).map(step => step.status),
+        ['done', 'done', 'done'],
+      );
+      const reported = server.mock.getTournament(tournamentId).matches.find(m => m.id === match.id);
+      assert.strictEqual(reported.scores_csv, '24-9');
+
+      const post = server.discord.posts.find(p => p.webhook === 'scores');
+      assert.strictEqual(post.body.embeds[0].fields[0].value, match.competitorA);
+
+      // Finalizing starts both robots' repair clocks on the server
+      const repair = (await api('/api/events/scores/repair-status')).body;
+      for (const robot of [match.competitorA, match.competitorB]) {
+        assert.strictEqual(repair.robots[robot].ready, false);
+        assert.ok(repair.robots[robot].remainingMs > repair.repairTimeMs - 60 * 1000);
+        assert.ok(Date.parse(repair.robots[robot].lastFightAt) <= Date.parse(repair.serverTime));
+      }
+    });
+
+    test('details for an unscored match are empty', async () => {
+      const { body } = await api('/api/matches/999999/scores/details');
+      assert.deepStrictEqual([body.judgeCount, body.finalized, body.result], [0, false, null]);
+    });
+
+    test('a KO carried by the majority wins outright', async () => {
+      const { judgeTokens, matches } = await setUpMatch('ko-majority');
+      const match = matches.find(m => m.matchNum === 1);
+      const winnerId = match.competitorBId;
+
+      await submitCard(match, judgeTokens.judge_1, koCard(winnerId));
+      await submitCard(match, judgeTokens.judge_2, koCard(winnerId));
+      const last = await submitCard(match, judgeTokens.judge_3, pointsCard({ aggression: 1, damage: 1, control: 1 }));
+
+      assert.strictEqual(last.body.finalized, true);
+      const { result } = last.body;
+      assert.deepStrictEqual([result.winnerId, result.winMethod, result.koVotes], [winnerId, 'ko', 2]);
+      assert.deepStrictEqual([result.scoreA, result.scoreB], [0, 33]);
+      await server.waitForDelivery(match.id);
+    });
+
+    test('a split KO waits for the head judge', async () => {
+      const { judgeTokens, matches } = await setUpMatch('split-ko');
+      const match = matches.find(m => m.matchNum === 1);
+
+      await submitCard(match, judgeTokens.judge_1, koCard(match.competitorAId));
+      await submitCard(match, judgeTokens.judge_2, koCard(match.competitorBId));
+      const last = await submitCard(match, judgeTokens.judge_3, pointsCard({ aggression: 2, damage: 3, control: 2 }));
+
+      assert.strictEqual(last.body.finalized, false);
+      assert.strictEqual(last.body.needsReview, true);
+      assert.ok(last.body.disagreements.some(d => d.type === 'split-ko'));
+      assert.strictEqual((await api(`/api/matches/${match.id}/scores`)).body.review.status, 'pending');
+
+      const confirmed = await api(`/api/matches/${match.id}/review`, { method: 'POST', token: adminToken, body: { action: 'confirm' } });
+      assert.strictEqual(confirmed.status, 200);
+      assert.strictEqual(confirmed.body.finalized, true);
+      assert.strictEqual(confirmed.body.result.winnerId, match.competitorAId);
+      await server.waitForDelivery(match.id);
+    });
+  });
+
+  // ============================================
+  // REOPENING AND MANUAL RESULTS
+  // ============================================
+
+  describe('reopen', () => {
+    test('reopening archives the scores so the fight can be judged again', async () => {
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('reopen');
+      const match = matches.find(m => m.matchNum === 1);
+      const card = pointsCard({ aggression: 2, damage: 4, control: 2 });
+      for (const judgeId of ['judge_1', 'judge_2', 'judge_3']) {
+        await submitCard(match, judgeTokens[judgeId], card);
+      }
+      await server.waitForDelivery(match.id);
+
+      const reopen = (token, body) => api(`/api/tournaments/${tournamentId}/matches/${match.id}/reopen`, { method: 'POST', token, body });
+      assert.strictEqual((await reopen(judgeTokens.judge_1, { reason: 'Wrong winner' })).status, 403);
+      assert.strictEqual((await reopen(adminToken, { reason: ' ' })).status, 400);
+
+      const reopened = await reopen(adminToken, { reason: 'Wrong winner' });
+      assert.strictEqual(reopened.status, 200);
+      assert.strictEqual(reopened.body.match.status, 'active');
+      assert.deepStrictEqual(reopened.body.archived, [{ matchId: String(match.id), judgeCount: 3, wasFinalized: true, cancelledDeliveries: 0 }]);
+      // The match the winner had gone on to is reset with it
+      const winnersFinal = matches.find(m => m.round === 2 && m.bracket === 'winners');
+      assert.ok(reopened.body.resetMatchIds.includes(String(winnersFinal.id)));
+      assert.strictEqual(server.mock.getTournament(tournamentId).matches.find(m => m.id === match.id).state, 'open');
+
+      const scores = (await api(`/api/matches/${match.id}/scores`)).body;
+      assert.deepStrictEqual([scores.judgeCount, scores.finalized], [0, false]);
+
+      assert.strictEqual((await api(`/api/matches/${match.id}/scores/archive`, { token: judgeTokens.judge_1 })).status, 403);
+      const archive = (await api(`/api/matches/${match.id}/scores/archive`, { token: adminToken })).body;
+      assert.strictEqual(archive.length, 1);
+      assert.deepStrictEqual([archive[0].reason, archive[0].archivedBy, archive[0].finalized], ['Wrong winner', 'Admin', true]);
+      assert.deepStrictEqual(Object.keys(archive[0].judges).sort(), ['judge_1', 'judge_2', 'judge_3']);
+
+      assert.strictEqual((await submitCard(match, judgeTokens.judge_1, card)).status, 200);
+    });
+  });
+
+  describe('manual results', () => {
+    const roster = [{ id: 'judge_1', headJudge: true }, { id: 'judge_2' }, { id: 'judge_3' }];
+    const manualResult = (match, token, body) => api(`/api/matches/${match.id}/manual-result`, {
+      method: 'POST',
+      token,
+      body: { tournamentId: match.tournamentUrl, competitorAId: match.competitorAId, competitorBId: match.competitorBId, ...body },
+    });
+
+    test('the head judge or an admin can enter a result by hand', async () => {
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('manual', { judges: roster });
+      const [match, second] = matches.filter(m => m.status === 'active');
+      const ko = { winnerId: match.competitorBId, winMethod: 'ko', note: 'Judge 3 phone died' };
+
+      assert.strictEqual((await manualResult(match, judgeTokens.judge_2, ko)).status, 403);
+      const invalid = await manualResult(match, adminToken, { ...ko, winMethod: 'coin toss' });
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual(invalid.body.details[0].field, 'winMethod');
+      // A missing or malformed tournament is a bad request, not someone else's tournament
+      for (const tournamentId of [undefined, 42]) {
+        const malformed = await manualResult(match, judgeTokens.judge_1, { ...ko, tournamentId });
+        assert.strictEqual(malformed.status, 400);
+        assert.deepStrictEqual(malformed.body.details.map(d => d.field), ['tournamentId']);
+      }
+      const wrongCards = await manualResult(second, adminToken, {
+        winnerId: second.competitorAId, winMethod: 'points', cards: { judge_9: { aggression: 2, damage: 4, control: 2 } },
+      });
+      assert.strictEqual(wrongCards.status, 400);
+
+      const entered = await manualResult(match, judgeTokens.judge_1, ko);
+      assert.strictEqual(entered.status, 200);
+      assert.strictEqual(entered.body.finalized, true);
+      const { result } = entered.body;
+      assert.deepStrictEqual([result.winnerId, result.winMethod, result.override, result.scoreA], [match.competitorBId, 'ko', true, 0]);
+      assert.ok(result.scoreB > 0);
+      assert.deepStrictEqual([result.manual.enteredBy, result.manual.note], ['judge_1', 'Judge 3 phone died']);
+
+      await server.waitForDelivery(match.id);
+      assert.strictEqual(server.mock.getTournament(tournamentId).matches.find(m => m.id === match.id).winner_id, match.competitorBId);
+      assert.strictEqual((await manualResult(match, adminToken, ko)).status, 400);
+
+      // Cards entered for a decision make up the score
+      const decision = await manualResult(second, adminToken, {
+        winnerId: second.competitorAId, winMethod: 'points', cards: { judge_3: { aggression: 2, damage: 4, control: 2 } },
+      });
+      assert.strictEqual(decision.status, 200);
+      assert.deepStrictEqual([decision.body.result.scoreA, decision.body.result.scoreB], [8, 3]);
+      await server.waitForDelivery(second.id);
+    });
+  });
+
+  // ============================================
+  // BUILT-IN BRACKETS
+  // ============================================
+
+  describe('native brackets', () => {
+    test('create, judge a fight on, list and delete', async () => {
+      const create = (token, body) => api('/api/native-tournaments', { method: 'POST', token, body });
+      const bracket = { name: 'Test and Tune', tournamentType: 'double elimination', participants: ROBOTS };
+      assert.strictEqual((await create(null, bracket)).status, 401);
+      const invalid = await create(adminToken, { ...bracket, participants: ['Sawblaze', 'sawblaze '] });
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual(invalid.body.details[0].field, 'participants.1');
+      assert.strictEqual((await create(adminToken, { ...bracket, tournamentType: 'swiss' })).status, 400);
+
+      const created = await create(adminToken, bracket);
+      assert.strictEqual(created.status, 201);
+      const { url } = created.body.tournament;
+      assert.match(url, /^native-test-and-tune-\d+$/);
+      assert.deepStrictEqual(created.body.participants.map(p => p.name), ROBOTS);
+      assert.ok((await api('/api/native-tournaments')).body.some(t => t.url === url));
+
+      // Judged like any other bracket, and the result lands in our own engine
+      const { judgeTokens } = await server.createEventWithJudges('native', { tournaments: [url] });
+      const match = created.body.matches.find(m => m.matchNum === 1);
+      for (const judgeId of ['judge_1', 'judge_2', 'judge_3']) {
+        await submitCard(match, judgeTokens[judgeId], pointsCard({ aggression: 2, damage: 4, control: 2 }));
+      }
+      const delivery = await server.waitForDelivery(match.id);
+      assert.strictEqual(delivery.steps.attachment.status, 'done');
+      const played = (await api(`/api/tournaments/${url}`)).body.matches.find(m => m.id === match.id);
+      assert.deepStrictEqual([played.status, played.winnerId, played.winMethod], ['completed', match.competitorAId, 'points']);
+
+      assert.strictEqual((await api(`/api/native-tournaments/${url}`, { method: 'DELETE', token: judgeTokens.judge_1 })).status, 403);
+      assert.strictEqual((await api(`/api/native-tournaments/${url}`, { method: 'DELETE', token: adminToken })).status, 200);
+      assert.strictEqual((await api(`/api/native-tournaments/${url}`, { method: 'DELETE', token: adminToken })).status, 404);
+      assert.ok(!(await api('/api/native-tournaments')).body.some(t => t.url === url));
+    });
+  });
+
+  // ============================================
+  // RESULT OUTBOX
+  // ============================================
+
+  describe('outbox', () => {
+    test('nothing after the bracket report goes out until it succeeds, then a retry delivers it', async () => {
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('outbox', { discordWebhookUrl: server.discord.webhookUrl('outbox') });
+      const match = matches.find(m => m.matchNum === 1);
+      const card = pointsCard({ aggression: 2, damage: 4, control: 2 });
+
+      // The bracket rejects the report until the failure is cleared
+      server.mock.setFailure({ method: 'PUT', path: new RegExp(`/matches/${match.id}\\.json$`), status: 422 });
+      let failed;
+      try {
+        for (const judgeId of ['judge_1', 'judge_2', 'judge_3']) {
+          await submitCard(match, judgeTokens[judgeId], card);
+        }
+        failed = await waitFor(async () => {
+          const outbox = await api('/api/outbox', { token: adminToken });
+          return outbox.body.find(entry => String(entry.matchId) === String(match.id) && entry.steps.challonge.attempts > 0);
+        });
+        assert.strictEqual(failed.status, 'pending');
+        assert.match(failed.steps.challonge.lastError, /422/);
+        const stored = await server.app.locals.storage.getOutboxEntry(failed.id);
+        [stored.nextAttemptAt, stored.createdAt, stored.updatedAt].forEach(assertIsoTime);
+        assert.deepStrictEqual(
+          [failed.steps.attachment.status, failed.steps.attachment.attempts, failed.steps.discord.status, failed.steps.discord.attempts],
+          ['pending', 0, 'pending', 0],
+        );
+        assert.ok(!server.discord.posts.some(p => p.webhook === 'outbox'));
+        assert.deepStrictEqual(server.mock.getTournament(tournamentId).matches.find(m => m.id === match.id).attachments, []);
+      } finally {
+        server.mock.setFailure(null);
+      }
+
+      assert.strictEqual((await api(`/api/outbox/${failed.id}/retry`, { method: 'POST' })).status, 401);
+      assert.strictEqual((await api('/api/outbox/999999/retry', { method: 'POST', token: adminToken })).status, 404);
+      const retried = await api(`/api/outbox/${failed.id}/retry`, { method: 'POST', token: adminToken });
+      assert.strictEqual(retried.status, 200);
+      assert.strictEqual(retried.body.status, 'delivered');
+      assert.deepStrictEqual(Object.values(retried.body.steps).map(step => step.status), ['done', 'done', 'done']);
+      assert.ok(server.discord.posts.some(p => p.webhook === 'outbox'));
+      assert.strictEqual(server.mock.getTournament(tournamentId).matches.find(m => m.id === match.id).scores_csv, '24-9');
+
+      const again = await api(`/api/outbox/${failed.id}/retry`, { method: 'POST', token: adminToken });
+      assert.strictEqual(again.status, 400);
+    });
+
+    test('a reopen part way through a delivery stops the rest of it', async () => {
+      const { tournamentId, judgeTokens, matches } = await setUpMatch('outbox-reopen', { discordWebhookUrl: server.discord.webhookUrl('outbox-reopen') });
+      const [match, next] = [1, 2].map(matchNum => matches.find(m => m.matchNum === matchNum));
+      const card = pointsCard({ aggression: 2, damage: 4, control: 2 });
+      const attachment = new RegExp(`/matches/${match.id}/attachments\\.json$`);
+
+      // The bracket report goes through, then the attachment is held while the match is reopened
+      let release;
+      server.mock.holdRequests({ method: 'POST', path: attachment, until: new Promise(resolve => { release = resolve; }) });
+      try {
+        for (const judgeId of ['judge_1', 'judge_2', 'judge_3']) {
+          await submitCard(match, judgeTokens[judgeId], card);
+        }
+        await waitFor(() => server.mock.requests.some(r => r.method === 'POST' && attachment.test(r.path)));
+        const reopened = await api(`/api/tournaments/${tournamentId}/matches/${match.id}/reopen`, { method: 'POST', token: adminToken, body: { reason: 'Wrong winner' } });
+        assert.strictEqual(reopened.body.archived[0].cancelledDeliveries, 1);
+      } finally {
+        server.mock.holdRequests(null);
+        release();
+      }
+
+      // Deliveries go one at a time, so once the next result is out the held one has finished
+      for (const judgeId of ['judge_1', 'judge_2', 'judge_3']) {
+        await submitCard(next, judgeTokens[judgeId], card);
+      }
+      await server.waitForDelivery(next.id);
+
+      const outbox = (await api('/api/outbox', { token: adminToken })).body;
+      const cancelled = outbox.find(entry => String(entry.matchId) === String(match.id));
+      assert.strictEqual(cancelled.status, 'cancelled');
+      assert.strictEqual(cancelled.steps.discord.attempts, 0);
+      assert.strictEqual(server.discord.posts.filter(p => p.webhook === 'outbox-reopen').length, 1);
+      assert.strictEqual(server.mock.getTournament(tournamentId).matches.find(m => m.id === match.id).state, 'open');
+    });
+  });
+}
+
+module.exports = { apiSuite };
@@ -0,0 +1,6 @@
+// server/test/api.test.js
+// Every route against the in-memory fallback
+
+const { apiSuite } = require('./api-suite');
+
+apiSuite();
@@ -0,0 +1,34 @@
+// server/test/arenas.test.js
+// Arena lists and which arena a match fights in
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateArenas, normalizeArenas, getEventArenas, createArenaResolver } = require('../arenas');
+
+const event = {
+  tournaments: [{ tournamentId: 'ant', arena: 'cage' }, { tournamentId: 'beetle', arena: null }, { tournamentId: 'hobby', arena: 'gone' }],
+  arenas: [{ arenaId: 'box', name: 'The Box' }, { arenaId: 'cage', name: 'The Cage' }],
+};
+
+test('arena lists are checked and named', () => {
+  assert.strictEqual(validateArenas([{ arenaId: 'cage' }, { arenaId: 'box', name: 'The Box' }]), null);
+  assert.match(validateArenas({}), /must be an array/);
+  assert.match(validateArenas([{ arenaId: ' ' }]), /needs an arenaId/);
+  assert.match(validateArenas([{ arenaId: 'cage', name: 4 }]), /name/);
+  assert.match(validateArenas([{ arenaId: 'cage' }, { arenaId: 'cage ' }]), /listed twice/);
+  assert.deepStrictEqual(normalizeArenas([{ arenaId: ' cage ', name: '' }]), [{ arenaId: 'cage', name: 'cage' }]);
+  assert.deepStrictEqual(getEventArenas({ arenas: [] }), [{ arenaId: 'main', name: 'Main Arena' }]);
+});
+
+test('a match fights in its own arena, then its tournament\'s, then the first', () => {
+  const arenaFor = createArenaResolver(event, [
+    { tournamentId: 'ant', matchId: '2', arenaId: 'box' },
+    { tournamentId: 'ant', matchId: '3', arenaId: 'gone' },
+  ]);
+  assert.strictEqual(arenaFor({ tournamentId: 'ant', matchId: 1 }), 'cage');
+  assert.strictEqual(arenaFor({ tournamentId: 'ant', matchId: 2 }), 'box');
+  assert.strictEqual(arenaFor({ tournamentId: 'ant', matchId: '3' }), 'cage');
+  assert.strictEqual(arenaFor({ tournamentId: 'beetle', matchId: 1 }), 'box');
+  assert.strictEqual(arenaFor({ tournamentId: 'hobby', matchId: 1 }), 'box');
+  assert.strictEqual(createArenaResolver(null)({ tournamentId: 'ant', matchId: 1 }), 'main');
+});
@@ -0,0 +1,35 @@
+// server/test/auth.test.js
+// Login rate limiting - only failed logins count, per event and client IP
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { loginRateLimit } = require('../auth');
+
+// Run one login through the limiter, answering with status if it gets through
+// Resolves to the status the client sees
+function attemptLogin({ ip = '10.0.0.1', eventId = 'open', status }) {
+  return new Promise(resolve => {
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json() { this.emit('finish'); resolve(this.statusCode); },
+    });
+    loginRateLimit({ ip, body: { eventId } }, res, () => res.status(status).json({}));
+  });
+}
+
+test('failed logins lock out that event and IP only', async () => {
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(await attemptLogin({ status: 401 }), 401);
+  }
+  assert.strictEqual(await attemptLogin({ status: 200 }), 429);
+  assert.strictEqual(await attemptLogin({ eventId: 'other', status: 200 }), 200);
+  assert.strictEqual(await attemptLogin({ ip: '10.0.0.2', status: 200 }), 200);
+});
+
+test('successful logins do not count', async () => {
+  for (let i = 0; i < 20; i++) {
+    assert.strictEqual(await attemptLogin({ eventId: 'busy', status: 200 }), 200);
+  }
+});
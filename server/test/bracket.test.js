@@ -0,0 +1,191 @@
+// server/test/bracket.test.js
+// Built-in bracket engine - seeding and byes, losers bracket drops, the grand
+// final and its reset, single elimination, round robin and reopening results
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { NATIVE_ID_START, createBracket, reportMatch, reopenMatch, findMatch } = require('../bracket');
+
+const BASE = NATIVE_ID_START;
+const seedId = seed => BASE + seed;
+const robots = count => Array.from({ length: count }, (_, i) => `Robot ${i + 1}`);
+const players = match => [match.player1_id, match.player2_id];
+
+// Report open matches in play order until there are none left. The higher seed
+// wins unless pickWinner says otherwise. Returns the matches played, in order
+function playOut(tournament, pickWinner = match => Math.min(...players(match))) {
+  const played = [];
+  for (;;) {
+    const match = tournament.matches.find(m => m.state === 'open');
+    if (!match) return played;
+    reportMatch(tournament, match.id, { winnerId: pickWinner(match), scoresCsv: '3-0' });
+    played.push(match);
+  }
+}
+
+// How many matches each robot lost
+function lossCounts(tournament) {
+  const losses = {};
+  for (const match of tournament.matches.filter(m => m.state === 'complete')) {
+    losses[match.loser_id] = (losses[match.loser_id] || 0) + 1;
+  }
+  return losses;
+}
+
+test('an 8 robot double elimination seeds, drops losers and finishes', () => {
+  const tournament = createBracket({ name: 'Beetle Brawl', tournamentType: 'double elimination', participants: robots(8) }, BASE);
+  assert.strictEqual(tournament.url, 'native-beetle-brawl-1');
+  assert.deepStrictEqual(tournament.participants.map(p => [p.id, p.seed]).slice(0, 2), [[seedId(1), 1], [seedId(2), 2]]);
+
+  // 7 winners, 6 losers, the grand final and its reset
+  assert.strictEqual(tournament.matches.length, 15);
+  assert.deepStrictEqual(tournament.matches.map(m => m.suggested_play_order), tournament.matches.map((_, i) => i + 1));
+
+  // Top seeds meet as late as possible
+  const firstRound = tournament.matches.filter(m => m.round === 1);
+  assert.deepStrictEqual(firstRound.map(players), [[1, 8], [4, 5], [2, 7], [3, 6]].map(pair => pair.map(seedId)));
+  assert.ok(firstRound.every(m => m.state === 'open'));
+  assert.ok(tournament.matches.filter(m => m.round !== 1).every(m => m.state === 'pending'));
+
+  // The first losers round takes the losers of first round matches side by side
+  const losersFirst = tournament.matches.filter(m => m.round === -1);
+  assert.deepStrictEqual(losersFirst.map(m => [m.player1_prereq_match_id, m.player2_prereq_match_id]), [
+    [firstRound[0].id, firstRound[1].id],
+    [firstRound[2].id, firstRound[3].id],
+  ]);
+  assert.ok(losersFirst.every(m => m.player1_is_prereq_match_loser && m.player2_is_prereq_match_loser));
+
+  for (const match of firstRound) reportMatch(tournament, match.id, { winnerId: Math.min(...players(match)) });
+  assert.deepStrictEqual(losersFirst.map(players), [[8, 5], [7, 6]].map(pair => pair.map(seedId)));
+  assert.ok(losersFirst.every(m => m.state === 'open'));
+
+  // Losers of the second winners round drop in crossed over, away from who they just beat
+  const winnersSecond = tournament.matches.filter(m => m.round === 2);
+  const losersSecond = tournament.matches.filter(m => m.round === -2);
+  assert.deepStrictEqual(losersSecond.map(m => m.player2_prereq_match_id), [winnersSecond[1].id, winnersSecond[0].id]);
+  assert.ok(losersSecond.every(m => m.player2_is_prereq_match_loser && !m.player1_is_prereq_match_loser));
+
+  // The top seed wins the grand final, so the reset is never played
+  const played = playOut(tournament);
+  assert.strictEqual(played.length, 10);
+  const reset = tournament.matches.find(m => m.is_bracket_reset);
+  assert.deepStrictEqual([reset.state, reset.player1_id, reset.player2_id], ['pending', null, null]);
+  assert.strictEqual(tournament.state, 'complete');
+  assert.ok(tournament.completed_at);
+
+  // Everyone but the champion goes out on their second loss
+  const losses = lossCounts(tournament);
+  assert.strictEqual(losses[seedId(1)], undefined);
+  assert.strictEqual(losses[seedId(2)], 2);
+  assert.ok(robots(8).every((_, i) => i === 0 || losses[seedId(i + 1)] === 2));
+});
+
+test('the losers bracket champion winning the grand final forces the reset', () => {
+  const tournament = createBracket({ name: 'Reset', tournamentType: 'double elimination', participants: robots(4) }, BASE);
+  playOut(tournament, match => (match.round === 3 && !match.is_bracket_reset ? match.player2_id : Math.min(...players(match))));
+
+  const [grandFinal, reset] = tournament.matches.filter(m => m.round === 3);
+  assert.strictEqual(grandFinal.winner_id, seedId(2));
+  assert.strictEqual(reset.is_bracket_reset, true);
+  // The grand final's winner and loser play again
+  assert.deepStrictEqual(players(reset), [seedId(2), seedId(1)]);
+  assert.strictEqual(reset.winner_id, seedId(1));
+  assert.strictEqual(tournament.state, 'complete');
+});
+
+test('without a reset the grand final is a single match', () => {
+  const tournament = createBracket({ name: 'One Final', tournamentType: 'double elimination', participants: robots(4), bracketReset: false }, BASE);
+  assert.strictEqual(tournament.grand_finals_modifier, 'single_match');
+  assert.ok(!tournament.matches.some(m => m.is_bracket_reset));
+  assert.strictEqual(tournament.matches.length, 6);
+  playOut(tournament, match => (match.round === 3 ? match.player2_id : Math.min(...players(match))));
+  assert.strictEqual(tournament.state, 'complete');
+});
+
+test('a 6 robot double elimination gives the top seeds byes', () => {
+  const tournament = createBracket({ name: 'Six', tournamentType: 'double elimination', participants: robots(6) }, BASE);
+
+  // Every robot but the champion loses twice: 5 winners, 4 losers, the grand final and reset
+  assert.strictEqual(tournament.matches.length, 11);
+  const firstRound = tournament.matches.filter(m => m.round === 1);
+  assert.deepStrictEqual(firstRound.map(players), [[4, 5], [3, 6]].map(pair => pair.map(seedId)));
+
+  // Seeds 1 and 2 go straight to the second round, where the first round winners join them
+  const winnersSecond = tournament.matches.filter(m => m.round === 2);
+  assert.deepStrictEqual(winnersSecond.map(m => m.player1_id), [seedId(1), seedId(2)]);
+  assert.deepStrictEqual(winnersSecond.map(m => m.player2_prereq_match_id), firstRound.map(m => m.id));
+
+  // With the byes gone there's no first losers round - its losers meet the second round's
+  assert.ok(!tournament.matches.some(m => m.round === -1));
+  const losersSecond = tournament.matches.filter(m => m.round === -2);
+  assert.strictEqual(losersSecond.length, 2);
+  assert.ok(losersSecond.every(m => m.player1_is_prereq_match_loser && m.player2_is_prereq_match_loser));
+
+  const played = playOut(tournament);
+  assert.strictEqual(played.length, 10);
+  assert.strictEqual(tournament.state, 'complete');
+  const losses = lossCounts(tournament);
+  assert.ok(robots(6).every((_, i) => i === 0 || losses[seedId(i + 1)] === 2));
+});
+
+test('single elimination plays every robot out once', () => {
+  const tournament = createBracket({ name: 'Single', tournamentType: 'single elimination', participants: robots(5) }, BASE);
+  assert.strictEqual(tournament.matches.length, 4);
+  // Only seeds 4 and 5 play in the first round - 2 and 3 meet straight away in the second
+  assert.deepStrictEqual(tournament.matches.filter(m => m.state === 'open').map(players), [[4, 5], [2, 3]].map(pair => pair.map(seedId)));
+  assert.strictEqual(tournament.grand_finals_modifier, null);
+
+  const played = playOut(tournament);
+  assert.strictEqual(played.length, 4);
+  assert.strictEqual(played[played.length - 1].winner_id, seedId(1));
+  assert.strictEqual(tournament.state, 'complete');
+});
+
+test('round robin pairs every robot with every other once', () => {
+  const tournament = createBracket({ name: 'Robin', tournamentType: 'round robin', participants: robots(5) }, BASE);
+  assert.strictEqual(tournament.matches.length, 10);
+  assert.ok(tournament.matches.every(m => m.state === 'open'));
+
+  const pairs = new Set(tournament.matches.map(m => players(m).sort().join('-')));
+  assert.strictEqual(pairs.size, 10);
+  for (let round = 1; round <= 5; round++) {
+    const fighting = tournament.matches.filter(m => m.round === round).flatMap(players);
+    assert.strictEqual(new Set(fighting).size, fighting.length);
+  }
+
+  playOut(tournament);
+  assert.strictEqual(tournament.state, 'complete');
+});
+
+test('results are checked, and reopening clears everything that followed', () => {
+  const tournament = createBracket({ name: 'Reopen', tournamentType: 'double elimination', participants: robots(4) }, BASE);
+  const [first, second] = tournament.matches.filter(m => m.round === 1);
+  const winnersFinal = tournament.matches.find(m => m.round === 2);
+  const losersFirst = tournament.matches.find(m => m.round === -1);
+
+  assert.throws(() => reportMatch(tournament, winnersFinal.id, { winnerId: seedId(1) }), { status: 422 });
+  assert.throws(() => reportMatch(tournament, first.id, { winnerId: seedId(2) }), { status: 422 });
+  assert.throws(() => reopenMatch(tournament, first.id), { status: 422 });
+  assert.throws(() => findMatch(tournament, 1), { status: 404 });
+
+  reportMatch(tournament, first.id, { winnerId: seedId(1), scoresCsv: '3-1' });
+  reportMatch(tournament, second.id, { winnerId: seedId(2) });
+  reportMatch(tournament, losersFirst.id, { winnerId: seedId(3) });
+  assert.throws(() => reportMatch(tournament, first.id, { winnerId: seedId(4) }), { status: 422 });
+  // Reporting the same winner again only updates the score
+  reportMatch(tournament, first.id, { winnerId: seedId(1), scoresCsv: '3-2' });
+  assert.strictEqual(first.scores_csv, '3-2');
+
+  reopenMatch(tournament, first.id);
+  assert.deepStrictEqual([first.state, first.winner_id, first.scores_csv], ['open', null, '']);
+  assert.deepStrictEqual([winnersFinal.state, ...players(winnersFinal)], ['pending', null, seedId(2)]);
+  assert.deepStrictEqual([losersFirst.state, losersFirst.winner_id, ...players(losersFirst)], ['pending', null, null, seedId(3)]);
+  assert.strictEqual(second.state, 'complete');
+
+  // Reopening the grand final of a finished bracket puts it back underway
+  playOut(tournament);
+  assert.strictEqual(tournament.state, 'complete');
+  const grandFinal = tournament.matches.find(m => m.round === 3 && !m.is_bracket_reset);
+  reopenMatch(tournament, grandFinal.id);
+  assert.deepStrictEqual([tournament.state, tournament.completed_at, grandFinal.state], ['underway', null, 'open']);
+});
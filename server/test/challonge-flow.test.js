@@ -0,0 +1,89 @@
+// server/test/challonge-flow.test.js
+// Full judging flow against the mock Challonge: three judges submit their cards,
+// the match finalizes and the result is reported to the bracket
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const { reportMatch } = require('../bracket');
+
+const TOURNAMENT = 'flow-cup';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+  server.mock.createTournament({ url: TOURNAMENT, name: 'Flow Cup', participants: ['Sawblaze', 'Tombstone', 'Minotaur', 'Bite Force'] });
+});
+
+after(() => server.close());
+
+test('judges score a match, it finalizes and the result reaches Challonge', async () => {
+  const { api, mock } = server;
+  const { judgeTokens } = await server.createEventWithJudges('flow-event', { tournaments: [TOURNAMENT] });
+
+  // Seed 1 meets seed 4 in the first match
+  const { matches } = (await api(`/api/tournaments/${TOURNAMENT}`)).body;
+  const first = matches.find(m => m.matchNum === 1);
+  assert.strictEqual(first.status, 'active');
+  assert.deepStrictEqual([first.competitorA, first.competitorB], ['Sawblaze', 'Bite Force']);
+
+  const card = {
+    tournamentId: TOURNAMENT,
+    competitorAId: first.competitorAId,
+    competitorBId: first.competitorBId,
+    isKO: false,
+    scores: { aggression: 2, damage: 4, control: 2 },
+  };
+
+  let submission;
+  for (const token of Object.values(judgeTokens)) {
+    submission = await api(`/api/matches/${first.id}/scores`, { method: 'POST', token, body: card });
+    assert.strictEqual(submission.status, 200, JSON.stringify(submission.body));
+  }
+  assert.strictEqual(submission.body.finalized, true);
+  assert.strictEqual(submission.body.result.winnerId, first.competitorAId);
+
+  const delivered = await server.waitForDelivery(first.id);
+  assert.strictEqual(delivered.steps.challonge.status, 'done');
+  assert.strictEqual(delivered.steps.attachment.status, 'done');
+
+  // The bracket has the result, the judges' breakdown and the winner moved on
+  const tournament = mock.getTournament(TOURNAMENT);
+  const reported = tournament.matches.find(m => m.id === first.id);
+  const { scoreA, scoreB } = submission.body.result;
+  assert.strictEqual(reported.state, 'complete');
+  assert.strictEqual(reported.winner_id, first.competitorAId);
+  assert.strictEqual(reported.scores_csv, `${scoreA}-${scoreB}`);
+  assert.strictEqual(JSON.parse(reported.attachments[0].description).type, 'judge_scores');
+
+  const next = tournament.matches.filter(m => m.player1_prereq_match_id === first.id || m.player2_prereq_match_id === first.id);
+  assert.strictEqual(next.length, 2);
+  for (const match of next) {
+    const slot = match.player1_prereq_match_id === first.id ? 'player1' : 'player2';
+    const expected = match[`${slot}_is_prereq_match_loser`] ? first.competitorBId : first.competitorAId;
+    assert.strictEqual(match[`${slot}_id`], expected);
+  }
+});
+
+test('tournament reads with match state are never cached', async () => {
+  const { api, mock } = server;
+  const url = 'fresh-cup';
+  const tournament = mock.createTournament({ url, participants: ['Sawblaze', 'Tombstone', 'Minotaur', 'Bite Force'] });
+  const matchReads = () => mock.requests.filter(r => r.path === `/tournaments/${url}.json`).length;
+
+  const { matches } = (await api(`/api/tournaments/${url}`)).body;
+  const first = matches.find(m => m.matchNum === 1);
+  assert.strictEqual(first.status, 'active');
+
+  // A result entered straight into Challonge shows on the next read
+  reportMatch(tournament, first.id, { winnerId: first.competitorAId, scoresCsv: '3-0' });
+  const reread = (await api(`/api/tournaments/${url}`)).body.matches.find(m => m.id === first.id);
+  assert.strictEqual(reread.status, 'completed');
+  assert.strictEqual(matchReads(), 2);
+});
+
+test('the mock rejects requests without the API key', async () => {
+  const response = await fetch(`${server.mock.url}/tournaments/${TOURNAMENT}.json`);
+  assert.strictEqual(response.status, 401);
+});
@@ -0,0 +1,207 @@
+// server/test/helpers.js
+// Starts the server for integration tests, with the mock Challonge and a
+// Discord webhook stand-in in place of the real services. Storage is in memory,
+// SQLite when a sqlitePath is given, or Postgres when a databaseUrl is given -
+// that database is wiped first, so only ever point it at a throwaway one
+
+const express = require('express');
+const { Pool } = require('pg');
+const assert = require('node:assert');
+const { startMockChallonge } = require('../mock-challonge');
+const { loadMigrations } = require('../storage/migrations');
+
+const API_KEY = 'test-key';
+const ADMIN_PASSWORD = 'admin-pw';
+const JUDGE_IDS = ['judge_1', 'judge_2', 'judge_3'];
+
+// Records every webhook post
+function startDiscordStandIn() {
+  const posts = [];
+  const discord = { posts };
+  const app = express();
+  app.use(express.json());
+  app.post('/webhooks/:id/:token', (req, res) => {
+    posts.push({ webhook: req.params.id, body: req.body });
+    res.status(204).end();
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      const base = `http://localhost:${server.address().port}/webhooks`;
+      resolve(Object.assign(discord, {
+        webhookUrl: (id = 'test') => `${base}/${id}/token`,
+        close: () => new Promise(done => server.close(done)),
+      }));
+    });
+  });
+}
+
+async function resetDatabase(databaseUrl) {
+  const pool = new Pool({ connectionString: databaseUrl });
+  try {
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+  } finally {
+    await pool.end();
+  }
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const giveUpAt = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > giveUpAt) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+// Migrate a storage all the way up, down and up again, checking it works after
+// each step. Closes the storage
+async function migrationRoundTrip(storage) {
+  const latest = loadMigrations().pop().version;
+  try {
+    await storage.init();
+    assert.strictEqual(await storage.getSchemaVersion(), latest);
+    await storage.saveEvent({
+      eventId: 'migrated',
+      name: 'Migrated',
+      tournaments: [{ tournamentId: 'beetle-cup' }, { tournamentId: '12345', idType: 'id', weightClass: 'Beetle' }],
+    });
+
+    // 002 folds event_tournaments back into a list of ids, and back out again
+    await storage.rollback({ to: 1 });
+    await storage.migrate();
+    assert.deepStrictEqual((await storage.getEvent('migrated')).tournaments, [
+      { tournamentId: 'beetle-cup', idType: 'slug', displayName: null, weightClass: null, arena: null },
+      { tournamentId: '12345', idType: 'id', displayName: null, weightClass: null, arena: null },
+    ]);
+
+    // 007 turns the arenas tournaments name into the event's arenas, keeping the
+    // newest active match in each
+    await storage.saveEvent({
+      eventId: 'arenas',
+      name: 'Arenas',
+      tournaments: [{ tournamentId: 'ant', arena: 'Cage' }, { tournamentId: 'beetle', arena: 'Box' }, { tournamentId: 'hobby', arena: 'Cage' }],
+    });
+    await storage.rollback({ to: 6 });
+    await storage.migrate();
+    assert.deepStrictEqual((await storage.getEvent('arenas')).arenas, [{ arenaId: 'Cage', name: 'Cage' }, { arenaId: 'Box', name: 'Box' }]);
+    await storage.setActiveMatch('arenas', 'Cage', { tournamentId: 'ant', matchId: 4 });
+    await storage.setActiveMatch('arenas', 'Box', { tournamentId: 'beetle', matchId: 7 });
+    await storage.rollback({ to: 6 });
+    await storage.migrate();
+    const active = await storage.getActiveMatches('arenas');
+    assert.deepStrictEqual(Object.keys(active).sort(), ['Box', 'Cage']);
+    assert.deepStrictEqual([active.Box.tournamentId, active.Box.matchId], ['beetle', '7']);
+
+    // 008 drops PINs left behind by deleted events, and then deleting an event
+    // deletes its PINs
+    await storage.saveEvent({ eventId: 'pinned', name: 'Pinned', tournaments: [] });
+    await storage.rollback({ to: 7 });
+    await storage.saveJudgePin('pinned', { judgeId: 'judge_1', pinHash: 'salt:hash' });
+    await storage.saveJudgePin('deleted', { judgeId: 'judge_1', pinHash: 'salt:hash' });
+    await storage.migrate();
+    assert.deepStrictEqual((await storage.getJudgePins('pinned')).map(p => p.judgeId), ['judge_1']);
+    assert.deepStrictEqual(await storage.getJudgePins('deleted'), []);
+    await storage.deleteEvent('pinned');
+    assert.deepStrictEqual(await storage.getJudgePins('pinned'), []);
+
+    // An outbox entry is due when its next attempt time has passed, whatever the
+    // database's time zone
+    const entry = await storage.createOutboxEntry({ matchId: 1, tournamentId: 'beetle-cup', payload: {}, steps: {} });
+    const isDue = async () => (await storage.getOutboxEntries({ dueOnly: true })).some(e => e.id === entry.id);
+    assert.ok(await isDue());
+    await storage.saveOutboxEntry({ ...entry, nextAttemptAt: new Date(Date.now() + 60 * 1000).toISOString() });
+    assert.ok(!(await isDue()));
+    await storage.saveOutboxEntry({ ...entry, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+    assert.ok(await isDue());
+
+    await storage.rollback({ to: 0 });
+    assert.strictEqual(await storage.getSchemaVersion(), 0);
+
+    await storage.migrate();
+    assert.strictEqual(await storage.getSchemaVersion(), latest);
+    assert.strictEqual(await storage.getEvent('migrated'), null);
+    assert.ok((await storage.getMigrations()).every(m => m.appliedAt));
+  } finally {
+    await storage.close();
+  }
+}
+
+// The server only reads its config when it's loaded, so this can run once per test file
+async function startTestServer({ databaseUrl = '', sqlitePath = '' } = {}) {
+  const mock = await startMockChallonge({ apiKey: API_KEY });
+  const discord = await startDiscordStandIn();
+  if (databaseUrl) await resetDatabase(databaseUrl);
+
+  Object.assign(process.env, {
+    CHALLONGE_BASE_URL: mock.url,
+    CHALLONGE_API_KEY: API_KEY,
+    CHALLONGE_MIN_INTERVAL_MS: '1',
+    ADMIN_PASSWORD,
+    DATABASE_URL: databaseUrl,
+    SQLITE_PATH: sqlitePath,
+  });
+  const app = require('../index');
+  await app.locals.databaseReady;
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  // Call the API, resolves to { status, body }
+  async function api(path, { method = 'GET', token, body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  const admin = await api('/api/auth/admin', { method: 'POST', body: { password: ADMIN_PASSWORD } });
+  const adminToken = admin.body.token;
+
+  // Save an event with the default three judges and log each of them in
+  // Resolves to { eventId, judgeTokens: { [judgeId]: token } }
+  async function createEventWithJudges(eventId, event = {}) {
+    const saved = await api('/api/events', {
+      method: 'POST',
+      token: adminToken,
+      body: { eventId, name: eventId, tournaments: [], ...event },
+    });
+    if (saved.status !== 200) throw new Error(`Could not save event: ${JSON.stringify(saved.body)}`);
+
+    const judgeTokens = {};
+    for (const judgeId of JUDGE_IDS) {
+      const pin = await api(`/api/events/${eventId}/judge-pins`, { method: 'POST', token: adminToken, body: { judgeId } });
+      const login = await api('/api/auth/judge', { method: 'POST', body: { eventId, pin: pin.body.pin } });
+      judgeTokens[judgeId] = login.body.token;
+    }
+    return { eventId, judgeTokens };
+  }
+
+  // Resolves once a match's result has been fully delivered
+  function waitForDelivery(matchId) {
+    return waitFor(async () => {
+      const outbox = await api('/api/outbox', { token: adminToken });
+      return outbox.body.find(entry => String(entry.matchId) === String(matchId) && entry.status === 'delivered');
+    });
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    await discord.close();
+    await app.locals.storage.close();
+  }
+
+  return { app, baseUrl, api, adminToken, mock, discord, createEventWithJudges, waitForDelivery, close };
+}
+
+module.exports = { JUDGE_IDS, startTestServer, startDiscordStandIn, waitFor, migrationRoundTrip };
@@ -0,0 +1,104 @@
+// server/test/migrations.test.js
+// The migration runner, and the real migrations up and down on SQLite - the
+// Postgres round trip is in api-postgres.test.js so only one file uses that database
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { createMigrator, loadMigrations } = require('../storage/migrations');
+const { createStorage } = require('../storage');
+const { migrationRoundTrip } = require('./helpers');
+
+// Records what the runner asks of a database
+function recordingAdapter({ failOn } = {}) {
+  const applied = [];
+  const ran = [];
+  return {
+    dialect: 'sqlite',
+    applied,
+    ran,
+    async ensureMigrationsTable() {},
+    async appliedMigrations() {
+      return applied.map(version => ({ version, name: `v${version}`, appliedAt: 'then' }));
+    },
+    async applyMigration({ version }, sql, direction) {
+      if (sql === failOn) throw new Error('boom');
+      ran.push(sql);
+      if (direction === 'up') applied.push(version);
+      else applied.splice(applied.indexOf(version), 1);
+    },
+  };
+}
+
+const MIGRATIONS = [1, 2, 3].map(version => ({
+  version,
+  name: `00${version}-step`,
+  sqlite: { up: `up ${version}`, down: `down ${version}` },
+}));
+
+describe('migration runner', () => {
+  test('applies pending migrations in order, up to a target', async () => {
+    const adapter = recordingAdapter();
+    const migrator = createMigrator(adapter, MIGRATIONS);
+    assert.deepStrictEqual((await migrator.migrate({ to: 2 })).map(m => m.version), [1, 2]);
+    assert.strictEqual(await migrator.getSchemaVersion(), 2);
+    await migrator.migrate();
+    assert.deepStrictEqual(adapter.ran, ['up 1', 'up 2', 'up 3']);
+    assert.deepStrictEqual(await migrator.migrate(), []);
+  });
+
+  test('rolls back the newest migration, or down to a target', async () => {
+    const adapter = recordingAdapter();
+    const migrator = createMigrator(adapter, MIGRATIONS);
+    await migrator.migrate();
+    await migrator.rollback();
+    assert.strictEqual(await migrator.getSchemaVersion(), 2);
+    await migrator.rollback({ to: 0 });
+    assert.deepStrictEqual(adapter.ran.slice(3), ['down 3', 'down 2', 'down 1']);
+    assert.strictEqual(await migrator.getSchemaVersion(), 0);
+  });
+
+  test('stops at a failed migration', async () => {
+    const adapter = recordingAdapter({ failOn: 'up 2' });
+    const migrator = createMigrator(adapter, MIGRATIONS);
+    await assert.rejects(migrator.migrate(), /boom/);
+    assert.strictEqual(await migrator.getSchemaVersion(), 1);
+  });
+
+  test('refuses a database newer than the migrations it knows', async () => {
+    const adapter = recordingAdapter();
+    adapter.applied.push(1, 2, 3, 4);
+    const migrator = createMigrator(adapter, MIGRATIONS);
+    await assert.rejects(migrator.migrate(), /version 4/);
+    const listed = await migrator.getMigrations();
+    assert.deepStrictEqual(listed.map(m => m.version), [1, 2, 3, 4]);
+    await assert.rejects(migrator.rollback(), /no migration file/);
+  });
+
+  test('every migration file has SQL for both databases in both directions', () => {
+    for (const migration of loadMigrations()) {
+      for (const dialect of ['postgres', 'sqlite']) {
+        assert.strictEqual(typeof migration[dialect]?.up, 'string', `${migration.name} ${dialect} up`);
+        assert.strictEqual(typeof migration[dialect]?.down, 'string', `${migration.name} ${dialect} down`);
+      }
+    }
+  });
+});
+
+let sqliteInstalled = true;
+try {
+  require.resolve('better-sqlite3');
+} catch {
+  sqliteInstalled = false;
+}
+
+test('SQLite migrates up and down', { skip: !sqliteInstalled && 'better-sqlite3 is not installed' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scar-migrate-'));
+  try {
+    await migrationRoundTrip(createStorage({ sqlitePath: path.join(dir, 'scar.db') }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
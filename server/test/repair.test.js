@@ -0,0 +1,146 @@
+// server/test/repair.test.js
+// calculateRepairStatus - how fight ends, manual resets and check-ins combine - and how an
+// event's repair time settings pick the time for a fight
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { REPAIR_TIME_MS, validateRepairTimes, isFinalsMatch, resolveRepairTimeMs, calculateRepairStatus } = require('../repair');
+
+const NOW = Date.parse('2026-06-01T12:00:00.000Z');
+const minutesAgo = minutes => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+test('the clock runs from the last fight', () => {
+  const { Sawblaze } = calculateRepairStatus({ fightEnds: { Sawblaze: { endedAt: minutesAgo(5) } }, now: NOW });
+  assert.strictEqual(Sawblaze.lastFightAt, minutesAgo(5));
+  assert.strictEqual(Sawblaze.remainingMs, REPAIR_TIME_MS - 5 * 60 * 1000);
+  assert.strictEqual(Sawblaze.ready, false);
+});
+
+test('a robot is ready once the repair time is up', () => {
+  const { Sawblaze } = calculateRepairStatus({ fightEnds: { Sawblaze: { endedAt: minutesAgo(25) } }, now: NOW });
+  assert.strictEqual(Sawblaze.remainingMs, 0);
+  assert.strictEqual(Sawblaze.ready, true);
+});
+
+test('a later manual reset restarts the clock, matching names whatever their case', () => {
+  const { Tombstone, ...rest } = calculateRepairStatus({
+    fightEnds: { Tombstone: { endedAt: minutesAgo(15) } },
+    resets: { tombstone: minutesAgo(2) },
+    now: NOW,
+  });
+  assert.deepStrictEqual(rest, {});
+  assert.strictEqual(Tombstone.startedAt, minutesAgo(2));
+  assert.strictEqual(Tombstone.remainingMs, REPAIR_TIME_MS - 2 * 60 * 1000);
+});
+
+test('an older reset does not shorten the clock', () => {
+  const { Minotaur } = calculateRepairStatus({
+    fightEnds: { Minotaur: { endedAt: minutesAgo(3) } },
+    resets: { Minotaur: minutesAgo(10) },
+    now: NOW,
+  });
+  assert.strictEqual(Minotaur.startedAt, minutesAgo(3));
+});
+
+test('the repair time can be changed', () => {
+  const { Minotaur } = calculateRepairStatus({
+    resets: { Minotaur: minutesAgo(3) },
+    now: NOW,
+    repairTimeMs: 10 * 60 * 1000,
+  });
+  assert.strictEqual(Minotaur.lastFightAt, null);
+  assert.strictEqual(Minotaur.remainingMs, 7 * 60 * 1000);
+});
+
+test('each robot can have its own repair time', () => {
+  const robots = calculateRepairStatus({
+    fightEnds: { Sawblaze: { endedAt: minutesAgo(5), tournamentId: 'ants' }, Tombstone: { endedAt: minutesAgo(5), tournamentId: 'heavies' } },
+    now: NOW,
+    repairTimeMs: (name, tournamentId) => (tournamentId === 'ants' ? 10 : 30) * 60 * 1000,
+  });
+  assert.strictEqual(robots.Sawblaze.remainingMs, 5 * 60 * 1000);
+  assert.strictEqual(robots.Tombstone.repairTimeMs, 30 * 60 * 1000);
+});
+
+const MINUTE = 60 * 1000;
+const SETTINGS = {
+  defaultMinutes: 15,
+  weightClasses: { '150g': 10, '12lb': 30 },
+  tournaments: { 'plastic-ants': 8 },
+  rounds: [
+    { stage: 'finals', minutes: 40 },
+    { stage: 'finals', tournamentId: 'twelves', minutes: 45 },
+    { stage: 'losers', round: 3, minutes: 25 },
+  ],
+};
+
+test('a ready check-in waives the rest of the repair time', () => {
+  const { Sawblaze } = calculateRepairStatus({
+    fightEnds: { Sawblaze: { endedAt: minutesAgo(5) } },
+    checkIns: { sawblaze: { status: 'ready', setAt: minutesAgo(1), setByName: 'Pit Boss' } },
+    now: NOW,
+  });
+  assert.strictEqual(Sawblaze.readyAt, minutesAgo(1));
+  assert.strictEqual(Sawblaze.ready, true);
+  assert.strictEqual(Sawblaze.waived, true);
+  assert.deepStrictEqual(Sawblaze.checkIn, { status: 'ready', setAt: minutesAgo(1), setByName: 'Pit Boss' });
+});
+
+test('a full-time check-in keeps the clock, and one from before the last fight is ignored', () => {
+  const { Tombstone, Minotaur } = calculateRepairStatus({
+    fightEnds: { Tombstone: { endedAt: minutesAgo(5) }, Minotaur: { endedAt: minutesAgo(5) } },
+    checkIns: {
+      Tombstone: { status: 'full-time', setAt: minutesAgo(4) },
+      Minotaur: { status: 'ready', setAt: minutesAgo(30) },
+    },
+    now: NOW,
+  });
+  assert.strictEqual(Tombstone.remainingMs, REPAIR_TIME_MS - 5 * 60 * 1000);
+  assert.strictEqual(Tombstone.waived, false);
+  assert.strictEqual(Tombstone.checkIn.status, 'full-time');
+  assert.strictEqual(Minotaur.ready, false);
+  assert.strictEqual(Minotaur.checkIn, null);
+});
+
+test('a robot without a timer still shows its check-in', () => {
+  const { Minotaur } = calculateRepairStatus({ checkIns: { Minotaur: { status: 'full-time', setAt: minutesAgo(1) } }, now: NOW });
+  assert.strictEqual(Minotaur.startedAt, null);
+  assert.strictEqual(Minotaur.ready, true);
+  assert.strictEqual(Minotaur.checkIn.status, 'full-time');
+});
+
+test('repair times fall back from round to tournament to weight class to the event', () => {
+  const winners1 = { bracket: 'winners', round: 1 };
+  assert.strictEqual(resolveRepairTimeMs(null), REPAIR_TIME_MS);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'beetles', match: winners1 }), 15 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'fairies', weightClass: '150g' }), 10 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'plastic-ants', weightClass: '150g' }), 8 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'twelves', weightClass: '12lb', match: winners1 }), 30 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'twelves', weightClass: '12lb', isFinals: true }), 45 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'plastic-ants', isFinals: true }), 40 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'beetles', match: { bracket: 'losers', round: 3 } }), 25 * MINUTE);
+  assert.strictEqual(resolveRepairTimeMs(SETTINGS, { tournamentId: 'beetles', match: { bracket: 'winners', round: 3 } }), 15 * MINUTE);
+});
+
+test('repair time settings are checked', () => {
+  assert.strictEqual(validateRepairTimes(SETTINGS), null);
+  assert.strictEqual(validateRepairTimes({}), null);
+  assert.ok(validateRepairTimes([]));
+  assert.ok(validateRepairTimes({ defaultMinutes: -5 }));
+  assert.ok(validateRepairTimes({ tournaments: { 'plastic-ants': 0 } }));
+  assert.ok(validateRepairTimes({ rounds: [{ stage: 'semis', minutes: 20 }] }));
+  assert.ok(validateRepairTimes({ rounds: [{ stage: 'losers', round: 0, minutes: 20 }] }));
+  // Settings that don't pass are ignored rather than half applied
+  assert.strictEqual(resolveRepairTimeMs({ defaultMinutes: 'ten' }), REPAIR_TIME_MS);
+});
+
+test('the final is the last winners round, and the bracket reset after it', () => {
+  const matches = [
+    { bracket: 'winners', round: 1 },
+    { bracket: 'winners', round: 2 },
+    { bracket: 'losers', round: 2 },
+    { bracket: 'winners', round: 3 },
+    { bracket: 'winners', round: 3, isBracketReset: true },
+  ];
+  assert.deepStrictEqual(matches.map(m => isFinalsMatch(m, matches)), [false, false, false, true, true]);
+});
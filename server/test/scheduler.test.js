@@ -0,0 +1,107 @@
+// server/test/scheduler.test.js
+// proposeSchedule - how repair times, teams, weight class changes, bracket
+// progress and locked queue entries shape the proposed fight order
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateScheduling, resolveScheduling, proposeSchedule } = require('../scheduler');
+
+const NOW = Date.parse('2026-06-01T12:00:00.000Z');
+const minutesFromNow = minutes => new Date(NOW + minutes * 60 * 1000).toISOString();
+
+let matchCount = 0;
+const fight = (tournamentId, competitorA, competitorB, extra = {}) => ({
+  tournamentId,
+  matchId: String(++matchCount),
+  matchNum: matchCount,
+  round: 1,
+  bracket: 'winners',
+  weightClass: tournamentId,
+  competitorA,
+  competitorB,
+  ...extra,
+});
+const order = schedule => schedule.map(f => `${f.competitorA} v ${f.competitorB}`);
+
+test('settings are checked and fall back to the defaults', () => {
+  assert.strictEqual(validateScheduling({ fightMinutes: 4, changeoverMinutes: 0, proposalSize: 10, teams: { Sawblaze: 'Team Whyachi' } }), null);
+  assert.match(validateScheduling([]), /must be an object/);
+  assert.match(validateScheduling({ fightMinutes: 0 }), /fightMinutes/);
+  assert.match(validateScheduling({ changeoverMinutes: -1 }), /changeoverMinutes/);
+  assert.match(validateScheduling({ proposalSize: 2.5 }), /proposalSize/);
+  assert.match(validateScheduling({ teams: { Sawblaze: 3 } }), /Sawblaze/);
+  assert.deepStrictEqual(resolveScheduling({ fightMinutes: 'x' }), { fightMinutes: 5, changeoverMinutes: 0, proposalSize: 8, teams: {} });
+});
+
+test('a fight waiting on repairs goes after one that can start now', () => {
+  const schedule = proposeSchedule({
+    fights: [fight('beetle', 'Sawblaze', 'Tombstone'), fight('beetle', 'Minotaur', 'Bite Force')],
+    readyAt: { sawblaze: minutesFromNow(12) },
+    now: NOW,
+  });
+  assert.deepStrictEqual(order(schedule), ['Minotaur v Bite Force', 'Sawblaze v Tombstone']);
+  assert.strictEqual(schedule[0].startAt, minutesFromNow(0));
+  assert.strictEqual(schedule[1].startAt, minutesFromNow(12));
+  assert.deepStrictEqual(schedule[1].notes, ['Waits 7 min for Sawblaze to finish repairs']);
+});
+
+test('a robot in two weight classes gets its repair time between them', () => {
+  const schedule = proposeSchedule({
+    fights: [fight('beetle', 'Sawblaze', 'Tombstone'), fight('ant', 'Sawblaze', 'Minotaur')],
+    repairTimeMs: () => 10 * 60 * 1000,
+    now: NOW,
+  });
+  assert.strictEqual(schedule[1].startAt, minutesFromNow(15));
+  assert.strictEqual(schedule[1].waitMs, 10 * 60 * 1000);
+});
+
+test('a team is kept out of the arena twice in a row', () => {
+  const schedule = proposeSchedule({
+    fights: [fight('beetle', 'Sawblaze', 'Tombstone'), fight('beetle', 'Whiplash', 'Minotaur'), fight('beetle', 'Witch Doctor', 'Bite Force')],
+    previous: { weightClass: 'beetle', robots: ['Hypershock', 'Lock-Jaw'] },
+    settings: { teams: { sawblaze: 'Whyachi', hypershock: 'whyachi ' } },
+    now: NOW,
+  });
+  assert.deepStrictEqual(order(schedule), ['Whiplash v Minotaur', 'Sawblaze v Tombstone', 'Witch Doctor v Bite Force']);
+});
+
+test('changing weight class costs the arena reset', () => {
+  const schedule = proposeSchedule({
+    fights: [fight('ant', 'Sawblaze', 'Tombstone'), fight('beetle', 'Minotaur', 'Bite Force')],
+    previous: { weightClass: 'beetle', robots: ['Hypershock', 'Lock-Jaw'] },
+    progress: { ant: { completed: 0, total: 4 }, beetle: { completed: 0, total: 4 } },
+    settings: { changeoverMinutes: 10 },
+    now: NOW,
+  });
+  assert.deepStrictEqual(order(schedule), ['Minotaur v Bite Force', 'Sawblaze v Tombstone']);
+  assert.strictEqual(schedule[1].startAt, minutesFromNow(15));
+  assert.deepStrictEqual(schedule[1].notes, ['Arena reset after beetle']);
+});
+
+test('weight classes alternate to keep the brackets level', () => {
+  const schedule = proposeSchedule({
+    fights: [
+      fight('ant', 'A1', 'A2'), fight('ant', 'A3', 'A4'),
+      fight('beetle', 'B1', 'B2'), fight('beetle', 'B3', 'B4'),
+    ],
+    progress: { ant: { completed: 0, total: 4 }, beetle: { completed: 0, total: 4 } },
+    now: NOW,
+  });
+  assert.deepStrictEqual(schedule.map(f => f.weightClass), ['ant', 'beetle', 'ant', 'beetle']);
+});
+
+test('locked fights keep their place and the proposal stops at its size', () => {
+  const fights = [fight('beetle', 'Sawblaze', 'Tombstone'), fight('beetle', 'Minotaur', 'Bite Force'), fight('beetle', 'Witch Doctor', 'Whiplash')];
+  const schedule = proposeSchedule({
+    fights,
+    locked: [
+      { tournamentId: 'beetle', matchId: fights[2].matchId, position: 0 },
+      { tournamentId: 'beetle', matchId: 'finished', position: 1 },
+    ],
+    now: NOW,
+    size: 2,
+  });
+  assert.deepStrictEqual(order(schedule), ['Witch Doctor v Whiplash', 'Sawblaze v Tombstone']);
+  assert.deepStrictEqual(schedule.map(f => f.locked), [true, false]);
+  assert.deepStrictEqual(schedule.map(f => f.position), [0, 1]);
+});
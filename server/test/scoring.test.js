@@ -0,0 +1,95 @@
+// server/test/scoring.test.js
+// calculateMatchResult edge cases
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SCORING_CRITERIA, calculateMatchResult } = require('../scoring');
+
+const A = 101;
+const B = 202;
+const PANEL = ['judge_1', 'judge_2', 'judge_3'];
+
+const points = (aggression, damage, control, winMethod) => ({ isKO: false, scores: { aggression, damage, control }, winMethod });
+const ko = (koWinnerId, winMethod = 'ko') => ({ isKO: true, koWinnerId, winMethod });
+
+function result(judges, panel = PANEL, criteria = DEFAULT_SCORING_CRITERIA) {
+  return calculateMatchResult({ competitorAId: A, competitorBId: B, judges }, panel, criteria);
+}
+
+test('points decision adds up every card', () => {
+  const r = result({ judge_1: points(2, 4, 2), judge_2: points(1, 3, 2), judge_3: points(3, 5, 3) });
+  assert.deepStrictEqual([r.winnerId, r.winMethod, r.scoreA, r.scoreB, r.tieBreak], [A, 'points', 25, 8, null]);
+  assert.deepStrictEqual(r.judgeTotals.judge_2, { a: 6, b: 5 });
+});
+
+test('a KO from a majority of the panel wins with every point', () => {
+  const r = result({ judge_1: ko(B), judge_2: ko(B), judge_3: points(3, 5, 3) });
+  assert.deepStrictEqual([r.winnerId, r.winMethod, r.koVotes, r.scoreA, r.scoreB], [B, 'ko', 2, 0, 33]);
+});
+
+test('a KO from a minority is scored as a full card for its winner', () => {
+  const r = result({ judge_1: ko(B), judge_2: points(2, 3, 2), judge_3: points(2, 3, 2) });
+  assert.strictEqual(r.winMethod, 'points');
+  assert.deepStrictEqual(r.judgeTotals.judge_1, { a: 0, b: 11 });
+  assert.deepStrictEqual([r.winnerId, r.scoreA, r.scoreB], [B, 14, 19]);
+});
+
+test('a split KO falls back to the cards', () => {
+  const r = result({ judge_1: ko(A), judge_2: ko(B), judge_3: points(2, 3, 2) });
+  assert.strictEqual(r.koVotes, undefined);
+  assert.deepStrictEqual([r.winnerId, r.winMethod, r.scoreA, r.scoreB], [A, 'points', 18, 15]);
+});
+
+test('a KO is a TKO when most of the judges calling it say so', () => {
+  const tko = result({ judge_1: ko(A, 'tko'), judge_2: ko(A, 'tko'), judge_3: ko(A) });
+  assert.strictEqual(tko.winMethod, 'tko');
+  assert.deepStrictEqual([tko.scoreA, tko.scoreB], [33, 0]);
+
+  const split = result({ judge_1: ko(A, 'tko'), judge_2: ko(A), judge_3: points(3, 5, 3) });
+  assert.strictEqual(split.winMethod, 'ko');
+});
+
+test('a single-judge panel needs only that judge for a KO', () => {
+  const r = result({ judge_1: ko(B) }, ['judge_1']);
+  assert.deepStrictEqual([r.winnerId, r.winMethod, r.koVotes, r.scoreB], [B, 'ko', 1, 11]);
+});
+
+test('judges off the panel are ignored', () => {
+  const r = result({ judge_1: points(3, 5, 3), judge_2: points(3, 5, 3), judge_4: ko(B) }, ['judge_1', 'judge_2']);
+  assert.deepStrictEqual([r.winnerId, r.winMethod, r.scoreA, r.scoreB], [A, 'points', 22, 0]);
+});
+
+test('level points go to the robot that won more cards', () => {
+  // 6-5, 6-5, 6-5 and 4-7: 22 points each, A won three cards
+  const r = result(
+    { judge_1: points(2, 2, 2), judge_2: points(2, 2, 2), judge_3: points(2, 2, 2), judge_4: points(1, 2, 1) },
+    [...PANEL, 'judge_4'],
+  );
+  assert.deepStrictEqual([r.scoreA, r.scoreB, r.winnerId, r.tieBreak], [22, 22, A, 'cards']);
+});
+
+test('level points and cards fall to the criteria in order', () => {
+  const criteria = [
+    { id: 'aggression', name: 'Aggression', points: 2 },
+    { id: 'damage', name: 'Damage', points: 2 },
+  ];
+  const r = result(
+    { judge_1: { scores: { aggression: 0, damage: 2 } }, judge_2: { scores: { aggression: 1, damage: 1 } } },
+    ['judge_1', 'judge_2'],
+    criteria,
+  );
+  assert.deepStrictEqual([r.winnerId, r.tieBreak], [B, 'criterion:aggression']);
+});
+
+test('a match level on every tie-break has no result', () => {
+  const criteria = [{ id: 'damage', name: 'Damage', points: 2 }];
+  const r = result({ judge_1: { scores: { damage: 1 } }, judge_2: { scores: { damage: 1 } } }, ['judge_1', 'judge_2'], criteria);
+  assert.strictEqual(r, null);
+});
+
+test('a decision is a tap-out when most points cards mark one', () => {
+  const r = result({ judge_1: points(3, 5, 3, 'tapout'), judge_2: points(3, 5, 3, 'tapout'), judge_3: points(3, 5, 3) });
+  assert.strictEqual(r.winMethod, 'tapout');
+  const minority = result({ judge_1: points(3, 5, 3, 'tapout'), judge_2: points(3, 5, 3), judge_3: points(3, 5, 3) });
+  assert.strictEqual(minority.winMethod, 'points');
+});
@@ -0,0 +1,124 @@
+// server/test/startgg.test.js
+// start.gg provider - tournament ids, how sets and entrants map to matches, and
+// the short cache of event reads, against a stand-in for the GraphQL API
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const TOURNAMENT = 'startgg-texas-cup--beetleweight';
+
+const entrants = [
+  { id: 11, name: 'Sawblaze', initialSeedNum: 1 },
+  { id: 12, name: 'Tombstone', initialSeedNum: 2 },
+  { id: 13, name: 'Minotaur', initialSeedNum: 3 },
+];
+const slot = (entrantId, score = null, prereq = {}) => ({
+  ...prereq,
+  entrant: entrantId ? { id: entrantId } : null,
+  standing: score === null ? null : { stats: { score: { value: score } } },
+});
+const sets = [
+  { id: 101, round: 1, fullRoundText: 'Winners Round 1', state: 3, winnerId: 11, completedAt: 1780000000, slots: [slot(11, 3), slot(12, -1)] },
+  { id: 102, round: 2, fullRoundText: 'Winners Final', state: 1, winnerId: null, completedAt: null, slots: [slot(11, null, { prereqType: 'set', prereqId: 101, prereqPlacement: 1 }), slot(13)] },
+  { id: 103, round: -1, fullRoundText: 'Losers Round 1', state: 1, winnerId: null, completedAt: null, slots: [slot(12, null, { prereqType: 'set', prereqId: 101, prereqPlacement: 2 }), slot(null)] },
+  { id: 104, round: 3, fullRoundText: 'Grand Final Reset', state: 1, winnerId: null, completedAt: null, slots: [slot(null), slot(null)] },
+];
+const event = {
+  id: 9001,
+  name: 'Beetleweight',
+  state: 'ACTIVE',
+  tournament: { name: 'Texas Cup' },
+  phases: [{ bracketType: 'DOUBLE_ELIMINATION' }],
+  entrants: { pageInfo: { totalPages: 1 }, nodes: entrants },
+  sets: { pageInfo: { totalPages: 1 }, nodes: sets },
+};
+
+let standIn;
+let startgg;
+const queries = [];
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/gql', (req, res) => {
+    queries.push(req.body);
+    if (req.body.query.includes('mutation')) return res.json({ data: { result: { id: req.body.variables.setId } } });
+    res.json({ data: { event: req.body.variables.slug === 'tournament/texas-cup/event/beetleweight' ? event : null } });
+  });
+  standIn = await new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+
+  Object.assign(process.env, {
+    STARTGG_API_URL: `http://localhost:${standIn.address().port}/gql`,
+    STARTGG_API_TOKEN: 'test-token',
+    STARTGG_MIN_INTERVAL_MS: '1',
+  });
+  startgg = require('../providers/startgg');
+});
+
+after(() => new Promise(resolve => standIn.close(resolve)));
+
+const eventReads = () => queries.filter(q => q.query.includes('EventBracket')).length;
+
+test('only startgg- ids are start.gg tournaments', () => {
+  assert.strictEqual(startgg.ownsTournament(TOURNAMENT), true);
+  assert.strictEqual(startgg.ownsTournament('startgg-texas-cup'), true);
+  assert.strictEqual(startgg.ownsTournament('my-startgg-cup'), false);
+  assert.strictEqual(startgg.ownsTournament('StartGG-texas-cup--beetleweight'), false);
+  assert.strictEqual(startgg.eventSlug(TOURNAMENT), 'tournament/texas-cup/event/beetleweight');
+  assert.throws(() => startgg.eventSlug('startgg-texas-cup'), /startgg-<tournament>--<event>/);
+});
+
+test('sets become matches numbered in call order', () => {
+  const { tournament, participants, matches } = startgg.normalizeEvent(TOURNAMENT, { event, entrants, sets });
+
+  assert.deepStrictEqual(tournament, {
+    id: 9001,
+    url: TOURNAMENT,
+    name: 'Texas Cup - Beetleweight',
+    status: 'underway',
+    tournamentType: 'double elimination',
+    grandFinalsModifier: null,
+    provider: 'startgg',
+  });
+  assert.deepStrictEqual(participants[1], { id: 12, name: 'Tombstone', seed: 2 });
+
+  // The reset isn't shown until someone is in it
+  assert.deepStrictEqual(matches.map(m => m.id), [101, 102, 103]);
+  const [first, final, losers] = matches;
+  assert.deepStrictEqual(
+    [first.matchNum, first.bracket, first.round, first.status, first.winner, first.loserId],
+    [1, 'winners', 1, 'completed', 'Sawblaze', 12],
+  );
+  assert.deepStrictEqual(first.scores, { a: 3, b: 0 });
+  assert.strictEqual(first.completedAt, new Date(1780000000 * 1000).toISOString());
+  assert.deepStrictEqual([first.tournamentUrl, first.tournamentId], [TOURNAMENT, 9001]);
+
+  assert.deepStrictEqual([final.competitorA, final.competitorB, final.status], ['Sawblaze', 'Minotaur', 'active']);
+  assert.deepStrictEqual(final.sourceA, { type: 'winner', matchNum: 1 });
+  assert.strictEqual(final.sourceB, null);
+
+  assert.deepStrictEqual([losers.bracket, losers.round, losers.status, losers.competitorB], ['losers', 1, 'pending', null]);
+  assert.deepStrictEqual(losers.sourceA, { type: 'loser', matchNum: 1 });
+});
+
+test('event reads are cached until a report or reset', async () => {
+  const readsBefore = eventReads();
+  await startgg.getTournament(TOURNAMENT);
+  await startgg.getMatch(TOURNAMENT, 102);
+  await Promise.all([startgg.getMatch(TOURNAMENT, 101), startgg.getMatch(TOURNAMENT, '103')]);
+  assert.strictEqual(eventReads(), readsBefore + 1);
+
+  await startgg.reportMatch(TOURNAMENT, 102, { winnerId: 11, scoreA: 3, scoreB: 1 });
+  assert.strictEqual(eventReads(), readsBefore + 2);
+  await startgg.reopenMatch(TOURNAMENT, 101);
+  assert.strictEqual(eventReads(), readsBefore + 3);
+  assert.deepStrictEqual(queries.filter(q => q.query.includes('mutation')).map(q => q.variables.setId), ['102', '101']);
+
+  await assert.rejects(startgg.getMatch(TOURNAMENT, 999), { status: 404 });
+  await assert.rejects(startgg.getTournament('startgg-texas-cup--antweight'), { status: 404 });
+  await assert.rejects(startgg.getTournament('startgg-texas-cup--antweight'), { status: 404 });
+  assert.strictEqual(eventReads(), readsBefore + 5);
+});
@@ -0,0 +1,355 @@
+// server/validation.js
+// Request contracts for judge score submissions, review decisions, manual results,
+// built-in brackets and the match queue
+// Every check returns a list of { field, message } problems so clients can
+// point at exactly what was wrong - an empty list means the request is valid
+
+const { WIN_METHODS, DECISION_METHODS, validateJudgeScores } = require('./scoring');
+const { BRACKET_TYPES, MAX_PARTICIPANTS } = require('./bracket');
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+// Field rules: { type, required?, nullable? }
+// type is one of 'string', 'integer', 'boolean', 'object', 'array', 'id'
+const scoreSubmissionSchema = {
+  tournamentId: { type: 'string', required: true },
+  competitorAId: { type: 'integer', required: true },
+  competitorBId: { type: 'integer', required: true },
+  isKO: { type: 'boolean' },
+  koWinnerId: { type: 'integer', nullable: true },
+  winMethod: { type: 'string', nullable: true },
+  scores: { type: 'object', nullable: true },
+};
+
+const reviewDecisionSchema = {
+  action: { type: 'string', required: true },
+  winnerId: { type: 'integer', nullable: true },
+  winMethod: { type: 'string', nullable: true },
+  scoreA: { type: 'integer', nullable: true },
+  scoreB: { type: 'integer', nullable: true },
+  note: { type: 'string', nullable: true },
+};
+
+const manualResultSchema = {
+  tournamentId: { type: 'string', required: true },
+  competitorAId: { type: 'integer', required: true },
+  competitorBId: { type: 'integer', required: true },
+  winnerId: { type: 'integer', required: true },
+  winMethod: { type: 'string', required: true },
+  scoreA: { type: 'integer', nullable: true },
+  scoreB: { type: 'integer', nullable: true },
+  cards: { type: 'object', nullable: true },
+  note: { type: 'string', nullable: true },
+};
+
+const nativeTournamentSchema = {
+  name: { type: 'string', required: true },
+  tournamentType: { type: 'string', required: true },
+  participants: { type: 'array', required: true },
+  bracketReset: { type: 'boolean' },
+};
+
+const matchQueueSchema = {
+  queue: { type: 'array', required: true },
+};
+
+const queueItemSchema = {
+  tournamentId: { type: 'string', required: true },
+  matchId: { type: 'id', required: true },
+  position: { type: 'integer', required: true },
+  locked: { type: 'boolean', nullable: true },
+};
+
+const typeChecks = {
+  string: value => typeof value === 'string' && value.trim() !== '',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  // Bracket match ids come as numbers or strings
+  id: value => Number.isInteger(value) || (typeof value === 'string' && value.trim() !== ''),
+};
+
+const typeDescriptions = {
+  string: 'a non-empty string',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  id: 'a match id',
+};
+
+// Check a request body against a schema
+function validateSchema(schema, body) {
+  if (!typeChecks.object(body)) {
+    return [{ field: 'body', message: 'Request body must be a JSON object' }];
+  }
+
+  const problems = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required) problems.push({ field, message: `${field} is required` });
+      continue;
+    }
+    if (!typeChecks[rule.type](value)) {
+      problems.push({ field, message: `${field} must be ${typeDescriptions[rule.type]}` });
+    }
+  }
+  return problems;
+}
+
+// ============================================
+// SCORE SUBMISSIONS
+// ============================================
+
+// Validate a judge's score submission
+// storedMatch: the scores record for this match, if another judge already submitted
+function validateScoreSubmission(body, criteria, storedMatch) {
+  const problems = validateSchema(scoreSubmissionSchema, body);
+  if (problems.length > 0) return problems;
+
+  // Later judges must be scoring the same fight as the first one
+  problems.push(...validateSameMatch(body, storedMatch));
+  if (problems.length > 0) return problems;
+
+  const { competitorAId, competitorBId } = body;
+  return validateJudgeScores(criteria, body, [competitorAId, competitorBId]);
+}
+
+// Check a request is for the same fight as the scores already stored
+function validateSameMatch({ tournamentId, competitorAId, competitorBId }, storedMatch) {
+  const problems = [];
+  if (competitorAId === competitorBId) {
+    problems.push({ field: 'competitorBId', message: 'competitorBId must be different from competitorAId' });
+  }
+  if (storedMatch) {
+    if (storedMatch.tournamentId && storedMatch.tournamentId !== tournamentId) {
+      problems.push({ field: 'tournamentId', message: 'tournamentId does not match the scores already recorded for this match' });
+    }
+    if (storedMatch.competitorAId !== competitorAId) {
+      problems.push({ field: 'competitorAId', message: 'competitorAId does not match the scores already recorded for this match' });
+    }
+    if (storedMatch.competitorBId !== competitorBId) {
+      problems.push({ field: 'competitorBId', message: 'competitorBId does not match the scores already recorded for this match' });
+    }
+  }
+  return problems;
+}
+
+// Check a bracket match is ready to fight and between the submitted competitors
+// match: the normalized match from the tournament's bracket provider
+function validateBracketMatch(match, { competitorAId, competitorBId }) {
+  if (match.status !== 'active') {
+    return [{ field: 'matchId', message: `Match is ${match.status} in the bracket, only open matches can be scored` }];
+  }
+
+  const problems = [];
+  if (match.competitorAId !== competitorAId) {
+    problems.push({ field: 'competitorAId', message: 'competitorAId is not player 1 of this match in the bracket' });
+  }
+  if (match.competitorBId !== competitorBId) {
+    problems.push({ field: 'competitorBId', message: 'competitorBId is not player 2 of this match in the bracket' });
+  }
+  return problems;
+}
+
+// ============================================
+// REVIEW DECISIONS
+// ============================================
+
+const REVIEW_ACTIONS = ['confirm', 'override'];
+
+// Validate a head judge's decision on a disputed match
+// storedMatch: the scores record, with review.proposedResult
+function validateReviewDecision(body, storedMatch) {
+  const problems = validateSchema(reviewDecisionSchema, body);
+  if (problems.length > 0) return problems;
+
+  const { action, winnerId, winMethod, scoreA, scoreB } = body;
+  if (!REVIEW_ACTIONS.includes(action)) {
+    return [{ field: 'action', message: `action must be one of: ${REVIEW_ACTIONS.join(', ')}` }];
+  }
+
+  if (action === 'confirm') {
+    if (!storedMatch.review.proposedResult) {
+      problems.push({ field: 'action', message: 'The scores are tied on every tie-break - override with a winner instead' });
+    }
+    return problems;
+  }
+
+  if (winnerId !== storedMatch.competitorAId && winnerId !== storedMatch.competitorBId) {
+    problems.push({ field: 'winnerId', message: 'winnerId must be one of the competitors in this match' });
+  }
+  if (winMethod && !WIN_METHODS.includes(winMethod)) {
+    problems.push({ field: 'winMethod', message: `winMethod must be one of: ${WIN_METHODS.join(', ')}` });
+  }
+  if (problems.length === 0 && DECISION_METHODS.includes(winMethod || 'points')) {
+    problems.push(...validateScoreline(winnerId === storedMatch.competitorAId, scoreA, scoreB));
+  }
+  return problems;
+}
+
+// Check a hand-entered decision scoreline agrees with the chosen winner
+function validateScoreline(isWinnerA, scoreA, scoreB) {
+  const problems = [];
+  if (!Number.isInteger(scoreA) || scoreA < 0) {
+    problems.push({ field: 'scoreA', message: 'scoreA must be a whole number of 0 or more' });
+  }
+  if (!Number.isInteger(scoreB) || scoreB < 0) {
+    problems.push({ field: 'scoreB', message: 'scoreB must be a whole number of 0 or more' });
+  }
+  if (problems.length === 0 && ((isWinnerA && scoreA < scoreB) || (!isWinnerA && scoreB < scoreA))) {
+    problems.push({ field: 'winnerId', message: 'The winner cannot have fewer points than the loser' });
+  }
+  return problems;
+}
+
+// ============================================
+// MANUAL RESULTS
+// ============================================
+
+// Points cards for a match: the panel's submitted cards, replaced by any entered by hand
+// Returns { [judgeId]: scores }
+function mergePanelCards(storedMatch, cards, panelJudgeIds) {
+  const merged = {};
+  panelJudgeIds.forEach(judgeId => {
+    const card = storedMatch?.judges?.[judgeId];
+    if (card && !card.isKO && card.scores) merged[judgeId] = card.scores;
+  });
+  return { ...merged, ...cards };
+}
+
+// Check a hand-entered result has every field it needs, of the right type - run
+// before the tournament it names is looked up
+function validateManualResultFields(body) {
+  return validateSchema(manualResultSchema, body);
+}
+
+// Validate a result entered by hand by the head judge or an admin
+// panelJudgeIds: judges cards can be entered for
+function validateManualResult(body, criteria, panelJudgeIds, storedMatch) {
+  const problems = validateSchema(manualResultSchema, body);
+  if (problems.length > 0) return problems;
+
+  problems.push(...validateSameMatch(body, storedMatch));
+
+  const { competitorAId, competitorBId, winnerId, winMethod, scoreA, scoreB, cards } = body;
+  if (winnerId !== competitorAId && winnerId !== competitorBId) {
+    problems.push({ field: 'winnerId', message: 'winnerId must be one of the competitors in this match' });
+  }
+  if (!WIN_METHODS.includes(winMethod)) {
+    problems.push({ field: 'winMethod', message: `winMethod must be one of: ${WIN_METHODS.join(', ')}` });
+  }
+  if (problems.length > 0) return problems;
+
+  const hasCards = cards && Object.keys(cards).length > 0;
+  const isDecision = DECISION_METHODS.includes(winMethod);
+  if (hasCards && !isDecision) {
+    return [{ field: 'cards', message: 'Judge cards can only be entered for a judges\' decision' }];
+  }
+  if (!isDecision) return problems;
+
+  if (hasCards) {
+    for (const [judgeId, scores] of Object.entries(cards)) {
+      if (!panelJudgeIds.includes(judgeId)) {
+        problems.push({ field: `cards.${judgeId}`, message: `${judgeId} is not on the active judge panel` });
+        continue;
+      }
+      validateJudgeScores(criteria, { scores, isKO: false }, [competitorAId, competitorBId])
+        .forEach(p => problems.push({ field: `cards.${judgeId}.${p.field}`, message: `${judgeId}: ${p.message}` }));
+    }
+    if (problems.length > 0) return problems;
+
+    // The entered cards, plus any the panel already submitted, have to add up to a win for the chosen robot
+    const allCards = Object.values(mergePanelCards(storedMatch, cards, panelJudgeIds));
+    const totalA = allCards.reduce((sum, scores) => sum + criteria.reduce((s, c) => s + scores[c.id], 0), 0);
+    const totalB = criteria.reduce((sum, c) => sum + c.points, 0) * allCards.length - totalA;
+    if ((winnerId === competitorAId && totalA < totalB) || (winnerId === competitorBId && totalB < totalA)) {
+      problems.push({ field: 'winnerId', message: 'The judge cards have the other robot ahead' });
+    }
+    return problems;
+  }
+
+  return validateScoreline(winnerId === competitorAId, scoreA, scoreB);
+}
+
+// ============================================
+// NATIVE BRACKETS
+// ============================================
+
+// Validate a new built-in bracket
+// participants: robot names in seed order
+function validateNativeTournament(body) {
+  const problems = validateSchema(nativeTournamentSchema, body);
+  if (problems.length > 0) return problems;
+
+  const { tournamentType, participants } = body;
+  if (!BRACKET_TYPES.includes(tournamentType)) {
+    problems.push({ field: 'tournamentType', message: `tournamentType must be one of: ${BRACKET_TYPES.join(', ')}` });
+  }
+  if (participants.length < 2 || participants.length > MAX_PARTICIPANTS) {
+    problems.push({ field: 'participants', message: `A bracket needs between 2 and ${MAX_PARTICIPANTS} robots` });
+  }
+
+  const seen = new Set();
+  participants.forEach((name, i) => {
+    if (!typeChecks.string(name)) {
+      problems.push({ field: `participants.${i}`, message: `participants.${i} must be a robot name` });
+    } else if (seen.has(name.trim().toLowerCase())) {
+      problems.push({ field: `participants.${i}`, message: `${name.trim()} is entered more than once` });
+    } else {
+      seen.add(name.trim().toLowerCase());
+    }
+  });
+  return problems;
+}
+
+// ============================================
+// MATCH QUEUE
+// ============================================
+
+// Validate a saved match queue
+// tournamentIds: the event's tournaments, the only ones that can be queued
+function validateMatchQueue(body, tournamentIds) {
+  const problems = validateSchema(matchQueueSchema, body);
+  if (problems.length > 0) return problems;
+
+  body.queue.forEach((item, i) => {
+    const field = `queue.${i}`;
+    if (!typeChecks.object(item)) {
+      problems.push({ field, message: `${field} must be an object` });
+      return;
+    }
+    const itemProblems = validateSchema(queueItemSchema, item)
+      .map(p => ({ field: `${field}.${p.field}`, message: `${field}.${p.message}` }));
+    if (itemProblems.length === 0 && !tournamentIds.includes(item.tournamentId)) {
+      itemProblems.push({ field: `${field}.tournamentId`, message: `Tournament ${item.tournamentId} is not in this event` });
+    }
+    problems.push(...itemProblems);
+  });
+  return problems;
+}
+
+// Send a structured 400 for a list of problems
+function sendValidationError(res, problems) {
+  return res.status(400).json({
+    error: problems.map(p => p.message).join('; '),
+    details: problems,
+  });
+}
+
+module.exports = {
+  validateSchema,
+  validateScoreSubmission,
+  validateBracketMatch,
+  validateReviewDecision,
+  validateManualResultFields,
+  validateManualResult,
+  validateNativeTournament,
+  validateMatchQueue,
+  mergePanelCards,
+  sendValidationError,
+};